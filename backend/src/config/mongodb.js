@@ -105,12 +105,6 @@ mongoose.connection.on('disconnected', () => {
     isConnected = false;
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    await disconnectMongoDB();
-    process.exit(0);
-});
-
 module.exports = {
     connectMongoDB,
     disconnectMongoDB,
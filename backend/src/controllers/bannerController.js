@@ -7,6 +7,31 @@
 
 const Banner = require('../models/Banner');
 const Link = require('../models/Link');
+const Workspace = require('../models/Workspace');
+const { hasPermission } = require('../middleware/auth');
+const { inActiveWorkspace } = require('../middleware/workspace');
+const { sendFieldError } = require('../middleware/validate');
+const auditService = require('../services/auditService');
+const bannerAllocationService = require('../services/bannerAllocationService');
+const bannerImpressionService = require('../services/bannerImpressionService');
+const bannerVisitorService = require('../services/bannerVisitorService');
+const bannerStatsService = require('../services/bannerStatsService');
+
+/**
+ * Helper: Banner cũ chưa gắn workspace, do user hiện tại tạo
+ */
+const isLegacyOwnBanner = (req, banner) => !banner.workspaceId
+    && Boolean(banner.createdBy && banner.createdBy.toString() === req.user._id.toString());
+
+/**
+ * Helper: banners:publish được thao tác mọi banner
+ * Còn lại: banner thuộc workspace đang dùng + vai trò editor / owner (hoặc banner cũ của mình)
+ */
+const canManageBanner = (req, banner) => {
+    if (hasPermission(req, 'banners:publish')) return true;
+    if (inActiveWorkspace(req, banner)) return Workspace.hasRole(req.workspaceRole, 'editor');
+    return isLegacyOwnBanner(req, banner);
+};
 
 /**
  * Create new Banner
@@ -34,42 +59,28 @@ const create = async (req, res) => {
             showDelay,
             autoHideAfter,
             dismissible,
+            frequencyCap,
+            frequencyPeriod,
+            dismissCooldownHours,
             notes
         } = req.body;
 
-        // Validate required fields
-        if (!name || !imageUrl) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: name, imageUrl'
-            });
-        }
-
-        if (!targetSlug) {
-            return res.status(400).json({
-                success: false,
-                error: 'targetSlug is required - please select an article link'
-            });
-        }
-
+        // name, imageUrl, targetSlug (đã lowercase) bắt buộc - kiểm tra ở schema (routes/bannerRoutes.js)
         // Validate targetSlug exists and get the actual target URL
-        const linkDoc = await Link.findOne({ slug: targetSlug.toLowerCase() });
+        const linkDoc = await Link.findOne({ slug: targetSlug });
         if (!linkDoc) {
-            return res.status(400).json({
-                success: false,
-                error: `Bài viết với slug "${targetSlug}" không tồn tại`
-            });
+            return sendFieldError(res, 'targetSlug', `Bài viết với slug "${targetSlug}" không tồn tại`);
         }
 
         // Use targetUrl from request body directly
-        const resolvedTargetUrl = targetUrl || `/${targetSlug.toLowerCase()}`;
+        const resolvedTargetUrl = targetUrl || `/${targetSlug}`;
 
         // Create banner
         const banner = new Banner({
             name,
             imageUrl,
             mobileImageUrl,
-            targetSlug: targetSlug.toLowerCase(),
+            targetSlug,
             targetUrl: resolvedTargetUrl,
             type: type || 'sticky_bottom',
             weight: weight || 50,
@@ -85,12 +96,27 @@ const create = async (req, res) => {
             showDelay: showDelay || 0,
             autoHideAfter: autoHideAfter || 0,
             dismissible: dismissible !== false,
+            frequencyCap: frequencyCap || 0,
+            frequencyPeriod: frequencyPeriod || 'day',
+            // 0 hợp lệ (không ghi nhớ đóng banner)
+            dismissCooldownHours: dismissCooldownHours ?? 24,
             notes: notes || '',
-            createdBy: req.user?._id
+            // Không có quyền banners:publish → banner chờ người có quyền bật
+            isActive: hasPermission(req, 'banners:publish'),
+            createdBy: req.user?._id,
+            workspaceId: req.workspace._id
         });
 
         await banner.save();
 
+        auditService.record(req, {
+            action: 'banner.create',
+            targetType: 'banner',
+            targetId: banner._id,
+            targetLabel: banner.name,
+            after: banner
+        });
+
         console.log(`✅ [BannerController] Banner created: ${banner.name} (${banner._id})`);
 
         res.status(201).json({
@@ -103,7 +129,7 @@ const create = async (req, res) => {
         console.error('❌ [BannerController] Create error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to create banner'
+            message: error.message || 'Failed to create banner'
         });
     }
 };
@@ -111,6 +137,7 @@ const create = async (req, res) => {
 /**
  * Get all active Banners (public, for homepage)
  * GET /api/banners/public/all
+ * Query: visitorId, sessionId (frequency cap / dismissal)
  */
 const getAllActivePublic = async (req, res) => {
     try {
@@ -123,11 +150,17 @@ const getAllActivePublic = async (req, res) => {
         }).sort({ priority: 1, weight: -1 });
 
         // Filter out expired banners
-        const activeBanners = banners.filter(b => {
+        const scheduledBanners = banners.filter(b => {
             if (b.endDate && new Date(b.endDate) < new Date()) return false;
             return true;
         });
 
+        // Bỏ banner khách đã đóng / đã xem đủ frequency cap
+        const { visitorId, sessionId } = req.query;
+        const activeBanners = await bannerVisitorService.filterEligible(scheduledBanners, { visitorId, sessionId });
+
+        bannerImpressionService.recordServed(activeBanners);
+
         const response = activeBanners.map(banner => ({
             id: banner._id,
             name: banner.name,
@@ -152,7 +185,7 @@ const getAllActivePublic = async (req, res) => {
         console.error('❌ [BannerController] GetAllActivePublic error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get banners'
+            message: error.message || 'Failed to get banners'
         });
     }
 };
@@ -160,7 +193,7 @@ const getAllActivePublic = async (req, res) => {
 /**
  * Get random active Banner (for A/B testing)
  * GET /api/banners/random
- * Query: type, device, articleSlug, category
+ * Query: type, device, articleSlug, category, visitorId, sessionId
  */
 const getRandom = async (req, res) => {
     try {
@@ -168,24 +201,27 @@ const getRandom = async (req, res) => {
             type = 'sticky_bottom', 
             device, 
             articleSlug, 
-            category 
+            category,
+            visitorId,
+            sessionId
         } = req.query;
 
         const banner = await Banner.getRandomActive(type, {
             device,
             articleSlug,
-            category
+            category,
+            visitor: { visitorId, sessionId }
         });
 
         if (!banner) {
             return res.status(404).json({
                 success: false,
-                error: 'No active banner found'
+                message: 'No active banner found'
             });
         }
 
-        // Record impression
-        await banner.recordImpression();
+        // Chỉ tính served - lượt xem đếm khi trình duyệt gửi beacon (POST /:id/impression)
+        bannerImpressionService.recordServed([banner]);
 
         // Build response (exclude internal fields)
         const response = {
@@ -214,13 +250,13 @@ const getRandom = async (req, res) => {
         console.error('❌ [BannerController] GetRandom error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get random banner'
+            message: error.message || 'Failed to get random banner'
         });
     }
 };
 
 /**
- * Get all Banners (Admin)
+ * Get all Banners (Admin) - banners của workspace đang dùng
  * GET /api/banners
  * Query: type, isActive, page, limit
  */
@@ -233,16 +269,10 @@ const getAll = async (req, res) => {
             limit = 20 
         } = req.query;
 
-        // Build query
-        const query = {};
+        // Build query (✅ chỉ banners của workspace đang dùng)
+        const query = { workspaceId: req.workspace._id };
         if (type) query.type = type;
-        if (isActive !== undefined) query.isActive = isActive === 'true';
-
-        // Filter by user ownership if not admin
-        // ✅ Non-admin users only see their own banners
-        if (req.user.role !== 'admin') {
-            query.createdBy = req.user._id;
-        }
+        if (isActive !== undefined) query.isActive = isActive;
 
         // Pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -271,7 +301,7 @@ const getAll = async (req, res) => {
         console.error('❌ [BannerController] GetAll error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get banners'
+            message: error.message || 'Failed to get banners'
         });
     }
 };
@@ -286,10 +316,11 @@ const getById = async (req, res) => {
 
         const banner = await Banner.findById(id).populate('createdBy', 'username');
 
-        if (!banner) {
+        // Banner của workspace khác → coi như không tồn tại
+        if (!banner || !(inActiveWorkspace(req, banner) || hasPermission(req, 'banners:publish'))) {
             return res.status(404).json({
                 success: false,
-                error: 'Banner not found'
+                message: 'Banner not found'
             });
         }
 
@@ -302,7 +333,7 @@ const getById = async (req, res) => {
         console.error('❌ [BannerController] GetById error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get banner'
+            message: error.message || 'Failed to get banner'
         });
     }
 };
@@ -314,41 +345,37 @@ const getById = async (req, res) => {
 const update = async (req, res) => {
     try {
         const { id } = req.params;
+        // Chỉ gồm field khai báo trong schema (không có _id, stats, createdBy, workspaceId)
         const updates = req.body;
 
-        // Remove fields that shouldn't be updated directly
-        delete updates._id;
-        delete updates.stats;
-        delete updates.createdAt;
-        delete updates.updatedAt;
-
         // Find the banner to check ownership
         const banner = await Banner.findById(id);
 
         if (!banner) {
             return res.status(404).json({
                 success: false,
-                error: 'Banner not found'
+                message: 'Banner not found'
             });
         }
 
-        // Allow admin to update any banner, otherwise check for ownership
-        if (req.user.role !== 'admin' && banner.createdBy.toString() !== req.user._id.toString()) {
+        // banners:publish sửa được mọi banner, còn lại chỉ banner trong workspace (editor / owner)
+        if (!canManageBanner(req, banner)) {
             return res.status(403).json({
                 success: false,
-                error: 'You do not have permission to update this banner'
+                message: 'You do not have permission to update this banner'
             });
         }
 
+        // Bật / tắt banner cần quyền banners:publish
+        if (!hasPermission(req, 'banners:publish')) {
+            delete updates.isActive;
+        }
+
         // Validate targetSlug if being updated
         if (updates.targetSlug) {
-            updates.targetSlug = updates.targetSlug.toLowerCase();
             const linkDoc = await Link.findOne({ slug: updates.targetSlug });
             if (!linkDoc) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Bài viết với slug "${updates.targetSlug}" không tồn tại`
-                });
+                return sendFieldError(res, 'targetSlug', `Bài viết với slug "${updates.targetSlug}" không tồn tại`);
             }
         }
         // Use targetUrl directly from the request body if provided
@@ -363,6 +390,15 @@ const update = async (req, res) => {
             { new: true, runValidators: true }
         );
 
+        auditService.record(req, {
+            action: 'banner.update',
+            targetType: 'banner',
+            targetId: updatedBanner._id,
+            targetLabel: updatedBanner.name,
+            before: banner,
+            after: updatedBanner
+        });
+
         console.log(`✅ [BannerController] Banner updated: ${updatedBanner.name}`);
 
         res.json({
@@ -375,7 +411,7 @@ const update = async (req, res) => {
         console.error('❌ [BannerController] Update error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to update banner'
+            message: error.message || 'Failed to update banner'
         });
     }
 };
@@ -393,20 +429,28 @@ const remove = async (req, res) => {
         if (!banner) {
             return res.status(404).json({
                 success: false,
-                error: 'Banner not found'
+                message: 'Banner not found'
             });
         }
 
-        // ✅ Allow admin to delete any banner, otherwise check for ownership
-        if (req.user.role !== 'admin' && banner.createdBy.toString() !== req.user._id.toString()) {
+        // ✅ banners:publish xóa được mọi banner, còn lại chỉ banner trong workspace (editor / owner)
+        if (!canManageBanner(req, banner)) {
             return res.status(403).json({
                 success: false,
-                error: 'You do not have permission to delete this banner'
+                message: 'You do not have permission to delete this banner'
             });
         }
 
         await Banner.findByIdAndDelete(id);
 
+        auditService.record(req, {
+            action: 'banner.delete',
+            targetType: 'banner',
+            targetId: banner._id,
+            targetLabel: banner.name,
+            before: banner
+        });
+
         console.log(`🗑️ [BannerController] Banner deleted: ${banner.name}`);
 
         res.json({
@@ -418,7 +462,7 @@ const remove = async (req, res) => {
         console.error('❌ [BannerController] Delete error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to delete banner'
+            message: error.message || 'Failed to delete banner'
         });
     }
 };
@@ -436,21 +480,29 @@ const toggleActive = async (req, res) => {
         if (!banner) {
             return res.status(404).json({
                 success: false,
-                error: 'Banner not found'
+                message: 'Banner not found'
             });
         }
 
-        // ✅ Allow admin to toggle any banner, otherwise check for ownership
-        if (req.user.role !== 'admin' && banner.createdBy.toString() !== req.user._id.toString()) {
+        // ✅ banners:publish bật / tắt được mọi banner
+        if (!canManageBanner(req, banner)) {
             return res.status(403).json({
                 success: false,
-                error: 'You do not have permission to toggle this banner'
+                message: 'You do not have permission to toggle this banner'
             });
         }
 
         banner.isActive = !banner.isActive;
         await banner.save();
 
+        auditService.record(req, {
+            action: 'banner.toggle',
+            targetType: 'banner',
+            targetId: banner._id,
+            targetLabel: banner.name,
+            changes: { isActive: { from: !banner.isActive, to: banner.isActive } }
+        });
+
         console.log(`🔄 [BannerController] Banner ${banner.isActive ? 'activated' : 'deactivated'}: ${banner.name}`);
 
         res.json({
@@ -463,7 +515,7 @@ const toggleActive = async (req, res) => {
         console.error('❌ [BannerController] ToggleActive error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to toggle banner'
+            message: error.message || 'Failed to toggle banner'
         });
     }
 };
@@ -482,7 +534,7 @@ const recordClick = async (req, res) => {
         if (!banner) {
             return res.status(404).json({
                 success: false,
-                error: 'Banner not found'
+                message: 'Banner not found'
             });
         }
 
@@ -499,18 +551,139 @@ const recordClick = async (req, res) => {
         console.error('❌ [BannerController] RecordClick error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to record click'
+            message: error.message || 'Failed to record click'
+        });
+    }
+};
+
+/**
+ * Record Banner Impression (beacon khi banner hiển thị ≥ 50% trong 1 giây)
+ * POST /api/banners/:id/impression
+ * Body: { pageViewId, visitorId, sessionId } - mỗi lượt xem trang chỉ tính 1 lần / banner
+ */
+const recordImpression = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { pageViewId, visitorId, sessionId } = req.body;
+        const { found, counted } = await bannerImpressionService.recordView(id, pageViewId, { visitorId, sessionId });
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Banner not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            counted,
+            message: counted ? 'Impression recorded' : 'Impression already recorded for this page view'
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] RecordImpression error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to record impression'
+        });
+    }
+};
+
+/**
+ * Record Banner Dismissal (khách bấm đóng banner)
+ * POST /api/banners/:id/dismiss
+ * Body: { visitorId, sessionId } - banner không hiện lại với khách trong dismissCooldownHours giờ
+ */
+const recordDismiss = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { visitorId, sessionId } = req.body;
+
+        const banner = await Banner.findById(id).select('dismissCooldownHours');
+
+        if (!banner) {
+            return res.status(404).json({
+                success: false,
+                message: 'Banner not found'
+            });
+        }
+
+        const dismissedUntil = await bannerVisitorService.recordDismiss({ visitorId, sessionId }, banner);
+
+        res.json({
+            success: true,
+            data: { dismissedUntil },
+            message: 'Dismissal recorded'
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] RecordDismiss error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to record dismissal'
         });
     }
 };
 
 /**
- * Get Banner Statistics
+ * Get time series statistics of a banner (served, lượt xem, click, CTR theo giờ / ngày)
+ * GET /api/banners/:id/stats
+ * Query: from, to, granularity (hour | day)
+ */
+const getBannerStats = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const range = bannerStatsService.parseRange(req.query);
+        if (range.error) {
+            return sendFieldError(res, 'from', range.error);
+        }
+
+        const banner = await Banner.findById(id).select('name type isActive workspaceId createdBy');
+
+        // Banner của workspace khác → coi như không tồn tại
+        if (!banner || !(inActiveWorkspace(req, banner) || hasPermission(req, 'banners:publish'))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Banner not found'
+            });
+        }
+
+        const { series, totals } = await bannerStatsService.getSeries(banner._id, range);
+
+        res.json({
+            success: true,
+            data: {
+                banner: {
+                    id: banner._id,
+                    name: banner.name,
+                    type: banner.type,
+                    isActive: banner.isActive
+                },
+                granularity: range.granularity,
+                from: range.from,
+                to: range.to,
+                series,
+                totals
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] GetBannerStats error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to get banner stats'
+        });
+    }
+};
+
+/**
+ * Get Banner Statistics (workspace đang dùng)
  * GET /api/banners/stats
  */
 const getStats = async (req, res) => {
     try {
-        const stats = await Banner.getAggregatedStats();
+        const stats = await Banner.getAggregatedStats({ workspaceId: req.workspace._id });
 
         res.json({
             success: true,
@@ -521,20 +694,20 @@ const getStats = async (req, res) => {
         console.error('❌ [BannerController] GetStats error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get stats'
+            message: error.message || 'Failed to get stats'
         });
     }
 };
 
 /**
- * Get Active Banners by Type
+ * Get Active Banners by Type (workspace đang dùng)
  * GET /api/banners/active/:type
  */
 const getActiveByType = async (req, res) => {
     try {
         const { type } = req.params;
 
-        const banners = await Banner.getAllActive(type);
+        const banners = await Banner.getAllActive(type, { workspaceId: req.workspace._id });
 
         res.json({
             success: true,
@@ -546,7 +719,105 @@ const getActiveByType = async (req, res) => {
         console.error('❌ [BannerController] GetActiveByType error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get banners'
+            message: error.message || 'Failed to get banners'
+        });
+    }
+};
+
+/**
+ * Get allocation mode of every placement
+ * GET /api/banners/allocation
+ */
+const getAllocation = async (req, res) => {
+    try {
+        const configs = await bannerAllocationService.getConfigs(Banner.TYPES);
+
+        res.json({
+            success: true,
+            data: configs,
+            modes: bannerAllocationService.ALLOCATION_MODES
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] GetAllocation error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to get allocation'
+        });
+    }
+};
+
+/**
+ * Update allocation mode of a placement (áp dụng cho mọi workspace - getRandom không chia theo workspace)
+ * PUT /api/banners/allocation/:type
+ * Body: { mode, explorationFloor, warmupImpressions }
+ */
+const updateAllocation = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { before, after } = await bannerAllocationService.setConfig(type, req.body, req.user._id);
+
+        auditService.record(req, {
+            action: 'banner.allocation',
+            targetType: 'banner',
+            targetId: type,
+            targetLabel: `Vị trí ${type}`,
+            before,
+            after
+        });
+
+        console.log(`🎰 [BannerController] Allocation ${type}: ${after.mode}`);
+
+        res.json({
+            success: true,
+            data: after,
+            message: 'Allocation updated'
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] UpdateAllocation error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to update allocation'
+        });
+    }
+};
+
+/**
+ * Get recent allocation decisions of a placement (+ tổng hợp theo banner / lý do)
+ * GET /api/banners/allocation/:type/decisions
+ * Query: bannerId, hours (khoảng tổng hợp, mặc định 24), limit
+ */
+const getAllocationDecisions = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { bannerId, hours = 24, limit = 50 } = req.query;
+
+        // Vị trí hiển thị dùng chung mọi workspace → chỉ lấy quyết định / ứng viên là banner của workspace đang dùng
+        const banners = await Banner.find({ workspaceId: req.workspace._id }).select('name');
+        const names = Object.fromEntries(banners.map(banner => [banner._id.toString(), banner.name]));
+
+        const result = await bannerAllocationService.listDecisions({
+            type,
+            bannerId,
+            bannerIds: Object.keys(names),
+            since: new Date(Date.now() - hours * 60 * 60 * 1000),
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                bannerNames: names
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ [BannerController] GetAllocationDecisions error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to get decisions'
         });
     }
 };
@@ -561,6 +832,12 @@ module.exports = {
     remove,
     toggleActive,
     recordClick,
+    recordImpression,
+    recordDismiss,
     getStats,
-    getActiveByType
+    getBannerStats,
+    getActiveByType,
+    getAllocation,
+    updateAllocation,
+    getAllocationDecisions
 };
@@ -17,6 +17,7 @@
 const fs = require('fs');
 const path = require('path');
 const linkServiceMongo = require('../services/linkServiceMongo');
+const Link = require('../models/Link');
 
 // Cache the React build HTML template
 let cachedTemplate = null;
@@ -103,6 +104,15 @@ const renderArticle = async (req, res) => {
         // Get link data from MongoDB
         const link = await linkServiceMongo.getLinkBySlug(slug);
 
+        // Slug cũ (link đã đổi slug) → 301 sang slug hiện tại
+        if (!link) {
+            const currentSlug = await Link.findCurrentSlug(slug);
+            if (currentSlug) {
+                const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+                return res.redirect(301, `/${currentSlug}${query}`);
+            }
+        }
+
         // If link not found, render with default meta (React will handle 404)
         if (!link) {
             console.log(`⚠️ [RenderController] Link not found: ${slug}`);
@@ -113,7 +123,7 @@ const renderArticle = async (req, res) => {
             });
         }
 
-        // Check if link is active
+        // Check if link is public (active + status published + trong khoảng publishedAt/expiresAt)
         if (!link.isAvailable || (typeof link.isAvailable === 'function' && !link.isAvailable())) {
             console.log(`⚠️ [RenderController] Link inactive: ${slug}`);
             return renderWithMeta(res, {
@@ -124,17 +134,18 @@ const renderArticle = async (req, res) => {
         }
 
         // === TRACK CLICK (for real users, not bots) ===
+        // Click được đưa vào hàng đợi, không chờ ghi MongoDB
         if (!req.isPreviewBot) {
             try {
-                await linkServiceMongo.recordClick(slug, {
+                linkServiceMongo.trackClick(link, {
                     ip: req.clientIP || req.ip,
                     userAgent: req.headers['user-agent'] || '',
                     referer: req.headers['referer'] || '',
+                    landingUrl: req.originalUrl,
                     device: req.deviceType || 'unknown',
-                    isValid: req.isValidClick !== false,
-                    invalidReason: req.isValidClick === false ? (req.ipAnalysis?.reason || 'Unknown') : null
+                    ipAnalysis: req.ipAnalysis
                 });
-                console.log(`📊 [RenderController] Click tracked: ${slug}`);
+                console.log(`📊 [RenderController] Click queued: ${slug}`);
             } catch (trackError) {
                 console.error('⚠️ [RenderController] Track error:', trackError.message);
             }
@@ -289,7 +300,16 @@ const renderPreview = async (req, res) => {
     try {
         const link = await linkServiceMongo.getLinkBySlug(slug);
 
+        // Slug cũ → 301 sang preview của slug hiện tại
         if (!link) {
+            const currentSlug = await Link.findCurrentSlug(slug);
+            if (currentSlug) {
+                return res.redirect(301, `/preview/${currentSlug}`);
+            }
+        }
+
+        // Bài chưa public (draft, scheduled, archived) không lộ meta cho bot
+        if (!link || !link.isAvailable()) {
             return res.status(404).send(generatePreviewHtml({
                 title: 'Không tìm thấy',
                 description: 'Bài viết không tồn tại',
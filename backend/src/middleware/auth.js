@@ -1,22 +1,38 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
 
 /**
  * Authentication Middleware - JWT
  * 
  * Features:
- * - Verify JWT token from request headers
- * - Attach user object to request
- * - Role-based access control
+ * - Verify JWT access token (ngắn hạn, 15 phút) from request headers
+ * - Access token gắn với Session (sid) → thu hồi phiên / khóa user có hiệu lực ngay
+ * - Attach user object + quyền của vai trò (req.permissions) to request
+ * - Permission-based access control (requirePermission, xem models/Role.js)
+ * - API key cá nhân (header X-API-Key hoặc Bearer shk_...) thay cho JWT: quyền = scopes ∩ quyền vai trò
+ *   Mặc định route KHÔNG nhận API key, trừ khi khai báo scope (requirePermission) hoặc allowApiKey
+ * 
+ * Refresh token xoay vòng: xem services/sessionService.js
+ * API key: xem services/apiKeyService.js
  */
 
-// JWT Secret (nên lưu trong .env)
-const JWT_SECRET = process.env.JWT_SECRET || 'shoppe-affiliate-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// JWT Secret - bắt buộc cấu hình khi chạy production
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET chưa được cấu hình');
+}
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET chưa được cấu hình, đang dùng secret mặc định cho môi trường dev');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'shoppe-affiliate-dev-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token
- * @param {Object} payload - { userId, username, role }
+ * Generate JWT access token
+ * @param {Object} payload - { userId, username, role, sid }
  * @returns {String} JWT token
  */
 const generateToken = (payload) => {
@@ -38,12 +54,91 @@ const verifyToken = (token) => {
     }
 };
 
+/**
+ * Helper: Lấy API key từ request (X-API-Key, hoặc Bearer token có tiền tố shk_)
+ * @param {Object} req
+ * @returns {String|null}
+ */
+const readApiKey = (req) => {
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']);
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ') && ApiKey.looksLikeKey(authHeader.substring(7))) {
+        return authHeader.substring(7);
+    }
+    return null;
+};
+
+// Đánh dấu middleware cho phép API key trên route (requirePermission, allowApiKey)
+const API_KEY_ALLOWED = Symbol('apiKeyAllowed');
+
+const markApiKeyAllowed = (middleware) => {
+    middleware[API_KEY_ALLOWED] = true;
+    return middleware;
+};
+
+/**
+ * Helper: Route hiện tại có nhận API key không
+ * req.route có sẵn khi authenticate chạy trong route (router.get('/', authenticate, ...))
+ * @param {Object} req
+ * @returns {Boolean}
+ */
+const routeAllowsApiKey = (req) => Boolean(req.route?.stack?.some(layer => layer.handle[API_KEY_ALLOWED]));
+
+/**
+ * Helper: Gắn user + quyền của API key vào request
+ * @param {Object} req
+ * @param {Object} result - { apiKey, user } từ apiKeyService.verifyKey
+ */
+const attachApiKeyUser = async (req, { apiKey, user }) => {
+    const rolePermissions = await Role.getPermissions(user.role);
+
+    req.user = user;
+    req.userId = user._id;
+    req.userRole = user.role;
+    // Key không vượt quá quyền hiện tại của vai trò (vai trò bị hạ quyền → key mất quyền theo)
+    req.permissions = new Set(rolePermissions.filter(permission => apiKey.scopes.includes(permission)));
+    req.apiKey = apiKey;
+    req.sessionId = null;
+};
+
 /**
  * Middleware: Kiểm tra authentication
  * Sử dụng: Bảo vệ các routes cần đăng nhập
  */
 const authenticate = async (req, res, next) => {
     try {
+        // API key cá nhân (script / tích hợp)
+        const apiKey = readApiKey(req);
+        if (apiKey) {
+            const result = await apiKeyService.verifyKey(apiKey, { ip: req.clientIP || req.ip });
+            if (result.error) {
+                const messages = {
+                    invalid: 'API key không hợp lệ',
+                    expired: 'API key đã hết hạn',
+                    revoked: 'API key đã bị thu hồi',
+                    user_disabled: 'Tài khoản đã bị vô hiệu hóa'
+                };
+                return res.status(result.error === 'user_disabled' ? 403 : 401).json({
+                    success: false,
+                    code: 'api_key_' + result.error,
+                    message: messages[result.error]
+                });
+            }
+
+            // Route không khai báo scope (chỉ authenticate / kiểm tra role trong handler) → không nhận API key
+            if (!routeAllowsApiKey(req)) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'api_key_not_allowed',
+                    message: 'Thao tác này cần đăng nhập bằng tài khoản, không dùng được API key'
+                });
+            }
+
+            await attachApiKeyUser(req, result);
+            return next();
+        }
+        
         // 1. Lấy token từ header
         const authHeader = req.headers.authorization;
         
@@ -67,8 +162,34 @@ const authenticate = async (req, res, next) => {
             });
         }
         
-        // 3. Lấy user từ database
-        const user = await User.findById(decoded.userId);
+        // 3. Token phải gắn với phiên đăng nhập (token cũ không có sid → đăng nhập lại)
+        if (!decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Phiên đăng nhập không hợp lệ, vui lòng đăng nhập lại'
+            });
+        }
+        
+        // 4. Lấy user + phiên từ database
+        const [user, session] = await Promise.all([
+            User.findById(decoded.userId),
+            Session.findById(decoded.sid).select('userId revokedAt expiresAt').lean()
+        ]);
+        
+        if (!session || session.revokedAt || session.userId.toString() !== String(decoded.userId)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Phiên đăng nhập đã bị thu hồi'
+            });
+        }
+        
+        // Phiên hết hạn (access token cấp ngay trước khi phiên hết hạn vẫn còn hạn)
+        if (session.expiresAt <= new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại'
+            });
+        }
         
         if (!user) {
             return res.status(401).json({
@@ -84,10 +205,12 @@ const authenticate = async (req, res, next) => {
             });
         }
         
-        // 4. Attach user to request
+        // 5. Attach user + quyền to request
         req.user = user;
         req.userId = user._id;
         req.userRole = user.role;
+        req.permissions = new Set(await Role.getPermissions(user.role));
+        req.sessionId = session._id;
         
         next();
         
@@ -100,6 +223,35 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * Helper: Admin với đầy đủ quyền (API key của admin bị giới hạn scope thì không tính)
+ * @param {Object} req
+ * @returns {Boolean}
+ */
+const isFullAdmin = (req) => req.user.role === Role.ADMIN_ROLE
+    && (!req.apiKey || Role.PERMISSION_KEYS.every(permission => req.permissions.has(permission)));
+
+/**
+ * Middleware: Chỉ cho phép phiên đăng nhập (không dùng API key)
+ * Dùng cho thao tác bảo mật tài khoản: API key, phiên, 2FA, đổi mật khẩu
+ * Sử dụng sau authenticate middleware
+ */
+const requireSession = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({
+            success: false,
+            message: 'Thao tác này cần đăng nhập bằng tài khoản, không dùng được API key'
+        });
+    }
+    next();
+};
+
+/**
+ * Middleware: Cho phép API key trên route không cần quyền riêng (chỉ đọc dữ liệu của chính mình)
+ * Sử dụng cùng authenticate / optionalAuthenticate, VD: router.get('/', authenticate, allowApiKey, ...)
+ */
+const allowApiKey = markApiKeyAllowed((req, res, next) => next());
+
 /**
  * Middleware: Kiểm tra quyền Admin
  * Sử dụng sau authenticate middleware
@@ -112,7 +264,7 @@ const requireAdmin = (req, res, next) => {
         });
     }
     
-    if (req.user.role !== 'admin') {
+    if (!isFullAdmin(req)) {
         return res.status(403).json({
             success: false,
             message: 'Chỉ Admin mới có quyền truy cập'
@@ -122,6 +274,42 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware: Kiểm tra quyền theo vai trò (cần đủ tất cả quyền liệt kê)
+ * Sử dụng sau authenticate middleware
+ * @param {...String} permissions - VD: 'links:write', 'users:manage'
+ */
+const requirePermission = (...permissions) => {
+    // Route khai báo scope → API key có scope tương ứng được dùng
+    return markApiKeyAllowed((req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Vui lòng đăng nhập'
+            });
+        }
+
+        const missing = permissions.filter(permission => !req.permissions?.has(permission));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'Bạn không có quyền thực hiện thao tác này',
+                missingPermissions: missing
+            });
+        }
+
+        next();
+    });
+};
+
+/**
+ * Helper: User của request có quyền không (dùng trong handler)
+ * @param {Object} req
+ * @param {String} permission
+ * @returns {Boolean}
+ */
+const hasPermission = (req, permission) => Boolean(req.permissions?.has(permission));
+
 /**
  * Middleware: Kiểm tra quyền truy cập resource
  * User chỉ được truy cập resource của chính mình
@@ -137,7 +325,7 @@ const authorizeResourceAccess = (resourceUserIdField = 'userId') => {
         }
         
         // Admin có full access
-        if (req.user.role === 'admin') {
+        if (isFullAdmin(req)) {
             return next();
         }
         
@@ -172,6 +360,16 @@ const authorizeResourceAccess = (resourceUserIdField = 'userId') => {
  */
 const optionalAuthenticate = async (req, res, next) => {
     try {
+        const apiKey = readApiKey(req);
+        if (apiKey) {
+            const result = await apiKeyService.verifyKey(apiKey, { ip: req.clientIP || req.ip });
+            // Route không nhận API key → coi như chưa đăng nhập
+            if (!result.error && routeAllowsApiKey(req)) {
+                await attachApiKeyUser(req, result);
+            }
+            return next();
+        }
+        
         const authHeader = req.headers.authorization;
         
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -182,12 +380,20 @@ const optionalAuthenticate = async (req, res, next) => {
         
         try {
             const decoded = verifyToken(token);
-            const user = await User.findById(decoded.userId);
+            const [user, session] = decoded.sid
+                ? await Promise.all([
+                    User.findById(decoded.userId),
+                    Session.findById(decoded.sid).select('userId revokedAt expiresAt').lean()
+                ])
+                : [null, null];
             
-            if (user && user.isActive) {
+            if (user && user.isActive && session && !session.revokedAt && session.expiresAt > new Date()
+                && session.userId.toString() === user._id.toString()) {
                 req.user = user;
                 req.userId = user._id;
                 req.userRole = user.role;
+                req.permissions = new Set(await Role.getPermissions(user.role));
+                req.sessionId = session._id;
             }
         } catch (error) {
             // Token invalid, nhưng vẫn tiếp tục
@@ -203,13 +409,16 @@ const optionalAuthenticate = async (req, res, next) => {
 /**
  * Generate token response object
  * @param {User} user
- * @returns {Object} - { token, expiresIn, user }
+ * @param {Session} session - Phiên đăng nhập (sid trong access token)
+ * @param {Array<String>} permissions - Quyền của vai trò (frontend ẩn / hiện menu)
+ * @returns {Object} - { token, expiresIn, expiresAt, user }
  */
-const generateAuthResponse = (user) => {
+const generateAuthResponse = (user, session, permissions = []) => {
     const payload = {
         userId: user._id,
         username: user.username,
-        role: user.role
+        role: user.role,
+        sid: session._id
     };
     
     const token = generateToken(payload);
@@ -217,7 +426,8 @@ const generateAuthResponse = (user) => {
     return {
         token,
         expiresIn: JWT_EXPIRES_IN,
-        user: user.toSafeObject()
+        expiresAt: new Date(jwt.decode(token).exp * 1000),
+        user: { ...user.toSafeObject(), permissions }
     };
 };
 
@@ -233,7 +443,11 @@ module.exports = {
     
     // Middleware
     authenticate,
+    requireSession,
+    allowApiKey,
     requireAdmin,
+    requirePermission,
+    hasPermission,
     authorizeResourceAccess,
     optionalAuthenticate
 };
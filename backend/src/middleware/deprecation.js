@@ -0,0 +1,34 @@
+/**
+ * Deprecation Middleware
+ *
+ * Đánh dấu đường dẫn cũ là alias đã ngừng khuyến nghị (vẫn hoạt động như API mới):
+ * - Header Deprecation: true + Link tới đường dẫn thay thế (rel="successor-version")
+ * - Log 1 lần cho mỗi method + route cũ để biết còn client chưa chuyển
+ */
+
+const warned = new Set();
+
+/**
+ * Middleware: alias deprecated
+ * @param {String} successorBase - VD: /api/v1/users
+ * @returns {Function}
+ */
+const deprecatedAlias = (successorBase) => (req, res, next) => {
+    const successor = successorBase + (req.path === '/' ? '' : req.path);
+
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+
+    // Gộp các ID (ObjectId) để mỗi route chỉ log 1 lần
+    const key = `${req.method} ${req.baseUrl}${req.path.replace(/[0-9a-f]{24}/gi, ':id')}`;
+    if (!warned.has(key)) {
+        warned.add(key);
+        console.warn(`⚠️ [Deprecated] ${key} → dùng ${successorBase}`);
+    }
+
+    next();
+};
+
+module.exports = {
+    deprecatedAlias
+};
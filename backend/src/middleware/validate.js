@@ -0,0 +1,249 @@
+/**
+ * Validate Middleware
+ *
+ * Schema khai báo cho params / query / body của từng endpoint + 1 dạng lỗi chung:
+ * - Lỗi dữ liệu: 400 { success: false, message: 'Dữ liệu không hợp lệ', errors: [{ field, message }] }
+ * - Lỗi khác (403, 404...): { success: false, message }
+ *
+ * Rule của 1 field:
+ * - type: string | number | integer | boolean | date | url | objectId | array | object
+ * - required: Boolean hoặc (values) => Boolean (bắt buộc theo điều kiện, values = cả body / query)
+ * - nullable: null / '' được chấp nhận (thành null, VD: xóa ngày kết thúc)
+ *   string / url không nullable: '' giữ nguyên (VD: xóa mô tả), trừ khi bắt buộc hoặc có minLength
+ * - label: tên field trong thông báo lỗi
+ * - string: trim, lowercase, minLength, maxLength, pattern + patternMessage, enum
+ * - number / integer: min, max (query string được đổi sang số)
+ * - url: protocols (mặc định http / https)
+ * - array: maxItems, items (rule của phần tử); object: shape (schema con)
+ * - check: (value, values) => thông báo lỗi | null - kiểm tra thêm khi đã đúng kiểu
+ *
+ * Field không khai báo trong body bị bỏ (client không $set được _id, stats, createdBy...)
+ * Query / params giữ nguyên field không khai báo
+ */
+
+const mongoose = require('mongoose');
+
+const INVALID_MESSAGE = 'Dữ liệu không hợp lệ';
+
+// Kiểu nhận chuỗi rỗng làm giá trị
+const TEXT_TYPES = ['string', 'url'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Trả lỗi theo dạng chung
+ * @param {Object} res
+ * @param {Number} status
+ * @param {String} message
+ * @param {Array} errors - [{ field, message }] (lỗi dữ liệu)
+ */
+const sendError = (res, status, message, errors) => res.status(status).json({
+    success: false,
+    message,
+    ...(errors ? { errors } : {})
+});
+
+/**
+ * Trả lỗi dữ liệu 400 (1 hoặc nhiều field)
+ * @param {Object} res
+ * @param {Array|String} errors - [{ field, message }] hoặc tên field (kèm message)
+ * @param {String} message - Khi errors là tên field
+ */
+const sendFieldError = (res, errors, message) => sendError(
+    res,
+    400,
+    INVALID_MESSAGE,
+    Array.isArray(errors) ? errors : [{ field: errors, message }]
+);
+
+/**
+ * Kiểm tra kiểu + ràng buộc của 1 giá trị (đã khác rỗng)
+ * @returns {Object} - { value } (đã chuẩn hóa) hoặc { error } / { errors } (object, array con)
+ */
+function checkValue(rule, value, label, path) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { error: `${label} phải là chuỗi` };
+            let text = rule.trim ? value.trim() : value;
+            if (rule.lowercase) text = text.toLowerCase();
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                return { error: `${label} phải có ít nhất ${rule.minLength} ký tự` };
+            }
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                return { error: `${label} không được quá ${rule.maxLength} ký tự` };
+            }
+            if (rule.pattern && !rule.pattern.test(text)) {
+                return { error: rule.patternMessage || `${label} không hợp lệ` };
+            }
+            if (rule.enum && !rule.enum.includes(text)) {
+                return { error: `${label} phải là: ${rule.enum.join(', ')}` };
+            }
+            return { value: text };
+        }
+
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${label} phải là số` };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { error: `${label} phải là số nguyên` };
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                if (rule.max === undefined) return { error: `${label} phải ≥ ${rule.min}` };
+                if (rule.min === undefined) return { error: `${label} phải ≤ ${rule.max}` };
+                return { error: `${label} phải từ ${rule.min} đến ${rule.max}` };
+            }
+            return { value: number };
+        }
+
+        case 'boolean': {
+            if (value === 'true') return { value: true };
+            if (value === 'false') return { value: false };
+            if (typeof value !== 'boolean') return { error: `${label} phải là true / false` };
+            return { value };
+        }
+
+        case 'date': {
+            const date = typeof value === 'string' || typeof value === 'number' || value instanceof Date
+                ? new Date(value)
+                : null;
+            if (!date || isNaN(date)) return { error: `${label} không phải ngày hợp lệ` };
+            return { value: date };
+        }
+
+        case 'url': {
+            const text = typeof value === 'string' ? value.trim() : '';
+            try {
+                const parsed = new URL(text);
+                if (!(rule.protocols || ['http:', 'https:']).includes(parsed.protocol)) throw new Error();
+            } catch (e) {
+                return { error: `${label} không phải URL hợp lệ` };
+            }
+            return { value: text };
+        }
+
+        case 'objectId': {
+            if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+                return { error: `${label} không hợp lệ` };
+            }
+            return { value };
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) return { error: `${label} phải là danh sách` };
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return { error: `${label}: tối đa ${rule.maxItems} phần tử` };
+            }
+            if (!rule.items) return { value };
+
+            const items = [];
+            const errors = [];
+            value.forEach((item, index) => {
+                const result = checkField(rule.items, item, `${path}[${index}]`, value);
+                if (result.errors) errors.push(...result.errors);
+                else items.push(result.value);
+            });
+            return errors.length > 0 ? { errors } : { value: items };
+        }
+
+        case 'object': {
+            if (!isPlainObject(value)) return { error: `${label} không hợp lệ` };
+            if (!rule.shape) return { value };
+
+            const result = validateValues(rule.shape, value, `${path}.`);
+            return result.errors.length > 0 ? { errors: result.errors } : { value: result.values };
+        }
+
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Kiểm tra 1 field theo rule
+ * @returns {Object} - { value } hoặc { errors: [{ field, message }] } (value undefined = bỏ qua field)
+ */
+function checkField(rule, value, path, values) {
+    const label = rule.label || path;
+    const required = typeof rule.required === 'function' ? rule.required(values) : Boolean(rule.required);
+
+    const requiredError = { errors: [{ field: path, message: rule.message || `${label} là bắt buộc` }] };
+
+    // Chuỗi rỗng vẫn là giá trị của field string / url không bắt buộc (VD: xóa mô tả), trừ khi có minLength
+    if (value === '' && !required && !rule.nullable && rule.minLength === undefined && TEXT_TYPES.includes(rule.type)) {
+        return { value: '' };
+    }
+    if (isBlank(value)) {
+        if (required) return requiredError;
+        if (value === undefined) return { value: undefined };
+        return rule.nullable ? { value: null } : { value: undefined };
+    }
+
+    const result = checkValue(rule, value, label, path);
+    if (result.errors) return result;
+    if (result.error) return { errors: [{ field: path, message: rule.message || result.error }] };
+    if (required && result.value === '') return requiredError;
+
+    if (rule.check) {
+        const error = rule.check(result.value, values);
+        if (error) return { errors: [{ field: path, message: error }] };
+    }
+
+    return result;
+}
+
+/**
+ * Kiểm tra 1 object theo schema
+ * @param {Object} schema - { field: rule }
+ * @param {Object} input
+ * @param {String} prefix - Tiền tố tên field (object lồng nhau)
+ * @returns {Object} - { values, errors }
+ */
+function validateValues(schema, input, prefix = '') {
+    const source = isPlainObject(input) ? input : {};
+    const values = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        const result = checkField(rule, source[name], `${prefix}${name}`, source);
+        if (result.errors) errors.push(...result.errors);
+        else if (result.value !== undefined) values[name] = result.value;
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Middleware: kiểm tra request theo schema, giá trị đã chuẩn hóa được ghi lại vào req
+ * @param {Object} schemas - { params, query, body }
+ * @returns {Function}
+ */
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+        const schema = schemas[location];
+        if (!schema) return;
+
+        const result = validateValues(schema, req[location]);
+        errors.push(...result.errors);
+
+        if (location === 'body') {
+            req.body = result.values;
+        } else {
+            Object.keys(schema).forEach(name => delete req[location][name]);
+            Object.assign(req[location], result.values);
+        }
+    });
+
+    if (errors.length > 0) return sendFieldError(res, errors);
+    next();
+};
+
+module.exports = {
+    INVALID_MESSAGE,
+    validate,
+    validateValues,
+    sendError,
+    sendFieldError
+};
@@ -0,0 +1,89 @@
+const workspaceService = require('../services/workspaceService');
+const Workspace = require('../models/Workspace');
+const { hasPermission } = require('./auth');
+
+/**
+ * Workspace Middleware
+ *
+ * Gắn workspace đang dùng vào request (dùng sau authenticate / optionalAuthenticate):
+ * - Header X-Workspace-Id (frontend gửi theo workspace đang chọn), không có → workspace cá nhân
+ * - req.workspace, req.workspaceRole (owner | editor | viewer)
+ * - Quyền links:manage-all mở được mọi workspace (coi như owner)
+ */
+
+const WORKSPACE_HEADER = 'x-workspace-id';
+
+/**
+ * Middleware: Xác định workspace đang dùng
+ * Request chưa đăng nhập (optionalAuthenticate) → bỏ qua
+ */
+const resolveWorkspace = async (req, res, next) => {
+    if (!req.user) return next();
+
+    try {
+        const result = await workspaceService.resolveWorkspace(
+            req.user,
+            req.headers[WORKSPACE_HEADER],
+            { bypassMembership: hasPermission(req, 'links:manage-all') }
+        );
+
+        if (result.error) {
+            const messages = {
+                invalid: 'Workspace không hợp lệ',
+                not_found: 'Không tìm thấy workspace',
+                forbidden: 'Bạn không phải thành viên workspace này'
+            };
+            return res.status(result.error === 'forbidden' ? 403 : 404).json({
+                success: false,
+                code: 'workspace_' + result.error,
+                message: messages[result.error]
+            });
+        }
+
+        req.workspace = result.workspace;
+        req.workspaceRole = result.role;
+        next();
+    } catch (error) {
+        console.error('❌ Resolve workspace error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi xác định workspace'
+        });
+    }
+};
+
+/**
+ * Middleware: Yêu cầu vai trò tối thiểu trong workspace đang dùng
+ * Sử dụng sau resolveWorkspace
+ * @param {String} minRole - viewer | editor | owner
+ */
+const requireWorkspaceRole = (minRole) => {
+    return (req, res, next) => {
+        if (!req.workspace || !Workspace.hasRole(req.workspaceRole, minRole)) {
+            return res.status(403).json({
+                success: false,
+                message: minRole === 'owner'
+                    ? 'Chỉ owner của workspace mới được thực hiện thao tác này'
+                    : 'Vai trò của bạn trong workspace chỉ được xem'
+            });
+        }
+        next();
+    };
+};
+
+/**
+ * Helper: Document (link / banner / danh mục) thuộc workspace đang dùng không
+ * @param {Object} req
+ * @param {Object} doc - Có workspaceId
+ * @returns {Boolean}
+ */
+const inActiveWorkspace = (req, doc) => Boolean(
+    req.workspace && doc.workspaceId && doc.workspaceId.toString() === req.workspace._id.toString()
+);
+
+module.exports = {
+    WORKSPACE_HEADER,
+    resolveWorkspace,
+    requireWorkspaceRole,
+    inActiveWorkspace
+};
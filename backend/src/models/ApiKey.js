@@ -0,0 +1,129 @@
+/**
+ * ApiKey Model
+ *
+ * API key cá nhân cho script / tích hợp (thay cho việc đăng nhập rồi dùng lại access token)
+ * - Key gốc chỉ trả về 1 lần lúc tạo, DB lưu hash SHA-256 + prefix để nhận diện
+ * - scopes: tập con quyền của vai trò (models/Role.js); quyền thực tế = scopes ∩ quyền hiện tại của user
+ * - Bắt buộc có hạn dùng, thu hồi có hiệu lực ngay (authenticate kiểm tra mỗi request)
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Tiền tố nhận diện key (authenticate phân biệt với JWT)
+const KEY_PREFIX = 'shk_';
+
+// Số ký tự đầu của key lưu lại để hiển thị (VD: shk_AbC123xy…)
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const ApiKeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Tên API key là bắt buộc'],
+        trim: true,
+        maxlength: 100
+    },
+
+    // Hash của key gốc
+    keyHash: {
+        type: String,
+        required: true
+    },
+
+    // Phần đầu của key (hiển thị cho user nhận ra key nào)
+    prefix: {
+        type: String,
+        required: true
+    },
+
+    scopes: {
+        type: [String],
+        default: []
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: ''
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'api_keys',
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+ApiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// =================================================================
+// INSTANCE METHODS
+// =================================================================
+
+/**
+ * Key còn dùng được (chưa thu hồi, chưa hết hạn)
+ * @param {Date} now
+ */
+ApiKeySchema.methods.isValid = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Hash key gốc (lưu DB, không lưu key gốc)
+ * @param {String} key
+ * @returns {String}
+ */
+ApiKeySchema.statics.hashKey = function(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Sinh key ngẫu nhiên
+ * @returns {String} - shk_<base64url>
+ */
+ApiKeySchema.statics.generateKey = function() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Chuỗi có phải API key không (theo tiền tố)
+ * @param {String} value
+ * @returns {Boolean}
+ */
+ApiKeySchema.statics.looksLikeKey = function(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+ApiKey.KEY_PREFIX = KEY_PREFIX;
+ApiKey.DISPLAY_PREFIX_LENGTH = DISPLAY_PREFIX_LENGTH;
+
+module.exports = ApiKey;
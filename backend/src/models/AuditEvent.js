@@ -0,0 +1,108 @@
+/**
+ * AuditEvent Model
+ *
+ * Nhật ký thay đổi quản trị (ai, làm gì, trên đối tượng nào, thay đổi ra sao)
+ * - Append-only: chỉ thêm mới, chặn sửa / xóa qua Mongoose
+ * - changes: { field: { from, to } } - field nhạy cảm (password, token...) đã được che (services/auditService.js)
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Loại đối tượng được ghi nhật ký
+const TARGET_TYPES = ['link', 'banner', 'experiment', 'category', 'user', 'upload', 'role', 'workspace', 'setting'];
+
+const AuditEventSchema = new Schema({
+    // Người thực hiện (giữ username tại thời điểm ghi, user có thể bị xóa / đổi tên sau này)
+    actor: {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        username: {
+            type: String,
+            default: 'system'
+        },
+        // Thực hiện qua API key (không phải phiên đăng nhập)
+        apiKeyId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        }
+    },
+
+    // VD: link.create, banner.toggle, user.update
+    action: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    targetType: {
+        type: String,
+        enum: TARGET_TYPES,
+        required: true
+    },
+
+    targetId: {
+        type: String,
+        default: ''
+    },
+
+    // Tên dễ đọc của đối tượng (slug, tên banner, username...)
+    targetLabel: {
+        type: String,
+        default: ''
+    },
+
+    changes: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    }
+}, {
+    collection: 'audit_events',
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+// =================================================================
+// APPEND-ONLY
+// =================================================================
+
+const blockMutation = function(next) {
+    next(new Error('Audit event chỉ được thêm mới, không sửa / xóa'));
+};
+
+AuditEventSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    blockMutation
+);
+
+AuditEventSchema.pre('save', function(next) {
+    if (!this.isNew) return blockMutation(next);
+    next();
+});
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+AuditEvent.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = AuditEvent;
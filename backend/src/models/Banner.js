@@ -7,13 +7,30 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const bannerAllocationService = require('../services/bannerAllocationService');
+const bannerVisitorService = require('../services/bannerVisitorService');
+const BannerStatsBucket = require('./BannerStatsBucket');
+
+// Loại banner (vị trí hiển thị)
+const BANNER_TYPES = ['sticky_bottom', 'center_popup', 'sidebar', 'inline', 'header'];
+
+// Chu kỳ đếm frequency cap: ngày (giờ VN) | phiên trình duyệt
+const FREQUENCY_PERIODS = ['day', 'session'];
 
 /**
  * Click Stats Sub-Schema
- * Thống kê click cho mỗi banner
+ * Thống kê click cho mỗi banner (tổng từ trước tới nay - theo giờ / ngày ở BannerStatsBucket)
  */
 const ClickStatsSchema = new Schema({
-    // Tổng số impressions (hiển thị)
+    // Số lần banner được trả về cho trình duyệt (getRandom / public/all), chưa chắc đã hiển thị
+    served: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Lượt xem thực sự: beacon từ trình duyệt khi banner hiển thị ≥ 50% trong 1 giây
+    // (services/bannerImpressionService.js) - CTR, bandit, thí nghiệm A/B tính theo số này
     impressions: {
         type: Number,
         default: 0,
@@ -92,7 +109,7 @@ const BannerSchema = new Schema({
     // Loại banner (bỏ popup, giữ các loại khác)
     type: {
         type: String,
-        enum: ['sticky_bottom', 'center_popup', 'sidebar', 'inline', 'header'],
+        enum: BANNER_TYPES,
         default: 'sticky_bottom',
         index: true
     },
@@ -201,6 +218,29 @@ const BannerSchema = new Schema({
         default: true
     },
     
+    // === FREQUENCY CAP & DISMISSAL (theo visitorId - services/bannerVisitorService.js) ===
+    
+    // Số lượt xem tối đa / khách trong 1 chu kỳ (0 = không giới hạn)
+    frequencyCap: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    
+    // Chu kỳ đếm frequencyCap
+    frequencyPeriod: {
+        type: String,
+        enum: FREQUENCY_PERIODS,
+        default: 'day'
+    },
+    
+    // Khách đóng banner → không hiện lại trong X giờ (0 = hiện lại từ lượt xem trang sau)
+    dismissCooldownHours: {
+        type: Number,
+        default: 24,
+        min: 0
+    },
+    
     // === METADATA ===
     
     // Ghi chú
@@ -214,6 +254,14 @@ const BannerSchema = new Schema({
     createdBy: {
         type: Schema.Types.ObjectId,
         ref: 'User'
+    },
+    
+    // Workspace sở hữu banner
+    workspaceId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+        index: true
     }
     
 }, {
@@ -275,13 +323,14 @@ BannerSchema.virtual('calculatedCTR').get(function() {
 // =================================================================
 
 /**
- * Tăng impression count
+ * Tăng impression count (lượt xem thực sự, gọi từ beacon)
  */
 BannerSchema.methods.recordImpression = async function() {
     this.stats.impressions += 1;
     this.stats.ctr = this.stats.impressions > 0 
         ? (this.stats.clicks / this.stats.impressions) * 100 
         : 0;
+    await BannerStatsBucket.increment([this._id], 'impressions');
     return this.save();
 };
 
@@ -308,6 +357,7 @@ BannerSchema.methods.recordClick = async function(ip) {
         ? (this.stats.clicks / this.stats.impressions) * 100 
         : 0;
     
+    await BannerStatsBucket.increment([this._id], 'clicks');
     return this.save();
 };
 
@@ -349,12 +399,13 @@ BannerSchema.methods.shouldShowForArticle = function(slug, category) {
 // =================================================================
 
 /**
- * Lấy random banner active theo type (với weighted random)
+ * Lấy random banner active theo type (weighted random hoặc bandit tùy cấu hình vị trí)
  * @param {String} type - Loại banner
- * @param {Object} options - { device, articleSlug, category }
+ * @param {Object} options - { device, articleSlug, category, visitor }
+ *   visitor: { visitorId, sessionId } - bỏ banner khách đã đóng / đã xem đủ frequencyCap
  */
 BannerSchema.statics.getRandomActive = async function(type = 'sticky_bottom', options = {}) {
-    const { device, articleSlug, category } = options;
+    const { device, articleSlug, category, visitor } = options;
     const now = new Date();
     
     // Build query
@@ -394,33 +445,27 @@ BannerSchema.statics.getRandomActive = async function(type = 'sticky_bottom', op
         banners = banners.filter(b => b.shouldShowForArticle(articleSlug, category));
     }
     
+    // Filter by frequency cap / dismissal
+    banners = await bannerVisitorService.filterEligible(banners, visitor);
+    
     if (banners.length === 0) {
         return null;
     }
     
-    // Weighted random selection
-    const totalWeight = banners.reduce((sum, b) => sum + b.weight, 0);
-    let random = Math.random() * totalWeight;
-    
-    for (const banner of banners) {
-        random -= banner.weight;
-        if (random <= 0) {
-            return banner;
-        }
-    }
-    
-    // Fallback to first banner
-    return banners[0];
+    // Weighted random theo weight, hoặc bandit theo CTR nếu vị trí bật (services/bannerAllocationService.js)
+    return bannerAllocationService.choose(banners, type);
 };
 
 /**
  * Lấy tất cả banners active theo type
  * @param {String} type - Loại banner
+ * @param {Object} filter - Điều kiện thêm (VD: { workspaceId })
  */
-BannerSchema.statics.getAllActive = async function(type = null) {
+BannerSchema.statics.getAllActive = async function(type = null, filter = {}) {
     const now = new Date();
     
     const query = {
+        ...filter,
         isActive: true,
         $or: [
             { startDate: null },
@@ -443,14 +488,28 @@ BannerSchema.statics.getAllActive = async function(type = null) {
     return this.find(query).sort({ priority: 1, weight: -1 });
 };
 
+/**
+ * Tăng served count + bucket giờ / ngày (không tải document, không đụng CTR)
+ * @param {Array} ids - Banner đã trả về cho trình duyệt
+ */
+BannerSchema.statics.recordServed = async function(ids) {
+    await Promise.all([
+        this.updateMany({ _id: { $in: ids } }, { $inc: { 'stats.served': 1 } }),
+        BannerStatsBucket.increment(ids, 'served')
+    ]);
+};
+
 /**
  * Lấy stats tổng hợp của tất cả banners
+ * @param {Object} match - Giới hạn banners (VD: { workspaceId })
  */
-BannerSchema.statics.getAggregatedStats = async function() {
+BannerSchema.statics.getAggregatedStats = async function(match = {}) {
     const result = await this.aggregate([
+        { $match: match },
         {
             $group: {
                 _id: null,
+                totalServed: { $sum: '$stats.served' },
                 totalImpressions: { $sum: '$stats.impressions' },
                 totalClicks: { $sum: '$stats.clicks' },
                 totalUniqueClicks: { $sum: '$stats.uniqueClicks' },
@@ -464,6 +523,7 @@ BannerSchema.statics.getAggregatedStats = async function() {
     
     if (result.length === 0) {
         return {
+            totalServed: 0,
             totalImpressions: 0,
             totalClicks: 0,
             totalUniqueClicks: 0,
@@ -484,4 +544,7 @@ BannerSchema.statics.getAggregatedStats = async function() {
 
 const Banner = mongoose.model('Banner', BannerSchema);
 
+Banner.TYPES = BANNER_TYPES;
+Banner.FREQUENCY_PERIODS = FREQUENCY_PERIODS;
+
 module.exports = Banner;
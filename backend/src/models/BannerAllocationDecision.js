@@ -0,0 +1,110 @@
+/**
+ * BannerAllocationDecision Model
+ *
+ * Nhật ký append-only: mỗi lần chọn banner theo bandit (services/bannerAllocationService.js)
+ * ghi lại chế độ, tham số, số liệu các ứng viên lúc chọn và lý do chọn
+ * Tự động xóa sau BANNER_DECISION_RETENTION_DAYS ngày (TTL index)
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const RETENTION_DAYS = parseInt(process.env.BANNER_DECISION_RETENTION_DAYS) || 30;
+
+// warmup: banner chưa đủ lượt xem | explore: exploration floor | exploit: epsilon-greedy | sample: Thompson
+const DECISION_REASONS = ['warmup', 'explore', 'exploit', 'sample'];
+
+/**
+ * Ứng viên tại thời điểm chọn
+ */
+const CandidateSchema = new Schema({
+    bannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner'
+    },
+    impressions: Number,
+    clicks: Number,
+    ctr: Number,
+    // Mẫu Beta (thompson) / CTR (epsilon_greedy), null nếu không tính
+    score: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+const BannerAllocationDecisionSchema = new Schema({
+    // Vị trí hiển thị (Banner.type)
+    type: {
+        type: String,
+        required: true
+    },
+
+    mode: {
+        type: String,
+        required: true
+    },
+
+    // Banner được chọn
+    bannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner',
+        required: true
+    },
+
+    reason: {
+        type: String,
+        enum: DECISION_REASONS,
+        required: true
+    },
+
+    // Giải thích dễ đọc
+    detail: {
+        type: String,
+        default: ''
+    },
+
+    // Tham số lúc chọn
+    explorationFloor: Number,
+    warmupImpressions: Number,
+
+    candidates: [CandidateSchema],
+
+    decidedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'banner_allocation_decisions',
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+BannerAllocationDecisionSchema.index({ type: 1, decidedAt: -1 });
+BannerAllocationDecisionSchema.index({ bannerId: 1, decidedAt: -1 });
+
+// TTL - MongoDB tự xóa quyết định cũ
+BannerAllocationDecisionSchema.index({ decidedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// =================================================================
+// APPEND-ONLY
+// =================================================================
+
+// TTL index xóa phía MongoDB, không đi qua hook
+const blockMutation = function(next) {
+    next(new Error('Quyết định phân bổ chỉ được thêm mới, không sửa / xóa'));
+};
+
+BannerAllocationDecisionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    blockMutation
+);
+
+const BannerAllocationDecision = mongoose.model('BannerAllocationDecision', BannerAllocationDecisionSchema);
+
+BannerAllocationDecision.REASONS = DECISION_REASONS;
+BannerAllocationDecision.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = BannerAllocationDecision;
@@ -0,0 +1,203 @@
+/**
+ * BannerExperiment Model
+ *
+ * Thí nghiệm A/B: nhóm các banner biến thể cùng 1 vị trí hiển thị (type)
+ * - Vòng đời: draft → running (start) → stopped (stop) → completed (promote winner)
+ * - Khi start: chụp stats hiện tại của từng biến thể (baseline), số liệu thí nghiệm = stats - baseline
+ * - Khi stop / promote: chụp stats cuối (final) để số liệu không đổi sau khi kết thúc
+ * - Báo cáo CTR, khoảng tin cậy, kiểm định: services/bannerExperimentService.js
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const Banner = require('./Banner');
+const { CONFIDENCE_LEVELS } = require('../utils/abStats');
+
+const EXPERIMENT_STATUSES = ['draft', 'running', 'stopped', 'completed'];
+
+// Số biến thể trong 1 thí nghiệm
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+
+/**
+ * Snapshot stats của banner tại 1 thời điểm
+ */
+const CountsSchema = new Schema({
+    impressions: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    clicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+/**
+ * Biến thể = 1 banner
+ */
+const VariantSchema = new Schema({
+    bannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner',
+        required: true
+    },
+
+    // A, B, C... (A là đối chứng)
+    label: {
+        type: String,
+        required: true
+    },
+
+    // Stats lúc start
+    baseline: {
+        type: CountsSchema,
+        default: null
+    },
+
+    // Stats lúc stop / promote
+    final: {
+        type: CountsSchema,
+        default: null
+    }
+}, { _id: false });
+
+const BannerExperimentSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Tên thí nghiệm là bắt buộc'],
+        trim: true,
+        maxlength: 100
+    },
+
+    // Giả thuyết / ghi chú
+    hypothesis: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    },
+
+    // Vị trí hiển thị - mọi biến thể cùng type
+    type: {
+        type: String,
+        enum: Banner.TYPES,
+        required: true
+    },
+
+    variants: {
+        type: [VariantSchema],
+        validate: {
+            validator: (variants) => variants.length >= MIN_VARIANTS && variants.length <= MAX_VARIANTS,
+            message: `Thí nghiệm cần từ ${MIN_VARIANTS} đến ${MAX_VARIANTS} biến thể`
+        }
+    },
+
+    status: {
+        type: String,
+        enum: EXPERIMENT_STATUSES,
+        default: 'draft',
+        index: true
+    },
+
+    // Mức tin cậy cho khoảng tin cậy & kiểm định
+    confidenceLevel: {
+        type: Number,
+        enum: CONFIDENCE_LEVELS,
+        default: 0.95
+    },
+
+    // Lượt xem tối thiểu mỗi biến thể trước khi kết luận
+    minImpressions: {
+        type: Number,
+        default: 100,
+        min: 0
+    },
+
+    startedAt: {
+        type: Date,
+        default: null
+    },
+
+    stoppedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Biến thể thắng (sau promote)
+    winnerBannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner',
+        default: null
+    },
+
+    promotedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    workspaceId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+        index: true
+    }
+}, {
+    timestamps: true,
+    collection: 'banner_experiments'
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+// Tìm thí nghiệm đang chạy có chứa banner
+BannerExperimentSchema.index({ status: 1, 'variants.bannerId': 1 });
+
+// =================================================================
+// INSTANCE METHODS
+// =================================================================
+
+/**
+ * ID banner của các biến thể
+ * @returns {Array<ObjectId>}
+ */
+BannerExperimentSchema.methods.getBannerIds = function() {
+    return this.variants.map(variant => variant.bannerId);
+};
+
+/**
+ * Số liệu của biến thể trong thời gian thí nghiệm
+ * @param {Object} variant
+ * @param {Object|null} banner - Banner hiện tại (null nếu đã bị xóa)
+ * @returns {Object} - { impressions, clicks }
+ */
+BannerExperimentSchema.methods.getVariantCounts = function(variant, banner) {
+    if (this.status === 'draft') {
+        return { impressions: 0, clicks: 0 };
+    }
+
+    const baseline = variant.baseline || { impressions: 0, clicks: 0 };
+    const current = variant.final || (banner && banner.stats) || baseline;
+
+    return {
+        impressions: Math.max(0, (current.impressions || 0) - baseline.impressions),
+        clicks: Math.max(0, (current.clicks || 0) - baseline.clicks)
+    };
+};
+
+const BannerExperiment = mongoose.model('BannerExperiment', BannerExperimentSchema);
+
+BannerExperiment.STATUSES = EXPERIMENT_STATUSES;
+BannerExperiment.MIN_VARIANTS = MIN_VARIANTS;
+BannerExperiment.MAX_VARIANTS = MAX_VARIANTS;
+
+module.exports = BannerExperiment;
@@ -0,0 +1,151 @@
+/**
+ * BannerStatsBucket Model
+ *
+ * Thống kê banner theo giờ và theo ngày (served, lượt xem, click)
+ * Mỗi document = 1 banner x 1 khung thời gian
+ * - Giờ: bucketStart làm tròn theo giờ (UTC)
+ * - Ngày: bucketStart = 0h ngày local theo STATS_TIMEZONE (mặc định Asia/Ho_Chi_Minh)
+ * Dùng cho GET /api/banners/:id/stats (CTR theo thời gian), stats trong Banner chỉ giữ tổng
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const GRANULARITIES = ['hour', 'day'];
+const COUNTERS = ['served', 'impressions', 'clicks'];
+
+const STATS_TIMEZONE = process.env.BANNER_STATS_TIMEZONE || 'Asia/Ho_Chi_Minh';
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: STATS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const BannerStatsBucketSchema = new Schema({
+    bannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner',
+        required: true
+    },
+
+    granularity: {
+        type: String,
+        enum: GRANULARITIES,
+        required: true
+    },
+
+    // Thời điểm bắt đầu bucket (đã làm tròn theo granularity)
+    bucketStart: {
+        type: Date,
+        required: true
+    },
+
+    // Số lần trả về cho trình duyệt
+    served: {
+        type: Number,
+        default: 0
+    },
+
+    // Lượt xem thực sự (beacon viewability)
+    impressions: {
+        type: Number,
+        default: 0
+    },
+
+    clicks: {
+        type: Number,
+        default: 0
+    }
+}, {
+    collection: 'banner_stats_buckets',
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+// Mỗi banner chỉ có 1 document cho mỗi bucket
+BannerStatsBucketSchema.index({ bannerId: 1, granularity: 1, bucketStart: 1 }, { unique: true });
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Làm tròn thời điểm về đầu bucket
+ * @param {Date} date
+ * @param {String} granularity - 'hour' (UTC) | 'day' (0h theo STATS_TIMEZONE)
+ * @returns {Date}
+ */
+BannerStatsBucketSchema.statics.getBucketStart = function(date, granularity) {
+    const d = new Date(date);
+    d.setUTCMinutes(0, 0, 0);
+    if (granularity !== 'day') return d;
+
+    // Lùi về 0h local: trừ số giờ / phút local đã trôi qua trong ngày
+    const parts = {};
+    for (const { type, value } of dayFormatter.formatToParts(d)) {
+        parts[type] = value;
+    }
+    d.setTime(d.getTime() - (+parts.hour * 60 + +parts.minute) * 60 * 1000);
+    return d;
+};
+
+/**
+ * Cộng 1 vào counter của các banner ở bucket giờ và ngày hiện tại
+ * @param {Array} bannerIds
+ * @param {String} counter - served | impressions | clicks
+ * @param {Date} date
+ */
+BannerStatsBucketSchema.statics.increment = async function(bannerIds, counter, date = new Date()) {
+    if (!COUNTERS.includes(counter) || !bannerIds || bannerIds.length === 0) return;
+
+    const operations = [];
+    for (const granularity of GRANULARITIES) {
+        const bucketStart = this.getBucketStart(date, granularity);
+        for (const bannerId of bannerIds) {
+            operations.push({
+                updateOne: {
+                    filter: { bannerId, granularity, bucketStart },
+                    update: { $inc: { [counter]: 1 } },
+                    upsert: true,
+                    // Counters được tạo bởi $inc, không cần default
+                    setDefaultsOnInsert: false
+                }
+            });
+        }
+    }
+
+    await this.bulkWrite(operations, { ordered: false });
+};
+
+/**
+ * Chuỗi thời gian của 1 banner
+ * @param {Object} options - { bannerId, granularity, from, to }
+ * @returns {Promise<Array>} - [{ bucketStart, served, impressions, clicks }] (chỉ bucket có dữ liệu)
+ */
+BannerStatsBucketSchema.statics.getSeries = function(options = {}) {
+    const { bannerId, granularity = 'day', from, to } = options;
+
+    return this.find({
+        bannerId,
+        granularity,
+        bucketStart: { $gte: this.getBucketStart(from, granularity), $lt: to }
+    })
+        .sort({ bucketStart: 1 })
+        .select('-_id bucketStart served impressions clicks')
+        .lean();
+};
+
+const BannerStatsBucket = mongoose.model('BannerStatsBucket', BannerStatsBucketSchema);
+
+BannerStatsBucket.GRANULARITIES = GRANULARITIES;
+BannerStatsBucket.STATS_TIMEZONE = STATS_TIMEZONE;
+
+module.exports = BannerStatsBucket;
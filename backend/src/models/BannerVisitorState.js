@@ -0,0 +1,77 @@
+/**
+ * BannerVisitorState Model
+ *
+ * Trạng thái của 1 khách (visitorId first-party do trình duyệt sinh) với 1 banner:
+ * - Số lượt xem trong ngày / phiên hiện tại (frequency cap)
+ * - Thời điểm hết hạn đóng banner (dismissal cool-down)
+ * Tự xóa khi hết hạn (TTL index theo expiresAt) - services/bannerVisitorService.js
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const BannerVisitorStateSchema = new Schema({
+    visitorId: {
+        type: String,
+        required: true
+    },
+
+    bannerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Banner',
+        required: true
+    },
+
+    // Ngày đang đếm (YYYY-MM-DD) và số lượt xem trong ngày đó
+    dayKey: {
+        type: String,
+        default: ''
+    },
+    dayViews: {
+        type: Number,
+        default: 0
+    },
+
+    // Phiên đang đếm và số lượt xem trong phiên đó
+    sessionId: {
+        type: String,
+        default: ''
+    },
+    sessionViews: {
+        type: Number,
+        default: 0
+    },
+
+    // Khách đóng banner → ẩn tới thời điểm này
+    dismissedUntil: {
+        type: Date,
+        default: null
+    },
+
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // max(lần xem cuối + thời gian giữ, dismissedUntil)
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'banner_visitor_states',
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+BannerVisitorStateSchema.index({ visitorId: 1, bannerId: 1 }, { unique: true });
+
+// TTL - MongoDB tự xóa trạng thái hết hạn
+BannerVisitorStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BannerVisitorState = mongoose.model('BannerVisitorState', BannerVisitorStateSchema);
+
+module.exports = BannerVisitorState;
@@ -66,6 +66,13 @@ const CategorySchema = new Schema({
         type: Number,
         default: 0,
         min: 0
+    },
+    
+    // Workspace sở hữu danh mục (null = danh mục chung, mọi workspace dùng được)
+    workspaceId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null
     }
 }, {
     timestamps: true,
@@ -75,6 +82,7 @@ const CategorySchema = new Schema({
 // Indexes
 CategorySchema.index({ isActive: 1, sortOrder: 1 });
 CategorySchema.index({ slug: 1 });
+CategorySchema.index({ workspaceId: 1, sortOrder: 1 });
 
 // Pre-save: ensure slug lowercase
 CategorySchema.pre('save', function(next) {
@@ -0,0 +1,175 @@
+/**
+ * ClickEvent Model
+ *
+ * Collection append-only lưu từng lượt click của Link
+ * Thay thế cho mảng clickLogs/clickedIPs nhúng trong Link
+ * Tự động xóa sau CLICK_EVENT_RETENTION_DAYS ngày (TTL index)
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Số ngày giữ click events thô (thống kê dài hạn nằm ở ClickRollup)
+const RETENTION_DAYS = parseInt(process.env.CLICK_EVENT_RETENTION_DAYS) || 90;
+
+const ClickEventSchema = new Schema({
+    // Link được click
+    linkId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Link',
+        required: true
+    },
+
+    // Destination được chọn (link nhiều đích) - null nếu redirect về targetUrl
+    destinationId: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+
+    // Slug tại thời điểm click
+    slug: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+
+    // IP của người click
+    ip: {
+        type: String,
+        required: true
+    },
+
+    // Thông tin IP từ IP2Location
+    ipInfo: {
+        countryShort: String,
+        isp: String,
+        region: String,
+        city: String
+    },
+
+    // User Agent
+    userAgent: String,
+
+    // Referer (nguồn truy cập)
+    referer: String,
+
+    // Nguồn truy cập đã chuẩn hóa (referrerService.parseSource)
+    source: {
+        domain: String,
+        family: {
+            type: String,
+            enum: ['social', 'search', 'messaging', 'email', 'internal', 'referral', 'direct'],
+            default: 'direct'
+        },
+        utm: {
+            source: String,
+            medium: String,
+            campaign: String,
+            term: String,
+            content: String
+        }
+    },
+
+    // Thiết bị
+    device: {
+        type: String,
+        enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+        default: 'unknown'
+    },
+
+    // Có phải click hợp lệ không (không phải bot/datacenter)
+    isValid: {
+        type: Boolean,
+        default: true
+    },
+
+    // Lý do nếu không hợp lệ
+    invalidReason: String,
+
+    // IP lần đầu click link này (trong thời gian lưu trữ)
+    isNewIP: {
+        type: Boolean,
+        default: false
+    },
+
+    // Thời gian click
+    clickedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'click_events',
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+// Recent clicks của một link
+ClickEventSchema.index({ linkId: 1, clickedAt: -1 });
+
+// Check unique IP theo link
+ClickEventSchema.index({ linkId: 1, ip: 1 });
+
+// TTL - MongoDB tự xóa event cũ
+ClickEventSchema.index({ clickedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// =================================================================
+// APPEND-ONLY GUARD
+// =================================================================
+
+// Click events không được sửa sau khi ghi
+const rejectUpdate = function(next) {
+    next(new Error('ClickEvent là append-only, không được cập nhật'));
+};
+
+ClickEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+ClickEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectUpdate(next);
+    }
+    next();
+});
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Lấy các cặp (linkId, ip) đã từng click
+ * @param {Array} pairs - [{ linkId, ip }]
+ * @returns {Set} - Set các key `${linkId}:${ip}`
+ */
+ClickEventSchema.statics.findSeenIPs = async function(pairs) {
+    if (pairs.length === 0) return new Set();
+
+    const linkIds = [...new Set(pairs.map(p => p.linkId.toString()))];
+    const ips = [...new Set(pairs.map(p => p.ip))];
+
+    const seen = await this.find({ linkId: { $in: linkIds }, ip: { $in: ips } })
+        .select('linkId ip')
+        .lean();
+
+    return new Set(seen.map(e => `${e.linkId}:${e.ip}`));
+};
+
+/**
+ * Lấy các click gần nhất của một link
+ * @param {ObjectId} linkId
+ * @param {Number} limit
+ */
+ClickEventSchema.statics.getRecent = function(linkId, limit = 20) {
+    return this.find({ linkId })
+        .sort({ clickedAt: -1 })
+        .limit(limit)
+        .select('-_id -linkId')
+        .lean();
+};
+
+const ClickEvent = mongoose.model('ClickEvent', ClickEventSchema);
+
+ClickEvent.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = ClickEvent;
@@ -0,0 +1,234 @@
+/**
+ * ClickRollup Model
+ *
+ * Thống kê click tổng hợp theo giờ và theo ngày cho mỗi Link
+ * Mỗi document = 1 link x 1 khung thời gian (bucket, tính theo UTC)
+ * Dùng cho dashboard/stats thay vì $unwind clickLogs
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const GRANULARITIES = ['hour', 'day'];
+const DEVICES = ['desktop', 'mobile', 'tablet', 'unknown'];
+
+/**
+ * Device Counters Sub-Schema
+ */
+const DeviceCountersSchema = new Schema({
+    desktop: { type: Number, default: 0 },
+    mobile: { type: Number, default: 0 },
+    tablet: { type: Number, default: 0 },
+    unknown: { type: Number, default: 0 }
+}, { _id: false });
+
+const ClickRollupSchema = new Schema({
+    // Link được thống kê
+    linkId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Link',
+        required: true
+    },
+
+    // Độ chi tiết của bucket
+    granularity: {
+        type: String,
+        enum: GRANULARITIES,
+        required: true
+    },
+
+    // Thời điểm bắt đầu bucket (UTC, đã làm tròn theo granularity)
+    bucketStart: {
+        type: Date,
+        required: true
+    },
+
+    // Tổng số click
+    totalClicks: {
+        type: Number,
+        default: 0
+    },
+
+    // Click hợp lệ
+    validClicks: {
+        type: Number,
+        default: 0
+    },
+
+    // Click không hợp lệ
+    invalidClicks: {
+        type: Number,
+        default: 0
+    },
+
+    // Số IP lần đầu click link trong bucket này
+    // (cộng dồn các bucket = uniqueIPs của link)
+    uniqueIPs: {
+        type: Number,
+        default: 0
+    },
+
+    // Click theo thiết bị
+    devices: {
+        type: DeviceCountersSchema,
+        default: () => ({})
+    }
+}, {
+    collection: 'click_rollups',
+    timestamps: { createdAt: false, updatedAt: true },
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+// Mỗi link chỉ có 1 document cho mỗi bucket
+ClickRollupSchema.index({ linkId: 1, granularity: 1, bucketStart: 1 }, { unique: true });
+
+// Query theo khoảng thời gian cho tất cả links
+ClickRollupSchema.index({ granularity: 1, bucketStart: 1 });
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Làm tròn thời điểm về đầu bucket (UTC)
+ * @param {Date} date
+ * @param {String} granularity - 'hour' | 'day'
+ * @returns {Date}
+ */
+ClickRollupSchema.statics.getBucketStart = function(date, granularity) {
+    const d = new Date(date);
+    if (granularity === 'day') {
+        d.setUTCHours(0, 0, 0, 0);
+    } else {
+        d.setUTCMinutes(0, 0, 0);
+    }
+    return d;
+};
+
+/**
+ * Cộng dồn một loạt click events vào các rollup giờ/ngày
+ * @param {Array} events - [{ linkId, clickedAt, isValid, isNewIP, device }]
+ */
+ClickRollupSchema.statics.applyClicks = async function(events) {
+    const buckets = new Map();
+
+    for (const event of events) {
+        for (const granularity of GRANULARITIES) {
+            const bucketStart = this.getBucketStart(event.clickedAt, granularity);
+            const key = `${event.linkId}:${granularity}:${bucketStart.getTime()}`;
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = {
+                    filter: { linkId: event.linkId, granularity, bucketStart },
+                    inc: { totalClicks: 0, validClicks: 0, invalidClicks: 0, uniqueIPs: 0 }
+                };
+                buckets.set(key, bucket);
+            }
+
+            const device = DEVICES.includes(event.device) ? event.device : 'unknown';
+            const deviceField = `devices.${device}`;
+
+            bucket.inc.totalClicks += 1;
+            bucket.inc[event.isValid ? 'validClicks' : 'invalidClicks'] += 1;
+            if (event.isNewIP) bucket.inc.uniqueIPs += 1;
+            bucket.inc[deviceField] = (bucket.inc[deviceField] || 0) + 1;
+        }
+    }
+
+    if (buckets.size === 0) return;
+
+    await this.bulkWrite(
+        [...buckets.values()].map(({ filter, inc }) => ({
+            updateOne: {
+                filter,
+                update: { $inc: inc },
+                upsert: true,
+                // Counters được tạo bởi $inc, không cần default
+                setDefaultsOnInsert: false
+            }
+        })),
+        { ordered: false }
+    );
+};
+
+/**
+ * Tổng hợp click từ rollup theo ngày
+ * @param {Object} options - { linkIds, from, to }
+ * @returns {Object} - { totalClicks, validClicks, invalidClicks, uniqueIPs }
+ */
+ClickRollupSchema.statics.getTotals = async function(options = {}) {
+    const { linkIds, from, to } = options;
+    const match = { granularity: 'day' };
+
+    if (linkIds) match.linkId = { $in: linkIds };
+    if (from || to) {
+        match.bucketStart = {};
+        if (from) match.bucketStart.$gte = this.getBucketStart(from, 'day');
+        if (to) match.bucketStart.$lt = to;
+    }
+
+    const result = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                totalClicks: { $sum: '$totalClicks' },
+                validClicks: { $sum: '$validClicks' },
+                invalidClicks: { $sum: '$invalidClicks' },
+                uniqueIPs: { $sum: '$uniqueIPs' }
+            }
+        }
+    ]);
+
+    const totals = result[0] || { totalClicks: 0, validClicks: 0, invalidClicks: 0, uniqueIPs: 0 };
+    delete totals._id;
+    return totals;
+};
+
+/**
+ * Lấy chuỗi thời gian click của các link
+ * @param {Object} options - { linkIds, granularity, from, to }
+ * @returns {Array} - [{ bucketStart, totalClicks, validClicks, invalidClicks, uniqueIPs }]
+ */
+ClickRollupSchema.statics.getSeries = function(options = {}) {
+    const { linkIds, granularity = 'day', from, to } = options;
+    const match = {
+        granularity,
+        bucketStart: { $gte: from, $lt: to }
+    };
+
+    if (linkIds) match.linkId = { $in: linkIds };
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$bucketStart',
+                totalClicks: { $sum: '$totalClicks' },
+                validClicks: { $sum: '$validClicks' },
+                invalidClicks: { $sum: '$invalidClicks' },
+                uniqueIPs: { $sum: '$uniqueIPs' }
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                bucketStart: '$_id',
+                totalClicks: 1,
+                validClicks: 1,
+                invalidClicks: 1,
+                uniqueIPs: 1
+            }
+        }
+    ]);
+};
+
+const ClickRollup = mongoose.model('ClickRollup', ClickRollupSchema);
+
+module.exports = ClickRollup;
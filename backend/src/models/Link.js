@@ -2,61 +2,119 @@
  * Link Model
  * 
  * Schema MongoDB cho việc lưu trữ thông tin Link
- * Bao gồm: metadata, tracking clicks, và thống kê
+ * Bao gồm: metadata và counters thống kê
+ * Chi tiết từng click nằm ở ClickEvent, thống kê theo thời gian ở ClickRollup
  */
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const ClickRollup = require('./ClickRollup');
+const SlugAlias = require('./SlugAlias');
+const { pickWeighted } = require('../utils/weightedRandom');
+
+// Trạng thái xuất bản của bài viết
+const LINK_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
 
 /**
- * Click Log Sub-Schema
- * Lưu trữ chi tiết mỗi lượt click
+ * Redirect Param Schema - tham số gắn vào URL đích khi redirect /go/:slug
+ * Xem services/redirectTemplateService.js
  */
-const ClickLogSchema = new Schema({
-    // IP của người click
-    ip: {
+const RedirectParamSchema = new Schema({
+    // Tên query param (VD: utm_source, sub_id)
+    key: {
         type: String,
         required: true,
-        index: true
+        trim: true,
+        maxlength: 64
     },
-    
-    // Thông tin IP từ IP2Location
-    ipInfo: {
-        countryShort: String,
-        isp: String,
-        region: String,
-        city: String
+
+    // Giá trị, hỗ trợ biến {slug} {category} {userId} {username} {linkId} {date}
+    value: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
     },
-    
-    // User Agent
-    userAgent: String,
-    
-    // Referer (nguồn truy cập)
-    referer: String,
-    
-    // Thiết bị
-    device: {
+
+    // append: chỉ thêm nếu URL đích chưa có | overwrite: luôn ghi đè
+    mode: {
+        type: String,
+        enum: ['append', 'overwrite'],
+        default: 'overwrite'
+    }
+}, { _id: false });
+
+/**
+ * Destination Schema - một URL đích trong link nhiều đích
+ * /go/:slug chọn ngẫu nhiên theo weight trong các destination thỏa điều kiện
+ */
+const DestinationSchema = new Schema({
+    // Tên gợi nhớ (VD: "Shopee Mall", "Lazada")
+    label: {
         type: String,
-        enum: ['desktop', 'mobile', 'tablet', 'unknown'],
-        default: 'unknown'
+        trim: true,
+        maxlength: 100,
+        default: ''
     },
-    
-    // Có phải click hợp lệ không (không phải bot/datacenter)
-    isValid: {
+
+    // URL đích
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Trọng số - weight cao hơn được chọn nhiều hơn (0 = tạm dừng)
+    weight: {
+        type: Number,
+        default: 1,
+        min: 0,
+        max: 1000
+    },
+
+    // === ĐIỀU KIỆN (optional) ===
+
+    // Chỉ áp dụng cho các thiết bị này (rỗng = tất cả)
+    devices: [{
+        type: String,
+        enum: ['desktop', 'mobile', 'tablet']
+    }],
+
+    // Khoảng thời gian áp dụng
+    startDate: {
+        type: Date,
+        default: null
+    },
+
+    endDate: {
+        type: Date,
+        default: null
+    },
+
+    isActive: {
         type: Boolean,
         default: true
     },
-    
-    // Lý do nếu không hợp lệ
-    invalidReason: String,
-    
-    // Thời gian click
-    clickedAt: {
+
+    // === COUNTERS ===
+
+    totalClicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    validClicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    lastClickedAt: {
         type: Date,
-        default: Date.now,
-        index: true
+        default: null
     }
-}, { _id: false });
+});
 
 /**
  * Main Link Schema
@@ -91,6 +149,19 @@ const LinkSchema = new Schema({
         default: ''
     },
     
+    // Nhiều URL đích có trọng số + điều kiện (rỗng = dùng targetUrl)
+    // targetUrl là fallback khi không destination nào thỏa điều kiện
+    destinations: {
+        type: [DestinationSchema],
+        default: []
+    },
+    
+    // Template tham số tracking gắn vào targetUrl (ghi đè template của user theo key)
+    redirectParams: {
+        type: [RedirectParamSchema],
+        default: []
+    },
+    
     // URL ảnh preview (Open Graph)
     imageUrl: {
         type: String,
@@ -168,17 +239,6 @@ const LinkSchema = new Schema({
         min: 0
     },
     
-    // Danh sách IP đã click (để check unique)
-    clickedIPs: [{
-        type: String
-    }],
-    
-    // Click logs chi tiết (giới hạn 1000 entries gần nhất)
-    clickLogs: {
-        type: [ClickLogSchema],
-        default: []
-    },
-    
     // === STATUS ===
     
     // Link có đang hoạt động không
@@ -188,7 +248,24 @@ const LinkSchema = new Schema({
         index: true
     },
     
-    // Ngày hết hạn (optional)
+    // Trạng thái xuất bản
+    // - draft: bản nháp, không public
+    // - scheduled: chờ đến publishedAt (articleScheduler tự chuyển sang published)
+    // - published: public từ publishedAt đến expiresAt
+    // - archived: đã gỡ (thủ công hoặc khi tới expiresAt)
+    status: {
+        type: String,
+        enum: LINK_STATUSES,
+        default: 'published'
+    },
+    
+    // Thời điểm chuyển sang archived
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    
+    // Ngày hết hạn / lịch gỡ bài (optional)
     expiresAt: {
         type: Date,
         default: null
@@ -215,6 +292,13 @@ const LinkSchema = new Schema({
         index: true
     },
     
+    // Workspace sở hữu link (thành viên workspace cùng xem / sửa)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null
+    },
+    
     // Người tạo (legacy - kept for compatibility)
     createdBy: {
         type: String,
@@ -238,8 +322,12 @@ const LinkSchema = new Schema({
 
 // Compound index cho query phổ biến
 LinkSchema.index({ isActive: 1, createdAt: -1 });
+LinkSchema.index({ workspaceId: 1, isActive: 1, createdAt: -1 });
 LinkSchema.index({ slug: 1, isActive: 1 });
 
+// Public listing + articleScheduler
+LinkSchema.index({ status: 1, publishedAt: -1 });
+
 // Text index cho search
 LinkSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
@@ -264,86 +352,112 @@ LinkSchema.virtual('shortUrl').get(function() {
 // =================================================================
 
 /**
- * Ghi nhận một click mới
- * @param {Object} clickData - Dữ liệu click
- * @returns {Object} - Kết quả ghi nhận
+ * Kiểm tra link còn hoạt động không (đang public)
+ * Scheduled đã tới publishedAt được coi là published dù scheduler chưa chạy
+ * @param {Date} now
  */
-LinkSchema.methods.recordClick = async function(clickData) {
-    const {
-        ip,
-        ipInfo = {},
-        userAgent = '',
-        referer = '',
-        device = 'unknown',
-        isValid = true,
-        invalidReason = null
-    } = clickData;
-    
-    // Kiểm tra IP đã click chưa
-    const isNewIP = !this.clickedIPs.includes(ip);
-    
-    // Cập nhật counters
-    this.totalClicks += 1;
-    
-    if (isValid) {
-        this.validClicks += 1;
-    } else {
-        this.invalidClicks += 1;
-    }
-    
-    if (isNewIP) {
-        this.uniqueIPs += 1;
-        this.clickedIPs.push(ip);
-        
-        // Giới hạn clickedIPs array (giữ 10000 IP gần nhất)
-        if (this.clickedIPs.length > 10000) {
-            this.clickedIPs = this.clickedIPs.slice(-10000);
-        }
-    }
-    
-    // Thêm vào click logs
-    const clickLog = {
-        ip,
-        ipInfo,
-        userAgent: userAgent.substring(0, 500), // Giới hạn length
-        referer: referer.substring(0, 500),
-        device,
-        isValid,
-        invalidReason,
-        clickedAt: new Date()
-    };
-    
-    this.clickLogs.push(clickLog);
-    
-    // Giới hạn click logs (giữ 1000 entries gần nhất)
-    if (this.clickLogs.length > 1000) {
-        this.clickLogs = this.clickLogs.slice(-1000);
-    }
-    
-    // Lưu vào database
-    await this.save();
-    
-    return {
-        totalClicks: this.totalClicks,
-        validClicks: this.validClicks,
-        isNewIP,
-        isValid
-    };
+LinkSchema.methods.isAvailable = function(now = new Date()) {
+    if (!this.isActive) return false;
+    if (!['published', 'scheduled'].includes(this.status || 'published')) return false;
+    if (this.publishedAt && now < this.publishedAt) return false;
+    if (this.expiresAt && now > this.expiresAt) return false;
+    return true;
 };
 
 /**
- * Kiểm tra link còn hoạt động không
+ * Chọn destination cho một lượt redirect (weighted random như Banner.getRandomActive)
+ * Chỉ xét destination đang bật, weight > 0, khớp thiết bị và khoảng thời gian
+ * @param {Object} options - { device, now }
+ * @returns {Object|null} - Destination được chọn, null nếu không có (dùng targetUrl)
  */
-LinkSchema.methods.isAvailable = function() {
-    if (!this.isActive) return false;
-    if (this.expiresAt && new Date() > this.expiresAt) return false;
-    return true;
+LinkSchema.methods.pickDestination = function({ device, now = new Date() } = {}) {
+    const candidates = (this.destinations || []).filter(d => {
+        if (!d.isActive || !(d.weight > 0) || !d.url) return false;
+        if (d.devices && d.devices.length > 0 && !d.devices.includes(device)) return false;
+        if (d.startDate && now < d.startDate) return false;
+        if (d.endDate && now > d.endDate) return false;
+        return true;
+    });
+
+    return pickWeighted(candidates);
 };
 
 // =================================================================
 // STATIC METHODS
 // =================================================================
 
+/**
+ * Điều kiện query cho bài viết đang public
+ * Khớp với methods.isAvailable
+ * @param {Date} now
+ * @returns {Object} - MongoDB filter
+ */
+LinkSchema.statics.publicFilter = function(now = new Date()) {
+    return {
+        isActive: true,
+        status: { $in: ['published', 'scheduled'] },
+        publishedAt: { $lte: now },
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: now } }
+        ]
+    };
+};
+
+/**
+ * Xác định trạng thái lưu DB từ trạng thái được yêu cầu + publishedAt
+ * - published với publishedAt tương lai → scheduled
+ * - scheduled với publishedAt đã qua → published
+ * @param {String} status
+ * @param {Date} publishedAt
+ * @param {Date} now
+ * @returns {String}
+ */
+LinkSchema.statics.resolveStatus = function(status, publishedAt, now = new Date()) {
+    const date = publishedAt ? new Date(publishedAt) : null;
+    if (status === 'published' && date && date > now) return 'scheduled';
+    if (status === 'scheduled' && (!date || date <= now)) return 'published';
+    return status;
+};
+
+/**
+ * Chuyển các bài scheduled đã tới publishedAt sang published
+ * @param {Date} now
+ * @returns {Number} - Số bài đã publish
+ */
+LinkSchema.statics.publishDue = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'scheduled', publishedAt: { $lte: now } },
+        { $set: { status: 'published' } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Chuyển các bài published/scheduled đã qua expiresAt sang archived
+ * @param {Date} now
+ * @returns {Number} - Số bài đã archive
+ */
+LinkSchema.statics.archiveExpired = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: { $in: ['published', 'scheduled'] }, expiresAt: { $ne: null, $lte: now } },
+        { $set: { status: 'archived', archivedAt: now } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Gán status cho links cũ (tạo trước khi có trạng thái xuất bản)
+ * @returns {Number} - Số links đã cập nhật
+ */
+LinkSchema.statics.backfillStatus = async function() {
+    const result = await this.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'published' } }
+    );
+    return result.modifiedCount;
+};
+
 /**
  * Tìm link theo slug
  */
@@ -351,6 +465,58 @@ LinkSchema.statics.findBySlug = function(slug) {
     return this.findOne({ slug: slug.toLowerCase(), isActive: true });
 };
 
+/**
+ * Slug hiện tại của link từng dùng slug cũ này (để 301 URL cũ)
+ * @param {String} slug - Slug cũ
+ * @returns {String|null} - Slug hiện tại, null nếu không có alias hoặc link đã bị xóa / tắt
+ */
+LinkSchema.statics.findCurrentSlug = async function(slug) {
+    const alias = await SlugAlias.findOne({ slug: slug.toLowerCase() }).select('linkId').lean();
+    if (!alias) return null;
+
+    const link = await this.findOne({ _id: alias.linkId, isActive: true }).select('slug').lean();
+    return link ? link.slug : null;
+};
+
+/**
+ * Kiểm tra slug có dùng được không (tạo link / đổi slug), giải phóng slug nếu được phép
+ * - Link active khác đang dùng → chặn
+ * - Link đã tắt (soft-delete) quá SLUG_REUSE_COOLDOWN_DAYS → đổi sang slug lưu trữ để nhường slug, tắt gần đây → chặn
+ *   (không xóa link: ClickEvent / ClickRollup / LinkRevision / SlugAlias vẫn trỏ đúng link cũ)
+ * - Slug cũ của link khác (đổi slug / xóa) trong thời gian chờ → chặn
+ * @param {String} slug
+ * @param {ObjectId} linkId - Link đang đổi slug (null khi tạo mới)
+ * @returns {String|null} - Lý do bị chặn, null nếu dùng được
+ */
+LinkSchema.statics.freeSlug = async function(slug, linkId = null) {
+    const normalized = slug.toLowerCase();
+    const now = new Date();
+    const formatDate = (date) => date.toLocaleDateString('vi-VN');
+
+    const existing = await this.findOne({ slug: normalized }).select('_id isActive updatedAt');
+    if (existing && (!linkId || existing._id.toString() !== linkId.toString())) {
+        if (existing.isActive) {
+            return `Slug "${normalized}" đã được sử dụng bởi bài viết khác`;
+        }
+
+        const reusableAt = new Date(existing.updatedAt.getTime() + SlugAlias.REUSE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+        if (reusableAt > now) {
+            return `Slug "${normalized}" thuộc bài viết vừa bị tắt, có thể dùng lại từ ${formatDate(reusableAt)}`;
+        }
+
+        const archived = `${normalized.substring(0, 60)}--${existing._id}`;
+        await this.updateOne({ _id: existing._id }, { $set: { slug: archived } }, { timestamps: false });
+        console.log(`🔄 [Link] Lưu trữ link inactive cũ thành /${archived} để tái sử dụng slug: ${normalized}`);
+    }
+
+    const blocking = await SlugAlias.findBlocking(normalized, linkId, now);
+    if (blocking) {
+        return `Slug "${normalized}" vừa được ${blocking.reason === 'deleted' ? 'xóa' : 'đổi'}, có thể dùng lại từ ${formatDate(blocking.availableAt)}`;
+    }
+
+    return null;
+};
+
 /**
  * Tạo link mới với slug tự động
  */
@@ -364,58 +530,48 @@ LinkSchema.statics.createWithAutoSlug = async function(linkData) {
         return slug;
     };
     
-    // Nếu có custom slug, kiểm tra xem đã tồn tại chưa
+    // Nếu có custom slug, kiểm tra xem đã tồn tại / đang trong thời gian chờ chưa
     if (linkData.slug) {
-        const existing = await this.findOne({ slug: linkData.slug.toLowerCase() });
-        if (existing) {
-            // Nếu link cũ đã bị soft-delete (isActive=false), xóa hẳn để nhường slug
-            if (!existing.isActive) {
-                await this.findByIdAndDelete(existing._id);
-                console.log(`🔄 [Link] Xóa link inactive cũ để tái sử dụng slug: ${linkData.slug}`);
-            } else {
-                throw new Error('Slug đã tồn tại');
-            }
+        const slugError = await this.freeSlug(linkData.slug);
+        if (slugError) {
+            throw new Error(slugError);
         }
     } else {
-        // Tạo slug tự động và đảm bảo unique
+        // Tạo slug tự động và đảm bảo unique (không trùng slug cũ của link khác)
         let slug;
         let attempts = 0;
         do {
             slug = generateSlug();
             attempts++;
-        } while (await this.findOne({ slug }) && attempts < 10);
+        } while ((await this.findOne({ slug }) || await SlugAlias.exists({ slug })) && attempts < 10);
         
         linkData.slug = slug;
     }
     
-    return this.create(linkData);
+    const link = await this.create(linkData);
+    // Slug cũ đã hết thời gian chờ → link mới nhận slug, bỏ alias
+    await SlugAlias.release(link.slug);
+    return link;
 };
 
 /**
  * Lấy thống kê tổng quan
+ * Số link đếm từ Link, số click đọc từ ClickRollup
  */
 LinkSchema.statics.getOverallStats = async function() {
-    const stats = await this.aggregate([
-        {
-            $group: {
-                _id: null,
-                totalLinks: { $sum: 1 },
-                activeLinks: { $sum: { $cond: ['$isActive', 1, 0] } },
-                totalClicks: { $sum: '$totalClicks' },
-                totalValidClicks: { $sum: '$validClicks' },
-                totalInvalidClicks: { $sum: '$invalidClicks' },
-                totalUniqueIPs: { $sum: '$uniqueIPs' }
-            }
-        }
+    const [totalLinks, activeLinks, clicks] = await Promise.all([
+        this.countDocuments(),
+        this.countDocuments({ isActive: true }),
+        ClickRollup.getTotals()
     ]);
     
-    return stats[0] || {
-        totalLinks: 0,
-        activeLinks: 0,
-        totalClicks: 0,
-        totalValidClicks: 0,
-        totalInvalidClicks: 0,
-        totalUniqueIPs: 0
+    return {
+        totalLinks,
+        activeLinks,
+        totalClicks: clicks.totalClicks,
+        totalValidClicks: clicks.validClicks,
+        totalInvalidClicks: clicks.invalidClicks,
+        totalUniqueIPs: clicks.uniqueIPs
     };
 };
 
@@ -423,7 +579,7 @@ LinkSchema.statics.getOverallStats = async function() {
  * Lấy top links theo clicks
  */
 LinkSchema.statics.getTopLinks = function(limit = 10) {
-    return this.find({ isActive: true })
+    return this.find(this.publicFilter())
         .sort({ validClicks: -1 })
         .limit(limit)
         .select('slug title validClicks totalClicks uniqueIPs createdAt');
@@ -447,4 +603,6 @@ LinkSchema.pre('save', function(next) {
 
 const Link = mongoose.model('Link', LinkSchema);
 
+Link.STATUSES = LINK_STATUSES;
+
 module.exports = Link;
@@ -0,0 +1,187 @@
+/**
+ * LinkRevision Model
+ *
+ * Lịch sử chỉnh sửa bài viết: mỗi lần lưu (tạo / cập nhật / khôi phục)
+ * ghi lại một snapshot các field nội dung kèm người sửa và thời gian
+ * Giữ tối đa LINK_REVISION_LIMIT bản gần nhất cho mỗi link
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const REVISION_LIMIT = parseInt(process.env.LINK_REVISION_LIMIT) || 100;
+
+// Các field được lưu trong snapshot
+const SNAPSHOT_FIELDS = [
+    'slug', 'title', 'description', 'content', 'imageUrl', 'category', 'author',
+    'publishedAt', 'status', 'expiresAt', 'targetUrl', 'destinations', 'redirectParams'
+];
+
+// Field cấu hình của destination trong snapshot (không lưu counters: click không phải chỉnh sửa)
+const DESTINATION_FIELDS = ['_id', 'label', 'url', 'weight', 'devices', 'startDate', 'endDate', 'isActive'];
+
+const LinkRevisionSchema = new Schema({
+    // Link được sửa
+    linkId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Link',
+        required: true
+    },
+
+    // Số thứ tự revision trong link (1, 2, 3...)
+    revision: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    // create | update | restore | baseline (trạng thái trước revision đầu tiên của link cũ)
+    action: {
+        type: String,
+        enum: ['create', 'update', 'restore', 'baseline'],
+        default: 'update'
+    },
+
+    // Revision được khôi phục (khi action = restore)
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+
+    // Các field thay đổi so với revision trước
+    changedFields: [{
+        type: String
+    }],
+
+    // Snapshot nội dung tại thời điểm lưu
+    snapshot: {
+        slug: String,
+        title: String,
+        description: String,
+        content: String,
+        imageUrl: String,
+        category: String,
+        author: String,
+        publishedAt: Date,
+        status: String,
+        expiresAt: Date,
+        targetUrl: String,
+        // Không default [] → revision cũ (chưa lưu destinations) đọc ra undefined, khôi phục thì giữ nguyên
+        destinations: {
+            type: [{
+                _id: Schema.Types.ObjectId,
+                label: String,
+                url: String,
+                weight: Number,
+                devices: [String],
+                startDate: Date,
+                endDate: Date,
+                isActive: Boolean
+            }],
+            default: undefined
+        },
+        redirectParams: [{
+            _id: false,
+            key: String,
+            value: String,
+            mode: String
+        }]
+    },
+
+    // Người lưu
+    editedBy: {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        username: {
+            type: String,
+            default: 'system'
+        }
+    }
+}, {
+    collection: 'link_revisions',
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+LinkRevisionSchema.index({ linkId: 1, revision: -1 }, { unique: true });
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Lấy snapshot các field nội dung từ link
+ * @param {Object} link - Link document hoặc object
+ * @returns {Object}
+ */
+LinkRevisionSchema.statics.buildSnapshot = function(link) {
+    const source = typeof link.toObject === 'function' ? link.toObject() : link;
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) {
+        snapshot[field] = source[field] === undefined ? null : source[field];
+    }
+    if (Array.isArray(snapshot.destinations)) {
+        snapshot.destinations = snapshot.destinations.map(dest => Object.fromEntries(
+            DESTINATION_FIELDS.map(field => [field, dest[field] === undefined ? null : dest[field]])
+        ));
+    }
+    return snapshot;
+};
+
+/**
+ * So sánh 2 snapshot, trả về danh sách field khác nhau
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {Array<String>}
+ */
+LinkRevisionSchema.statics.diffFields = function(previous, next) {
+    // Mảng rỗng = chưa có giá trị (revision cũ không có destinations)
+    const normalize = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        if (Array.isArray(value) && value.length === 0) return null;
+        if (value instanceof Date) return value.toISOString();
+        return JSON.stringify(value);
+    };
+
+    if (!previous) return SNAPSHOT_FIELDS.filter(field => normalize(next[field]) !== null);
+
+    return SNAPSHOT_FIELDS.filter(field => normalize(previous[field]) !== normalize(next[field]));
+};
+
+/**
+ * Revision mới nhất của link
+ * @param {ObjectId} linkId
+ */
+LinkRevisionSchema.statics.getLatest = function(linkId) {
+    return this.findOne({ linkId }).sort({ revision: -1 }).lean();
+};
+
+/**
+ * Xóa các revision cũ vượt quá REVISION_LIMIT
+ * @param {ObjectId} linkId
+ */
+LinkRevisionSchema.statics.prune = async function(linkId) {
+    const stale = await this.find({ linkId })
+        .sort({ revision: -1 })
+        .skip(REVISION_LIMIT)
+        .select('_id')
+        .lean();
+
+    if (stale.length > 0) {
+        await this.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+    }
+};
+
+const LinkRevision = mongoose.model('LinkRevision', LinkRevisionSchema);
+
+LinkRevision.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+LinkRevision.REVISION_LIMIT = REVISION_LIMIT;
+
+module.exports = LinkRevision;
@@ -0,0 +1,174 @@
+/**
+ * Role Model
+ *
+ * Vai trò = tập quyền đặt tên (links:write, banners:publish...), admin tự tạo / sửa lúc chạy
+ * - admin, user: vai trò hệ thống, luôn tồn tại (seedDefaults), không xóa được
+ * - admin luôn có đủ mọi quyền (không sửa được danh sách quyền)
+ * - Vai trò tùy chỉnh VD: editor (viết + xuất bản), analyst (chỉ xem thống kê)
+ *
+ * User.role lưu name của vai trò
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Danh mục quyền (key → mô tả hiển thị trên trang quản trị)
+ */
+const PERMISSIONS = {
+    'links:write': 'Tạo / sửa / xóa bài viết của mình',
+    'links:manage-all': 'Xem / sửa / xóa bài viết của mọi người, đổi chủ sở hữu',
+    'banners:write': 'Tạo / sửa banner của mình',
+    'banners:publish': 'Bật / tắt, xóa mọi banner; sửa banner của người khác (kèm banners:write)',
+    'categories:manage': 'Tạo / sửa / xóa danh mục',
+    'users:manage': 'Quản lý người dùng, vai trò và bảo mật đăng nhập',
+    'analytics:view-all': 'Xem dashboard / thống kê của toàn hệ thống',
+    'audit:view': 'Xem / xuất nhật ký thay đổi quản trị'
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const ADMIN_ROLE = 'admin';
+const DEFAULT_ROLE = 'user';
+
+const RoleSchema = new Schema({
+    // Định danh (lưu trong User.role) - không đổi sau khi tạo
+    name: {
+        type: String,
+        required: [true, 'Tên vai trò là bắt buộc'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: 50,
+        match: [/^[a-z0-9][a-z0-9_-]*$/, 'Tên vai trò chỉ gồm chữ thường, số, "-" và "_"']
+    },
+
+    // Tên hiển thị
+    label: {
+        type: String,
+        required: [true, 'Tên hiển thị là bắt buộc'],
+        trim: true,
+        maxlength: 100
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+
+    permissions: [{
+        type: String,
+        enum: PERMISSION_KEYS
+    }],
+
+    // Vai trò hệ thống (admin, user) - không xóa / đổi tên được
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true,
+    collection: 'roles'
+});
+
+// Cache name → quyền (mỗi request đều đọc, vai trò ít khi đổi)
+const permissionCache = new Map();
+
+// =================================================================
+// MIDDLEWARE - Loại quyền trùng, admin luôn đủ quyền, xóa cache
+// =================================================================
+
+RoleSchema.pre('save', function(next) {
+    this.permissions = this.name === ADMIN_ROLE
+        ? PERMISSION_KEYS
+        : [...new Set(this.permissions)];
+    next();
+});
+
+RoleSchema.post('save', () => permissionCache.clear());
+RoleSchema.post('deleteOne', { document: true, query: false }, () => permissionCache.clear());
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Danh sách quyền của vai trò (có cache)
+ * @param {String} name - Tên vai trò (User.role)
+ * @returns {Array<String>} - [] nếu vai trò không tồn tại
+ */
+RoleSchema.statics.getPermissions = async function(name) {
+    if (name === ADMIN_ROLE) return PERMISSION_KEYS;
+
+    if (!permissionCache.has(name)) {
+        const role = await this.findOne({ name }).select('permissions').lean();
+        permissionCache.set(name, role ? role.permissions : []);
+    }
+    return permissionCache.get(name);
+};
+
+/**
+ * Người thao tác có được gán vai trò này không
+ * Chỉ gán được vai trò có quyền nằm trong quyền của chính mình (tránh tự nâng quyền)
+ * @param {Set<String>} grantedPermissions - Quyền của người thao tác (req.permissions)
+ * @param {String} name - Tên vai trò
+ * @returns {Object|null} - { status, message } nếu không hợp lệ
+ */
+RoleSchema.statics.checkAssignable = async function(grantedPermissions, name) {
+    const roleName = String(name || '').trim().toLowerCase();
+
+    if (!await this.exists({ name: roleName })) {
+        return { status: 400, message: `Vai trò "${name}" không tồn tại` };
+    }
+
+    const permissions = await this.getPermissions(roleName);
+    if (permissions.some(permission => !grantedPermissions.has(permission))) {
+        return { status: 403, message: 'Không thể gán vai trò có quyền cao hơn quyền của bạn' };
+    }
+
+    return null;
+};
+
+/**
+ * Tạo vai trò hệ thống nếu chưa có (gọi khi khởi động server)
+ */
+RoleSchema.statics.seedDefaults = async function() {
+    const defaults = [
+        {
+            name: ADMIN_ROLE,
+            label: 'Quản trị viên',
+            description: 'Toàn quyền hệ thống',
+            permissions: PERMISSION_KEYS,
+            isSystem: true
+        },
+        {
+            name: DEFAULT_ROLE,
+            label: 'Người dùng',
+            description: 'Viết bài và tạo banner của mình',
+            permissions: ['links:write', 'banners:write'],
+            isSystem: true
+        }
+    ];
+
+    for (const role of defaults) {
+        await this.findOneAndUpdate(
+            { name: role.name },
+            { $setOnInsert: role },
+            { upsert: true, new: true }
+        );
+    }
+    permissionCache.clear();
+
+    console.log('✅ Default roles seeded');
+};
+
+const Role = mongoose.model('Role', RoleSchema);
+
+Role.PERMISSIONS = PERMISSIONS;
+Role.PERMISSION_KEYS = PERMISSION_KEYS;
+Role.ADMIN_ROLE = ADMIN_ROLE;
+Role.DEFAULT_ROLE = DEFAULT_ROLE;
+
+module.exports = Role;
@@ -0,0 +1,140 @@
+/**
+ * Session Model
+ *
+ * Phiên đăng nhập (1 thiết bị / trình duyệt) = 1 họ refresh token
+ * - Refresh token chỉ lưu dạng hash SHA-256, xoay vòng mỗi lần refresh
+ * - Token cũ đã xoay nằm trong previousTokenHashes: dùng lại → coi như bị lộ, thu hồi cả phiên
+ * - Access token mang sid, authenticate kiểm tra phiên còn hiệu lực → thu hồi có hiệu lực ngay
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Số hash token cũ giữ lại để phát hiện dùng lại
+const MAX_PREVIOUS_HASHES = 20;
+
+// Lý do thu hồi phiên
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse_detected', 'user_disabled', 'expired'];
+
+const SessionSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Hash của refresh token hiện tại
+    tokenHash: {
+        type: String,
+        required: true
+    },
+
+    // Hash các refresh token đã xoay (phát hiện reuse)
+    previousTokenHashes: {
+        type: [String],
+        default: []
+    },
+
+    // Thiết bị đăng nhập
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Hết hạn refresh (gia hạn mỗi lần xoay token)
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: [...REVOKE_REASONS, null],
+        default: null
+    }
+}, {
+    collection: 'sessions',
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+SessionSchema.index({ tokenHash: 1 }, { unique: true });
+SessionSchema.index({ previousTokenHashes: 1 });
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// Tự xóa phiên sau khi hết hạn 7 ngày (giữ lại một thời gian để phát hiện reuse)
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// =================================================================
+// INSTANCE METHODS
+// =================================================================
+
+/**
+ * Phiên còn dùng được (chưa thu hồi, chưa hết hạn)
+ * @param {Date} now
+ */
+SessionSchema.methods.isValid = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Hash refresh token (lưu DB, không lưu token gốc)
+ * @param {String} token
+ * @returns {String}
+ */
+SessionSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Sinh refresh token ngẫu nhiên
+ * @returns {String}
+ */
+SessionSchema.statics.generateToken = function() {
+    return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Thu hồi tất cả phiên còn hiệu lực của user
+ * @param {ObjectId} userId
+ * @param {String} reason
+ * @param {ObjectId} exceptId - Giữ lại phiên này (VD: phiên hiện tại)
+ * @returns {Number} - Số phiên đã thu hồi
+ */
+SessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked', exceptId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    const result = await this.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+Session.MAX_PREVIOUS_HASHES = MAX_PREVIOUS_HASHES;
+Session.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = Session;
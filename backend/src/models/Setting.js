@@ -0,0 +1,79 @@
+/**
+ * Setting Model
+ *
+ * Cấu hình hệ thống dạng key/value, admin thay đổi lúc chạy (không cần sửa env / restart)
+ * VD: security.requireAdminTwoFactor
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const SettingSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+
+    value: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+
+    // Admin thay đổi gần nhất
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    collection: 'settings',
+    timestamps: { createdAt: false, updatedAt: true },
+    versionKey: false
+});
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Đọc giá trị cấu hình
+ * @param {String} key
+ * @param {*} defaultValue - Trả về khi chưa cấu hình
+ * @returns {*}
+ */
+SettingSchema.statics.getValue = async function(key, defaultValue = null) {
+    const setting = await this.findOne({ key }).select('value').lean();
+    return setting && setting.value !== null && setting.value !== undefined
+        ? setting.value
+        : defaultValue;
+};
+
+/**
+ * Ghi giá trị cấu hình (upsert)
+ * @param {String} key
+ * @param {*} value
+ * @param {ObjectId} userId - Admin thay đổi
+ * @returns {*} - Giá trị đã lưu
+ */
+SettingSchema.statics.setValue = async function(key, value, userId = null) {
+    const setting = await this.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy: userId } },
+        { upsert: true, new: true }
+    ).lean();
+    return setting.value;
+};
+
+const Setting = mongoose.model('Setting', SettingSchema);
+
+Setting.KEYS = {
+    REQUIRE_ADMIN_TWO_FACTOR: 'security.requireAdminTwoFactor',
+    // { [banner type]: { mode, explorationFloor, warmupImpressions } } - services/bannerAllocationService.js
+    BANNER_ALLOCATION: 'banners.allocation',
+    // Workspace chứa dữ liệu cũ không còn chủ sở hữu - scripts/assignWorkspaces.js
+    LEGACY_WORKSPACE: 'workspaces.legacy'
+};
+
+module.exports = Setting;
@@ -0,0 +1,101 @@
+/**
+ * SlugAlias Model
+ *
+ * Slug cũ của link (sau khi đổi slug hoặc xóa link)
+ * - Link còn tồn tại → URL cũ được 301 sang slug hiện tại
+ * - Slug vừa bị thay/xóa trong SLUG_REUSE_COOLDOWN_DAYS không được link khác dùng lại
+ *   (tránh URL đã chia sẻ trỏ sang nội dung không liên quan)
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const REUSE_COOLDOWN_DAYS = parseInt(process.env.SLUG_REUSE_COOLDOWN_DAYS) || 90;
+
+const SlugAliasSchema = new Schema({
+    // Slug cũ
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+
+    // Link từng dùng slug này (link có thể đã bị xóa)
+    linkId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Link',
+        required: true
+    },
+
+    // renamed: link đổi sang slug khác | deleted: link đã bị xóa
+    reason: {
+        type: String,
+        enum: ['renamed', 'deleted'],
+        default: 'renamed'
+    },
+
+    // Thời điểm slug bị thay / xóa - tính thời gian chờ trước khi cho dùng lại
+    retiredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'slug_aliases',
+    versionKey: false
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+SlugAliasSchema.index({ linkId: 1 });
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Ghi nhận slug cũ của link (đổi slug / xóa link)
+ * @param {String} slug - Slug bị thay
+ * @param {ObjectId} linkId
+ * @param {String} reason - renamed | deleted
+ */
+SlugAliasSchema.statics.retire = function(slug, linkId, reason = 'renamed') {
+    return this.updateOne(
+        { slug: slug.toLowerCase() },
+        { $set: { linkId, reason, retiredAt: new Date() } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Xóa alias khi slug được dùng lại (link quay về slug cũ hoặc hết thời gian chờ)
+ * @param {String} slug
+ */
+SlugAliasSchema.statics.release = function(slug) {
+    return this.deleteOne({ slug: slug.toLowerCase() });
+};
+
+/**
+ * Kiểm tra slug có đang trong thời gian chờ không
+ * @param {String} slug
+ * @param {ObjectId} linkId - Link muốn dùng slug (chính link đó được quay về slug cũ)
+ * @param {Date} now
+ * @returns {Object|null} - Alias đang chặn, null nếu dùng được
+ */
+SlugAliasSchema.statics.findBlocking = async function(slug, linkId = null, now = new Date()) {
+    const alias = await this.findOne({ slug: slug.toLowerCase() }).lean();
+    if (!alias) return null;
+    if (linkId && alias.linkId.toString() === linkId.toString()) return null;
+
+    const cooldownEnd = new Date(alias.retiredAt.getTime() + REUSE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    return cooldownEnd > now ? { ...alias, availableAt: cooldownEnd } : null;
+};
+
+const SlugAlias = mongoose.model('SlugAlias', SlugAliasSchema);
+
+SlugAlias.REUSE_COOLDOWN_DAYS = REUSE_COOLDOWN_DAYS;
+
+module.exports = SlugAlias;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Session = require('./Session');
+const Setting = require('./Setting');
 
 /**
  * User Schema - Hệ thống phân quyền Admin/User
@@ -33,9 +35,11 @@ const userSchema = new mongoose.Schema({
         select: false // Không trả về password khi query
     },
 
+    // Tên vai trò (xem models/Role.js) - quyền chi tiết nằm trong Role
     role: {
         type: String,
-        enum: ['admin', 'user'],
+        trim: true,
+        lowercase: true,
         default: 'user',
         required: true
     },
@@ -69,6 +73,84 @@ const userSchema = new mongoose.Schema({
         default: true
     },
 
+    // Lời mời: admin tạo tài khoản không đặt password, user tự đặt qua link trong email
+    // (xem services/passwordTokenService.js)
+    invitation: {
+        invitedAt: {
+            type: Date
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        acceptedAt: {
+            type: Date
+        }
+    },
+
+    // Lần cuối gửi email đặt lại mật khẩu (giới hạn tần suất gửi)
+    passwordResetSentAt: {
+        type: Date,
+        select: false
+    },
+
+    // Xác thực 2 lớp TOTP (xem services/twoFactorService.js)
+    // Secret lưu dạng mã hóa AES-GCM, mã khôi phục chỉ lưu hash
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret đang đăng ký, chưa xác nhận bằng mã đầu tiên
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                hash: String,
+                usedAt: { type: Date, default: null }
+            }],
+            select: false
+        },
+        // Bước thời gian của mã TOTP dùng gần nhất (chống dùng lại mã)
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
+
+    // Template tham số tracking mặc định cho mọi link của user khi redirect /go/:slug
+    // Link có thể ghi đè theo key (xem services/redirectTemplateService.js)
+    redirectParams: [{
+        _id: false,
+        key: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 64
+        },
+        value: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: ''
+        },
+        mode: {
+            type: String,
+            enum: ['append', 'overwrite'],
+            default: 'overwrite'
+        }
+    }],
+
     // Thống kê
     stats: {
         totalLinks: {
@@ -134,6 +216,32 @@ userSchema.pre('save', async function (next) {
     }
 });
 
+// ============================================
+// MIDDLEWARE - Khóa user → thu hồi toàn bộ phiên đăng nhập
+// Lên admin khi đang bắt buộc 2FA mà chưa bật → thu hồi phiên, đăng nhập lại phải đăng ký 2FA
+// ============================================
+
+userSchema.pre('save', function (next) {
+    this.$locals.wasDisabled = !this.isNew && this.isModified('isActive') && !this.isActive;
+    this.$locals.promotedToAdmin = !this.isNew && this.isModified('role')
+        && this.role === 'admin' && !this.twoFactor?.enabled;
+    next();
+});
+
+userSchema.post('save', async function (doc) {
+    if (doc.$locals.wasDisabled) {
+        const revoked = await Session.revokeAllForUser(doc._id, 'user_disabled');
+        console.log(`🔒 [User] ${doc.username} bị vô hiệu hóa, thu hồi ${revoked} phiên đăng nhập`);
+        return;
+    }
+
+    if (doc.$locals.promotedToAdmin
+        && await Setting.getValue(Setting.KEYS.REQUIRE_ADMIN_TWO_FACTOR, false)) {
+        const revoked = await Session.revokeAllForUser(doc._id, 'revoked');
+        console.log(`🛡️ [User] ${doc.username} lên admin chưa bật 2FA, thu hồi ${revoked} phiên đăng nhập`);
+    }
+});
+
 // ============================================
 // METHODS
 // ============================================
@@ -193,6 +301,13 @@ userSchema.methods.updateStats = async function (stats) {
 userSchema.methods.toSafeObject = function () {
     const obj = this.toObject();
     delete obj.password;
+    delete obj.passwordResetSentAt;
+    if (obj.twoFactor) {
+        obj.twoFactor = {
+            enabled: Boolean(obj.twoFactor.enabled),
+            enabledAt: obj.twoFactor.enabledAt
+        };
+    }
     return obj;
 };
 
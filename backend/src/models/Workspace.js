@@ -0,0 +1,125 @@
+/**
+ * Workspace Model
+ *
+ * Không gian làm việc của nhóm: sở hữu links, banners, danh mục và file upload
+ * - Thành viên có vai trò riêng trong từng workspace: owner | editor | viewer
+ * - Mỗi user có 1 workspace cá nhân (personalFor) - dữ liệu cũ chưa gắn workspace được chuyển vào đây
+ * - Quyền toàn hệ thống (models/Role.js) vẫn áp dụng; vai trò workspace chỉ giới hạn thêm phạm vi dữ liệu
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Vai trò trong workspace, xếp theo cấp (cao hơn bao gồm quyền của cấp thấp hơn)
+const MEMBER_ROLES = ['viewer', 'editor', 'owner'];
+
+const MemberSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    role: {
+        type: String,
+        enum: MEMBER_ROLES,
+        default: 'editor'
+    },
+
+    addedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    addedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { _id: false });
+
+const WorkspaceSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Tên workspace là bắt buộc'],
+        trim: true,
+        maxlength: 100
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+
+    members: [MemberSchema],
+
+    // Workspace cá nhân của user (không xóa, không thêm thành viên)
+    personalFor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'workspaces'
+});
+
+// =================================================================
+// INDEXES
+// =================================================================
+
+WorkspaceSchema.index({ 'members.userId': 1 });
+WorkspaceSchema.index(
+    { personalFor: 1 },
+    { unique: true, partialFilterExpression: { personalFor: { $type: 'objectId' } } }
+);
+
+// =================================================================
+// INSTANCE METHODS
+// =================================================================
+
+/**
+ * Vai trò của user trong workspace
+ * @param {ObjectId|String} userId
+ * @returns {String|null} - owner | editor | viewer, null nếu không phải thành viên
+ */
+WorkspaceSchema.methods.getMemberRole = function(userId) {
+    const member = this.members.find(m => m.userId.toString() === String(userId));
+    return member ? member.role : null;
+};
+
+/**
+ * Số owner hiện tại (không cho gỡ / hạ cấp owner cuối cùng)
+ * @returns {Number}
+ */
+WorkspaceSchema.methods.countOwners = function() {
+    return this.members.filter(m => m.role === 'owner').length;
+};
+
+// =================================================================
+// STATIC METHODS
+// =================================================================
+
+/**
+ * Vai trò có đạt cấp tối thiểu không
+ * @param {String} role - Vai trò hiện có
+ * @param {String} minRole - Cấp tối thiểu (VD: editor)
+ * @returns {Boolean}
+ */
+WorkspaceSchema.statics.hasRole = function(role, minRole) {
+    return MEMBER_ROLES.indexOf(role) >= MEMBER_ROLES.indexOf(minRole) && MEMBER_ROLES.includes(role);
+};
+
+const Workspace = mongoose.model('Workspace', WorkspaceSchema);
+
+Workspace.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = Workspace;
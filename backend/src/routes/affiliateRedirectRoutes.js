@@ -6,13 +6,19 @@
  * Features:
  * - Safe deep linking with referrer washing
  * - Affiliate link redirection
- * - Async click tracking (fire-and-forget)
+ * - UTM / sub-ID templating on the destination URL (per-user + per-link)
+ * - Async click tracking (enqueue vào clickQueue, ghi DB theo lô)
  * - Security headers to hide source domain
  */
 
 const express = require('express');
 const router = express.Router();
 const Link = require('../models/Link');
+const User = require('../models/User');
+const linkService = require('../services/linkServiceMongo');
+const { clickQueue } = require('../services/clickQueue');
+const { getClientIP, getDeviceType } = require('../middleware/smartRouting');
+const { resolveRedirectUrl } = require('../services/redirectTemplateService');
 
 // Request counter for statistics
 let affiliateRequestCount = 0;
@@ -64,14 +70,16 @@ router.use('/go/:slug', (req, res, next) => {
  * 
  * Main Redirect Route for affiliate links
  * 
- * - Finds link by slug (case-insensitive)
+ * - Finds link by slug (case-insensitive), old slugs 301 to the current one
  * - Validates link is active and not expired
  * - Sets referrer policy for privacy
+ * - Picks a weighted destination (device/date conditions) for multi-destination links
+ * - Applies owner + link redirect templates (utm_*, sub-ID...)
  * - Performs 302 redirect
- * - Records click asynchronously (fire-and-forget)
+ * - Enqueues click (never waits on MongoDB writes)
  * 
  * Example: /go/summer-sale-50
- * → Redirects to: https://shopee.vn/search?keyword=...
+ * → Redirects to: https://shopee.vn/search?keyword=...&utm_source=news&sub_id=summer-sale-50
  */
 router.get('/go/:slug', async (req, res) => {
     const { slug } = req.params;
@@ -87,9 +95,20 @@ router.get('/go/:slug', async (req, res) => {
 
     try {
         // Find link by slug (case-insensitive)
+        // Bỏ content HTML (nặng, không cần cho redirect)
         const link = await Link.findOne({ 
             slug: slug.toLowerCase() 
-        });
+        }).select('-content -clickLogs -clickedIPs');
+
+        // Slug cũ (link đã đổi slug) → 301 sang slug hiện tại, giữ query string
+        if (!link) {
+            const currentSlug = await Link.findCurrentSlug(slug);
+            if (currentSlug) {
+                const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+                console.log(`🔀 [AFFILIATE REDIRECT] Old slug: ${slug} → ${currentSlug}`);
+                return res.redirect(301, `/go/${currentSlug}${query}`);
+            }
+        }
 
         // Validate link exists and is available
         if (!link) {
@@ -136,6 +155,20 @@ router.get('/go/:slug', async (req, res) => {
             `);
         }
 
+        // Link nhiều đích: chọn destination theo weight + thiết bị + thời gian
+        const device = getDeviceType(req.headers['user-agent']);
+        const destination = link.pickDestination({ device });
+        const destinationUrl = destination ? destination.url : link.targetUrl;
+
+        // Template tham số tracking của chủ link (link ghi đè theo key)
+        let redirectUrl = destinationUrl;
+        if (destinationUrl) {
+            const owner = link.userId
+                ? await User.findById(link.userId).select('username redirectParams').lean()
+                : null;
+            redirectUrl = resolveRedirectUrl(link, owner, destinationUrl);
+        }
+
         // Security headers for referrer washing
         // no-referrer: Target site (Shopee/Facebook) only sees this domain, not the source
         res.set('Referrer-Policy', 'no-referrer');
@@ -152,28 +185,31 @@ router.get('/go/:slug', async (req, res) => {
 ✅ [AFFILIATE REDIRECT] Redirect Executed
 ✅ ════════════════════════════════════════════════════════════
 📍 Slug:          ${slug}
-🔗 Target URL:    ${link.targetUrl ? link.targetUrl.substring(0, 60) + '...' : '/article/' + slug}
+🎯 Destination:   ${destination ? (destination.label || destination._id) : 'default'}
+🔗 Target URL:    ${redirectUrl ? redirectUrl.substring(0, 60) + '...' : '/article/' + slug}
 📊 Total Clicks:  ${link.totalClicks}
 🍪 Cookie Status: ${trackingData.cookieStatus}
 ⏰ Timestamp:     ${trackingData.timestamp}
 ✅ ════════════════════════════════════════════════════════════
         `.trim());
 
-        // Record click asynchronously (fire-and-forget, non-blocking)
-        if (link.recordClickAsync) {
-            link.recordClickAsync().catch(err => {
-                console.error('Non-critical error recording click:', err.message);
-            });
-        } else {
-            // Fallback: update click count directly
-            Link.findByIdAndUpdate(link._id, { $inc: { totalClicks: 1 } }).catch(err => {
-                console.error('Non-critical error recording click:', err.message);
+        // Enqueue click (non-blocking, flushed to MongoDB in batches)
+        try {
+            linkService.trackClick(link, {
+                ip: getClientIP(req),
+                userAgent: req.headers['user-agent'] || '',
+                referer: req.headers['referer'] || '',
+                landingUrl: req.originalUrl,
+                device,
+                destinationId: destination ? destination._id : null
             });
+        } catch (err) {
+            console.error('Non-critical error recording click:', err.message);
         }
 
         // Perform 302 redirect
-        if (link.targetUrl) {
-            return res.redirect(302, link.targetUrl);
+        if (redirectUrl) {
+            return res.redirect(302, redirectUrl);
         } else {
             // No targetUrl set, redirect to article page
             return res.redirect(302, `/${slug}`);
@@ -207,7 +243,7 @@ router.get('/go/:slug', async (req, res) => {
  * 
  * Statistics Endpoint for monitoring
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', async (req, res) => {
     const mongoose = require('mongoose');
     
     res.json({
@@ -217,6 +253,7 @@ router.get('/stats', (req, res) => {
         affiliateRequests: affiliateRequestCount,
         environment: process.env.NODE_ENV || 'development',
         mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+        clickQueue: await clickQueue.getMetrics(),
         timestamp: new Date().toISOString()
     });
 });
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, allowApiKey } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const analyticsService = require('../services/linkAnalyticsService');
+
+/**
+ * Analytics Routes
+ *
+ * GET /api/analytics/links - Thống kê click theo khoảng thời gian + timezone
+ * GET /api/analytics/sources - Top nguồn truy cập theo link / theo user
+ *
+ * Số liệu giới hạn trong workspace đang dùng (header X-Workspace-Id), như dashboardRoutes
+ * Query kiểm tra theo schema (middleware/validate.js)
+ */
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+// Số phần tử tối đa mỗi breakdown / danh sách nguồn
+const MAX_LIMIT = 50;
+
+const rangeQuery = {
+    from: { type: 'date', label: 'from' },
+    to: { type: 'date', label: 'to' },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, label: 'limit' },
+    slug: { type: 'string', trim: true, lowercase: true, maxLength: 100, label: 'slug' }
+};
+
+const linksQuery = {
+    ...rangeQuery,
+    granularity: { type: 'string', enum: analyticsService.GRANULARITIES, label: 'granularity' },
+    timezone: {
+        type: 'string',
+        trim: true,
+        label: 'timezone',
+        check: (timezone) => (analyticsService.isValidTimezone(timezone) ? null : `Timezone không hợp lệ: ${timezone}`)
+    },
+    category: { type: 'string', trim: true, maxLength: 100, label: 'category' }
+};
+
+const sourcesQuery = {
+    ...rangeQuery,
+    userId: { type: 'objectId', label: 'userId' }
+};
+
+/**
+ * GET /api/analytics/links
+ * Query:
+ * - from, to: ISO 8601 (mặc định 7 ngày gần nhất)
+ * - granularity: hour | day | week | month (mặc định day)
+ * - timezone: IANA timezone (mặc định Asia/Ho_Chi_Minh)
+ * - slug, category: lọc thêm (tùy chọn)
+ * - limit: số phần tử tối đa mỗi breakdown (mặc định 10, tối đa 50)
+ *
+ * Phạm vi: links của workspace đang dùng
+ */
+router.get('/links', authenticate, allowApiKey, resolveWorkspace, validate({ query: linksQuery }), async (req, res) => {
+    try {
+        const range = analyticsService.parseRangeQuery(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const scope = { workspaceId: req.workspace._id };
+        if (req.query.slug) scope.slug = req.query.slug;
+        if (req.query.category) scope.category = req.query.category;
+
+        const data = await analyticsService.getLinkAnalytics({
+            ...range,
+            scope,
+            limit: req.query.limit || 10
+        });
+
+        return res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Link analytics error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/sources
+ * Query:
+ * - from, to: ISO 8601 (mặc định 7 ngày gần nhất)
+ * - slug: chỉ một link (tùy chọn)
+ * - userId: chỉ links của một thành viên (tùy chọn)
+ * - limit: số nguồn tối đa (mặc định 10, tối đa 50)
+ *
+ * Phạm vi: links của workspace đang dùng
+ */
+router.get('/sources', authenticate, allowApiKey, resolveWorkspace, validate({ query: sourcesQuery }), async (req, res) => {
+    try {
+        const range = analyticsService.parseRangeQuery(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const scope = { workspaceId: req.workspace._id };
+        if (req.query.userId) scope.userId = req.query.userId;
+        if (req.query.slug) scope.slug = req.query.slug;
+
+        const data = await analyticsService.getTopSources({
+            from: range.from,
+            to: range.to,
+            scope,
+            limit: req.query.limit || 10
+        });
+
+        return res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Top sources error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
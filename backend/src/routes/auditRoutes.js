@@ -0,0 +1,81 @@
+/**
+ * Audit Routes
+ *
+ * Nhật ký thay đổi quản trị (quyền audit:view) - xem models/AuditEvent.js
+ *
+ * - GET /api/audit - Danh sách (lọc + phân trang)
+ * - GET /api/audit/export.csv - Xuất CSV theo cùng bộ lọc
+ *
+ * Query lọc: actor (username), action (link.update hoặc tiền tố link.), targetType, targetId, from, to (ISO date)
+ */
+
+const express = require('express');
+const router = express.Router();
+const AuditEvent = require('../models/AuditEvent');
+const auditService = require('../services/auditService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+/**
+ * GET /api/audit
+ * Danh sách audit event mới nhất trước
+ * Query: filter + page, limit (tối đa 200)
+ */
+router.get('/', authenticate, requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { filter, error } = auditService.buildFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { events, pagination } = await auditService.search(filter, req.query);
+
+        res.json({
+            success: true,
+            data: events,
+            pagination,
+            targetTypes: AuditEvent.TARGET_TYPES
+        });
+    } catch (error) {
+        console.error('❌ [AuditRoutes] List error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/audit/export.csv
+ * Xuất CSV (UTF-8 có BOM để Excel đọc đúng tiếng Việt)
+ */
+router.get('/export.csv', authenticate, requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { filter, error } = auditService.buildFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const csv = await auditService.exportCsv(filter);
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send('\uFEFF' + csv);
+    } catch (error) {
+        console.error('❌ [AuditRoutes] Export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
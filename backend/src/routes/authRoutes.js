@@ -1,23 +1,105 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticate, requireAdmin, generateAuthResponse } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Setting = require('../models/Setting');
+const { authenticate, requireSession, requirePermission, generateAuthResponse } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const twoFactorService = require('../services/twoFactorService');
+const { loginThrottle, getLoginIP } = require('../services/loginThrottle');
+const passwordTokenService = require('../services/passwordTokenService');
+const mailService = require('../services/mailService');
+const auditService = require('../services/auditService');
+const userService = require('../services/userService');
+const { validate, sendFieldError } = require('../middleware/validate');
+const legacyUserRoutes = require('./legacyUserRoutes');
 
 /**
  * Auth Routes
  * 
- * POST /api/auth/login - Đăng nhập
- * POST /api/auth/logout - Đăng xuất (optional)
+ * POST /api/auth/login - Đăng nhập (access token 15 phút + refresh token trong HttpOnly cookie)
+ *                        Sai nhiều lần → backoff / khóa tạm theo username + IP (429)
+ *                        Tài khoản bật / bắt buộc 2FA → trả challengeToken thay vì phiên đăng nhập
+ * POST /api/auth/login/2fa/setup - Đăng ký 2FA ngay khi đăng nhập (admin bắt buộc 2FA nhưng chưa bật)
+ * POST /api/auth/login/2fa - Bước 2: mã TOTP / mã khôi phục → tạo phiên đăng nhập
+ * POST /api/auth/refresh - Đổi refresh token lấy access token mới (xoay vòng refresh token)
+ * POST /api/auth/logout - Đăng xuất (thu hồi phiên hiện tại)
+ * POST /api/auth/password/forgot - Gửi email đặt lại mật khẩu (username hoặc email)
+ * POST /api/auth/password/verify - Kiểm tra token đặt lại mật khẩu / lời mời
+ * POST /api/auth/password/reset - Đặt mật khẩu mới bằng token (dùng 1 lần)
  * GET  /api/auth/me - Lấy thông tin user hiện tại
- * POST /api/auth/refresh - Refresh token (optional)
+ * GET  /api/auth/sessions - Danh sách thiết bị đang đăng nhập
+ * DELETE /api/auth/sessions/:id - Thu hồi một thiết bị
+ * DELETE /api/auth/sessions - Đăng xuất tất cả thiết bị khác
+ * GET  /api/auth/api-keys - Danh sách API key cá nhân
+ * POST /api/auth/api-keys - Tạo API key (key gốc chỉ trả về 1 lần)
+ * DELETE /api/auth/api-keys/:id - Thu hồi API key
+ * GET  /api/auth/2fa - Trạng thái xác thực 2 lớp
+ * POST /api/auth/2fa/setup - Sinh secret + otpauth URI (QR)
+ * POST /api/auth/2fa/enable - Xác nhận mã đầu tiên, nhận mã khôi phục
+ * POST /api/auth/2fa/disable - Tắt 2FA (password + mã)
+ * POST /api/auth/2fa/recovery-codes - Cấp lại mã khôi phục
  * 
- * Admin only:
- * POST /api/auth/users - Tạo user mới
- * GET  /api/auth/users - Lấy danh sách users
- * PUT  /api/auth/users/:id - Cập nhật user
- * DELETE /api/auth/users/:id - Xóa user (soft delete)
+ * Quyền users:manage:
+ * GET  /api/auth/2fa/policy - Chính sách bắt buộc 2FA cho admin
+ * PUT  /api/auth/2fa/policy - Bật / tắt bắt buộc 2FA cho admin
+ * /api/auth/users* - Alias deprecated của /api/v1/users, giữ dạng response cũ (routes/legacyUserRoutes.js)
  */
 
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Hoàn tất đăng nhập: cập nhật last login, tạo phiên + refresh cookie, trả access token
+ * @param {Object} req
+ * @param {Object} res
+ * @param {User} user
+ * @param {Object} extra - Dữ liệu trả kèm (VD: recoveryCodes khi vừa đăng ký 2FA)
+ */
+async function completeLogin(req, res, user, extra = {}) {
+    const clientIP = req.clientIP || req.ip || req.connection.remoteAddress;
+    await user.updateLastLogin(clientIP);
+    await loginThrottle.recordSuccess(user.username);
+    
+    // Tạo phiên + refresh token (cookie), access token gắn với phiên
+    const { session, refreshToken } = await sessionService.createSession(
+        user,
+        sessionService.getClientMeta(req)
+    );
+    sessionService.setRefreshCookie(res, refreshToken, session.expiresAt);
+    
+    return res.json({
+        success: true,
+        message: 'Đăng nhập thành công',
+        data: {
+            ...generateAuthResponse(user, session, await Role.getPermissions(user.role)),
+            ...extra
+        }
+    });
+}
+
+/**
+ * Trả 429 khi đăng nhập đang bị backoff / khóa tạm
+ * @param {Object} res
+ * @param {Object} status - Kết quả loginThrottle.check / recordFailure
+ */
+function sendThrottled(res, status) {
+    const minutes = Math.ceil(status.retryAfter / 60);
+    res.set('Retry-After', String(status.retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: status.reason === 'locked' ? 'account_locked' : 'too_many_attempts',
+        message: status.reason === 'locked'
+            ? `Đăng nhập sai quá nhiều lần, tài khoản tạm khóa ${minutes} phút`
+            : `Đăng nhập sai nhiều lần, vui lòng thử lại sau ${status.retryAfter} giây`,
+        retryAfter: status.retryAfter
+    });
+}
+
 // ============================================
 // PUBLIC ROUTES
 // ============================================
@@ -38,10 +120,18 @@ router.post('/login', async (req, res) => {
             });
         }
         
+        // Đang backoff / bị khóa tạm (theo username hoặc IP) → không kiểm tra password
+        const clientIP = getLoginIP(req);
+        const throttle = await loginThrottle.check(username, clientIP);
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+        
         // Find user (include password)
         const user = await User.findByUsername(username);
         
         if (!user) {
+            await loginThrottle.recordFailure(username, clientIP);
             return res.status(401).json({
                 success: false,
                 message: 'Username hoặc password không đúng'
@@ -60,27 +150,384 @@ router.post('/login', async (req, res) => {
         const isPasswordValid = await user.comparePassword(password);
         
         if (!isPasswordValid) {
+            await loginThrottle.recordFailure(username, clientIP);
             return res.status(401).json({
                 success: false,
                 message: 'Username hoặc password không đúng'
             });
         }
         
-        // Update last login
-        const clientIP = req.clientIP || req.ip || req.connection.remoteAddress;
-        await user.updateLastLogin(clientIP);
+        // Bật 2FA (hoặc admin bị bắt buộc 2FA) → chưa tạo phiên, chờ bước 2
+        const setupRequired = !user.twoFactor?.enabled && await twoFactorService.isRequiredFor(user);
+        if (user.twoFactor?.enabled || setupRequired) {
+            return res.json({
+                success: true,
+                message: setupRequired
+                    ? 'Tài khoản admin bắt buộc xác thực 2 lớp, vui lòng đăng ký'
+                    : 'Vui lòng nhập mã xác thực 2 lớp',
+                data: {
+                    twoFactorRequired: true,
+                    setupRequired,
+                    challengeToken: twoFactorService.createChallenge(user, setupRequired)
+                }
+            });
+        }
+        
+        return completeLogin(req, res, user);
         
-        // Generate token
-        const authResponse = generateAuthResponse(user);
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Admin bị bắt buộc 2FA nhưng chưa đăng ký: sinh secret ngay ở bước đăng nhập
+ * Body: { challengeToken }
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+    try {
+        const challenge = twoFactorService.readChallenge(req.body.challengeToken);
+        
+        if (!challenge || !challenge.setup) {
+            return res.status(401).json({
+                success: false,
+                code: 'challenge_expired',
+                message: 'Phiên xác thực đã hết hạn, vui lòng đăng nhập lại'
+            });
+        }
+        
+        const user = await twoFactorService.loadUser(challenge.userId);
+        
+        if (!user || !user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Tài khoản đã bị vô hiệu hóa'
+            });
+        }
+        
+        const setup = await twoFactorService.beginSetup(user);
         
         return res.json({
             success: true,
-            message: 'Đăng nhập thành công',
-            data: authResponse
+            data: setup
         });
         
     } catch (error) {
-        console.error('❌ Login error:', error);
+        console.error('❌ Login 2FA setup error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Bước 2 đăng nhập: mã TOTP hoặc mã khôi phục → tạo phiên
+ * Body: { challengeToken, code } hoặc { challengeToken, recoveryCode }
+ * Challenge đăng ký (setupRequired): code xác nhận secret vừa sinh, trả kèm recoveryCodes
+ */
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const challenge = twoFactorService.readChallenge(challengeToken);
+        
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                code: 'challenge_expired',
+                message: 'Phiên xác thực đã hết hạn, vui lòng đăng nhập lại'
+            });
+        }
+        
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập mã xác thực'
+            });
+        }
+        
+        const user = await twoFactorService.loadUser(challenge.userId);
+        
+        if (!user || !user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Tài khoản đã bị vô hiệu hóa'
+            });
+        }
+        
+        const clientIP = getLoginIP(req);
+        const throttle = await loginThrottle.check(user.username, clientIP);
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+        
+        if (challenge.setup) {
+            const recoveryCodes = await twoFactorService.confirmSetup(user, code);
+            if (!recoveryCodes) {
+                twoFactorService.recordChallengeFailure(challenge.jti);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Mã xác thực không đúng'
+                });
+            }
+            return completeLogin(req, res, user, { recoveryCodes });
+        }
+        
+        const method = await twoFactorService.verifyUserCode(user, { code, recoveryCode });
+        
+        if (!method) {
+            twoFactorService.recordChallengeFailure(challenge.jti);
+            await loginThrottle.recordFailure(user.username, clientIP);
+            return res.status(401).json({
+                success: false,
+                message: recoveryCode ? 'Mã khôi phục không đúng hoặc đã được dùng' : 'Mã xác thực không đúng'
+            });
+        }
+        
+        return completeLogin(req, res, user);
+        
+    } catch (error) {
+        console.error('❌ Login 2FA error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Đổi refresh token (cookie hoặc body.refreshToken) lấy access token mới
+ * Refresh token được xoay vòng; token cũ bị dùng lại → thu hồi cả phiên
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await sessionService.rotateSession(
+            sessionService.readRefreshToken(req),
+            sessionService.getClientMeta(req)
+        );
+        
+        if (result.error) {
+            sessionService.clearRefreshCookie(res);
+            
+            const messages = {
+                invalid: 'Phiên đăng nhập không hợp lệ, vui lòng đăng nhập lại',
+                expired: 'Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại',
+                reuse_detected: 'Phát hiện phiên đăng nhập bị sử dụng lại, vui lòng đăng nhập lại',
+                user_disabled: 'Tài khoản đã bị vô hiệu hóa'
+            };
+            
+            return res.status(401).json({
+                success: false,
+                code: result.error,
+                message: messages[result.error]
+            });
+        }
+        
+        // Trong grace period (request song song) không cấp refresh token mới
+        if (result.refreshToken) {
+            sessionService.setRefreshCookie(res, result.refreshToken, result.session.expiresAt);
+        }
+        
+        return res.json({
+            success: true,
+            data: generateAuthResponse(
+                result.user,
+                result.session,
+                await Role.getPermissions(result.user.role)
+            )
+        });
+        
+    } catch (error) {
+        console.error('❌ Refresh token error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Đăng xuất: thu hồi phiên của refresh token hiện tại + xóa cookie
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        await sessionService.revokeByToken(sessionService.readRefreshToken(req));
+        sessionService.clearRefreshCookie(res);
+        
+        return res.json({
+            success: true,
+            message: 'Đăng xuất thành công'
+        });
+        
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/password/forgot
+ * Gửi email đặt lại mật khẩu
+ * Body: { identifier } - username hoặc email
+ * Luôn trả cùng một thông báo (không tiết lộ tài khoản có tồn tại hay không)
+ */
+router.post('/password/forgot', async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'Nếu tài khoản tồn tại và có email, link đặt lại mật khẩu đã được gửi'
+    };
+    
+    try {
+        const identifier = String(req.body.identifier || '').trim().toLowerCase();
+        
+        if (!identifier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập username hoặc email'
+            });
+        }
+        
+        const user = await User.findOne({
+            $or: [{ username: identifier }, { email: identifier }],
+            isActive: true
+        }).select('+password +passwordResetSentAt');
+        
+        // Tài khoản đang chờ kích hoạt dùng link mời, không đặt lại mật khẩu
+        if (!user || !user.email || (user.invitation?.invitedAt && !user.invitation.acceptedAt)) {
+            return res.json(genericResponse);
+        }
+        
+        // Tối đa 1 email / 2 phút cho mỗi tài khoản
+        if (user.passwordResetSentAt && Date.now() - user.passwordResetSentAt < 2 * 60 * 1000) {
+            return res.json(genericResponse);
+        }
+        
+        const token = passwordTokenService.createToken(user, 'password_reset');
+        
+        try {
+            await mailService.sendPasswordReset(user, token, passwordTokenService.PASSWORD_RESET_MINUTES);
+            user.passwordResetSentAt = new Date();
+            await user.save();
+        } catch (error) {
+            console.error(`❌ Gửi email đặt lại mật khẩu cho ${user.username} thất bại:`, error.message);
+        }
+        
+        return res.json(genericResponse);
+        
+    } catch (error) {
+        console.error('❌ Forgot password error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/password/verify
+ * Kiểm tra token trước khi hiện form đặt mật khẩu
+ * Body: { token }
+ */
+router.post('/password/verify', async (req, res) => {
+    try {
+        const result = await passwordTokenService.verifyToken(req.body.token);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                code: result.error,
+                message: result.error === 'expired'
+                    ? 'Link đã hết hạn, vui lòng yêu cầu link mới'
+                    : 'Link không hợp lệ hoặc đã được sử dụng'
+            });
+        }
+        
+        return res.json({
+            success: true,
+            data: {
+                purpose: result.purpose,
+                username: result.user.username,
+                fullName: result.user.fullName
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ Verify password token error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Đặt mật khẩu mới bằng token (đặt lại mật khẩu hoặc kích hoạt lời mời)
+ * Body: { token, password }
+ * Thành công → token mất hiệu lực, mọi phiên đăng nhập cũ bị thu hồi
+ */
+router.post('/password/reset', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!password || String(password).length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password phải có ít nhất 6 ký tự'
+            });
+        }
+        
+        const result = await passwordTokenService.verifyToken(token);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                code: result.error,
+                message: result.error === 'expired'
+                    ? 'Link đã hết hạn, vui lòng yêu cầu link mới'
+                    : 'Link không hợp lệ hoặc đã được sử dụng'
+            });
+        }
+        
+        const { user, purpose } = result;
+        user.password = password;
+        if (purpose === 'invite') {
+            user.invitation.acceptedAt = new Date();
+        }
+        await user.save();
+        
+        await Session.revokeAllForUser(user._id, 'revoked');
+        await loginThrottle.unlock(user.username);
+        
+        console.log(`🔑 [Auth] ${user.username} ${purpose === 'invite' ? 'kích hoạt tài khoản' : 'đặt lại mật khẩu'}`);
+        
+        return res.json({
+            success: true,
+            message: purpose === 'invite'
+                ? 'Kích hoạt tài khoản thành công, vui lòng đăng nhập'
+                : 'Đặt lại mật khẩu thành công, vui lòng đăng nhập'
+        });
+        
+    } catch (error) {
+        console.error('❌ Reset password error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -101,7 +548,7 @@ router.get('/me', authenticate, async (req, res) => {
     try {
         return res.json({
             success: true,
-            data: req.user.toSafeObject()
+            data: { ...req.user.toSafeObject(), permissions: [...req.permissions] }
         });
     } catch (error) {
         console.error('❌ Get me error:', error);
@@ -113,43 +560,59 @@ router.get('/me', authenticate, async (req, res) => {
     }
 });
 
+// Body PUT /me (field dùng chung với quản lý user)
+const updateMeBody = {
+    fullName: userService.USER_FIELDS.fullName,
+    email: userService.USER_FIELDS.email,
+    phone: userService.USER_FIELDS.phone,
+    currentPassword: {
+        type: 'string',
+        maxLength: 128,
+        required: (body) => Boolean(body.newPassword),
+        label: 'Password hiện tại'
+    },
+    newPassword: {
+        ...userService.USER_FIELDS.password,
+        nullable: false,
+        required: (body) => Boolean(body.currentPassword),
+        label: 'Password mới'
+    }
+};
+
 /**
  * PUT /api/auth/me
  * Cập nhật thông tin user hiện tại
+ * Đổi password: cần currentPassword + newPassword, các phiên khác bị đăng xuất
  */
-router.put('/me', authenticate, async (req, res) => {
+router.put('/me', authenticate, requireSession, validate({ body: updateMeBody }), async (req, res) => {
     try {
         const { fullName, email, phone, currentPassword, newPassword } = req.body;
+        const changePassword = Boolean(currentPassword && newPassword);
         
         // Nếu đổi password, cần load user với password field
         let user;
-        if (currentPassword && newPassword) {
+        if (changePassword) {
             user = await User.findById(req.user._id).select('+password');
         } else {
             user = req.user;
         }
         
+        if (email !== undefined && email !== user.email) {
+            const emailError = await userService.checkEmailAvailable(email, user._id);
+            if (emailError) return sendFieldError(res, emailError.errors);
+        }
+        
         // Update basic info
         if (fullName !== undefined) user.fullName = fullName;
         if (email !== undefined) user.email = email;
         if (phone !== undefined) user.phone = phone;
         
         // Change password
-        if (currentPassword && newPassword) {
+        if (changePassword) {
             const isPasswordValid = await user.comparePassword(currentPassword);
             
             if (!isPasswordValid) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Password hiện tại không đúng'
-                });
-            }
-            
-            if (newPassword.length < 6) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Password mới phải có ít nhất 6 ký tự'
-                });
+                return sendFieldError(res, 'currentPassword', 'Password hiện tại không đúng');
             }
             
             user.password = newPassword;
@@ -157,10 +620,15 @@ router.put('/me', authenticate, async (req, res) => {
         
         await user.save();
         
+        // Đổi password → đăng xuất mọi thiết bị khác (giữ phiên hiện tại)
+        if (changePassword) {
+            await Session.revokeAllForUser(user._id, 'revoked', req.sessionId);
+        }
+        
         return res.json({
             success: true,
             message: 'Cập nhật thông tin thành công',
-            data: user.toSafeObject()
+            data: { ...user.toSafeObject(), permissions: [...req.permissions] }
         });
         
     } catch (error) {
@@ -173,71 +641,180 @@ router.put('/me', authenticate, async (req, res) => {
     }
 });
 
-// ============================================
-// ADMIN ONLY ROUTES
-// ============================================
+/**
+ * GET /api/auth/sessions
+ * Danh sách thiết bị đang đăng nhập của user hiện tại
+ */
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId, req.sessionId);
+        
+        return res.json({
+            success: true,
+            data: sessions
+        });
+        
+    } catch (error) {
+        console.error('❌ List sessions error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
 
 /**
- * POST /api/auth/users
- * Tạo user mới (Admin only)
+ * DELETE /api/auth/sessions
+ * Đăng xuất tất cả thiết bị khác (giữ phiên hiện tại)
  */
-router.post('/users', authenticate, requireAdmin, async (req, res) => {
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
     try {
-        const { username, password, role, fullName, email, phone } = req.body;
+        const revoked = await Session.revokeAllForUser(req.userId, 'revoked', req.sessionId);
         
-        // Validate input
-        if (!username || !password) {
+        return res.json({
+            success: true,
+            message: `Đã đăng xuất ${revoked} thiết bị khác`,
+            data: { revoked }
+        });
+        
+    } catch (error) {
+        console.error('❌ Revoke sessions error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Thu hồi một thiết bị (chỉ phiên của chính mình)
+ */
+router.delete('/sessions/:id', authenticate, requireSession, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Username và password là bắt buộc'
+                message: 'ID phiên không hợp lệ'
             });
         }
         
-        if (password.length < 6) {
-            return res.status(400).json({
+        const revoked = await sessionService.revokeSession(req.params.id, req.userId);
+        
+        if (!revoked) {
+            return res.status(404).json({
                 success: false,
-                message: 'Password phải có ít nhất 6 ký tự'
+                message: 'Không tìm thấy phiên đăng nhập'
             });
         }
         
-        // Check if username exists
-        const existingUser = await User.findOne({ username });
+        return res.json({
+            success: true,
+            message: 'Đã đăng xuất thiết bị'
+        });
         
-        if (existingUser) {
+    } catch (error) {
+        console.error('❌ Revoke session error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// API KEY CÁ NHÂN
+// ============================================
+
+/**
+ * GET /api/auth/api-keys
+ * Danh sách API key của user hiện tại (không có key gốc)
+ */
+router.get('/api-keys', authenticate, requireSession, async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(req.userId);
+        
+        return res.json({
+            success: true,
+            data: keys
+        });
+        
+    } catch (error) {
+        console.error('❌ List API keys error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Tạo API key - key gốc chỉ trả về trong response này
+ * Body: { name, scopes: ['links:write', ...], expiresInDays }
+ */
+router.post('/api-keys', authenticate, requireSession, async (req, res) => {
+    try {
+        const result = await apiKeyService.createKey(req.user, req.body, req.permissions);
+        
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Username đã tồn tại'
+                message: result.error
             });
         }
         
-        // Create user
-        const user = await User.create({
-            username,
-            password,
-            role: role || 'user',
-            fullName,
-            email,
-            phone,
-            createdBy: req.userId
-        });
-        
         return res.status(201).json({
             success: true,
-            message: 'Tạo user thành công',
-            data: user.toSafeObject()
+            message: 'Đã tạo API key - hãy lưu lại ngay, key sẽ không hiện lại',
+            data: { ...result.apiKey, key: result.key }
         });
         
     } catch (error) {
-        console.error('❌ Create user error:', error);
-        
-        if (error.name === 'ValidationError') {
+        console.error('❌ Create API key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Thu hồi API key (chỉ key của chính mình)
+ */
+router.delete('/api-keys/:id', authenticate, requireSession, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Dữ liệu không hợp lệ',
-                errors: Object.values(error.errors).map(err => err.message)
+                message: 'ID API key không hợp lệ'
             });
         }
         
+        const revoked = await apiKeyService.revokeKey(req.params.id, req.userId);
+        
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy API key'
+            });
+        }
+        
+        console.log(`🔑 [ApiKey] ${req.user.username} thu hồi key ${req.params.id}`);
+        
+        return res.json({
+            success: true,
+            message: 'Đã thu hồi API key'
+        });
+        
+    } catch (error) {
+        console.error('❌ Revoke API key error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -246,69 +823,55 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
     }
 });
 
+// ============================================
+// XÁC THỰC 2 LỚP (TOTP)
+// ============================================
+
 /**
- * GET /api/auth/users
- * Lấy danh sách users (Admin only)
+ * GET /api/auth/2fa
+ * Trạng thái 2FA của user hiện tại
  */
-router.get('/users', authenticate, requireAdmin, async (req, res) => {
+router.get('/2fa', authenticate, requireSession, async (req, res) => {
     try {
-        const { page = 1, limit = 20, role, isActive } = req.query;
+        const user = await twoFactorService.loadUser(req.userId);
         
-        const result = await User.getAllUsers({
-            page: parseInt(page),
-            limit: parseInt(limit),
-            role,
-            isActive: isActive !== undefined ? isActive === 'true' : undefined
+        return res.json({
+            success: true,
+            data: await twoFactorService.getStatus(user)
         });
         
-        // Lấy thống kê thực tế cho mỗi user
-        const Link = require('../models/Link');
-        const Campaign = require('../models/Campaign');
+    } catch (error) {
+        console.error('❌ Get 2FA status error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Sinh secret mới (chưa bật cho đến khi xác nhận mã)
+ */
+router.post('/2fa/setup', authenticate, requireSession, async (req, res) => {
+    try {
+        const user = await twoFactorService.loadUser(req.userId);
         
-        const usersWithStats = await Promise.all(result.users.map(async (user) => {
-            const userObj = user.toObject();
-            
-            // Đếm số links và campaigns thực tế
-            const [linksCount, campaignsCount, linksStats] = await Promise.all([
-                Link.countDocuments({ userId: user._id }),
-                Campaign.countDocuments({ userId: user._id }),
-                Link.aggregate([
-                    { $match: { userId: user._id } },
-                    { 
-                        $group: { 
-                            _id: null, 
-                            totalClicks: { $sum: '$totalClicks' },
-                            validClicks: { $sum: '$validClicks' }
-                        } 
-                    }
-                ])
-            ]);
-            
-            const clickStats = linksStats[0] || { totalClicks: 0, validClicks: 0 };
-            
-            // Cập nhật stats object
-            userObj.stats = {
-                linksCreated: linksCount,
-                campaignsCreated: campaignsCount,
-                totalClicks: clickStats.totalClicks,
-                validClicks: clickStats.validClicks
-            };
-            
-            return userObj;
-        }));
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Xác thực 2 lớp đã được bật'
+            });
+        }
         
         return res.json({
             success: true,
-            data: {
-                users: usersWithStats,
-                total: result.total,
-                page: result.page,
-                pages: result.pages
-            }
+            data: await twoFactorService.beginSetup(user)
         });
         
     } catch (error) {
-        console.error('❌ Get users error:', error);
+        console.error('❌ 2FA setup error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -318,29 +881,38 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
 });
 
 /**
- * GET /api/auth/users/:id
- * Lấy thông tin user theo ID (Admin only)
+ * POST /api/auth/2fa/enable
+ * Xác nhận mã từ app authenticator → bật 2FA, trả mã khôi phục (chỉ hiện 1 lần)
+ * Body: { code }
  */
-router.get('/users/:id', authenticate, requireAdmin, async (req, res) => {
+router.post('/2fa/enable', authenticate, requireSession, async (req, res) => {
     try {
-        const user = await User.findById(req.params.id)
-            .select('-password')
-            .populate('createdBy', 'username fullName');
+        const user = await twoFactorService.loadUser(req.userId);
         
-        if (!user) {
-            return res.status(404).json({
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Xác thực 2 lớp đã được bật'
+            });
+        }
+        
+        const recoveryCodes = await twoFactorService.confirmSetup(user, req.body.code);
+        
+        if (!recoveryCodes) {
+            return res.status(400).json({
                 success: false,
-                message: 'Không tìm thấy user'
+                message: 'Mã xác thực không đúng'
             });
         }
         
         return res.json({
             success: true,
-            data: user
+            message: 'Đã bật xác thực 2 lớp',
+            data: { recoveryCodes }
         });
         
     } catch (error) {
-        console.error('❌ Get user error:', error);
+        console.error('❌ 2FA enable error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -350,50 +922,52 @@ router.get('/users/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 /**
- * PUT /api/auth/users/:id
- * Cập nhật user (Admin only)
+ * POST /api/auth/2fa/disable
+ * Tắt 2FA (không cho phép khi tài khoản admin đang bị bắt buộc)
+ * Body: { password, code } hoặc { password, recoveryCode }
  */
-router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
+router.post('/2fa/disable', authenticate, requireSession, async (req, res) => {
     try {
-        const { fullName, email, phone, role, isActive, password } = req.body;
+        const { password, code, recoveryCode } = req.body;
+        const user = await twoFactorService.loadUser(req.userId).select('+password');
         
-        const user = await User.findById(req.params.id);
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Xác thực 2 lớp chưa được bật'
+            });
+        }
         
-        if (!user) {
-            return res.status(404).json({
+        if (await twoFactorService.isRequiredFor(user)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Không tìm thấy user'
+                message: 'Tài khoản admin bắt buộc xác thực 2 lớp, không thể tắt'
             });
         }
         
-        // Update fields
-        if (fullName !== undefined) user.fullName = fullName;
-        if (email !== undefined) user.email = email;
-        if (phone !== undefined) user.phone = phone;
-        if (role !== undefined) user.role = role;
-        if (isActive !== undefined) user.isActive = isActive;
+        if (!password || !(await user.comparePassword(password))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password không đúng'
+            });
+        }
         
-        // Update password nếu có
-        if (password) {
-            if (password.length < 6) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Password phải có ít nhất 6 ký tự'
-                });
-            }
-            user.password = password;
+        if (!(await twoFactorService.verifyUserCode(user, { code, recoveryCode }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mã xác thực không đúng'
+            });
         }
         
-        await user.save();
+        await twoFactorService.disable(user);
         
         return res.json({
             success: true,
-            message: 'Cập nhật user thành công',
-            data: user.toSafeObject()
+            message: 'Đã tắt xác thực 2 lớp'
         });
         
     } catch (error) {
-        console.error('❌ Update user error:', error);
+        console.error('❌ 2FA disable error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -403,39 +977,104 @@ router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 /**
- * DELETE /api/auth/users/:id
- * Xóa user (soft delete - set isActive = false) (Admin only)
+ * POST /api/auth/2fa/recovery-codes
+ * Cấp lại bộ mã khôi phục (bộ cũ hết hiệu lực)
+ * Body: { code } - mã TOTP hiện tại
  */
-router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
+router.post('/2fa/recovery-codes', authenticate, requireSession, async (req, res) => {
     try {
-        const user = await User.findById(req.params.id);
+        const user = await twoFactorService.loadUser(req.userId);
         
-        if (!user) {
-            return res.status(404).json({
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
                 success: false,
-                message: 'Không tìm thấy user'
+                message: 'Xác thực 2 lớp chưa được bật'
             });
         }
         
-        // Không cho xóa chính mình
-        if (user._id.toString() === req.userId.toString()) {
+        if (!(await twoFactorService.verifyUserCode(user, { code: req.body.code }))) {
             return res.status(400).json({
                 success: false,
-                message: 'Không thể xóa chính mình'
+                message: 'Mã xác thực không đúng'
             });
         }
         
-        // Soft delete
-        user.isActive = false;
-        await user.save();
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+        
+        return res.json({
+            success: true,
+            message: 'Đã tạo bộ mã khôi phục mới',
+            data: { recoveryCodes }
+        });
+        
+    } catch (error) {
+        console.error('❌ 2FA recovery codes error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/2fa/policy
+ * Chính sách 2FA (Admin only)
+ */
+router.get('/2fa/policy', authenticate, requireSession, requirePermission('users:manage'), async (req, res) => {
+    try {
+        return res.json({
+            success: true,
+            data: { requireForAdmins: await twoFactorService.isRequiredForAdmins() }
+        });
+    } catch (error) {
+        console.error('❌ Get 2FA policy error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/auth/2fa/policy
+ * Bật / tắt bắt buộc 2FA cho mọi tài khoản admin (Admin only)
+ * Body: { requireForAdmins }
+ */
+router.put('/2fa/policy', authenticate, requireSession, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const previous = await twoFactorService.isRequiredForAdmins();
+        const result = await twoFactorService.setAdminPolicy(Boolean(req.body.requireForAdmins), req.user);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        auditService.record(req, {
+            action: 'setting.update',
+            targetType: 'setting',
+            targetId: Setting.KEYS.REQUIRE_ADMIN_TWO_FACTOR,
+            targetLabel: 'Bắt buộc 2FA cho admin',
+            changes: {
+                requireForAdmins: { from: previous, to: result.requireForAdmins },
+                ...(result.revokedSessions > 0 && { revokedSessions: { from: null, to: result.revokedSessions } })
+            }
+        });
         
         return res.json({
             success: true,
-            message: 'Xóa user thành công'
+            message: result.requireForAdmins
+                ? `Đã bắt buộc 2FA cho admin (đăng xuất ${result.revokedSessions} phiên của admin chưa bật 2FA)`
+                : 'Đã bỏ bắt buộc 2FA cho admin',
+            data: result
         });
         
     } catch (error) {
-        console.error('❌ Delete user error:', error);
+        console.error('❌ Update 2FA policy error:', error);
         return res.status(500).json({
             success: false,
             message: 'Lỗi server',
@@ -444,4 +1083,10 @@ router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
     }
 });
 
+// ============================================
+// USER MANAGEMENT (deprecated alias → /api/v1/users)
+// ============================================
+
+router.use('/users', legacyUserRoutes.authUsers);
+
 module.exports = router;
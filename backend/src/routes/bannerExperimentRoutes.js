@@ -0,0 +1,297 @@
+/**
+ * Banner Experiment Routes
+ *
+ * API Endpoints cho thí nghiệm A/B banner (xem models/BannerExperiment.js), giới hạn trong workspace đang dùng:
+ * - GET /api/banner-experiments - Danh sách thí nghiệm + báo cáo (query: status)
+ * - GET /api/banner-experiments/:id - Chi tiết + báo cáo CTR, khoảng tin cậy, kiểm định
+ * - POST /api/banner-experiments - Tạo thí nghiệm draft (banners:write + editor workspace)
+ * - PUT /api/banner-experiments/:id - Sửa thí nghiệm draft (banners:write + editor workspace)
+ * - DELETE /api/banner-experiments/:id - Xóa thí nghiệm không chạy (banners:write + editor workspace)
+ * - POST /api/banner-experiments/:id/start - Bắt đầu, bật các biến thể (banners:publish)
+ * - POST /api/banner-experiments/:id/stop - Dừng, chốt số liệu (banners:publish)
+ * - POST /api/banner-experiments/:id/promote - Chọn biến thể thắng, tắt các biến thể thua (banners:publish)
+ *
+ * Body / params / query kiểm tra theo schema (middleware/validate.js), lỗi dữ liệu: 400 { message, errors: [{ field, message }] }
+ */
+
+const express = require('express');
+const router = express.Router();
+const Banner = require('../models/Banner');
+const BannerExperiment = require('../models/BannerExperiment');
+const bannerExperimentService = require('../services/bannerExperimentService');
+const auditService = require('../services/auditService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const { validate, sendError, sendFieldError } = require('../middleware/validate');
+const { CONFIDENCE_LEVELS } = require('../utils/abStats');
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const idParams = {
+    id: { type: 'objectId', required: true, label: 'ID thí nghiệm' }
+};
+
+const experimentFields = {
+    name: { type: 'string', trim: true, maxLength: 100, label: 'Tên thí nghiệm' },
+    hypothesis: { type: 'string', trim: true, maxLength: 1000, label: 'Giả thuyết' },
+    type: { type: 'string', enum: Banner.TYPES, label: 'Vị trí hiển thị' },
+    bannerIds: {
+        type: 'array',
+        maxItems: BannerExperiment.MAX_VARIANTS,
+        items: { type: 'objectId', required: true, label: 'ID banner' },
+        label: 'Biến thể',
+        check: (ids) => {
+            if (ids.length < BannerExperiment.MIN_VARIANTS) return `Chọn ít nhất ${BannerExperiment.MIN_VARIANTS} banner`;
+            return new Set(ids).size !== ids.length ? 'Banner bị chọn trùng' : null;
+        }
+    },
+    confidenceLevel: {
+        type: 'number',
+        label: 'Mức tin cậy',
+        check: (level) => (CONFIDENCE_LEVELS.includes(level) ? null : `Mức tin cậy phải là: ${CONFIDENCE_LEVELS.join(', ')}`)
+    },
+    minImpressions: { type: 'integer', min: 0, max: 1000000, label: 'Lượt xem tối thiểu' }
+};
+
+const createBody = {
+    ...experimentFields,
+    name: { ...experimentFields.name, required: true },
+    type: { ...experimentFields.type, required: true },
+    bannerIds: { ...experimentFields.bannerIds, required: true }
+};
+
+const listQuery = {
+    status: { type: 'string', enum: BannerExperiment.STATUSES, label: 'Trạng thái' }
+};
+
+const promoteBody = {
+    bannerId: { type: 'objectId', required: true, label: 'Banner thắng' }
+};
+
+/**
+ * Helper: Trả lỗi từ bannerExperimentService
+ */
+const sendResultError = (res, result) => (result.errors
+    ? sendFieldError(res, result.errors)
+    : sendError(res, result.status, result.message));
+
+/**
+ * Middleware: Tìm thí nghiệm theo :id trong workspace đang dùng → req.experiment
+ */
+const loadExperiment = async (req, res, next) => {
+    try {
+        const experiment = await BannerExperiment.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+        if (!experiment) {
+            return sendError(res, 404, 'Không tìm thấy thí nghiệm');
+        }
+
+        req.experiment = experiment;
+        next();
+    } catch (error) {
+        console.error('❌ Load experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+};
+
+/**
+ * Helper: Ghi nhật ký thao tác trên thí nghiệm
+ */
+const recordAudit = (req, action, experiment, extra = {}) => auditService.record(req, {
+    action: `experiment.${action}`,
+    targetType: 'experiment',
+    targetId: experiment._id,
+    targetLabel: experiment.name,
+    ...extra
+});
+
+/**
+ * GET /api/banner-experiments
+ * Danh sách thí nghiệm của workspace (mới nhất trước), kèm báo cáo
+ */
+router.get('/', authenticate, resolveWorkspace, validate({ query: listQuery }), async (req, res) => {
+    try {
+        const query = { workspaceId: req.workspace._id };
+        if (req.query.status) query.status = req.query.status;
+
+        const experiments = await BannerExperiment.find(query).sort({ createdAt: -1 }).limit(100);
+        const data = await Promise.all(experiments.map(experiment => bannerExperimentService.withReport(experiment)));
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('❌ List experiments error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * GET /api/banner-experiments/:id
+ * Chi tiết thí nghiệm + báo cáo
+ */
+router.get('/:id', authenticate, resolveWorkspace, validate({ params: idParams }), loadExperiment, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await bannerExperimentService.withReport(req.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Get experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/banner-experiments
+ * Tạo thí nghiệm (draft)
+ * Body: { name, hypothesis, type, bannerIds, confidenceLevel, minImpressions } - banner đầu tiên là đối chứng
+ */
+router.post('/', authenticate, requirePermission('banners:write'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ body: createBody }), async (req, res) => {
+    try {
+        const result = await bannerExperimentService.createExperiment(req.body, {
+            user: req.user,
+            workspace: req.workspace
+        });
+        if (!result.experiment) return sendResultError(res, result);
+
+        recordAudit(req, 'create', result.experiment, { after: result.experiment });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo thí nghiệm thành công',
+            data: await bannerExperimentService.withReport(result.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Create experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * PUT /api/banner-experiments/:id
+ * Sửa thí nghiệm chưa bắt đầu
+ */
+router.put('/:id', authenticate, requirePermission('banners:write'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ params: idParams, body: experimentFields }), loadExperiment, async (req, res) => {
+    try {
+        const before = req.experiment.toObject();
+        const result = await bannerExperimentService.updateExperiment(req.experiment, req.body);
+        if (!result.experiment) return sendResultError(res, result);
+
+        recordAudit(req, 'update', result.experiment, { before, after: result.experiment });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật thí nghiệm thành công',
+            data: await bannerExperimentService.withReport(result.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Update experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * DELETE /api/banner-experiments/:id
+ * Xóa thí nghiệm (không xóa banner); đang chạy thì phải dừng trước
+ */
+router.delete('/:id', authenticate, requirePermission('banners:write'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ params: idParams }), loadExperiment, async (req, res) => {
+    try {
+        if (req.experiment.status === 'running') {
+            return sendError(res, 409, 'Hãy dừng thí nghiệm trước khi xóa');
+        }
+
+        await req.experiment.deleteOne();
+
+        recordAudit(req, 'delete', req.experiment, { before: req.experiment });
+
+        res.json({
+            success: true,
+            message: 'Đã xóa thí nghiệm'
+        });
+    } catch (error) {
+        console.error('❌ Delete experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/banner-experiments/:id/start
+ * Bắt đầu thí nghiệm: chụp baseline stats, bật các biến thể
+ */
+router.post('/:id/start', authenticate, requirePermission('banners:publish'), resolveWorkspace, validate({ params: idParams }), loadExperiment, async (req, res) => {
+    try {
+        const result = await bannerExperimentService.startExperiment(req.experiment);
+        if (!result.experiment) return sendResultError(res, result);
+
+        recordAudit(req, 'start', result.experiment, { changes: { status: { from: 'draft', to: 'running' } } });
+
+        console.log(`🧪 [Experiment] ${req.user.username} bắt đầu "${result.experiment.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Đã bắt đầu thí nghiệm',
+            data: await bannerExperimentService.withReport(result.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Start experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/banner-experiments/:id/stop
+ * Dừng thí nghiệm, chốt số liệu (banner giữ nguyên trạng thái)
+ */
+router.post('/:id/stop', authenticate, requirePermission('banners:publish'), resolveWorkspace, validate({ params: idParams }), loadExperiment, async (req, res) => {
+    try {
+        const result = await bannerExperimentService.stopExperiment(req.experiment);
+        if (!result.experiment) return sendResultError(res, result);
+
+        recordAudit(req, 'stop', result.experiment, { changes: { status: { from: 'running', to: 'stopped' } } });
+
+        res.json({
+            success: true,
+            message: 'Đã dừng thí nghiệm',
+            data: await bannerExperimentService.withReport(result.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Stop experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/banner-experiments/:id/promote
+ * Chọn biến thể thắng: tắt các biến thể thua, kết thúc thí nghiệm
+ * Body: { bannerId }
+ */
+router.post('/:id/promote', authenticate, requirePermission('banners:publish'), resolveWorkspace, validate({ params: idParams, body: promoteBody }), loadExperiment, async (req, res) => {
+    try {
+        const previousStatus = req.experiment.status;
+        const result = await bannerExperimentService.promoteWinner(req.experiment, req.body.bannerId);
+        if (!result.experiment) return sendResultError(res, result);
+
+        recordAudit(req, 'promote', result.experiment, {
+            changes: {
+                status: { from: previousStatus, to: 'completed' },
+                winnerBannerId: { from: null, to: req.body.bannerId }
+            }
+        });
+
+        console.log(`🏆 [Experiment] "${result.experiment.name}": chọn banner ${req.body.bannerId}, tắt ${result.deactivated} biến thể`);
+
+        res.json({
+            success: true,
+            message: `Đã chọn biến thể thắng, tắt ${result.deactivated} biến thể còn lại`,
+            data: await bannerExperimentService.withReport(result.experiment)
+        });
+    } catch (error) {
+        console.error('❌ Promote experiment error:', error);
+        sendError(res, 500, 'Lỗi server');
+    }
+});
+
+module.exports = router;
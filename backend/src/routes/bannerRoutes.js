@@ -6,22 +6,147 @@
  * Public:
  * - GET /api/banners/random - Get random active banner (A/B testing)
  * - POST /api/banners/:id/click - Record banner click
+ * - POST /api/banners/:id/impression - Viewability beacon (≥ 50% trong 1 giây, chống trùng theo pageViewId)
+ * - POST /api/banners/:id/dismiss - Khách đóng banner (ẩn trong dismissCooldownHours giờ)
+ * GET /random và /public/all nhận visitorId + sessionId: bỏ banner khách đã đóng / đã xem đủ frequencyCap
  * 
- * Admin (require auth):
+ * Auth required (quyền banners:write, banners:publish - xem models/Role.js), giới hạn trong workspace đang dùng:
  * - GET /api/banners - Get all banners
  * - GET /api/banners/stats - Get aggregated stats
+ * - GET /api/banners/:id/stats - Served / lượt xem / click / CTR theo giờ hoặc ngày (from, to, granularity)
  * - GET /api/banners/active/:type - Get active banners by type
  * - GET /api/banners/:id - Get banner by ID
- * - POST /api/banners - Create banner
- * - PUT /api/banners/:id - Update banner
- * - DELETE /api/banners/:id - Delete banner
- * - POST /api/banners/:id/toggle - Toggle active status
+ * - POST /api/banners - Create banner (banners:write + editor workspace; chưa có banners:publish → tạo ở trạng thái tắt)
+ * - PUT /api/banners/:id - Update banner (banners:write + editor workspace, hoặc banners:publish)
+ * - DELETE /api/banners/:id - Delete banner (banners:publish)
+ * - POST /api/banners/:id/toggle - Toggle active status (banners:publish)
+ * - GET /api/banners/allocation - Allocation mode of every placement (weighted | thompson | epsilon_greedy)
+ * - PUT /api/banners/allocation/:type - Update allocation mode (banners:publish)
+ * - GET /api/banners/allocation/:type/decisions - Recent bandit decisions + reasons
+ *
+ * Body / params / query kiểm tra theo schema (middleware/validate.js), lỗi dữ liệu: 400 { message, errors: [{ field, message }] }
  */
 
 const express = require('express');
 const router = express.Router();
 const bannerController = require('../controllers/bannerController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, allowApiKey, requirePermission } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const Banner = require('../models/Banner');
+const BannerStatsBucket = require('../models/BannerStatsBucket');
+const bannerAllocationService = require('../services/bannerAllocationService');
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const idParams = {
+    id: { type: 'objectId', required: true, label: 'ID banner' }
+};
+
+// Field banner client được gửi (field khác như stats, createdBy, workspaceId bị bỏ)
+const bannerFields = {
+    name: { type: 'string', trim: true, maxLength: 100, label: 'Tên banner' },
+    imageUrl: { type: 'string', trim: true, maxLength: 2000, label: 'Ảnh banner' },
+    mobileImageUrl: { type: 'string', trim: true, maxLength: 2000, nullable: true, label: 'Ảnh mobile' },
+    targetSlug: { type: 'string', trim: true, lowercase: true, maxLength: 100, label: 'Bài viết liên kết' },
+    targetUrl: { type: 'string', trim: true, maxLength: 2000, nullable: true, label: 'Link đích' },
+    type: { type: 'string', enum: Banner.TYPES, label: 'Loại banner' },
+    weight: { type: 'number', min: 0, max: 100, label: 'Trọng số' },
+    priority: { type: 'integer', label: 'Độ ưu tiên' },
+    displayWidth: { type: 'number', min: 1, max: 100, label: 'Chiều rộng hiển thị' },
+    mobileOnly: { type: 'boolean', label: 'Chỉ mobile' },
+    desktopOnly: { type: 'boolean', label: 'Chỉ desktop' },
+    targetArticles: { type: 'array', maxItems: 200, items: { type: 'string', trim: true, lowercase: true }, label: 'Bài viết hiển thị' },
+    targetCategories: { type: 'array', maxItems: 100, items: { type: 'string', trim: true }, label: 'Danh mục hiển thị' },
+    startDate: { type: 'date', nullable: true, label: 'Ngày bắt đầu' },
+    endDate: {
+        type: 'date',
+        nullable: true,
+        label: 'Ngày kết thúc',
+        check: (endDate, values) => (values.startDate && new Date(values.startDate) >= endDate
+            ? 'Ngày kết thúc phải sau ngày bắt đầu'
+            : null)
+    },
+    altText: { type: 'string', trim: true, maxLength: 200, label: 'Alt text' },
+    showDelay: { type: 'integer', min: 0, label: 'Độ trễ hiển thị' },
+    autoHideAfter: { type: 'integer', min: 0, label: 'Tự ẩn sau' },
+    dismissible: { type: 'boolean', label: 'Cho phép đóng' },
+    frequencyCap: { type: 'integer', min: 0, max: 1000, label: 'Giới hạn lượt xem' },
+    frequencyPeriod: { type: 'string', enum: Banner.FREQUENCY_PERIODS, label: 'Chu kỳ giới hạn' },
+    dismissCooldownHours: { type: 'integer', min: 0, max: 24 * 90, label: 'Ẩn sau khi đóng' },
+    notes: { type: 'string', trim: true, maxLength: 1000, label: 'Ghi chú' },
+    isActive: { type: 'boolean', label: 'Trạng thái' }
+};
+
+const createBody = {
+    ...bannerFields,
+    name: { ...bannerFields.name, required: true },
+    imageUrl: { ...bannerFields.imageUrl, required: true },
+    targetSlug: { ...bannerFields.targetSlug, required: true, message: 'Vui lòng chọn bài viết liên kết' }
+};
+
+const listQuery = {
+    type: { type: 'string', enum: Banner.TYPES, label: 'Loại banner' },
+    isActive: { type: 'boolean', label: 'isActive' },
+    page: { type: 'integer', min: 1, label: 'page' },
+    limit: { type: 'integer', min: 1, max: 100, label: 'limit' }
+};
+
+const typeParams = {
+    type: { type: 'string', required: true, enum: Banner.TYPES, label: 'Loại banner' }
+};
+
+// Khách (first-party, do trình duyệt sinh) - frequency cap / dismissal
+const visitorFields = {
+    visitorId: { type: 'string', trim: true, maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'visitorId không hợp lệ', label: 'visitorId' },
+    sessionId: { type: 'string', trim: true, maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'sessionId không hợp lệ', label: 'sessionId' }
+};
+
+const randomQuery = {
+    type: { type: 'string', enum: Banner.TYPES, label: 'Loại banner' },
+    device: { type: 'string', trim: true, maxLength: 20, label: 'device' },
+    articleSlug: { type: 'string', trim: true, maxLength: 100, label: 'articleSlug' },
+    category: { type: 'string', trim: true, maxLength: 100, label: 'category' },
+    ...visitorFields
+};
+
+const dismissBody = {
+    ...visitorFields,
+    visitorId: { ...visitorFields.visitorId, required: true }
+};
+
+const impressionBody = {
+    pageViewId: {
+        type: 'string',
+        required: true,
+        trim: true,
+        maxLength: 64,
+        pattern: /^[A-Za-z0-9_-]+$/,
+        patternMessage: 'pageViewId không hợp lệ',
+        label: 'pageViewId'
+    },
+    ...visitorFields
+};
+
+const bannerStatsQuery = {
+    from: { type: 'date', label: 'from' },
+    to: { type: 'date', label: 'to' },
+    granularity: { type: 'string', enum: BannerStatsBucket.GRANULARITIES, label: 'granularity' }
+};
+
+const allocationBody = {
+    mode: { type: 'string', required: true, enum: bannerAllocationService.ALLOCATION_MODES, label: 'Chế độ phân bổ' },
+    explorationFloor: { type: 'number', min: 0, max: 0.5, label: 'Tỉ lệ khám phá' },
+    warmupImpressions: { type: 'integer', min: 0, max: 100000, label: 'Lượt xem warm-up' }
+};
+
+const decisionsQuery = {
+    bannerId: { type: 'objectId', label: 'bannerId' },
+    hours: { type: 'integer', min: 1, max: 24 * 30, label: 'hours' },
+    limit: { type: 'integer', min: 1, max: 200, label: 'limit' }
+};
 
 // =================================================================
 // PUBLIC ROUTES (No auth required)
@@ -32,19 +157,31 @@ const { authenticate, requireAdmin } = require('../middleware/auth');
  * Get random active banner for A/B testing
  * Query params: type, device, articleSlug, category
  */
-router.get('/random', bannerController.getRandom);
+router.get('/random', validate({ query: randomQuery }), bannerController.getRandom);
 
 /**
  * GET /api/banners/public/all
  * Get all active banners for homepage display (public, no auth)
  */
-router.get('/public/all', bannerController.getAllActivePublic);
+router.get('/public/all', validate({ query: visitorFields }), bannerController.getAllActivePublic);
 
 /**
  * POST /api/banners/:id/click
  * Record banner click (tracking)
  */
-router.post('/:id/click', bannerController.recordClick);
+router.post('/:id/click', validate({ params: idParams }), bannerController.recordClick);
+
+/**
+ * POST /api/banners/:id/impression
+ * Record viewable impression (banner đã hiển thị trong viewport)
+ */
+router.post('/:id/impression', validate({ params: idParams, body: impressionBody }), bannerController.recordImpression);
+
+/**
+ * POST /api/banners/:id/dismiss
+ * Remember dismissal for this visitor (cool-down)
+ */
+router.post('/:id/dismiss', validate({ params: idParams, body: dismissBody }), bannerController.recordDismiss);
 
 // =================================================================
 // ADMIN ROUTES (Auth required)
@@ -54,49 +191,73 @@ router.post('/:id/click', bannerController.recordClick);
  * GET /api/banners/stats
  * Get aggregated statistics for all banners
  */
-router.get('/stats', authenticate, bannerController.getStats);
+router.get('/stats', authenticate, allowApiKey, resolveWorkspace, bannerController.getStats);
+
+/**
+ * GET /api/banners/allocation
+ * Get allocation mode of every placement
+ */
+router.get('/allocation', authenticate, allowApiKey, bannerController.getAllocation);
+
+/**
+ * PUT /api/banners/allocation/:type
+ * Update allocation mode of a placement
+ */
+router.put('/allocation/:type', authenticate, requirePermission('banners:publish'), validate({ params: typeParams, body: allocationBody }), bannerController.updateAllocation);
+
+/**
+ * GET /api/banners/allocation/:type/decisions
+ * Recent allocation decisions (why each banner was served)
+ */
+router.get('/allocation/:type/decisions', authenticate, allowApiKey, resolveWorkspace, validate({ params: typeParams, query: decisionsQuery }), bannerController.getAllocationDecisions);
 
 /**
  * GET /api/banners/active/:type
  * Get all active banners by type
  */
-router.get('/active/:type', authenticate, bannerController.getActiveByType);
+router.get('/active/:type', authenticate, allowApiKey, resolveWorkspace, validate({ params: typeParams }), bannerController.getActiveByType);
 
 /**
  * GET /api/banners
  * Get all banners with pagination
  * Query params: type, isActive, page, limit
  */
-router.get('/', authenticate, bannerController.getAll);
+router.get('/', authenticate, allowApiKey, resolveWorkspace, validate({ query: listQuery }), bannerController.getAll);
+
+/**
+ * GET /api/banners/:id/stats
+ * Time series stats of a banner
+ */
+router.get('/:id/stats', authenticate, allowApiKey, resolveWorkspace, validate({ params: idParams, query: bannerStatsQuery }), bannerController.getBannerStats);
 
 /**
  * GET /api/banners/:id
  * Get specific banner by ID
  */
-router.get('/:id', authenticate, bannerController.getById);
+router.get('/:id', authenticate, allowApiKey, resolveWorkspace, validate({ params: idParams }), bannerController.getById);
 
 /**
  * POST /api/banners
  * Create new banner
  */
-router.post('/', authenticate, bannerController.create);
+router.post('/', authenticate, requirePermission('banners:write'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ body: createBody }), bannerController.create);
 
 /**
  * PUT /api/banners/:id
  * Update banner
  */
-router.put('/:id', authenticate, bannerController.update);
+router.put('/:id', authenticate, requirePermission('banners:write'), resolveWorkspace, validate({ params: idParams, body: bannerFields }), bannerController.update);
 
 /**
  * DELETE /api/banners/:id
  * Delete banner
  */
-router.delete('/:id', authenticate, requireAdmin, bannerController.remove);
+router.delete('/:id', authenticate, requirePermission('banners:publish'), resolveWorkspace, validate({ params: idParams }), bannerController.remove);
 
 /**
  * POST /api/banners/:id/toggle
  * Toggle banner active status
  */
-router.post('/:id/toggle', authenticate, requireAdmin, bannerController.toggleActive);
+router.post('/:id/toggle', authenticate, requirePermission('banners:publish'), resolveWorkspace, validate({ params: idParams }), bannerController.toggleActive);
 
 module.exports = router;
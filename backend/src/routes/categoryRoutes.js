@@ -6,18 +6,78 @@
  * Public:
  * - GET /api/categories/public - Lấy danh mục active
  * 
- * Admin (require auth):
- * - GET /api/categories - Lấy tất cả danh mục
- * - POST /api/categories - Tạo danh mục mới
- * - PUT /api/categories/:id - Cập nhật danh mục
- * - DELETE /api/categories/:id - Xóa danh mục
+ * Auth required (workspace đang dùng - header X-Workspace-Id):
+ * - GET /api/categories - Danh mục dùng chung + danh mục của workspace
+ * - POST /api/categories - Tạo danh mục trong workspace (quyền categories:manage, editor workspace)
+ * - PUT /api/categories/:id - Cập nhật danh mục (quyền categories:manage)
+ * - DELETE /api/categories/:id - Xóa danh mục (quyền categories:manage)
+ *
+ * Danh mục dùng chung (workspaceId null) sửa / xóa được từ mọi workspace
+ * Body / params kiểm tra theo schema (middleware/validate.js), lỗi dữ liệu: 400 { message, errors: [{ field, message }] }
  */
 
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
 const Link = require('../models/Link');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, allowApiKey, requirePermission } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole, inActiveWorkspace } = require('../middleware/workspace');
+const { validate, sendFieldError } = require('../middleware/validate');
+const auditService = require('../services/auditService');
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const idParams = {
+    id: { type: 'objectId', required: true, label: 'ID danh mục' }
+};
+
+// Field danh mục client được gửi (_id, workspaceId, articleCount... bị bỏ)
+const categoryFields = {
+    name: { type: 'string', trim: true, maxLength: 100, label: 'Tên danh mục' },
+    slug: {
+        type: 'string',
+        trim: true,
+        lowercase: true,
+        maxLength: 100,
+        pattern: /^[a-z0-9-]+$/,
+        patternMessage: 'Slug chỉ gồm chữ thường không dấu, số và dấu gạch ngang',
+        label: 'Slug'
+    },
+    description: { type: 'string', trim: true, maxLength: 500, label: 'Mô tả' },
+    color: {
+        type: 'string',
+        trim: true,
+        pattern: /^#[0-9a-fA-F]{3,8}$/,
+        patternMessage: 'Màu phải ở dạng hex (VD: #D31016)',
+        label: 'Màu'
+    },
+    icon: { type: 'string', trim: true, maxLength: 50, label: 'Icon' },
+    sortOrder: { type: 'integer', label: 'Thứ tự' },
+    isActive: { type: 'boolean', label: 'Trạng thái' }
+};
+
+const createBody = {
+    ...categoryFields,
+    name: { ...categoryFields.name, required: true },
+    slug: { ...categoryFields.slug, required: true }
+};
+
+/**
+ * Helper: Điều kiện links thuộc phạm vi danh mục
+ * Danh mục của workspace → links của workspace đó, danh mục dùng chung → mọi link
+ */
+const linkScope = (category) => (category.workspaceId ? { workspaceId: category.workspaceId } : {});
+
+/**
+ * Helper: Tìm danh mục theo :id trong phạm vi workspace đang dùng (dùng chung hoặc của workspace)
+ */
+const findScopedCategory = async (req) => {
+    const category = await Category.findById(req.params.id);
+    if (!category || (category.workspaceId && !inActiveWorkspace(req, category))) return null;
+    return category;
+};
 
 // =================================================================
 // PUBLIC ROUTES
@@ -41,7 +101,7 @@ router.get('/public', async (req, res) => {
         console.error('❌ [CategoryRoutes] Get public error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get categories'
+            message: 'Failed to get categories'
         });
     }
 });
@@ -52,18 +112,20 @@ router.get('/public', async (req, res) => {
 
 /**
  * GET /api/categories
- * Lấy tất cả danh mục (admin)
+ * Lấy danh mục dùng chung + danh mục của workspace đang dùng (admin)
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, allowApiKey, resolveWorkspace, async (req, res) => {
     try {
-        const categories = await Category.find()
-            .sort({ sortOrder: 1, name: 1 });
+        const categories = await Category.find({
+            $or: [{ workspaceId: null }, { workspaceId: req.workspace._id }]
+        }).sort({ sortOrder: 1, name: 1 });
 
-        // Count articles for each category
+        // Count articles for each category (trong workspace đang dùng)
         const categoriesWithCount = await Promise.all(
             categories.map(async (cat) => {
                 const count = await Link.countDocuments({ 
                     category: cat.name, 
+                    workspaceId: req.workspace._id,
                     isActive: true 
                 });
                 return {
@@ -81,48 +143,48 @@ router.get('/', authenticate, async (req, res) => {
         console.error('❌ [CategoryRoutes] GetAll error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get categories'
+            message: 'Failed to get categories'
         });
     }
 });
 
 /**
  * POST /api/categories
- * Tạo danh mục mới
+ * Tạo danh mục mới trong workspace đang dùng
  */
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('categories:manage'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ body: createBody }), async (req, res) => {
     try {
         const { name, slug, description, color, icon, sortOrder } = req.body;
 
-        if (!name || !slug) {
-            return res.status(400).json({
-                success: false,
-                error: 'Tên và slug là bắt buộc'
-            });
-        }
-
         // Check duplicate
         const existing = await Category.findOne({ 
-            $or: [{ name }, { slug: slug.toLowerCase() }] 
+            $or: [{ name }, { slug }] 
         });
         if (existing) {
-            return res.status(400).json({
-                success: false,
-                error: 'Danh mục hoặc slug đã tồn tại'
-            });
+            return sendFieldError(res, existing.name === name ? 'name' : 'slug',
+                existing.name === name ? 'Tên danh mục đã tồn tại' : 'Slug đã tồn tại');
         }
 
         const category = new Category({
             name,
-            slug: slug.toLowerCase(),
+            slug,
             description: description || '',
             color: color || '#D31016',
             icon: icon || '',
-            sortOrder: sortOrder || 0
+            sortOrder: sortOrder || 0,
+            workspaceId: req.workspace._id
         });
 
         await category.save();
 
+        auditService.record(req, {
+            action: 'category.create',
+            targetType: 'category',
+            targetId: category._id,
+            targetLabel: category.name,
+            after: category
+        });
+
         res.status(201).json({
             success: true,
             data: category,
@@ -132,7 +194,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
         console.error('❌ [CategoryRoutes] Create error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to create category'
+            message: error.message || 'Failed to create category'
         });
     }
 });
@@ -141,31 +203,37 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
  * PUT /api/categories/:id
  * Cập nhật danh mục
  */
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('categories:manage'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ params: idParams, body: categoryFields }), async (req, res) => {
     try {
         const { id } = req.params;
+        // Chỉ gồm field khai báo trong schema (slug đã lowercase)
         const updates = req.body;
 
-        delete updates._id;
-        delete updates.createdAt;
-        delete updates.updatedAt;
-
-        if (updates.slug) {
-            updates.slug = updates.slug.toLowerCase();
-        }
-
         // If name changed, update all links with old category name
-        const oldCategory = await Category.findById(id);
+        const oldCategory = await findScopedCategory(req);
         if (!oldCategory) {
             return res.status(404).json({
                 success: false,
-                error: 'Danh mục không tồn tại'
+                message: 'Danh mục không tồn tại'
             });
         }
 
+        // Trùng tên / slug với danh mục khác
+        const duplicate = (updates.name || updates.slug) && await Category.findOne({
+            _id: { $ne: oldCategory._id },
+            $or: [
+                ...(updates.name ? [{ name: updates.name }] : []),
+                ...(updates.slug ? [{ slug: updates.slug }] : [])
+            ]
+        });
+        if (duplicate) {
+            return sendFieldError(res, duplicate.name === updates.name ? 'name' : 'slug',
+                duplicate.name === updates.name ? 'Tên danh mục đã tồn tại' : 'Slug đã tồn tại');
+        }
+
         if (updates.name && updates.name !== oldCategory.name) {
             await Link.updateMany(
-                { category: oldCategory.name },
+                { ...linkScope(oldCategory), category: oldCategory.name },
                 { category: updates.name }
             );
         }
@@ -176,6 +244,15 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
             { new: true, runValidators: true }
         );
 
+        auditService.record(req, {
+            action: 'category.update',
+            targetType: 'category',
+            targetId: category._id,
+            targetLabel: category.name,
+            before: oldCategory,
+            after: category
+        });
+
         res.json({
             success: true,
             data: category,
@@ -185,7 +262,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
         console.error('❌ [CategoryRoutes] Update error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to update category'
+            message: error.message || 'Failed to update category'
         });
     }
 });
@@ -194,29 +271,37 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
  * DELETE /api/categories/:id
  * Xóa danh mục
  */
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('categories:manage'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ params: idParams }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        const category = await Category.findById(id);
+        const category = await findScopedCategory(req);
         if (!category) {
             return res.status(404).json({
                 success: false,
-                error: 'Danh mục không tồn tại'
+                message: 'Danh mục không tồn tại'
             });
         }
 
         // Check if any articles use this category
-        const articleCount = await Link.countDocuments({ category: category.name });
+        const articleCount = await Link.countDocuments({ ...linkScope(category), category: category.name });
         if (articleCount > 0) {
             return res.status(400).json({
                 success: false,
-                error: `Không thể xóa: có ${articleCount} bài viết đang sử dụng danh mục này`
+                message: `Không thể xóa: có ${articleCount} bài viết đang sử dụng danh mục này`
             });
         }
 
         await Category.findByIdAndDelete(id);
 
+        auditService.record(req, {
+            action: 'category.delete',
+            targetType: 'category',
+            targetId: category._id,
+            targetLabel: category.name,
+            before: category
+        });
+
         res.json({
             success: true,
             message: 'Xóa danh mục thành công'
@@ -225,7 +310,7 @@ router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
         console.error('❌ [CategoryRoutes] Delete error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to delete category'
+            message: error.message || 'Failed to delete category'
         });
     }
 });
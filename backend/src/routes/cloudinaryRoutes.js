@@ -3,6 +3,7 @@
  * 
  * Upload ảnh/video lên Cloudinary
  * POST /api/upload - Upload file lên Cloudinary
+ * User đăng nhập → file nằm trong thư mục của workspace đang dùng (shoppe/workspaces/<id>/...)
  */
 
 const express = require('express');
@@ -10,7 +11,10 @@ const router = express.Router();
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
 
 // Configure Cloudinary from environment variables
 cloudinary.config({
@@ -33,8 +37,8 @@ const storage = new CloudinaryStorage({
             resourceType = 'video';
         }
         
-        // Add 'shoppe' prefix to all folders
-        const fullFolder = `shoppe/${folder}`;
+        // Add 'shoppe' prefix to all folders (workspace đang dùng → thư mục riêng của workspace)
+        const fullFolder = `shoppe/${workspaceService.uploadFolder(req.workspace?._id, folder)}`;
         
         return {
             folder: fullFolder,
@@ -80,7 +84,7 @@ const upload = multer({
  * Requires authentication
  * Returns Cloudinary URL
  */
-router.post('/', (req, res, next) => {
+router.post('/', optionalAuthenticate, resolveWorkspace, (req, res, next) => {
     upload.single('file')(req, res, (err) => {
         if (err) {
             const statusCode = err instanceof multer.MulterError ? 400 : 400;
@@ -121,6 +125,17 @@ router.post('/', (req, res, next) => {
             }
         }
 
+        // Upload ẩn danh (form public) không phải thao tác quản trị → không ghi nhật ký
+        if (req.user) {
+            auditService.record(req, {
+                action: 'upload.create',
+                targetType: 'upload',
+                targetId: file.filename,
+                targetLabel: file.originalname,
+                after: { url: file.path, type: isVideo ? 'video' : 'image', size: file.size }
+            });
+        }
+
         return res.json({
             success: true,
             data: {
@@ -147,7 +162,7 @@ router.post('/', (req, res, next) => {
  * POST /api/upload/multiple
  * Upload multiple files to Cloudinary
  */
-router.post('/multiple', authenticate, upload.array('files', 10), async (req, res) => {
+router.post('/multiple', authenticate, resolveWorkspace, upload.array('files', 10), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -173,6 +188,16 @@ router.post('/multiple', authenticate, upload.array('files', 10), async (req, re
             };
         });
 
+        req.files.forEach((file, index) => {
+            auditService.record(req, {
+                action: 'upload.create',
+                targetType: 'upload',
+                targetId: file.filename,
+                targetLabel: file.originalname,
+                after: { url: file.path, type: uploadedFiles[index].type, size: file.size }
+            });
+        });
+
         return res.json({
             success: true,
             data: uploadedFiles
@@ -202,6 +227,14 @@ router.delete('/:publicId', authenticate, async (req, res) => {
         });
 
         if (result.result === 'ok') {
+            auditService.record(req, {
+                action: 'upload.delete',
+                targetType: 'upload',
+                targetId: publicId,
+                targetLabel: publicId,
+                changes: { type: { from: type || 'image', to: null } }
+            });
+
             return res.json({
                 success: true,
                 message: 'Xóa file thành công'
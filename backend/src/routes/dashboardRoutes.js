@@ -1,42 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, allowApiKey, hasPermission } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
 const User = require('../models/User');
 const Link = require('../models/Link');
+const ClickRollup = require('../models/ClickRollup');
 const Campaign = require('../models/Campaign');
 
 /**
  * Dashboard Routes
  * 
+ * Số liệu links / lượt click giới hạn trong workspace đang dùng (header X-Workspace-Id)
+ * 
  * GET /api/dashboard/stats - Lấy thống kê dashboard
  * GET /api/dashboard/hourly-traffic - Lấy traffic theo giờ hôm nay
  */
 
 /**
  * GET /api/dashboard/stats
- * Lấy thống kê dashboard (phân quyền Admin/User)
+ * Lấy thống kê dashboard của workspace đang dùng
+ * Quyền analytics:view-all xem thêm số user / campaign toàn hệ thống
  */
-router.get('/stats', authenticate, async (req, res) => {
+router.get('/stats', authenticate, allowApiKey, resolveWorkspace, async (req, res) => {
     try {
-        const isAdmin = req.user.role === 'admin';
+        const canViewAll = hasPermission(req, 'analytics:view-all');
         const userId = req.user._id;
+        const workspaceId = req.workspace._id;
+
+        // Links + tổng lượt truy cập của workspace
+        const [totalLinks, linkIds] = await Promise.all([
+            Link.countDocuments({ workspaceId, isActive: true }),
+            Link.find({ workspaceId }).distinct('_id')
+        ]);
+        const clickTotals = await ClickRollup.getTotals({ linkIds });
+        const totalClicks = clickTotals.validClicks;
 
         let stats = {};
 
-        if (isAdmin) {
-            // Admin: xem toàn bộ thống kê
-            const [totalLinks, totalUsers, totalCampaigns] = await Promise.all([
-                Link.countDocuments({ isActive: true }),
+        if (canViewAll) {
+            // analytics:view-all: campaign / user toàn hệ thống
+            const [totalUsers, totalCampaigns] = await Promise.all([
                 User.countDocuments({ isActive: true }),
                 Campaign.countDocuments()
             ]);
 
-            // Tổng lượt truy cập từ tất cả links
-            const clicksAggregation = await Link.aggregate([
-                { $group: { _id: null, totalClicks: { $sum: '$validClicks' } } }
-            ]);
-            const totalClicks = clicksAggregation[0]?.totalClicks || 0;
-
             stats = {
                 totalLinks,
                 totalUsers,
@@ -45,21 +52,11 @@ router.get('/stats', authenticate, async (req, res) => {
                 isAdmin: true
             };
         } else {
-            // User: chỉ xem dữ liệu của mình
-            const [userLinks, userCampaigns] = await Promise.all([
-                Link.countDocuments({ userId: userId, isActive: true }),
-                Campaign.countDocuments({ userId: userId })
-            ]);
-
-            // Tổng lượt truy cập chỉ thuộc user này
-            const clicksAggregation = await Link.aggregate([
-                { $match: { userId: userId } },
-                { $group: { _id: null, totalClicks: { $sum: '$validClicks' } } }
-            ]);
-            const totalClicks = clicksAggregation[0]?.totalClicks || 0;
+            // Campaign chưa thuộc workspace → chỉ campaign của mình
+            const userCampaigns = await Campaign.countDocuments({ userId: userId });
 
             stats = {
-                totalLinks: userLinks,
+                totalLinks,
                 totalClicks,
                 totalCampaigns: userCampaigns,
                 isAdmin: false
@@ -83,51 +80,35 @@ router.get('/stats', authenticate, async (req, res) => {
 
 /**
  * GET /api/dashboard/hourly-traffic
- * Lấy traffic theo khung giờ trong ngày hôm nay
+ * Lấy traffic theo khung giờ trong ngày hôm nay (links của workspace đang dùng)
  */
-router.get('/hourly-traffic', authenticate, async (req, res) => {
+router.get('/hourly-traffic', authenticate, allowApiKey, resolveWorkspace, async (req, res) => {
     try {
-        const isAdmin = req.user.role === 'admin';
-        const userId = req.user._id;
-
         // Lấy ngày hôm nay (00:00:00 - 23:59:59)
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
 
-        // Match condition based on role
-        const matchCondition = isAdmin 
-            ? {} 
-            : { userId: userId };
-
-        // Aggregate clicks by hour
-        const hourlyData = await Link.aggregate([
-            { $match: matchCondition },
-            { $unwind: '$clickLogs' },
-            { 
-                $match: {
-                    'clickLogs.clickedAt': { $gte: today, $lt: tomorrow }
-                }
-            },
-            {
-                $group: {
-                    _id: { $hour: '$clickLogs.clickedAt' },
-                    clicks: { $sum: 1 }
-                }
-            },
-            { $sort: { _id: 1 } }
-        ]);
+        const linkIds = await Link.find({ workspaceId: req.workspace._id }).distinct('_id');
 
-        // Format data for chart (24 hours)
-        const trafficByHour = Array.from({ length: 24 }, (_, hour) => {
-            const found = hourlyData.find(d => d._id === hour);
-            return {
-                hour: `${hour.toString().padStart(2, '0')}:00`,
-                clicks: found ? found.clicks : 0
-            };
+        // Đọc rollup theo giờ
+        const hourlyData = await ClickRollup.getSeries({
+            linkIds,
+            granularity: 'hour',
+            from: today,
+            to: tomorrow
         });
 
+        // Format data for chart (24 hours, giờ server)
+        const trafficByHour = Array.from({ length: 24 }, (_, hour) => ({
+            hour: `${hour.toString().padStart(2, '0')}:00`,
+            clicks: 0
+        }));
+        for (const bucket of hourlyData) {
+            trafficByHour[new Date(bucket.bucketStart).getHours()].clicks += bucket.totalClicks;
+        }
+
         return res.json({
             success: true,
             data: trafficByHour
@@ -145,17 +126,13 @@ router.get('/hourly-traffic', authenticate, async (req, res) => {
 
 /**
  * GET /api/dashboard/recent-links
- * Lấy links gần đây
+ * Lấy links gần đây của workspace đang dùng
  */
-router.get('/recent-links', authenticate, async (req, res) => {
+router.get('/recent-links', authenticate, allowApiKey, resolveWorkspace, async (req, res) => {
     try {
-        const isAdmin = req.user.role === 'admin';
-        const userId = req.user._id;
         const limit = parseInt(req.query.limit) || 5;
 
-        const query = isAdmin ? {} : { userId: userId };
-
-        const recentLinks = await Link.find(query)
+        const recentLinks = await Link.find({ workspaceId: req.workspace._id })
             .sort({ createdAt: -1 })
             .limit(limit)
             .populate('userId', 'username fullName')
@@ -0,0 +1,134 @@
+/**
+ * Legacy User Routes
+ *
+ * Alias deprecated của /api/v1/users (routes/userManagementRoutes.js), giữ nguyên hợp đồng API cũ cho client chưa chuyển:
+ * - /api/auth/users*: danh sách trả data: { users, total, page, pages }, lọc ?isActive=true|false
+ * - /api/users: danh sách trả data: [users] + total, displayName = fullName, không xóa được admin
+ * - Xóa (cả 2 alias): message "Xóa user thành công" (vẫn là soft delete như API mới)
+ *
+ * Phân quyền, kiểm tra dữ liệu, audit log dùng chung với API mới
+ */
+
+const express = require('express');
+const userManagementRoutes = require('./userManagementRoutes');
+const userService = require('../services/userService');
+const { deprecatedAlias } = require('../middleware/deprecation');
+
+const OBJECT_ID_PATH = /^\/[0-9a-f]{24}$/i;
+
+/**
+ * Helper: Loại request theo method + path (tương đối với alias)
+ */
+const routeOf = (req) => {
+    if (req.path === '/') {
+        if (req.method === 'GET') return 'list';
+        if (req.method === 'POST') return 'create';
+    }
+    if (OBJECT_ID_PATH.test(req.path)) {
+        if (req.method === 'PUT') return 'update';
+        if (req.method === 'DELETE') return 'delete';
+    }
+    return null;
+};
+
+/**
+ * Middleware: Đổi response thành công của API mới sang dạng cũ
+ * @param {Object} transforms - { list, create, update, delete }: (body) => body cũ
+ */
+const legacyResponse = (transforms) => (req, res, next) => {
+    const transform = transforms[routeOf(req)];
+    if (!transform) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(body && body.success ? transform(body) : body);
+    next();
+};
+
+const deletedMessage = (body) => ({ ...body, message: 'Xóa user thành công' });
+
+// =================================================================
+// /api/auth/users*
+// =================================================================
+
+const authUsers = express.Router();
+
+authUsers.use(deprecatedAlias('/api/v1/users'));
+
+// ?isActive=true|false → ?status=active|inactive
+authUsers.use((req, res, next) => {
+    if (routeOf(req) === 'list' && req.query.isActive !== undefined && req.query.status === undefined) {
+        req.query.status = req.query.isActive === 'true' ? 'active' : 'inactive';
+    }
+    next();
+});
+
+authUsers.use(legacyResponse({
+    list: (body) => ({
+        success: true,
+        data: {
+            users: body.data,
+            total: body.pagination.total,
+            page: body.pagination.page,
+            pages: body.pagination.pages
+        }
+    }),
+    delete: deletedMessage
+}));
+
+authUsers.use(userManagementRoutes);
+
+// =================================================================
+// /api/users
+// =================================================================
+
+const users = express.Router();
+
+users.use(deprecatedAlias('/api/v1/users'));
+
+users.use((req, res, next) => {
+    const route = routeOf(req);
+
+    // API cũ trả toàn bộ user (không phân trang) → lấy trang lớn nhất
+    if (route === 'list' && req.query.limit === undefined) {
+        req.query.limit = String(userService.MAX_LIMIT);
+    }
+
+    // API cũ nhận displayName thay cho fullName
+    if ((route === 'create' || route === 'update') && req.body
+        && req.body.displayName !== undefined && req.body.fullName === undefined) {
+        req.body.fullName = req.body.displayName;
+    }
+
+    // API cũ không cho xóa admin (xem userService.deactivateUser)
+    if (route === 'delete') {
+        res.locals.protectAdmin = true;
+    }
+
+    next();
+});
+
+users.use(legacyResponse({
+    list: (body) => ({
+        success: true,
+        data: body.data,
+        total: body.pagination.total
+    }),
+    create: (body) => ({
+        success: true,
+        message: body.message,
+        data: {
+            _id: body.data._id,
+            username: body.data.username,
+            displayName: body.data.fullName,
+            role: body.data.role
+        }
+    }),
+    delete: deletedMessage
+}));
+
+users.use(userManagementRoutes);
+
+module.exports = {
+    authUsers,
+    users
+};
@@ -2,25 +2,36 @@
  * Link Routes
  * 
  * API endpoints cho việc quản lý links với MongoDB
- * - Admin: Xem tất cả links với thông tin user sở hữu
- * - User: Chỉ xem links của mình
+ * - Danh sách / thao tác giới hạn trong workspace đang dùng (header X-Workspace-Id, xem middleware/workspace.js)
+ * - Thành viên workspace cùng xem links của workspace; editor / owner được sửa
+ * - Quyền links:manage-all: Mở được mọi workspace, sửa mọi link
+ * - Quyền links:write: Tạo / sửa link
+ * - Body / params / query kiểm tra theo schema (middleware/validate.js), lỗi dữ liệu: 400 { message, errors: [{ field, message }] }
  */
 
 const express = require('express');
 const router = express.Router();
 const linkService = require('../services/linkServiceMongo');
-const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { authenticate, allowApiKey, optionalAuthenticate, requirePermission, hasPermission } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole, inActiveWorkspace } = require('../middleware/workspace');
+const { validate, sendFieldError } = require('../middleware/validate');
 const Link = require('../models/Link');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
 const UploadService = require('../services/uploadService');
+const redirectTemplate = require('../services/redirectTemplateService');
+const revisionService = require('../services/revisionService');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
 
 /**
- * Helper: Nếu imageUrl là base64 data URL, upload lên Cloudinary và trả về URL thật
+ * Helper: Nếu imageUrl là base64 data URL, upload lên Cloudinary (thư mục của workspace) và trả về URL thật
  */
-async function resolveImageUrl(imageUrl) {
+async function resolveImageUrl(imageUrl, workspaceId) {
     if (imageUrl && imageUrl.startsWith('data:')) {
         try {
             console.log('🔄 [LinkRoutes] Converting base64 image to Cloudinary URL...');
-            const result = await UploadService.uploadBase64(imageUrl, 'articles/covers');
+            const result = await UploadService.uploadBase64(imageUrl, workspaceService.uploadFolder(workspaceId, 'articles/covers'));
             console.log('✅ [LinkRoutes] Cloudinary URL:', result.secureUrl);
             return result.secureUrl;
         } catch (error) {
@@ -31,6 +42,245 @@ async function resolveImageUrl(imageUrl) {
     return imageUrl;
 }
 
+const MAX_DESTINATIONS = 20;
+const DESTINATION_DEVICES = ['desktop', 'mobile', 'tablet'];
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const slugParams = {
+    slug: { type: 'string', required: true, trim: true, lowercase: true, maxLength: 100, label: 'Slug' }
+};
+
+const revisionParams = {
+    ...slugParams,
+    revision: { type: 'integer', required: true, min: 1, label: 'Revision' }
+};
+
+const listQuery = {
+    status: { type: 'string', enum: Link.STATUSES, label: 'Trạng thái' }
+};
+
+// 1 URL đích của link nhiều đích (counters do server giữ, không nhận từ client)
+const destinationShape = {
+    _id: { type: 'objectId', label: 'ID URL đích' },
+    label: { type: 'string', trim: true, maxLength: 100, label: 'Nhãn' },
+    url: { type: 'url', required: true, label: 'URL đích' },
+    weight: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Trọng số' },
+    devices: {
+        type: 'array',
+        items: { type: 'string', required: true, enum: DESTINATION_DEVICES, label: 'Thiết bị' },
+        label: 'Thiết bị'
+    },
+    startDate: { type: 'date', nullable: true, label: 'Ngày bắt đầu' },
+    endDate: {
+        type: 'date',
+        nullable: true,
+        label: 'Ngày kết thúc',
+        check: (endDate, dest) => (dest.startDate && new Date(dest.startDate) >= endDate
+            ? 'Ngày kết thúc phải sau ngày bắt đầu'
+            : null)
+    },
+    isActive: { type: 'boolean', label: 'Trạng thái' }
+};
+
+// Field link client được gửi khi tạo / sửa
+const linkBody = {
+    title: { type: 'string', trim: true, maxLength: 200, label: 'Tiêu đề' },
+    customSlug: {
+        type: 'string',
+        trim: true,
+        lowercase: true,
+        minLength: 2,
+        maxLength: 100,
+        pattern: /^[a-z0-9_-]+$/,
+        patternMessage: 'Slug chỉ chứa chữ, số, dấu gạch ngang',
+        label: 'Slug'
+    },
+    targetUrl: { type: 'url', label: 'URL đích' },
+    imageUrl: { type: 'string', trim: true, label: 'Ảnh' },
+    isActive: { type: 'boolean', label: 'Trạng thái' },
+    description: { type: 'string', trim: true, maxLength: 500, label: 'Mô tả' },
+    content: { type: 'string', label: 'Nội dung' },
+    category: { type: 'string', trim: true, maxLength: 100, label: 'Danh mục' },
+    author: { type: 'string', trim: true, maxLength: 100, label: 'Tác giả' },
+    publishedAt: { type: 'date', nullable: true, label: 'Ngày đăng' },
+    status: { type: 'string', enum: Link.STATUSES, label: 'Trạng thái xuất bản' },
+    expiresAt: { type: 'date', nullable: true, label: 'Ngày gỡ bài' },
+    redirectParams: { type: 'array', nullable: true, label: 'Tham số redirect' },
+    destinations: {
+        type: 'array',
+        nullable: true,
+        maxItems: MAX_DESTINATIONS,
+        items: { type: 'object', required: true, shape: destinationShape, label: 'URL đích' },
+        label: 'Danh sách URL đích'
+    }
+};
+
+const previewBody = {
+    targetUrl: { type: 'string', trim: true, label: 'URL đích' },
+    destinations: { type: 'array', maxItems: MAX_DESTINATIONS, label: 'Danh sách URL đích' },
+    redirectParams: linkBody.redirectParams,
+    slug: { type: 'string', trim: true, maxLength: 100, label: 'Slug' },
+    category: { type: 'string', trim: true, maxLength: 100, label: 'Danh mục' },
+    originalSlug: { type: 'string', trim: true, lowercase: true, maxLength: 100, label: 'Slug gốc' }
+};
+
+const trackBody = {
+    ip: { type: 'string', trim: true, maxLength: 64, label: 'IP' },
+    userAgent: { type: 'string', maxLength: 1000, label: 'User agent' },
+    referer: { type: 'string', maxLength: 2000, label: 'Referer' },
+    landingUrl: { type: 'string', maxLength: 2000, label: 'Landing URL' },
+    device: { type: 'string', enum: DESTINATION_DEVICES, label: 'Thiết bị' }
+};
+
+const revisionsQuery = {
+    limit: { type: 'integer', min: 1, label: 'limit' }
+};
+
+const diffQuery = {
+    from: { type: 'integer', required: true, min: 1, label: 'from' },
+    to: { type: 'integer', required: true, min: 1, label: 'to' }
+};
+
+const ownerBody = {
+    userId: { type: 'objectId', required: true, label: 'User nhận' }
+};
+
+/**
+ * Helper: Chuẩn hóa destinations (đã kiểm tra theo schema)
+ * Giữ _id + counters của destination cũ (không tin counters từ client)
+ * @param {Array|null} destinations - [{ _id?, label, url, weight, devices, startDate, endDate, isActive }]
+ * @param {Array} existing - destinations hiện tại của link (khi update)
+ * @returns {Array}
+ */
+function mergeDestinations(destinations, existing = []) {
+    if (!destinations) return [];
+
+    const existingById = new Map(existing.map(d => [d._id.toString(), d]));
+
+    return destinations.map(dest => {
+        const previous = dest._id ? existingById.get(dest._id) : null;
+
+        return {
+            ...(previous ? {
+                _id: previous._id,
+                totalClicks: previous.totalClicks,
+                validClicks: previous.validClicks,
+                lastClickedAt: previous.lastClickedAt
+            } : {}),
+            label: dest.label || '',
+            url: dest.url,
+            weight: dest.weight ?? 1,
+            devices: [...new Set(dest.devices || [])],
+            startDate: dest.startDate || null,
+            endDate: dest.endDate || null,
+            isActive: dest.isActive !== false
+        };
+    });
+}
+
+/**
+ * Helper: Trạng thái xuất bản + lịch gỡ bài từ request body (đã kiểm tra kiểu theo schema)
+ * - published với publishedAt tương lai được lưu thành scheduled (và ngược lại)
+ * @param {Object} input - { status, publishedAt, expiresAt }
+ * @param {Object} current - Link hiện tại khi update ({ status, publishedAt, expiresAt })
+ * @returns {Object} - { fields } (các field cần lưu) hoặc { errors: [{ field, message }] }
+ */
+function resolvePublishing(input, current = null) {
+    const { status, publishedAt, expiresAt } = input;
+    const now = new Date();
+
+    const nextPublishedAt = publishedAt !== undefined
+        ? (publishedAt || now)
+        : (current?.publishedAt || now);
+
+    const nextExpiresAt = expiresAt !== undefined
+        ? expiresAt
+        : (current?.expiresAt || null);
+    if (nextExpiresAt && nextExpiresAt <= nextPublishedAt) {
+        return { errors: [{ field: 'expiresAt', message: 'Ngày gỡ bài phải sau ngày đăng' }] };
+    }
+
+    const requested = status !== undefined ? status : (current?.status || 'published');
+    const nextStatus = Link.resolveStatus(requested, nextPublishedAt, now);
+    if (['published', 'scheduled'].includes(nextStatus) && nextExpiresAt && nextExpiresAt <= now) {
+        return { errors: [{ field: 'expiresAt', message: 'Ngày gỡ bài đã qua, hãy đổi ngày gỡ bài trước khi đăng lại' }] };
+    }
+
+    const fields = {};
+    if (!current || status !== undefined || publishedAt !== undefined) {
+        fields.status = nextStatus;
+        fields.archivedAt = nextStatus === 'archived'
+            ? (current?.status === 'archived' ? current.archivedAt : now)
+            : null;
+    }
+    if (expiresAt !== undefined) {
+        fields.expiresAt = nextExpiresAt;
+    }
+
+    return { fields };
+}
+
+/**
+ * Helper: Link cũ chưa gắn workspace, thuộc user hiện tại
+ */
+function isLegacyOwnLink(req, link) {
+    return !link.workspaceId && Boolean(link.userId && link.userId.toString() === req.user._id.toString());
+}
+
+/**
+ * Helper: Quyền links:manage-all được thao tác mọi link
+ * Còn lại: link thuộc workspace đang dùng + vai trò editor / owner (hoặc link cũ của chính mình)
+ */
+function canManageLink(req, link) {
+    if (hasPermission(req, 'links:manage-all')) return true;
+    if (inActiveWorkspace(req, link)) return Workspace.hasRole(req.workspaceRole, 'editor');
+    return isLegacyOwnLink(req, link);
+}
+
+/**
+ * Helper: Xem được link chưa public (draft, scheduled...) - mọi thành viên workspace
+ */
+function canViewLink(req, link) {
+    return hasPermission(req, 'links:manage-all') || inActiveWorkspace(req, link) || isLegacyOwnLink(req, link);
+}
+
+/**
+ * Middleware: Tìm link theo :slug và kiểm tra quyền sở hữu (dùng sau authenticate + resolveWorkspace)
+ * Link tìm được gắn vào req.link
+ */
+async function requireLinkOwner(req, res, next) {
+    try {
+        const link = await Link.findOne({ slug: req.params.slug })
+            .select('-clickLogs -clickedIPs');
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy link'
+            });
+        }
+
+        if (!canManageLink(req, link)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Bạn không có quyền thao tác link này'
+            });
+        }
+
+        req.link = link;
+        next();
+    } catch (error) {
+        console.error('Error checking link ownership:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể kiểm tra quyền sở hữu link'
+        });
+    }
+}
+
 /**
  * GET /api/links/public
  * Lấy danh sách tất cả links cho public (không cần đăng nhập)
@@ -38,7 +288,8 @@ async function resolveImageUrl(imageUrl) {
  */
 router.get('/public', async (req, res) => {
     try {
-        const links = await Link.find({ isActive: true })
+        // Chỉ bài đang public (published + tới publishedAt + chưa hết hạn)
+        const links = await Link.find(Link.publicFilter())
             .sort({ publishedAt: -1, createdAt: -1 })
             .select('slug title description imageUrl category author publishedAt createdAt validClicks totalClicks')
             .limit(100);
@@ -65,7 +316,7 @@ router.get('/public', async (req, res) => {
         console.error('Error getting public links:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể tải bài viết'
+            message: 'Không thể tải bài viết'
         });
     }
 });
@@ -73,41 +324,40 @@ router.get('/public', async (req, res) => {
 /**
  * GET /api/links
  * Lấy danh sách tất cả links
- * - Admin: Xem tất cả + populate userId
- * - User: Chỉ xem của mình
+ * Links của workspace đang dùng (mọi thành viên cùng xem) + populate userId
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, allowApiKey, resolveWorkspace, validate({ query: listQuery }), async (req, res) => {
     try {
-        const user = req.user;
-        const query = { isActive: true };
+        const query = { isActive: true, workspaceId: req.workspace._id };
 
-        // If the user is not an admin, only show their own links.
-        if (user.role !== 'admin') {
-            query.userId = user._id;
+        // Lọc theo trạng thái xuất bản (draft | scheduled | published | archived)
+        if (req.query.status) {
+            query.status = req.query.status;
         }
 
-        const linksQuery = Link.find(query)
+        // Populate người tạo - workspace có nhiều thành viên
+        const links = await Link.find(query)
             .sort({ createdAt: -1 })
-            .select('-clickLogs -clickedIPs');
-
-        // For admins, populate the user information
-        if (user.role === 'admin') {
-            linksQuery.populate('userId', 'username fullName');
-        }
-
-        const links = await linksQuery;
+            .select('-clickLogs -clickedIPs')
+            .populate('userId', 'username fullName');
         
         const formattedLinks = links.map(link => ({
             id: link._id,
             slug: link.slug,
             title: link.title,
             targetUrl: link.targetUrl,
+            destinations: link.destinations || [],
+            redirectParams: link.redirectParams || [],
             imageUrl: link.imageUrl,
             description: link.description || '',
             content: link.content || '',
             category: link.category || '',
             author: link.author || '',
             publishedAt: link.publishedAt,
+            status: link.status || 'published',
+            expiresAt: link.expiresAt,
+            archivedAt: link.archivedAt,
+            isPublic: link.isAvailable(),
             clicks: link.validClicks || 0,
             totalClicks: link.totalClicks || 0,
             uniqueIPs: link.uniqueIPs || 0,
@@ -130,23 +380,36 @@ router.get('/', authenticate, async (req, res) => {
         console.error('Error getting links:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể lấy danh sách links'
+            message: 'Không thể lấy danh sách links'
         });
     }
 });
 /**
  * GET /api/links/:slug
  * Lấy thông tin chi tiết một link (public - bao gồm content)
+ * Bài chưa public (draft, scheduled, archived, hết hạn) chỉ thành viên workspace / quyền links:manage-all xem được
+ * Slug cũ → 301 sang /api/links/:slugHiệnTại
  */
-router.get('/:slug', async (req, res) => {
+router.get('/:slug', optionalAuthenticate, allowApiKey, resolveWorkspace, validate({ params: slugParams }), async (req, res) => {
     try {
         const { slug } = req.params;
         const link = await linkService.getLinkBySlug(slug);
         
+        // Slug cũ (đã đổi) → 301 sang slug hiện tại
         if (!link) {
+            const currentSlug = await Link.findCurrentSlug(slug);
+            if (currentSlug) {
+                const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+                return res.redirect(301, `${req.baseUrl}/${currentSlug}${query}`);
+            }
+        }
+        
+        const canPreview = link && req.user && canViewLink(req, link);
+        
+        if (!link || (!link.isAvailable() && !canPreview)) {
             return res.status(404).json({
                 success: false,
-                error: 'Không tìm thấy link'
+                message: 'Không tìm thấy link'
             });
         }
         
@@ -163,6 +426,8 @@ router.get('/:slug', async (req, res) => {
                 category: link.category,
                 author: link.author,
                 publishedAt: link.publishedAt,
+                status: link.status || 'published',
+                expiresAt: link.expiresAt,
                 clicks: link.validClicks,
                 totalClicks: link.totalClicks,
                 invalidClicks: link.invalidClicks,
@@ -175,24 +440,26 @@ router.get('/:slug', async (req, res) => {
         console.error('Error getting link:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể lấy thông tin link'
+            message: 'Không thể lấy thông tin link'
         });
     }
 });
 
 /**
  * POST /api/links/:slug/track
- * Track click cho một link (public - gọi từ frontend)
+ * Ghi nhận click thủ công cho một link (chủ link / quyền links:manage-all)
+ * Click thật từ người dùng đi qua /go/:slug
  */
-router.post('/:slug/track', async (req, res) => {
+router.post('/:slug/track', authenticate, requirePermission('links:write'), resolveWorkspace, validate({ params: slugParams, body: trackBody }), requireLinkOwner, async (req, res) => {
     try {
         const { slug } = req.params;
-        const { ip, userAgent, referer, device } = req.body;
+        const { ip, userAgent, referer, landingUrl, device } = req.body;
         
         const clickResult = await linkService.recordClick(slug, {
             ip: ip || req.ip,
             userAgent: userAgent || req.headers['user-agent'],
             referer: referer || req.headers.referer,
+            landingUrl,
             device: device || 'desktop',
             isValid: true // Frontend calls are considered valid
         });
@@ -205,24 +472,33 @@ router.post('/:slug/track', async (req, res) => {
         console.error('Error tracking click:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể tracking click'
+            message: 'Không thể tracking click'
         });
     }
 });
 
 /**
  * GET /api/links/:slug/stats
- * Lấy thống kê của một link
+ * Lấy thống kê của một link (có click gần đây kèm IP / user agent → chỉ thành viên workspace của link / links:manage-all)
  */
-router.get('/:slug/stats', async (req, res) => {
+router.get('/:slug/stats', authenticate, allowApiKey, resolveWorkspace, validate({ params: slugParams }), async (req, res) => {
     try {
         const { slug } = req.params;
-        const stats = await linkService.getLinkStats(slug);
+        const link = await Link.findOne({ slug }).select('userId workspaceId').lean();
+        
+        if (link && !canViewLink(req, link)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Bạn không có quyền xem thống kê link này'
+            });
+        }
+        
+        const stats = link ? await linkService.getLinkStats(slug) : null;
         
         if (!stats) {
             return res.status(404).json({
                 success: false,
-                error: 'Không tìm thấy link'
+                message: 'Không tìm thấy link'
             });
         }
         
@@ -234,16 +510,16 @@ router.get('/:slug/stats', async (req, res) => {
         console.error('Error getting link stats:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể lấy thống kê'
+            message: 'Không thể lấy thống kê'
         });
     }
 });
 
 /**
  * POST /api/links
- * Tạo link mới
+ * Tạo link mới trong workspace đang dùng (vai trò editor trở lên)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('links:write'), resolveWorkspace, requireWorkspaceRole('editor'), validate({ body: linkBody }), async (req, res) => {
     try {
         const { 
             title, 
@@ -254,24 +530,36 @@ router.post('/', authenticate, async (req, res) => {
             content,
             category,
             author,
-            publishedAt
+            publishedAt,
+            status,
+            expiresAt,
+            redirectParams,
+            destinations
         } = req.body;
         const userId = req.user._id; // Get userId from authenticated user
         
-        // Validate URL format if targetUrl is provided
-        if (targetUrl) {
-            try {
-                new URL(targetUrl);
-            } catch (e) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'URL không hợp lệ'
-                });
+        // Slug đang dùng / vừa bị đổi hoặc xóa trong thời gian chờ → không cho dùng lại
+        if (customSlug) {
+            const slugError = await Link.freeSlug(customSlug);
+            if (slugError) {
+                return sendFieldError(res, 'customSlug', slugError);
             }
         }
         
+        // Validate redirect template
+        const template = redirectTemplate.sanitizeParams(redirectParams || []);
+        if (template.error) {
+            return sendFieldError(res, 'redirectParams', template.error);
+        }
+        
+        // Trạng thái xuất bản (mặc định published, publishedAt tương lai → scheduled)
+        const publishing = resolvePublishing({ status, publishedAt, expiresAt });
+        if (publishing.errors) {
+            return sendFieldError(res, publishing.errors);
+        }
+        
         // Convert base64 imageUrl to Cloudinary URL if needed
-        const resolvedImageUrl = await resolveImageUrl(imageUrl);
+        const resolvedImageUrl = await resolveImageUrl(imageUrl, req.workspace._id);
 
         // Pass all fields to service
         const link = await linkService.createLink({
@@ -284,7 +572,19 @@ router.post('/', authenticate, async (req, res) => {
             category,
             author,
             publishedAt,
-            userId // Pass userId to the service
+            redirectParams: template.params,
+            destinations: mergeDestinations(destinations),
+            ...publishing.fields,
+            userId, // Pass userId to the service
+            workspaceId: req.workspace._id
+        }, { editor: req.user });
+
+        auditService.record(req, {
+            action: 'link.create',
+            targetType: 'link',
+            targetId: link._id,
+            targetLabel: link.slug,
+            after: link
         });
         
         res.status(201).json({
@@ -296,16 +596,76 @@ router.post('/', authenticate, async (req, res) => {
         console.error('Error creating link:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể tạo link'
+            message: 'Không thể tạo link'
+        });
+    }
+});
+
+/**
+ * POST /api/links/redirect-preview
+ * Xem trước URL redirect cuối cùng sau khi áp dụng template (dùng cho form chỉnh sửa link)
+ * Body: { targetUrl, destinations, redirectParams, slug, category, originalSlug }
+ * - destinations: [{ url }] - trả về URL cuối cùng cho từng destination
+ * - originalSlug: slug của link đang sửa, để lấy template của user sở hữu link (phải có quyền sửa link đó)
+ */
+router.post('/redirect-preview', authenticate, requirePermission('links:write'), resolveWorkspace, validate({ body: previewBody }), async (req, res) => {
+    try {
+        const { targetUrl, destinations, redirectParams, slug, category, originalSlug } = req.body;
+
+        const template = redirectTemplate.sanitizeParams(redirectParams || []);
+        if (template.error) {
+            return sendFieldError(res, 'redirectParams', template.error);
+        }
+
+        // Link đang sửa → template của chủ link, link mới → template của user hiện tại
+        const existingLink = originalSlug
+            ? await Link.findOne({ slug: originalSlug }).select('_id userId workspaceId').lean()
+            : null;
+        if (existingLink && !canManageLink(req, existingLink)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Bạn không có quyền thao tác link này'
+            });
+        }
+        const ownerId = existingLink?.userId || req.user._id;
+        const owner = await User.findById(ownerId).select('username redirectParams').lean();
+
+        const link = {
+            _id: existingLink?._id,
+            slug: slug || originalSlug || '',
+            category,
+            targetUrl,
+            userId: ownerId,
+            redirectParams: template.params
+        };
+
+        const params = redirectTemplate.mergeParams(owner?.redirectParams, template.params);
+
+        res.json({
+            success: true,
+            data: {
+                finalUrl: redirectTemplate.resolveRedirectUrl(link, owner),
+                destinationUrls: (destinations || [])
+                    .map(dest => redirectTemplate.resolveRedirectUrl(link, owner, dest?.url || '')),
+                params,
+                variables: redirectTemplate.TEMPLATE_VARIABLES
+            }
+        });
+    } catch (error) {
+        console.error('Error previewing redirect:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể xem trước URL redirect'
         });
     }
 });
 
 /**
  * PUT /api/links/:slug
- * Cập nhật link
+ * Cập nhật link (chủ link / quyền links:manage-all, mỗi lần lưu được ghi thành 1 revision)
+ * Không đổi chủ sở hữu ở đây - dùng PUT /api/links/:slug/owner
  */
-router.put('/:slug', async (req, res) => {
+router.put('/:slug', authenticate, requirePermission('links:write'), resolveWorkspace, validate({ params: slugParams, body: linkBody }), requireLinkOwner, async (req, res) => {
     try {
         const { slug } = req.params;
         const { 
@@ -318,46 +678,46 @@ router.put('/:slug', async (req, res) => {
             category,
             author,
             publishedAt,
-            customSlug
+            status,
+            expiresAt,
+            customSlug,
+            redirectParams,
+            destinations
         } = req.body;
         
-        // Validate URL if provided
-        if (targetUrl) {
-            try {
-                new URL(targetUrl);
-            } catch (e) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'URL không hợp lệ'
-                });
+        // Validate redirect template if provided
+        const template = redirectParams !== undefined
+            ? redirectTemplate.sanitizeParams(redirectParams)
+            : null;
+        if (template && template.error) {
+            return sendFieldError(res, 'redirectParams', template.error);
+        }
+        
+        // Trạng thái xuất bản / lịch đăng / lịch gỡ bài
+        let publishing = null;
+        if (status !== undefined || publishedAt !== undefined || expiresAt !== undefined) {
+            publishing = resolvePublishing({ status, publishedAt, expiresAt }, req.link);
+            if (publishing.errors) {
+                return sendFieldError(res, publishing.errors);
             }
         }
         
-        // If customSlug is provided and different from current, check for duplicates
-        if (customSlug && customSlug.toLowerCase() !== slug.toLowerCase()) {
-            const existingLink = await Link.findOne({ slug: customSlug.toLowerCase() });
-            if (existingLink) {
-                if (!existingLink.isActive) {
-                    // Bài cũ đã bị soft-delete, xóa hẳn để nhường slug
-                    await Link.findByIdAndDelete(existingLink._id);
-                    console.log(`🔄 Xóa link inactive cũ để tái sử dụng slug: ${customSlug}`);
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        error: `Slug "${customSlug}" đã được sử dụng bởi bài viết khác`
-                    });
-                }
+        // Đổi slug: kiểm tra trùng + thời gian chờ của slug cũ (slug cũ của chính link này được dùng lại)
+        if (customSlug && customSlug !== slug) {
+            const slugError = await Link.freeSlug(customSlug, req.link._id);
+            if (slugError) {
+                return sendFieldError(res, 'customSlug', slugError);
             }
         }
         
         // Convert base64 imageUrl to Cloudinary URL if needed
-        const resolvedImageUrl = imageUrl !== undefined ? await resolveImageUrl(imageUrl) : undefined;
+        const resolvedImageUrl = imageUrl !== undefined ? await resolveImageUrl(imageUrl, req.link.workspaceId) : undefined;
 
         // Xóa ảnh cũ trên Cloudinary nếu đang thay bằng ảnh mới
         if (resolvedImageUrl !== undefined) {
             try {
-                const currentLink = await Link.findOne({ slug: slug.toLowerCase() });
-                if (currentLink && currentLink.imageUrl && currentLink.imageUrl.includes('cloudinary.com') 
+                const currentLink = req.link;
+                if (currentLink.imageUrl && currentLink.imageUrl.includes('cloudinary.com') 
                     && currentLink.imageUrl !== resolvedImageUrl) {
                     const oldMatch = currentLink.imageUrl.match(/\/upload\/(?:v\d+\/)?(.*?)(?:\.\w+)?$/);
                     if (oldMatch && oldMatch[1]) {
@@ -374,7 +734,7 @@ router.put('/:slug', async (req, res) => {
         // Build update object - only include fields that are provided (not undefined)
         const updateData = {};
         if (title !== undefined) updateData.title = title;
-        if (customSlug !== undefined) updateData.slug = customSlug.toLowerCase();
+        if (customSlug !== undefined) updateData.slug = customSlug;
         if (targetUrl !== undefined) updateData.targetUrl = targetUrl;
         if (resolvedImageUrl !== undefined) updateData.imageUrl = resolvedImageUrl;
         if (isActive !== undefined) updateData.isActive = isActive;
@@ -383,15 +743,28 @@ router.put('/:slug', async (req, res) => {
         if (category !== undefined) updateData.category = category;
         if (author !== undefined) updateData.author = author;
         if (publishedAt !== undefined) updateData.publishedAt = publishedAt;
+        if (template) updateData.redirectParams = template.params;
+        // Giữ counters của destination cũ
+        if (destinations !== undefined) updateData.destinations = mergeDestinations(destinations, req.link.destinations || []);
+        if (publishing) Object.assign(updateData, publishing.fields);
         
-        const updatedLink = await linkService.updateLink(slug, updateData);
+        const updatedLink = await linkService.updateLink(slug, updateData, { editor: req.user });
         
         if (!updatedLink) {
             return res.status(404).json({
                 success: false,
-                error: 'Không tìm thấy link'
+                message: 'Không tìm thấy link'
             });
         }
+
+        auditService.record(req, {
+            action: 'link.update',
+            targetType: 'link',
+            targetId: updatedLink._id,
+            targetLabel: updatedLink.slug,
+            before: req.link,
+            after: updatedLink
+        });
         
         res.json({
             success: true,
@@ -402,16 +775,201 @@ router.put('/:slug', async (req, res) => {
         console.error('Error updating link:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể cập nhật link'
+            message: 'Không thể cập nhật link'
+        });
+    }
+});
+
+/**
+ * GET /api/links/:slug/revisions
+ * Danh sách revision (mới nhất trước, không kèm content)
+ * Query: limit (mặc định 50)
+ */
+router.get('/:slug/revisions', authenticate, allowApiKey, resolveWorkspace, validate({ params: slugParams, query: revisionsQuery }), requireLinkOwner, async (req, res) => {
+    try {
+        const revisions = await revisionService.listRevisions(req.link._id, { limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+    } catch (error) {
+        console.error('Error listing revisions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy lịch sử chỉnh sửa'
+        });
+    }
+});
+
+/**
+ * GET /api/links/:slug/revisions/diff?from=1&to=3
+ * So sánh 2 revision (content diff HTML theo từ + các field khác trước/sau)
+ */
+router.get('/:slug/revisions/diff', authenticate, allowApiKey, resolveWorkspace, validate({ params: slugParams, query: diffQuery }), requireLinkOwner, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const diff = await revisionService.diffRevisions(req.link._id, from, to);
+        if (!diff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy revision'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: diff
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể so sánh revision'
+        });
+    }
+});
+
+/**
+ * GET /api/links/:slug/revisions/:revision
+ * Chi tiết một revision (kèm snapshot đầy đủ)
+ */
+router.get('/:slug/revisions/:revision', authenticate, allowApiKey, resolveWorkspace, validate({ params: revisionParams }), requireLinkOwner, async (req, res) => {
+    try {
+        const revision = await revisionService.getRevision(req.link._id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy revision'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error getting revision:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy revision'
+        });
+    }
+});
+
+/**
+ * POST /api/links/:slug/revisions/:revision/restore
+ * Khôi phục nội dung bài viết về một revision (tạo revision mới)
+ * Không khôi phục slug và trạng thái xuất bản
+ */
+router.post('/:slug/revisions/:revision/restore', authenticate, requirePermission('links:write'), resolveWorkspace, validate({ params: revisionParams }), requireLinkOwner, async (req, res) => {
+    try {
+        const result = await revisionService.restoreRevision(req.link, req.params.revision, req.user);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy revision'
+            });
+        }
+
+        auditService.record(req, {
+            action: 'link.restore',
+            targetType: 'link',
+            targetId: result.link._id,
+            targetLabel: result.link.slug,
+            before: req.link,
+            after: result.link
+        });
+
+        res.json({
+            success: true,
+            data: {
+                link: result.link,
+                revision: result.revision ? result.revision.revision : null
+            },
+            message: `Đã khôi phục về revision #${req.params.revision}`
+        });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể khôi phục revision'
+        });
+    }
+});
+
+/**
+ * PUT /api/links/:slug/owner
+ * Chuyển quyền sở hữu link sang user khác (quyền links:manage-all)
+ * User nhận không phải thành viên workspace của link → link chuyển sang workspace cá nhân của user nhận
+ * Body: { userId }
+ */
+router.put('/:slug/owner', authenticate, requirePermission('links:manage-all'), validate({ params: slugParams, body: ownerBody }), async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const newOwner = await User.findById(userId).select('username fullName isActive');
+        if (!newOwner || !newOwner.isActive) {
+            return sendFieldError(res, 'userId', 'User nhận không tồn tại hoặc đã bị vô hiệu hóa');
+        }
+
+        const link = await Link.findOne({ slug: req.params.slug }).select('slug userId workspaceId');
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy link'
+            });
+        }
+
+        const previousOwnerId = link.userId;
+        const before = { userId: link.userId, workspaceId: link.workspaceId };
+        link.userId = newOwner._id;
+
+        const workspace = link.workspaceId ? await Workspace.findById(link.workspaceId) : null;
+        if (!workspace || !workspace.getMemberRole(newOwner._id)) {
+            link.workspaceId = (await workspaceService.ensurePersonalWorkspace(newOwner))._id;
+        }
+        await link.save();
+
+        auditService.record(req, {
+            action: 'link.transfer-owner',
+            targetType: 'link',
+            targetId: link._id,
+            targetLabel: link.slug,
+            before,
+            after: { userId: link.userId, workspaceId: link.workspaceId }
+        });
+
+        console.log(`🔁 [Link] /${link.slug} chuyển chủ sở hữu ${previousOwnerId || 'system'} → ${newOwner.username} bởi ${req.user.username}`);
+
+        res.json({
+            success: true,
+            data: {
+                slug: link.slug,
+                previousOwnerId,
+                workspaceId: link.workspaceId,
+                userId: {
+                    _id: newOwner._id,
+                    username: newOwner.username,
+                    fullName: newOwner.fullName
+                }
+            },
+            message: `Đã chuyển link cho ${newOwner.username}`
+        });
+    } catch (error) {
+        console.error('Error transferring link owner:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể chuyển quyền sở hữu link'
         });
     }
 });
 
 /**
  * DELETE /api/links/:slug
- * Xóa link
+ * Xóa link (chủ link / quyền links:manage-all)
  */
-router.delete('/:slug', async (req, res) => {
+router.delete('/:slug', authenticate, requirePermission('links:write'), resolveWorkspace, validate({ params: slugParams }), requireLinkOwner, async (req, res) => {
     try {
         const { slug } = req.params;
         const deleted = await linkService.deleteLink(slug);
@@ -419,9 +977,17 @@ router.delete('/:slug', async (req, res) => {
         if (!deleted) {
             return res.status(404).json({
                 success: false,
-                error: 'Không tìm thấy link'
+                message: 'Không tìm thấy link'
             });
         }
+
+        auditService.record(req, {
+            action: 'link.delete',
+            targetType: 'link',
+            targetId: req.link._id,
+            targetLabel: req.link.slug,
+            before: req.link
+        });
         
         res.json({
             success: true,
@@ -431,7 +997,7 @@ router.delete('/:slug', async (req, res) => {
         console.error('Error deleting link:', error);
         res.status(500).json({
             success: false,
-            error: 'Không thể xóa link'
+            message: 'Không thể xóa link'
         });
     }
 });
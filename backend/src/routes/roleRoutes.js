@@ -0,0 +1,291 @@
+/**
+ * Role Routes
+ *
+ * API Endpoints cho quản lý vai trò & quyền (quyền users:manage)
+ *
+ * - GET /api/roles - Danh sách vai trò + danh mục quyền + số user mỗi vai trò
+ * - POST /api/roles - Tạo vai trò tùy chỉnh
+ * - PUT /api/roles/:id - Cập nhật tên hiển thị / mô tả / quyền
+ * - DELETE /api/roles/:id - Xóa vai trò (không phải vai trò hệ thống, không còn user dùng)
+ *
+ * Chỉ cấp được quyền mà chính mình đang có (tránh tự nâng quyền qua vai trò mới)
+ */
+
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+/**
+ * Helper: Kiểm tra danh sách quyền gửi lên
+ * @param {Object} req
+ * @param {*} permissions
+ * @returns {String|null} - Thông báo lỗi
+ */
+function validatePermissions(req, permissions) {
+    if (!Array.isArray(permissions)) {
+        return 'permissions phải là mảng';
+    }
+
+    const unknown = permissions.filter(permission => !Role.PERMISSION_KEYS.includes(permission));
+    if (unknown.length > 0) {
+        return `Quyền không hợp lệ: ${unknown.join(', ')}`;
+    }
+
+    const notGranted = permissions.filter(permission => !req.permissions.has(permission));
+    if (notGranted.length > 0) {
+        return `Không thể cấp quyền bạn không có: ${notGranted.join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * GET /api/roles
+ * Danh sách vai trò + danh mục quyền (cho form tạo vai trò)
+ */
+router.get('/', authenticate, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            Role.find().sort({ isSystem: -1, createdAt: 1 }).lean(),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+
+        const userCounts = Object.fromEntries(counts.map(item => [item._id, item.count]));
+
+        res.json({
+            success: true,
+            data: {
+                roles: roles.map(role => ({
+                    ...role,
+                    permissions: role.name === Role.ADMIN_ROLE ? Role.PERMISSION_KEYS : role.permissions,
+                    userCount: userCounts[role.name] || 0
+                })),
+                permissions: Role.PERMISSION_KEYS.map(key => ({
+                    key,
+                    description: Role.PERMISSIONS[key]
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('❌ [RoleRoutes] Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/roles
+ * Tạo vai trò tùy chỉnh
+ * Body: { name, label, description, permissions }
+ */
+router.post('/', authenticate, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { name, label, description, permissions = [] } = req.body;
+
+        if (!name || !label) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tên vai trò và tên hiển thị là bắt buộc'
+            });
+        }
+
+        const permissionError = validatePermissions(req, permissions);
+        if (permissionError) {
+            return res.status(400).json({
+                success: false,
+                message: permissionError
+            });
+        }
+
+        if (await Role.exists({ name: String(name).trim().toLowerCase() })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tên vai trò đã tồn tại'
+            });
+        }
+
+        const role = await Role.create({ name, label, description, permissions });
+
+        auditService.record(req, {
+            action: 'role.create',
+            targetType: 'role',
+            targetId: role._id,
+            targetLabel: role.name,
+            after: role
+        });
+
+        console.log(`🛡️ [RoleRoutes] ${req.user.username} tạo vai trò "${role.name}": ${role.permissions.join(', ')}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo vai trò thành công',
+            data: role
+        });
+    } catch (error) {
+        console.error('❌ [RoleRoutes] Create role error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Dữ liệu không hợp lệ',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/roles/:id
+ * Cập nhật vai trò (không đổi name; vai trò admin không sửa được danh sách quyền)
+ * Body: { label, description, permissions }
+ */
+router.put('/:id', authenticate, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { label, description, permissions } = req.body;
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy vai trò'
+            });
+        }
+
+        const before = role.toObject();
+
+        if (permissions !== undefined) {
+            if (role.name === Role.ADMIN_ROLE) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Vai trò admin luôn có đủ mọi quyền'
+                });
+            }
+
+            // Gỡ quyền khỏi vai trò cũng cần có quyền đó (không sửa vai trò cao hơn mình)
+            const permissionError = validatePermissions(req, [...new Set([...permissions, ...role.permissions])]);
+            if (permissionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: permissionError
+                });
+            }
+
+            role.permissions = permissions;
+        }
+
+        if (label !== undefined) role.label = label;
+        if (description !== undefined) role.description = description;
+
+        await role.save();
+
+        auditService.record(req, {
+            action: 'role.update',
+            targetType: 'role',
+            targetId: role._id,
+            targetLabel: role.name,
+            before,
+            after: role
+        });
+
+        console.log(`🛡️ [RoleRoutes] ${req.user.username} cập nhật vai trò "${role.name}": ${role.permissions.join(', ')}`);
+
+        res.json({
+            success: true,
+            message: 'Cập nhật vai trò thành công',
+            data: role
+        });
+    } catch (error) {
+        console.error('❌ [RoleRoutes] Update role error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Dữ liệu không hợp lệ',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/roles/:id
+ * Xóa vai trò tùy chỉnh (phải chuyển hết user sang vai trò khác trước)
+ */
+router.delete('/:id', authenticate, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy vai trò'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể xóa vai trò hệ thống'
+            });
+        }
+
+        const permissionError = validatePermissions(req, role.permissions);
+        if (permissionError) {
+            return res.status(403).json({
+                success: false,
+                message: permissionError
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Không thể xóa: có ${userCount} user đang dùng vai trò này`
+            });
+        }
+
+        await role.deleteOne();
+
+        auditService.record(req, {
+            action: 'role.delete',
+            targetType: 'role',
+            targetId: role._id,
+            targetLabel: role.name,
+            before: role
+        });
+
+        console.log(`🗑️ [RoleRoutes] ${req.user.username} xóa vai trò "${role.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Xóa vai trò thành công'
+        });
+    } catch (error) {
+        console.error('❌ [RoleRoutes] Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 /**
  * Upload Routes
  * 
- * Endpoints cho upload hình ảnh
+ * Endpoints cho upload hình ảnh (mount tại /api/upload/local)
  * POST /api/upload/product/:productId - Upload hình ảnh sản phẩm
+ *
+ * Mọi upload thành công đều ghi nhật ký (upload.create); không đăng nhập: actor "anonymous"
  */
 
 const express = require('express');
@@ -10,6 +12,23 @@ const router = express.Router();
 const { uploadMiddleware, handleUploadError } = require('../middleware/uploadHandler');
 const { optimizeProductImage, cleanupImages } = require('../middleware/imageOptimizer');
 const UploadService = require('../services/uploadService');
+const { optionalAuthenticate } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+/**
+ * Helper: Ghi nhật ký 1 file đã upload
+ * @param {Object} req
+ * @param {Object} upload - { id, label, url, size }
+ */
+const recordUpload = (req, { id, label, url, size }) => {
+    auditService.record(req, {
+        action: 'upload.create',
+        targetType: 'upload',
+        targetId: id,
+        targetLabel: label,
+        after: { url, type: 'image', size }
+    });
+};
 
 // ============================================================
 // ROUTES
@@ -33,6 +52,7 @@ const UploadService = require('../services/uploadService');
  */
 router.post(
     '/image',
+    optionalAuthenticate,
     uploadMiddleware.single('image'),
     handleUploadError,
     async (req, res) => {
@@ -43,6 +63,13 @@ router.post(
 
             const uploadResult = await UploadService.uploadFile(req.file.buffer, 'banners');
 
+            recordUpload(req, {
+                id: uploadResult.publicId,
+                label: req.file.originalname,
+                url: uploadResult.secureUrl,
+                size: req.file.size
+            });
+
             res.json({
                 success: true,
                 data: {
@@ -92,6 +119,7 @@ router.post(
  */
 router.post(
     '/product/:productId',
+    optionalAuthenticate,
     uploadMiddleware.single('image'),
     handleUploadError,
     optimizeProductImage,
@@ -99,6 +127,13 @@ router.post(
         try {
             const { uploadedImages } = req;
 
+            recordUpload(req, {
+                id: uploadedImages.main.filename,
+                label: req.file.originalname,
+                url: uploadedImages.main.url,
+                size: uploadedImages.main.bytes
+            });
+
             res.json({
                 success: true,
                 data: {
@@ -138,6 +173,7 @@ router.post(
  */
 router.post(
     '/bulk',
+    optionalAuthenticate,
     uploadMiddleware.single('image'),
     handleUploadError,
     optimizeProductImage,
@@ -145,6 +181,13 @@ router.post(
         try {
             const { uploadedImages } = req;
 
+            recordUpload(req, {
+                id: uploadedImages.main.filename,
+                label: req.file.originalname,
+                url: uploadedImages.main.url,
+                size: uploadedImages.main.bytes
+            });
+
             res.json({
                 success: true,
                 data: {
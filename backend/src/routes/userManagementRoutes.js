@@ -0,0 +1,394 @@
+/**
+ * User Management Routes (quyền users:manage)
+ *
+ * API quản lý user duy nhất, mount tại /api/v1/users
+ * Alias cũ (deprecated, trả header Deprecation, giữ dạng response cũ - xem routes/legacyUserRoutes.js):
+ * /api/auth/users*, /api/users (trừ /profile, /change-password)
+ *
+ * - GET    /api/v1/users - Danh sách: page, limit (≤ 100), search (username / họ tên / email),
+ *                          sort (createdAt | username | fullName | role | lastLogin, tiền tố - = giảm dần),
+ *                          role, status (active | inactive | invited)
+ * - GET    /api/v1/users/:id - Chi tiết user
+ * - POST   /api/v1/users - Tạo user (invite: true → gửi lời mời qua email, user tự đặt mật khẩu)
+ * - PUT    /api/v1/users/:id - Cập nhật user (đổi vai trò: xem Role.checkAssignable)
+ * - DELETE /api/v1/users/:id - Vô hiệu hóa user (soft delete, thu hồi phiên đăng nhập)
+ * - POST   /api/v1/users/bulk/status - Bật / tắt hàng loạt { ids, isActive }
+ * - DELETE /api/v1/users/:id/2fa - Reset 2FA (mất điện thoại) + thu hồi phiên
+ * - POST   /api/v1/users/:id/unlock - Mở khóa tài khoản bị khóa do đăng nhập sai
+ * - POST   /api/v1/users/:id/invite - Gửi lại lời mời (link cũ hết hiệu lực)
+ *
+ * Reset 2FA / mở khóa: chỉ phiên đăng nhập (requireSession), API key bị từ chối
+ *
+ * Body / params / query kiểm tra theo schema (middleware/validate.js)
+ * Lỗi dữ liệu: 400 { success: false, message, errors: [{ field, message }] }
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate, requireSession, requirePermission } = require('../middleware/auth');
+const { validate, sendError, sendFieldError } = require('../middleware/validate');
+const userService = require('../services/userService');
+const twoFactorService = require('../services/twoFactorService');
+const { loginThrottle } = require('../services/loginThrottle');
+const auditService = require('../services/auditService');
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const { USER_FIELDS } = userService;
+
+const idParams = {
+    id: { type: 'objectId', required: true, label: 'ID user' }
+};
+
+const listQuery = {
+    page: { type: 'integer', min: 1, label: 'page' },
+    limit: { type: 'integer', min: 1, max: userService.MAX_LIMIT, label: 'limit' },
+    search: { type: 'string', trim: true, maxLength: 100, label: 'search' },
+    sort: {
+        type: 'string',
+        trim: true,
+        label: 'sort',
+        check: (sort) => (userService.SORT_FIELDS.includes(sort.replace(/^-/, ''))
+            ? null
+            : `Chỉ sắp xếp được theo: ${userService.SORT_FIELDS.join(', ')}`)
+    },
+    role: { type: 'string', trim: true, lowercase: true, label: 'role' },
+    status: { type: 'string', enum: userService.STATUSES, label: 'status' }
+};
+
+// invite: true → không cần password, cần email để gửi lời mời
+const createBody = {
+    ...USER_FIELDS,
+    username: { ...USER_FIELDS.username, required: true },
+    password: { ...USER_FIELDS.password, required: (body) => !body.invite },
+    email: { ...USER_FIELDS.email, required: (body) => Boolean(body.invite) },
+    invite: { type: 'boolean', label: 'invite' }
+};
+
+// Không đổi username sau khi tạo
+const { username, ...updateBody } = USER_FIELDS;
+
+const bulkStatusBody = {
+    ids: {
+        type: 'array',
+        required: true,
+        maxItems: userService.MAX_BULK,
+        items: { type: 'objectId', required: true, label: 'ID user' },
+        check: (ids) => (ids.length === 0 ? 'Chọn ít nhất 1 user' : null),
+        label: 'Danh sách user'
+    },
+    isActive: { type: 'boolean', required: true, label: 'isActive' }
+};
+
+/**
+ * Helper: Trả lỗi từ userService ({ errors } hoặc { status, message })
+ */
+const sendResultError = (res, result) => (result.errors
+    ? sendFieldError(res, result.errors)
+    : sendError(res, result.status, result.message));
+
+/**
+ * Helper: Người thực hiện (cho userService)
+ */
+const actorOf = (req) => ({ user: req.user, permissions: req.permissions });
+
+/**
+ * GET /api/v1/users
+ * Danh sách user + thống kê + tổng số theo trạng thái (summary)
+ */
+router.get('/', authenticate, requirePermission('users:manage'), validate({ query: listQuery }), async (req, res) => {
+    try {
+        const result = await userService.listUsers(req.query);
+
+        return res.json({
+            success: true,
+            data: result.users,
+            pagination: result.pagination,
+            summary: result.summary
+        });
+    } catch (error) {
+        console.error('❌ [Users] List error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/v1/users/bulk/status
+ * Bật / tắt hàng loạt (bỏ qua chính mình và user có quyền cao hơn)
+ * Body: { ids: [String], isActive: Boolean }
+ */
+router.post('/bulk/status', authenticate, requirePermission('users:manage'), validate({ body: bulkStatusBody }), async (req, res) => {
+    try {
+        const { ids, isActive } = req.body;
+        const result = await userService.bulkSetActive(ids, isActive, actorOf(req));
+
+        result.updated.forEach(user => auditService.record(req, {
+            action: isActive ? 'user.activate' : 'user.deactivate',
+            targetType: 'user',
+            targetId: user._id,
+            targetLabel: user.username,
+            changes: { isActive: { from: !isActive, to: isActive } }
+        }));
+
+        return res.json({
+            success: true,
+            message: `Đã ${isActive ? 'kích hoạt' : 'vô hiệu hóa'} ${result.updated.length} user`
+                + (result.skipped.length > 0 ? `, bỏ qua ${result.skipped.length}` : ''),
+            data: {
+                updated: result.updated.map(user => user._id),
+                skipped: result.skipped
+            }
+        });
+    } catch (error) {
+        console.error('❌ [Users] Bulk status error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * GET /api/v1/users/:id
+ * Chi tiết user
+ */
+router.get('/:id', authenticate, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id)
+            .populate('createdBy', 'username fullName');
+
+        if (!user) {
+            return sendError(res, 404, 'Không tìm thấy user');
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                ...user.toSafeObject(),
+                loginLock: await loginThrottle.getStatus(user.username)
+            }
+        });
+    } catch (error) {
+        console.error('❌ [Users] Get error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/v1/users
+ * Tạo user
+ * Body: { username, password, fullName, email, phone, role, isActive, invite }
+ */
+router.post('/', authenticate, requirePermission('users:manage'), validate({ body: createBody }), async (req, res) => {
+    try {
+        const invite = Boolean(req.body.invite);
+        const result = await userService.createUser(req.body, actorOf(req));
+        if (!result.user) return sendResultError(res, result);
+
+        const { user } = result;
+
+        auditService.record(req, {
+            action: invite ? 'user.invite' : 'user.create',
+            targetType: 'user',
+            targetId: user._id,
+            targetLabel: user.username,
+            after: user
+        });
+
+        if (invite) {
+            return res.status(201).json({
+                success: true,
+                message: result.inviteSent
+                    ? `Đã tạo user và gửi lời mời tới ${user.email}`
+                    : `Đã tạo user nhưng gửi lời mời thất bại: ${result.inviteError}`,
+                data: { ...user.toSafeObject(), inviteSent: result.inviteSent }
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Tạo user thành công',
+            data: user.toSafeObject()
+        });
+    } catch (error) {
+        console.error('❌ [Users] Create error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * PUT /api/v1/users/:id
+ * Cập nhật user
+ * Body: { fullName, email, phone, role, isActive, password }
+ */
+router.put('/:id', authenticate, requirePermission('users:manage'), validate({ params: idParams, body: updateBody }), async (req, res) => {
+    try {
+        const result = await userService.updateUser(req.params.id, req.body, actorOf(req));
+        if (!result.user) return sendResultError(res, result);
+
+        const { user, before } = result;
+
+        auditService.record(req, {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: user._id,
+            targetLabel: user.username,
+            before,
+            after: user
+        });
+
+        return res.json({
+            success: true,
+            message: 'Cập nhật user thành công',
+            data: user.toSafeObject()
+        });
+    } catch (error) {
+        console.error('❌ [Users] Update error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * DELETE /api/v1/users/:id
+ * Vô hiệu hóa user (soft delete - set isActive = false)
+ */
+router.delete('/:id', authenticate, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const result = await userService.deactivateUser(req.params.id, actorOf(req), {
+            protectAdmin: Boolean(res.locals.protectAdmin)
+        });
+        if (!result.user) return sendResultError(res, result);
+
+        auditService.record(req, {
+            action: 'user.delete',
+            targetType: 'user',
+            targetId: result.user._id,
+            targetLabel: result.user.username,
+            changes: { isActive: { from: true, to: false } }
+        });
+
+        return res.json({
+            success: true,
+            message: 'Đã vô hiệu hóa user'
+        });
+    } catch (error) {
+        console.error('❌ [Users] Delete error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * DELETE /api/v1/users/:id/2fa
+ * Reset 2FA của user (mất thiết bị) + thu hồi phiên
+ * Admin bị bắt buộc 2FA sẽ phải đăng ký lại ở lần đăng nhập sau
+ */
+router.delete('/:id/2fa', authenticate, requireSession, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const user = await twoFactorService.loadUser(req.params.id);
+
+        if (!user) {
+            return sendError(res, 404, 'Không tìm thấy user');
+        }
+
+        // Không reset 2FA của người có quyền cao hơn mình
+        const denied = await userService.checkCanManage(user, actorOf(req));
+        if (denied) {
+            return sendError(res, denied.status, denied.message);
+        }
+
+        if (!user.twoFactor?.enabled) {
+            return sendError(res, 400, 'User chưa bật xác thực 2 lớp');
+        }
+
+        await twoFactorService.disable(user);
+        const revoked = await Session.revokeAllForUser(user._id, 'revoked');
+        console.log(`🛡️ [2FA] ${req.user.username} reset 2FA của ${user.username} (thu hồi ${revoked} phiên)`);
+
+        auditService.record(req, {
+            action: 'user.reset-2fa',
+            targetType: 'user',
+            targetId: user._id,
+            targetLabel: user.username,
+            changes: { twoFactor: { from: '[đã ẩn]', to: null } }
+        });
+
+        return res.json({
+            success: true,
+            message: `Đã reset xác thực 2 lớp của ${user.username}`
+        });
+    } catch (error) {
+        console.error('❌ [Users] Reset 2FA error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/v1/users/:id/unlock
+ * Mở khóa tài khoản bị khóa tạm do đăng nhập sai nhiều lần
+ */
+router.post('/:id/unlock', authenticate, requireSession, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username role');
+
+        if (!user) {
+            return sendError(res, 404, 'Không tìm thấy user');
+        }
+
+        // Không mở khóa tài khoản của người có quyền cao hơn mình
+        const denied = await userService.checkCanManage(user, actorOf(req));
+        if (denied) {
+            return sendError(res, denied.status, denied.message);
+        }
+
+        await loginThrottle.unlock(user.username);
+
+        auditService.record(req, {
+            action: 'user.unlock',
+            targetType: 'user',
+            targetId: user._id,
+            targetLabel: user.username
+        });
+
+        return res.json({
+            success: true,
+            message: `Đã mở khóa đăng nhập cho ${user.username}`
+        });
+    } catch (error) {
+        console.error('❌ [Users] Unlock error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+/**
+ * POST /api/v1/users/:id/invite
+ * Gửi lại lời mời cho tài khoản chưa kích hoạt
+ */
+router.post('/:id/invite', authenticate, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const result = await userService.resendInvite(req.params.id, actorOf(req));
+        if (!result.user) return sendResultError(res, result);
+
+        auditService.record(req, {
+            action: 'user.resend-invite',
+            targetType: 'user',
+            targetId: result.user._id,
+            targetLabel: result.user.username,
+            changes: { inviteSent: { from: null, to: result.sent } }
+        });
+
+        if (!result.sent) {
+            return sendError(res, 502, `Gửi lời mời thất bại: ${result.error}`);
+        }
+
+        return res.json({
+            success: true,
+            message: `Đã gửi lại lời mời tới ${result.user.email}`
+        });
+    } catch (error) {
+        console.error('❌ [Users] Resend invite error:', error);
+        return sendError(res, 500, 'Lỗi server');
+    }
+});
+
+module.exports = router;
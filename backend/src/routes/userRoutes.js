@@ -4,13 +4,37 @@
  * API endpoints cho quản lý thông tin user
  * - Profile viewing/editing
  * - Password change
- * - Admin user management
+ * - Quản lý user: alias deprecated của /api/v1/users
+ *
+ * Body kiểm tra theo schema (middleware/validate.js), lỗi dữ liệu: 400 { message, errors: [{ field, message }] }
  */
 
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { sanitizeParams } = require('../services/redirectTemplateService');
+const { USER_FIELDS, checkEmailAvailable } = require('../services/userService');
+const legacyUserRoutes = require('./legacyUserRoutes');
+
+// =================================================================
+// REQUEST SCHEMAS
+// =================================================================
+
+const profileBody = {
+    displayName: { ...USER_FIELDS.fullName, label: 'Tên hiển thị' },
+    email: USER_FIELDS.email,
+    phone: USER_FIELDS.phone,
+    avatar: { type: 'string', trim: true, maxLength: 2000, label: 'Avatar' },
+    redirectParams: { type: 'array', nullable: true, label: 'Tham số redirect' }
+};
+
+const changePasswordBody = {
+    currentPassword: { type: 'string', required: true, label: 'Mật khẩu hiện tại' },
+    newPassword: { ...USER_FIELDS.password, nullable: false, required: true, label: 'Mật khẩu mới' }
+};
 
 /**
  * GET /api/users/profile
@@ -39,7 +63,8 @@ router.get('/profile', authenticate, async (req, res) => {
                 avatar: user.avatar,
                 role: user.role,
                 createdAt: user.createdAt,
-                stats: user.stats
+                stats: user.stats,
+                redirectParams: user.redirectParams || []
             }
         });
     } catch (error) {
@@ -55,9 +80,15 @@ router.get('/profile', authenticate, async (req, res) => {
  * PUT /api/users/profile
  * Cập nhật thông tin profile
  */
-router.put('/profile', authenticate, async (req, res) => {
+router.put('/profile', authenticate, requireSession, validate({ body: profileBody }), async (req, res) => {
     try {
-        const { displayName, email, phone, avatar } = req.body;
+        const { displayName, email, phone, avatar, redirectParams } = req.body;
+
+        // Validate template redirect mặc định
+        const template = redirectParams !== undefined ? sanitizeParams(redirectParams) : null;
+        if (template && template.error) {
+            return sendFieldError(res, 'redirectParams', template.error);
+        }
 
         const user = await User.findById(req.user._id);
         if (!user) {
@@ -67,11 +98,17 @@ router.put('/profile', authenticate, async (req, res) => {
             });
         }
 
+        if (email !== undefined && email !== user.email) {
+            const emailError = await checkEmailAvailable(email, user._id);
+            if (emailError) return sendFieldError(res, emailError.errors);
+        }
+
         // Cập nhật các field được phép
         if (displayName !== undefined) user.fullName = displayName; // Update fullName
         if (email !== undefined) user.email = email;
         if (phone !== undefined) user.phone = phone;
         if (avatar !== undefined) user.avatar = avatar;
+        if (template) user.redirectParams = template.params;
 
         await user.save();
 
@@ -82,7 +119,8 @@ router.put('/profile', authenticate, async (req, res) => {
                 displayName: user.fullName,
                 email: user.email,
                 phone: user.phone,
-                avatar: user.avatar
+                avatar: user.avatar,
+                redirectParams: user.redirectParams
             }
         });
     } catch (error) {
@@ -98,24 +136,10 @@ router.put('/profile', authenticate, async (req, res) => {
  * PUT /api/users/change-password
  * Đổi mật khẩu
  */
-router.put('/change-password', authenticate, async (req, res) => {
+router.put('/change-password', authenticate, requireSession, validate({ body: changePasswordBody }), async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
-        if (!currentPassword || !newPassword) {
-            return res.status(400).json({
-                success: false,
-                message: 'Thiếu thông tin mật khẩu'
-            });
-        }
-
-        if (newPassword.length < 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'Mật khẩu mới phải có ít nhất 6 ký tự'
-            });
-        }
-
         // Cần select('+password') vì password có select: false trong schema
         const user = await User.findById(req.user._id).select('+password');
         if (!user) {
@@ -128,16 +152,16 @@ router.put('/change-password', authenticate, async (req, res) => {
         // Kiểm tra mật khẩu hiện tại
         const isMatch = await user.comparePassword(currentPassword);
         if (!isMatch) {
-            return res.status(400).json({
-                success: false,
-                message: 'Mật khẩu hiện tại không đúng'
-            });
+            return sendFieldError(res, 'currentPassword', 'Mật khẩu hiện tại không đúng');
         }
 
         // Cập nhật mật khẩu mới
         user.password = newPassword;
         await user.save();
 
+        // Đăng xuất mọi thiết bị khác (giữ phiên hiện tại)
+        await Session.revokeAllForUser(user._id, 'revoked', req.sessionId);
+
         res.json({
             success: true,
             message: 'Đổi mật khẩu thành công'
@@ -152,165 +176,9 @@ router.put('/change-password', authenticate, async (req, res) => {
 });
 
 /**
- * GET /api/users
- * [Admin] Lấy danh sách tất cả users
- */
-router.get('/', authenticate, requireAdmin, async (req, res) => {
-    try {
-        const users = await User.find()
-            .select('-password')
-            .sort('-createdAt');
-
-        res.json({
-            success: true,
-            data: users,
-            total: users.length
-        });
-    } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Lỗi lấy danh sách users'
-        });
-    }
-});
-
-/**
- * POST /api/users
- * [Admin] Tạo user mới
- */
-router.post('/', authenticate, requireAdmin, async (req, res) => {
-    try {
-        const { username, password, displayName, email, role } = req.body;
-
-        if (!username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username và password là bắt buộc'
-            });
-        }
-
-        // Check username tồn tại
-        const existingUser = await User.findOne({ username: username.toLowerCase() });
-        if (existingUser) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username đã tồn tại'
-            });
-        }
-
-        const user = new User({
-            username: username.toLowerCase(),
-            password,
-            displayName: displayName || username,
-            email,
-            role: role || 'user'
-        });
-
-        await user.save();
-
-        res.status(201).json({
-            success: true,
-            message: 'Tạo user thành công',
-            data: {
-                _id: user._id,
-                username: user.username,
-                displayName: user.displayName,
-                role: user.role
-            }
-        });
-    } catch (error) {
-        console.error('Create user error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Lỗi tạo user'
-        });
-    }
-});
-
-/**
- * PUT /api/users/:id
- * [Admin] Cập nhật user
- */
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { displayName, email, role, isActive } = req.body;
-
-        const user = await User.findById(id);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User không tồn tại'
-            });
-        }
-
-        if (displayName !== undefined) user.displayName = displayName;
-        if (email !== undefined) user.email = email;
-        if (role !== undefined) user.role = role;
-        if (isActive !== undefined) user.isActive = isActive;
-
-        await user.save();
-
-        res.json({
-            success: true,
-            message: 'Cập nhật thành công',
-            data: user.toSafeObject()
-        });
-    } catch (error) {
-        console.error('Update user error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Lỗi cập nhật user'
-        });
-    }
-});
-
-/**
- * DELETE /api/users/:id
- * [Admin] Xóa user
+ * /api/users (GET, POST, PUT /:id, DELETE /:id)
+ * Alias deprecated của /api/v1/users, giữ dạng response cũ (routes/legacyUserRoutes.js)
  */
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Không cho phép xóa chính mình
-        if (id === req.user._id.toString()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Không thể xóa chính mình'
-            });
-        }
-
-        const user = await User.findById(id);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User không tồn tại'
-            });
-        }
-
-        // Không cho phép xóa admin
-        if (user.role === 'admin') {
-            return res.status(400).json({
-                success: false,
-                message: 'Không thể xóa admin'
-            });
-        }
-
-        await User.findByIdAndDelete(id);
-
-        res.json({
-            success: true,
-            message: 'Xóa user thành công'
-        });
-    } catch (error) {
-        console.error('Delete user error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Lỗi xóa user'
-        });
-    }
-});
+router.use('/', legacyUserRoutes.users);
 
 module.exports = router;
@@ -0,0 +1,490 @@
+/**
+ * Workspace Routes
+ *
+ * API Endpoints cho workspace & thành viên (xem models/Workspace.js)
+ *
+ * - GET /api/workspaces - Workspace của user (workspace cá nhân đứng đầu) - dùng cho bộ chuyển workspace
+ * - POST /api/workspaces - Tạo workspace (người tạo là owner)
+ * - GET /api/workspaces/:id - Chi tiết + danh sách thành viên (thành viên)
+ * - PUT /api/workspaces/:id - Đổi tên / mô tả (owner)
+ * - DELETE /api/workspaces/:id - Xóa workspace trống (owner, không phải workspace cá nhân)
+ * - POST /api/workspaces/:id/members - Thêm thành viên theo username (owner)
+ * - PUT /api/workspaces/:id/members/:userId - Đổi vai trò thành viên (owner)
+ * - DELETE /api/workspaces/:id/members/:userId - Gỡ thành viên (owner) / tự rời workspace
+ *
+ * Luôn giữ ít nhất 1 owner trong workspace
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Banner = require('../models/Banner');
+const Category = require('../models/Category');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
+const { authenticate, hasPermission } = require('../middleware/auth');
+
+/**
+ * Middleware: Tìm workspace theo :id, yêu cầu vai trò tối thiểu
+ * Quyền links:manage-all được coi như owner của mọi workspace
+ * Workspace tìm được gắn vào req.targetWorkspace, vai trò vào req.targetRole
+ * @param {String} minRole - viewer | editor | owner
+ */
+const loadWorkspace = (minRole) => {
+    return async (req, res, next) => {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID workspace không hợp lệ'
+                });
+            }
+
+            const workspace = await Workspace.findById(req.params.id);
+            const role = workspace
+                && (workspace.getMemberRole(req.user._id) || (hasPermission(req, 'links:manage-all') ? 'owner' : null));
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Không tìm thấy workspace'
+                });
+            }
+
+            if (!Workspace.hasRole(role, minRole)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Chỉ owner của workspace mới được thực hiện thao tác này'
+                });
+            }
+
+            req.targetWorkspace = workspace;
+            req.targetRole = role;
+            next();
+        } catch (error) {
+            console.error('❌ Load workspace error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Lỗi server'
+            });
+        }
+    };
+};
+
+/**
+ * Helper: Vai trò thành viên gửi lên có hợp lệ không
+ */
+const isValidMemberRole = (role) => Workspace.MEMBER_ROLES.includes(role);
+
+/**
+ * GET /api/workspaces
+ * Danh sách workspace của user hiện tại
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const workspaces = await workspaceService.listForUser(req.user);
+
+        res.json({
+            success: true,
+            data: workspaces
+        });
+    } catch (error) {
+        console.error('❌ List workspaces error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * POST /api/workspaces
+ * Tạo workspace mới, người tạo là owner
+ * Body: { name, description }
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập tên workspace'
+            });
+        }
+
+        const workspace = await Workspace.create({
+            name,
+            description: description || '',
+            createdBy: req.user._id,
+            members: [{ userId: req.user._id, role: 'owner', addedBy: req.user._id }]
+        });
+
+        auditService.record(req, {
+            action: 'workspace.create',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            after: { name: workspace.name, description: workspace.description }
+        });
+
+        console.log(`🗂️ [Workspace] ${req.user.username} tạo workspace "${workspace.name}"`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo workspace thành công',
+            data: workspace
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors)[0].message
+            });
+        }
+        console.error('❌ Create workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * GET /api/workspaces/:id
+ * Chi tiết workspace + thành viên
+ */
+router.get('/:id', authenticate, loadWorkspace('viewer'), async (req, res) => {
+    try {
+        const workspace = await req.targetWorkspace.populate('members.userId', 'username fullName email isActive');
+
+        res.json({
+            success: true,
+            data: {
+                _id: workspace._id,
+                name: workspace.name,
+                description: workspace.description,
+                isPersonal: Boolean(workspace.personalFor),
+                role: req.targetRole,
+                createdAt: workspace.createdAt,
+                // Bỏ qua thành viên có tài khoản đã bị xóa
+                members: workspace.members
+                    .filter(member => member.userId)
+                    .map(member => ({
+                        userId: member.userId._id,
+                        username: member.userId.username,
+                        fullName: member.userId.fullName,
+                        email: member.userId.email,
+                        isActive: member.userId.isActive,
+                        role: member.role,
+                        addedAt: member.addedAt
+                    }))
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * PUT /api/workspaces/:id
+ * Đổi tên / mô tả workspace
+ * Body: { name, description }
+ */
+router.put('/:id', authenticate, loadWorkspace('owner'), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const workspace = req.targetWorkspace;
+        const before = { name: workspace.name, description: workspace.description };
+
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Vui lòng nhập tên workspace'
+                });
+            }
+            workspace.name = name;
+        }
+        if (description !== undefined) workspace.description = description;
+
+        await workspace.save();
+
+        auditService.record(req, {
+            action: 'workspace.update',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            before,
+            after: { name: workspace.name, description: workspace.description }
+        });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật workspace thành công',
+            data: workspace
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors)[0].message
+            });
+        }
+        console.error('❌ Update workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id
+ * Xóa workspace (chỉ khi không còn link / banner / danh mục)
+ */
+router.delete('/:id', authenticate, loadWorkspace('owner'), async (req, res) => {
+    try {
+        const workspace = req.targetWorkspace;
+
+        if (workspace.personalFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể xóa workspace cá nhân'
+            });
+        }
+
+        const [links, banners, categories] = await Promise.all([
+            Link.countDocuments({ workspaceId: workspace._id }),
+            Banner.countDocuments({ workspaceId: workspace._id }),
+            Category.countDocuments({ workspaceId: workspace._id })
+        ]);
+
+        if (links + banners + categories > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Workspace còn ${links} link, ${banners} banner, ${categories} danh mục - cần xóa hoặc chuyển đi trước`
+            });
+        }
+
+        await workspace.deleteOne();
+
+        auditService.record(req, {
+            action: 'workspace.delete',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            before: { name: workspace.name, description: workspace.description }
+        });
+
+        console.log(`🗑️ [Workspace] ${req.user.username} xóa workspace "${workspace.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Xóa workspace thành công'
+        });
+    } catch (error) {
+        console.error('❌ Delete workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * POST /api/workspaces/:id/members
+ * Thêm thành viên
+ * Body: { username, role }
+ */
+router.post('/:id/members', authenticate, loadWorkspace('owner'), async (req, res) => {
+    try {
+        const { username, role = 'editor' } = req.body;
+        const workspace = req.targetWorkspace;
+
+        if (workspace.personalFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể thêm thành viên vào workspace cá nhân'
+            });
+        }
+
+        if (!isValidMemberRole(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vai trò không hợp lệ'
+            });
+        }
+
+        const user = username
+            ? await User.findOne({ username: String(username).toLowerCase().trim() }).select('username fullName isActive')
+            : null;
+        if (!user || !user.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy user hoặc user đã bị vô hiệu hóa'
+            });
+        }
+
+        if (workspace.getMemberRole(user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: `${user.username} đã là thành viên`
+            });
+        }
+
+        workspace.members.push({ userId: user._id, role, addedBy: req.user._id });
+        await workspace.save();
+
+        auditService.record(req, {
+            action: 'workspace.member-add',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            changes: { [`member:${user.username}`]: { from: null, to: role } }
+        });
+
+        console.log(`👥 [Workspace] "${workspace.name}": ${req.user.username} thêm ${user.username} (${role})`);
+
+        res.status(201).json({
+            success: true,
+            message: `Đã thêm ${user.username} vào workspace`
+        });
+    } catch (error) {
+        console.error('❌ Add workspace member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * PUT /api/workspaces/:id/members/:userId
+ * Đổi vai trò thành viên
+ * Body: { role }
+ */
+router.put('/:id/members/:userId', authenticate, loadWorkspace('owner'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const workspace = req.targetWorkspace;
+        const member = workspace.members.find(m => m.userId.toString() === req.params.userId);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy thành viên'
+            });
+        }
+
+        if (!isValidMemberRole(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vai trò không hợp lệ'
+            });
+        }
+
+        if (member.role === 'owner' && role !== 'owner' && workspace.countOwners() === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Workspace cần ít nhất 1 owner'
+            });
+        }
+
+        const previousRole = member.role;
+        member.role = role;
+        await workspace.save();
+
+        auditService.record(req, {
+            action: 'workspace.member-update',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            changes: { [`member:${member.userId}`]: { from: previousRole, to: role } }
+        });
+
+        res.json({
+            success: true,
+            message: 'Cập nhật vai trò thành công'
+        });
+    } catch (error) {
+        console.error('❌ Update workspace member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Gỡ thành viên (owner) hoặc tự rời workspace
+ */
+router.delete('/:id/members/:userId', authenticate, loadWorkspace('viewer'), async (req, res) => {
+    try {
+        const workspace = req.targetWorkspace;
+        const isSelf = req.params.userId === req.user._id.toString();
+
+        if (!isSelf && req.targetRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Chỉ owner của workspace mới được thực hiện thao tác này'
+            });
+        }
+
+        if (workspace.personalFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể rời workspace cá nhân'
+            });
+        }
+
+        const member = workspace.members.find(m => m.userId.toString() === req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy thành viên'
+            });
+        }
+
+        if (member.role === 'owner' && workspace.countOwners() === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Workspace cần ít nhất 1 owner - chuyển owner cho thành viên khác trước'
+            });
+        }
+
+        workspace.members = workspace.members.filter(m => m !== member);
+        await workspace.save();
+
+        auditService.record(req, {
+            action: isSelf ? 'workspace.member-leave' : 'workspace.member-remove',
+            targetType: 'workspace',
+            targetId: workspace._id,
+            targetLabel: workspace.name,
+            changes: { [`member:${req.params.userId}`]: { from: member.role, to: null } }
+        });
+
+        console.log(`👥 [Workspace] "${workspace.name}": gỡ thành viên ${req.params.userId} bởi ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: isSelf ? 'Đã rời workspace' : 'Đã gỡ thành viên'
+        });
+    } catch (error) {
+        console.error('❌ Remove workspace member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi server'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Gắn workspace cho dữ liệu cũ (chạy 1 lần khi nâng cấp lên workspace)
+ *
+ * Danh sách links / banners lọc theo workspace đang dùng, nên bản ghi còn workspaceId null bị ẩn.
+ * workspaceService.ensurePersonalWorkspace chỉ chuyển dữ liệu khi chủ sở hữu đăng nhập lại, script này chuyển hết 1 lần:
+ * 1. Links (userId) / banners (createdBy) của user còn tồn tại → workspace cá nhân của user đó
+ * 2. Links / banners không có chủ sở hữu (null hoặc user đã bị xóa) → workspace "Dữ liệu chung",
+ *    thành viên là các admin (owner); id lưu ở Setting.KEYS.LEGACY_WORKSPACE
+ * 3. Danh mục chưa gắn workspace → workspace có nhiều link dùng danh mục nhất (không link nào dùng: "Dữ liệu chung")
+ *
+ * Chạy lại an toàn: chỉ xử lý bản ghi còn workspaceId null
+ *
+ * Sử dụng: npm run migrate:workspaces [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const { connectMongoDB, disconnectMongoDB } = require('../config/mongodb');
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Banner = require('../models/Banner');
+const Category = require('../models/Category');
+const Workspace = require('../models/Workspace');
+const Setting = require('../models/Setting');
+const workspaceService = require('../services/workspaceService');
+
+const LEGACY_WORKSPACE_NAME = 'Dữ liệu chung';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Workspace chứa dữ liệu không còn chủ sở hữu (tạo nếu chưa có)
+ * @returns {Workspace}
+ */
+const ensureLegacyWorkspace = async () => {
+    const existingId = await Setting.getValue(Setting.KEYS.LEGACY_WORKSPACE);
+    const existing = existingId ? await Workspace.findById(existingId) : null;
+    if (existing) return existing;
+
+    const admins = await User.find({ role: 'admin' }).select('_id').sort({ createdAt: 1 }).lean();
+    const workspace = await Workspace.create({
+        name: LEGACY_WORKSPACE_NAME,
+        description: 'Links, banners, danh mục tạo trước khi có workspace, không còn chủ sở hữu',
+        createdBy: admins[0]?._id || null,
+        members: admins.map(admin => ({ userId: admin._id, role: 'owner' }))
+    });
+    await Setting.setValue(Setting.KEYS.LEGACY_WORKSPACE, workspace._id.toString());
+
+    console.log(`🗂️ [Workspaces] Tạo workspace "${LEGACY_WORKSPACE_NAME}" (${admins.length} admin là owner)`);
+    return workspace;
+};
+
+/**
+ * Bước 1: dữ liệu của user còn tồn tại → workspace cá nhân
+ * @returns {Object} - { users, links, banners }
+ */
+const assignToOwners = async () => {
+    const [linkOwners, bannerOwners] = await Promise.all([
+        Link.distinct('userId', { workspaceId: null, userId: { $ne: null } }),
+        Banner.distinct('createdBy', { workspaceId: null, createdBy: { $ne: null } })
+    ]);
+    const ownerIds = [...new Set([...linkOwners, ...bannerOwners].map(String))];
+    const owners = await User.find({ _id: { $in: ownerIds } }).select('username fullName');
+
+    const summary = { users: owners.length, links: 0, banners: 0 };
+    for (const owner of owners) {
+        const [links, banners] = await Promise.all([
+            Link.countDocuments({ userId: owner._id, workspaceId: null }),
+            Banner.countDocuments({ createdBy: owner._id, workspaceId: null })
+        ]);
+
+        if (!dryRun) {
+            // Workspace mới tạo đã tự chuyển dữ liệu, workspace có sẵn (user từng đăng nhập) thì chuyển nốt phần còn lại
+            const workspace = await workspaceService.ensurePersonalWorkspace(owner);
+            await workspaceService.adoptUnassigned(owner._id, workspace._id);
+        }
+
+        summary.links += links;
+        summary.banners += banners;
+        console.log(`🔁 [Workspaces] ${owner.username}: ${links} links, ${banners} banners → workspace cá nhân`);
+    }
+    return summary;
+};
+
+/**
+ * Bước 2: dữ liệu không còn chủ sở hữu → workspace "Dữ liệu chung"
+ * (chạy sau bước 1: mọi bản ghi còn workspaceId null đều không có chủ)
+ * @returns {Object} - { links, banners }
+ */
+const assignOrphans = async (getLegacyWorkspace) => {
+    const [links, banners] = await Promise.all([
+        Link.countDocuments({ workspaceId: null }),
+        Banner.countDocuments({ workspaceId: null })
+    ]);
+    if (dryRun || (links === 0 && banners === 0)) return { links, banners };
+
+    const workspace = await getLegacyWorkspace();
+    await Promise.all([
+        Link.updateMany({ workspaceId: null }, { $set: { workspaceId: workspace._id } }),
+        Banner.updateMany({ workspaceId: null }, { $set: { workspaceId: workspace._id } })
+    ]);
+    return { links, banners };
+};
+
+/**
+ * Bước 3: danh mục chưa gắn workspace → workspace dùng danh mục nhiều nhất (Link.category lưu tên danh mục)
+ * @returns {Object} - { categories, shared }: shared = số danh mục nhiều workspace cùng dùng
+ */
+const assignCategories = async (getLegacyWorkspace) => {
+    const categories = await Category.find({ workspaceId: null }).select('name');
+    let shared = 0;
+
+    for (const category of categories) {
+        const usage = await Link.aggregate([
+            { $match: { category: category.name, workspaceId: { $ne: null } } },
+            { $group: { _id: '$workspaceId', links: { $sum: 1 } } },
+            { $sort: { links: -1 } }
+        ]);
+
+        if (usage.length > 1) {
+            shared += 1;
+            console.warn(`⚠️  [Workspaces] Danh mục "${category.name}" được ${usage.length} workspace dùng, gắn vào workspace nhiều link nhất (${usage[0].links} links); workspace khác cần tạo danh mục riêng`);
+        }
+        if (dryRun) continue;
+
+        const workspaceId = usage[0]?._id || (await getLegacyWorkspace())._id;
+        await Category.updateOne({ _id: category._id, workspaceId: null }, { $set: { workspaceId } });
+    }
+
+    return { categories: categories.length, shared };
+};
+
+const run = async () => {
+    await connectMongoDB();
+
+    // Chỉ tạo workspace "Dữ liệu chung" khi thực sự có dữ liệu cần chuyển vào
+    let legacyWorkspace = null;
+    const getLegacyWorkspace = async () => {
+        legacyWorkspace = legacyWorkspace || await ensureLegacyWorkspace();
+        return legacyWorkspace;
+    };
+
+    const owned = await assignToOwners();
+    const orphans = await assignOrphans(getLegacyWorkspace);
+    const categories = await assignCategories(getLegacyWorkspace);
+
+    console.log(`✅ [Workspaces]${dryRun ? ' (dry run)' : ''} ${owned.users} user: ${owned.links} links, ${owned.banners} banners → workspace cá nhân | không chủ sở hữu: ${orphans.links} links, ${orphans.banners} banners → "${LEGACY_WORKSPACE_NAME}" | ${categories.categories} danh mục (${categories.shared} dùng chung nhiều workspace)`);
+};
+
+run()
+    .catch(error => {
+        console.error('❌ [Workspaces] Lỗi:', error);
+        process.exitCode = 1;
+    })
+    .finally(disconnectMongoDB);
@@ -0,0 +1,181 @@
+/**
+ * Backfill thống kê click cũ (chạy 1 lần sau khi chuyển sang ClickEvent / ClickRollup)
+ *
+ * Trước đây click nằm trong Link (clickLogs: 1000 click gần nhất, clickedIPs + counters trên Link)
+ * Dashboard / thống kê giờ đọc ClickRollup nên phải dựng lại dữ liệu cũ:
+ * 1. clickLogs → ClickEvent (chỉ click còn trong thời gian lưu CLICK_EVENT_RETENTION_DAYS) + ClickRollup giờ/ngày
+ * 2. Phần counters trên Link không có trong clickLogs (click cũ hơn 1000 click gần nhất)
+ *    → cộng vào bucket ngày tạo link, để tổng ClickRollup khớp counters của Link
+ *
+ * Chạy lại an toàn: link đã backfill được đánh dấu (clickBackfill), lần sau bỏ qua
+ * Link dừng giữa chừng (clickBackfill.status = started) không tự chạy lại, script liệt kê để kiểm tra tay
+ *
+ * Sử dụng: npm run migrate:clicks [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const { connectMongoDB, disconnectMongoDB } = require('../config/mongodb');
+const Link = require('../models/Link');
+const ClickEvent = require('../models/ClickEvent');
+const ClickRollup = require('../models/ClickRollup');
+const { parseSource } = require('../services/referrerService');
+
+const DEVICES = ['desktop', 'mobile', 'tablet', 'unknown'];
+const COUNTERS = ['totalClicks', 'validClicks', 'invalidClicks', 'uniqueIPs'];
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * clickLogs của link → click events (isNewIP: lần đầu IP xuất hiện trong logs)
+ * @param {Object} link - Document thô (có clickLogs)
+ * @returns {Array}
+ */
+const eventsFromLogs = (link) => {
+    const seen = new Set();
+
+    return (link.clickLogs || [])
+        .filter(log => log && log.clickedAt)
+        .sort((a, b) => new Date(a.clickedAt) - new Date(b.clickedAt))
+        .map(log => {
+            const ip = log.ip || 'unknown';
+            const isNewIP = !seen.has(ip);
+            seen.add(ip);
+
+            return {
+                linkId: link._id,
+                destinationId: null,
+                slug: link.slug,
+                ip,
+                ipInfo: log.ipInfo || {},
+                userAgent: (log.userAgent || '').substring(0, 500),
+                referer: (log.referer || '').substring(0, 500),
+                source: parseSource({ referer: log.referer, userAgent: log.userAgent }),
+                device: DEVICES.includes(log.device) ? log.device : 'unknown',
+                isValid: log.isValid !== false,
+                invalidReason: log.isValid === false ? (log.invalidReason || null) : null,
+                clickedAt: new Date(log.clickedAt),
+                isNewIP
+            };
+        });
+};
+
+/**
+ * Counters trên Link chưa có trong rollup (kể cả rollup vừa dựng từ clickLogs)
+ * @param {Object} link - Document thô
+ * @param {Array} events - Events dựng từ clickLogs
+ * @param {Object} existing - Tổng rollup hiện có của link (click ghi sau khi chuyển sang ClickEvent)
+ * @returns {Object} - { totalClicks, validClicks, invalidClicks, uniqueIPs }
+ */
+const remainderCounters = (link, events, existing) => {
+    const fromLogs = {
+        totalClicks: events.length,
+        validClicks: events.filter(e => e.isValid).length,
+        invalidClicks: events.filter(e => !e.isValid).length,
+        uniqueIPs: events.filter(e => e.isNewIP).length
+    };
+
+    const remainder = {};
+    for (const counter of COUNTERS) {
+        remainder[counter] = Math.max(0, (link[counter] || 0) - (existing[counter] || 0) - fromLogs[counter]);
+    }
+    return remainder;
+};
+
+/**
+ * Cộng phần click cũ không còn log vào bucket giờ / ngày tại thời điểm `at` (thiết bị: unknown)
+ */
+const applyRemainder = (linkId, remainder, at) => {
+    if (remainder.totalClicks === 0 && remainder.uniqueIPs === 0) return null;
+
+    return ClickRollup.bulkWrite(
+        ['hour', 'day'].map(granularity => ({
+            updateOne: {
+                filter: { linkId, granularity, bucketStart: ClickRollup.getBucketStart(at, granularity) },
+                update: { $inc: { ...remainder, 'devices.unknown': remainder.totalClicks } },
+                upsert: true,
+                setDefaultsOnInsert: false
+            }
+        })),
+        { ordered: false }
+    );
+};
+
+/**
+ * Backfill 1 link
+ * @returns {Object} - { events, retained, remainder }
+ */
+const backfillLink = async (link) => {
+    const events = eventsFromLogs(link);
+    const existing = await ClickRollup.getTotals({ linkIds: [link._id] });
+    const remainder = remainderCounters(link, events, existing);
+
+    const retentionStart = new Date(Date.now() - ClickEvent.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const retained = events.filter(e => e.clickedAt >= retentionStart);
+
+    // Click cũ hơn logs → bucket ngày tạo link (link cũ không có createdAt: click cũ nhất còn log)
+    const remainderAt = link.createdAt || events[0]?.clickedAt || new Date();
+
+    if (!dryRun) {
+        await Link.collection.updateOne(
+            { _id: link._id },
+            { $set: { clickBackfill: { status: 'started', startedAt: new Date() } } }
+        );
+
+        if (retained.length > 0) {
+            await ClickEvent.insertMany(retained, { ordered: false });
+        }
+        if (events.length > 0) {
+            await ClickRollup.applyClicks(events);
+        }
+        await applyRemainder(link._id, remainder, remainderAt);
+
+        await Link.collection.updateOne(
+            { _id: link._id },
+            { $set: { 'clickBackfill.status': 'done', 'clickBackfill.completedAt': new Date() } }
+        );
+    }
+
+    return { events: events.length, retained: retained.length, remainder };
+};
+
+const run = async () => {
+    await connectMongoDB();
+
+    const started = await Link.collection
+        .find({ 'clickBackfill.status': 'started' }, { projection: { slug: 1 } })
+        .toArray();
+    if (started.length > 0) {
+        console.warn(`⚠️  [Backfill] ${started.length} link dừng giữa chừng ở lần chạy trước, cần kiểm tra tay: ${started.map(l => l.slug).join(', ')}`);
+    }
+
+    // Link có click cũ (logs hoặc counters) và chưa backfill
+    const cursor = Link.collection.find(
+        {
+            clickBackfill: { $exists: false },
+            $or: [{ 'clickLogs.0': { $exists: true } }, { totalClicks: { $gt: 0 } }]
+        },
+        { projection: { slug: 1, createdAt: 1, clickLogs: 1, ...Object.fromEntries(COUNTERS.map(c => [c, 1])) } }
+    );
+
+    const summary = { links: 0, events: 0, retained: 0, remainderClicks: 0 };
+    for await (const link of cursor) {
+        const result = await backfillLink(link);
+
+        summary.links += 1;
+        summary.events += result.events;
+        summary.retained += result.retained;
+        summary.remainderClicks += result.remainder.totalClicks;
+
+        console.log(`🔁 [Backfill] /${link.slug}: ${result.events} click từ logs (${result.retained} ghi ClickEvent), ${result.remainder.totalClicks} click cũ cộng vào rollup`);
+    }
+
+    console.log(`✅ [Backfill]${dryRun ? ' (dry run)' : ''} ${summary.links} links | ${summary.events} click từ logs | ${summary.retained} ClickEvent | ${summary.remainderClicks} click cũ chỉ có trong counters`);
+};
+
+run()
+    .catch(error => {
+        console.error('❌ [Backfill] Lỗi:', error);
+        process.exitCode = 1;
+    })
+    .finally(disconnectMongoDB);
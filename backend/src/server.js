@@ -15,7 +15,7 @@ const cors = require('cors');
 const path = require('path');
 const bodyParser = require('body-parser');
 
-const { connectMongoDB, getConnectionStatus } = require('./config/mongodb');
+const { connectMongoDB, disconnectMongoDB, getConnectionStatus } = require('./config/mongodb');
 const linkRoutes = require('./routes/linkRoutes');
 const redirectRoutes = require('./routes/redirectRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
@@ -23,8 +23,13 @@ const authRoutes = require('./routes/authRoutes');
 const campaignRoutes = require('./routes/campaignRoutes');
 const facebookAccountRoutes = require('./routes/facebookAccountRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
 const cloudinaryRoutes = require('./routes/cloudinaryRoutes');
 const userRoutes = require('./routes/userRoutes');
+const userManagementRoutes = require('./routes/userManagementRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const resourceSetRoutes = require('./routes/resourceSetRoutes');
 const affiliateRedirectRoutes = require('./routes/affiliateRedirectRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
@@ -32,6 +37,8 @@ const { createSampleData } = require('./services/linkServiceMongo');
 const { ipFilterMiddleware, getDatabaseStatus } = require('./middleware/ipFilter');
 const User = require('./models/User');
 const campaignScheduler = require('./services/campaignScheduler');
+const articleScheduler = require('./services/articleScheduler');
+const { clickQueue } = require('./services/clickQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -80,7 +87,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Extension-Token']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Extension-Token', 'X-Workspace-Id', 'X-API-Key'],
+    exposedHeaders: ['Deprecation', 'Link']
 }));
 
 // Body Parser - Parse JSON và URL-encoded data
@@ -107,13 +115,14 @@ app.use(express.static(path.join(__dirname, '../../frontend/build')));
 // =================================================================
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         ipFilter: getDatabaseStatus(),
-        mongodb: getConnectionStatus()
+        mongodb: getConnectionStatus(),
+        clickQueue: await clickQueue.getMetrics()
     });
 });
 
@@ -123,12 +132,27 @@ app.use('/api/links', linkRoutes);
 // Auth Routes - Authentication & User Management
 app.use('/api/auth', authRoutes);
 
-// User Routes - User profile & management
+// User Routes - Profile của user đang đăng nhập (+ alias deprecated của /api/v1/users)
 app.use('/api/users', userRoutes);
 
+// User Management Routes - Quản lý user (quyền users:manage)
+app.use('/api/v1/users', userManagementRoutes);
+
+// Role Routes - Vai trò & quyền
+app.use('/api/roles', roleRoutes);
+
+// Workspace Routes - Workspace & thành viên
+app.use('/api/workspaces', workspaceRoutes);
+
+// Audit Routes - Nhật ký thay đổi quản trị
+app.use('/api/audit', auditRoutes);
+
 // Dashboard Routes - Thống kê dashboard
 app.use('/api/dashboard', dashboardRoutes);
 
+// Analytics Routes - Thống kê theo khoảng thời gian + timezone
+app.use('/api/analytics', analyticsRoutes);
+
 // Campaign Routes - Quản lý chiến dịch
 app.use('/api/campaigns', campaignRoutes);
 
@@ -145,6 +169,10 @@ app.use('/api/categories', categoryRoutes);
 const bannerRoutes = require('./routes/bannerRoutes');
 app.use('/api/banners', bannerRoutes);
 
+// Banner Experiment Routes - Thí nghiệm A/B banner
+const bannerExperimentRoutes = require('./routes/bannerExperimentRoutes');
+app.use('/api/banner-experiments', bannerExperimentRoutes);
+
 // Account Sync Routes - Extension bg.js sync endpoint
 const accountRoutes = require('./routes/accountRoutes');
 app.use('/api/accounts', accountRoutes);
@@ -233,6 +261,9 @@ const startServer = async () => {
         // Kết nối MongoDB Atlas
         await connectMongoDB();
         
+        // Click queue - ghi click theo lô
+        clickQueue.start();
+        
         // Tạo dữ liệu mẫu trong MongoDB
         await createSampleData();
         
@@ -240,6 +271,10 @@ const startServer = async () => {
         const Category = require('./models/Category');
         await Category.seedDefaults();
         
+        // Seed vai trò hệ thống (admin, user)
+        const Role = require('./models/Role');
+        await Role.seedDefaults();
+        
         // Tạo Admin user mặc định
         console.log('👤 Initializing default admin user...');
         await User.createDefaultAdmin('admin', '123456');
@@ -255,8 +290,11 @@ const startServer = async () => {
         console.log('🤖 - Checks expired tokens every 1 hour');
         console.log('🤖 ════════════════════════════════════════════════════');
         
+        // Lịch đăng / gỡ bài viết (draft | scheduled | published | archived)
+        await articleScheduler.start();
+        
         // Start server
-        app.listen(PORT, () => {
+        server = app.listen(PORT, () => {
             console.log('');
             console.log('🚀 ====================================');
             console.log(`🚀 Server đang chạy tại: http://localhost:${PORT}`);
@@ -288,7 +326,7 @@ const startServer = async () => {
             console.log('🔗 Affiliate Redirect (merged from bridge-server):');
             console.log(`   - http://localhost:${PORT}/go/flash50`);
             console.log('   - Referrer washing enabled (no-referrer)');
-            console.log('   - Async click tracking');
+            console.log('   - Async click tracking (batched click queue)');
             console.log('');
             console.log('🤖 Campaign Automation:');
             console.log('   - Status: Running (integrated)');
@@ -303,4 +341,59 @@ const startServer = async () => {
     }
 };
 
+// =================================================================
+// GRACEFUL SHUTDOWN
+// =================================================================
+
+let server = null;
+let isShuttingDown = false;
+
+// Thời gian tối đa chờ request đang xử lý xong trước khi flush click queue
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+/**
+ * Ngừng nhận kết nối mới, đóng keep-alive idle; hết SHUTDOWN_TIMEOUT_MS thì đóng hết kết nối còn lại
+ */
+const closeServer = () => new Promise(resolve => {
+    const timer = setTimeout(() => {
+        console.warn(`⚠️ Server chưa đóng sau ${SHUTDOWN_TIMEOUT_MS}ms, đóng các kết nối còn lại`);
+        server.closeAllConnections();
+        resolve();
+    }, SHUTDOWN_TIMEOUT_MS);
+    timer.unref();
+
+    server.close(() => {
+        clearTimeout(timer);
+        resolve();
+    });
+    server.closeIdleConnections();
+});
+
+/**
+ * Dừng nhận request, flush click queue rồi mới ngắt MongoDB
+ */
+const shutdown = async (signal) => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    
+    console.log(`\n🛑 ${signal} received, shutting down...`);
+    
+    try {
+        if (server) {
+            await closeServer();
+        }
+        campaignScheduler.stop();
+        articleScheduler.stop();
+        await clickQueue.stop();
+        await disconnectMongoDB();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Shutdown error:', error);
+        process.exit(1);
+    }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer();
@@ -0,0 +1,153 @@
+/**
+ * API Key Service
+ *
+ * - Tạo key (trả key gốc 1 lần), liệt kê, thu hồi
+ * - Xác thực key cho authenticate: kiểm tra hash, hạn dùng, user còn hoạt động
+ * - Ghi nhận lần dùng cuối (giới hạn tần suất ghi DB)
+ */
+
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// Mỗi user tối đa bấy nhiêu key còn hiệu lực
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEY_MAX_PER_USER) || 20;
+
+// Hạn dùng cho phép (ngày)
+const MAX_EXPIRY_DAYS = 365;
+const DEFAULT_EXPIRY_DAYS = 90;
+
+// Không ghi lastUsedAt quá 1 lần / phút cho mỗi key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Tạo API key
+ * @param {Object} user
+ * @param {Object} input - { name, scopes, expiresInDays }
+ * @param {Set<String>} grantedPermissions - Quyền hiện tại của user (scope phải nằm trong đây)
+ * @returns {Object} - { apiKey, key } hoặc { error }
+ */
+const createKey = async (user, input, grantedPermissions) => {
+    const name = String(input.name || '').trim();
+    if (!name) return { error: 'Vui lòng đặt tên cho API key' };
+
+    const scopes = input.scopes || [];
+    if (!Array.isArray(scopes)) return { error: 'scopes phải là mảng' };
+
+    const notGranted = scopes.filter(scope => !grantedPermissions.has(scope));
+    if (notGranted.length > 0) {
+        return { error: `Không thể cấp quyền bạn không có: ${notGranted.join(', ')}` };
+    }
+
+    const expiresInDays = input.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : parseInt(input.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+        return { error: `Hạn dùng phải từ 1 đến ${MAX_EXPIRY_DAYS} ngày` };
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+        userId: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+        return { error: `Mỗi tài khoản tối đa ${MAX_ACTIVE_KEYS} API key còn hiệu lực` };
+    }
+
+    const key = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+        userId: user._id,
+        name,
+        keyHash: ApiKey.hashKey(key),
+        prefix: key.substring(0, ApiKey.DISPLAY_PREFIX_LENGTH),
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    console.log(`🔑 [ApiKey] ${user.username} tạo key "${name}" (${apiKey.prefix}…)`);
+    return { apiKey: formatKey(apiKey), key };
+};
+
+/**
+ * Xác thực key gửi lên (dùng trong authenticate)
+ * @param {String} key
+ * @param {Object} meta - { ip }
+ * @returns {Object} - { apiKey, user } hoặc { error: 'invalid' | 'expired' | 'revoked' | 'user_disabled' }
+ */
+const verifyKey = async (key, meta = {}) => {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+    if (!apiKey) return { error: 'invalid' };
+
+    const now = new Date();
+    if (apiKey.revokedAt) return { error: 'revoked' };
+    if (!apiKey.isValid(now)) return { error: 'expired' };
+
+    const user = await User.findById(apiKey.userId);
+    if (!user) return { error: 'invalid' };
+    if (!user.isActive) return { error: 'user_disabled' };
+
+    // Ghi nhận lần dùng (không chờ, không chặn request)
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_THROTTLE_MS) {
+        ApiKey.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: now, lastUsedIp: meta.ip || '' } }
+        ).catch(error => console.error('❌ [ApiKey] Update last used error:', error.message));
+    }
+
+    return { apiKey, user };
+};
+
+/**
+ * Danh sách key của user (không có hash)
+ * @param {ObjectId} userId
+ * @returns {Array}
+ */
+const listKeys = async (userId) => {
+    const keys = await ApiKey.find({ userId })
+        .sort({ revokedAt: 1, createdAt: -1 })
+        .select('-keyHash');
+
+    return keys.map(formatKey);
+};
+
+/**
+ * Thu hồi key (chỉ key của chính mình)
+ * @param {ObjectId} keyId
+ * @param {ObjectId} userId
+ * @returns {Boolean}
+ */
+const revokeKey = async (keyId, userId) => {
+    const result = await ApiKey.updateOne(
+        { _id: keyId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Dữ liệu trả về client
+ * @param {ApiKey} apiKey
+ * @returns {Object}
+ */
+const formatKey = (apiKey) => {
+    const now = new Date();
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        createdAt: apiKey.createdAt,
+        expiresAt: apiKey.expiresAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        lastUsedIp: apiKey.lastUsedIp,
+        revokedAt: apiKey.revokedAt,
+        status: apiKey.revokedAt ? 'revoked' : (apiKey.expiresAt <= now ? 'expired' : 'active')
+    };
+};
+
+module.exports = {
+    MAX_EXPIRY_DAYS,
+    DEFAULT_EXPIRY_DAYS,
+    createKey,
+    verifyKey,
+    listKeys,
+    revokeKey
+};
@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const Link = require('../models/Link');
+
+/**
+ * Article Scheduler
+ * 
+ * Features:
+ * - Cron job mỗi phút chuyển trạng thái bài viết theo lịch
+ * - scheduled → published khi tới publishedAt
+ * - published → archived khi tới expiresAt
+ * - Gán status 'published' cho links cũ chưa có trạng thái
+ * 
+ * Public endpoints tự lọc theo publishedAt/expiresAt (Link.publicFilter),
+ * nên scheduler chạy trễ cũng không làm lộ hoặc giấu bài sai lịch
+ */
+
+class ArticleScheduler {
+    constructor() {
+        this.jobs = [];
+        this.running = false;
+    }
+    
+    /**
+     * Start scheduler
+     */
+    async start() {
+        console.log('🕐 Starting Article Scheduler...');
+        
+        try {
+            const backfilled = await Link.backfillStatus();
+            if (backfilled > 0) {
+                console.log(`📦 [ArticleScheduler] Gán status 'published' cho ${backfilled} bài cũ`);
+            }
+        } catch (error) {
+            console.error('❌ [ArticleScheduler] Backfill status error:', error.message);
+        }
+        
+        // Job: Publish / archive theo lịch mỗi phút
+        const statusJob = cron.schedule('* * * * *', () => this.runOnce());
+        
+        this.jobs.push(statusJob);
+        
+        // Chạy ngay lần đầu để bắt kịp các bài tới lịch khi server tắt
+        await this.runOnce();
+        
+        console.log('✅ Article Scheduler started successfully');
+    }
+    
+    /**
+     * Stop scheduler
+     */
+    stop() {
+        console.log('🛑 Stopping Article Scheduler...');
+        
+        this.jobs.forEach(job => job.stop());
+        this.jobs = [];
+        
+        console.log('✅ Article Scheduler stopped');
+    }
+    
+    /**
+     * Chuyển trạng thái các bài tới lịch (bỏ qua nếu lần chạy trước chưa xong)
+     * @returns {Object} - { published, archived }
+     */
+    async runOnce() {
+        if (this.running) {
+            return { published: 0, archived: 0 };
+        }
+        
+        this.running = true;
+        try {
+            const now = new Date();
+            const published = await Link.publishDue(now);
+            const archived = await Link.archiveExpired(now);
+            
+            if (published > 0 || archived > 0) {
+                console.log(`⏰ [ArticleScheduler] Published: ${published} | Archived: ${archived}`);
+            }
+            
+            return { published, archived };
+        } catch (error) {
+            console.error('❌ [ArticleScheduler] Error:', error.message);
+            return { published: 0, archived: 0 };
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+// Export singleton instance
+const scheduler = new ArticleScheduler();
+
+module.exports = scheduler;
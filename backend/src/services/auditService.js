@@ -0,0 +1,224 @@
+/**
+ * Audit Service
+ *
+ * - Ghi nhật ký thay đổi quản trị (AuditEvent) kèm diff trước / sau, IP, user agent
+ * - Ghi nhật ký không bao giờ làm hỏng request chính (lỗi chỉ log ra console)
+ * - Lọc / phân trang / xuất CSV cho trang nhật ký
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// Field không đưa vào diff (tự sinh, đếm click...)
+const IGNORED_FIELDS = [
+    '_id', '__v', 'createdAt', 'updatedAt', 'stats', 'clickLogs', 'clickedIPs',
+    'clicks', 'validClicks', 'uniqueClicks', 'lastLogin', 'lastLoginIP'
+];
+
+// Field nhạy cảm: chỉ ghi nhận là có thay đổi, không lưu giá trị
+const SENSITIVE_FIELDS = ['password', 'twoFactor', 'keyHash', 'tokenHash', 'passwordResetSentAt', 'invitation'];
+const REDACTED = '[đã ẩn]';
+
+// Chuỗi dài (nội dung bài viết...) cắt bớt trong diff
+const MAX_VALUE_LENGTH = 500;
+
+// Giới hạn số dòng xuất CSV
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Document Mongoose / object → object thường
+ */
+const toPlain = (value) => {
+    if (!value) return null;
+    if (typeof value.toObject === 'function') return value.toObject({ depopulate: true });
+    return value;
+};
+
+/**
+ * Chuẩn hóa giá trị để so sánh / lưu (Date, ObjectId → string, cắt chuỗi dài)
+ */
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+        return `${value.substring(0, MAX_VALUE_LENGTH)}… (${value.length} ký tự)`;
+    }
+    return value;
+};
+
+/**
+ * Diff 2 trạng thái của đối tượng
+ * @param {Object|null} before - null khi tạo mới
+ * @param {Object|null} after - null khi xóa
+ * @returns {Object} - { field: { from, to } }
+ */
+const diff = (before, after) => {
+    const previous = toPlain(before) || {};
+    const next = toPlain(after) || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    const changes = {};
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const from = normalize(previous[field]);
+        const to = normalize(next[field]);
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[field] = SENSITIVE_FIELDS.includes(field)
+            ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+            : { from, to };
+    }
+
+    return changes;
+};
+
+/**
+ * Ghi một audit event (không throw)
+ * @param {Object} req - Request (lấy người thực hiện, IP, user agent)
+ * @param {Object} event
+ * @param {String} event.action - VD: link.update
+ * @param {String} event.targetType - link | banner | experiment | category | user | upload | role | workspace
+ * @param {*} event.targetId
+ * @param {String} event.targetLabel
+ * @param {Object} event.before - Trạng thái trước (null khi tạo)
+ * @param {Object} event.after - Trạng thái sau (null khi xóa)
+ * @param {Object} event.changes - Diff tự cung cấp (bỏ qua before / after)
+ * @returns {Promise<AuditEvent|null>}
+ */
+const record = async (req, event) => {
+    try {
+        const { action, targetType, targetId, targetLabel, before = null, after = null, changes } = event;
+
+        return await AuditEvent.create({
+            actor: {
+                userId: req.user?._id || null,
+                username: req.user?.username || 'anonymous',
+                apiKeyId: req.apiKey?._id || null
+            },
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : '',
+            targetLabel: targetLabel || '',
+            changes: changes || diff(before, after),
+            ip: req.clientIP || req.ip || '',
+            userAgent: String(req.headers?.['user-agent'] || '').substring(0, 500)
+        });
+    } catch (error) {
+        console.error(`❌ [Audit] Không ghi được ${event.action}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Điều kiện lọc từ query string
+ * @param {Object} query - { actor, action, targetType, targetId, from, to }
+ * @returns {Object} - { filter } hoặc { error }
+ */
+const buildFilter = (query = {}) => {
+    const filter = {};
+
+    if (query.actor) {
+        filter['actor.username'] = String(query.actor).toLowerCase().trim();
+    }
+    if (query.action) {
+        // action đầy đủ (link.update) hoặc tiền tố (link.)
+        const action = String(query.action).trim();
+        filter.action = action.endsWith('.')
+            ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+            : action;
+    }
+    if (query.targetType) {
+        if (!AuditEvent.TARGET_TYPES.includes(query.targetType)) {
+            return { error: 'targetType không hợp lệ' };
+        }
+        filter.targetType = query.targetType;
+    }
+    if (query.targetId) {
+        filter.targetId = String(query.targetId);
+    }
+
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+        if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+            return { error: 'Khoảng thời gian không hợp lệ' };
+        }
+    }
+
+    return { filter };
+};
+
+/**
+ * Danh sách audit event (mới nhất trước)
+ * @param {Object} filter
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { events, pagination }
+ */
+const search = async (filter, options = {}) => {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+        events,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * Escape 1 ô CSV
+ * Ô bắt đầu bằng = + - @, tab, CR (Excel / Sheets hiểu là công thức) thêm ' phía trước - label, user agent... do người dùng nhập
+ */
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Xuất CSV (tối đa MAX_EXPORT_ROWS dòng mới nhất)
+ * @param {Object} filter
+ * @returns {String}
+ */
+const exportCsv = async (filter) => {
+    const events = await AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+    const header = ['time', 'actor', 'via_api_key', 'action', 'target_type', 'target_id', 'target_label', 'changes', 'ip', 'user_agent'];
+    const rows = events.map(event => [
+        event.createdAt.toISOString(),
+        event.actor.username,
+        event.actor.apiKeyId ? 'yes' : '',
+        event.action,
+        event.targetType,
+        event.targetId,
+        event.targetLabel,
+        JSON.stringify(event.changes || {}),
+        event.ip,
+        event.userAgent
+    ].map(csvCell).join(','));
+
+    return [header.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+    diff,
+    record,
+    buildFilter,
+    search,
+    exportCsv
+};
@@ -0,0 +1,172 @@
+/**
+ * Banner Allocation Service
+ *
+ * Chế độ phân bổ lượt hiển thị cho từng vị trí banner (Banner.type):
+ * - weighted (mặc định): ngẫu nhiên theo weight nhập tay
+ * - thompson / epsilon_greedy: bandit theo CTR trong stats (utils/bandit.js)
+ *
+ * Cấu hình lưu ở Setting (key banners.allocation): { [type]: { mode, explorationFloor, warmupImpressions } }
+ * Mỗi lần chọn theo bandit ghi 1 BannerAllocationDecision (lý do + số liệu ứng viên) để xem lại sau
+ */
+
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const BannerAllocationDecision = require('../models/BannerAllocationDecision');
+const { pickWeighted } = require('../utils/weightedRandom');
+const { BANDIT_MODES, selectBandit } = require('../utils/bandit');
+
+const ALLOCATION_MODES = ['weighted', ...BANDIT_MODES];
+
+const DEFAULT_CONFIG = {
+    mode: 'weighted',
+    // Tỉ lệ lượt hiển thị chia đều cho mọi banner (= epsilon của epsilon-greedy)
+    explorationFloor: 0.1,
+    // Lượt xem tối thiểu trước khi banner được đánh giá theo CTR
+    warmupImpressions: 100
+};
+
+// Cache cấu hình (getRandom gọi mỗi lượt xem trang)
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+
+/**
+ * Cấu hình đã lưu của mọi vị trí
+ * @returns {Promise<Object>} - { [type]: config }
+ */
+async function loadConfigs() {
+    if (cache && cache.expiresAt > Date.now()) return cache.value;
+
+    const value = await Setting.getValue(Setting.KEYS.BANNER_ALLOCATION, {});
+    cache = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+}
+
+/**
+ * Cấu hình của 1 vị trí (đã gộp mặc định)
+ * @param {String} type
+ * @returns {Promise<Object>}
+ */
+async function getConfig(type) {
+    const configs = await loadConfigs();
+    return { ...DEFAULT_CONFIG, ...(configs[type] || {}) };
+}
+
+/**
+ * Cấu hình của các vị trí
+ * @param {Array<String>} types - Banner.TYPES
+ * @returns {Promise<Object>} - { [type]: config }
+ */
+async function getConfigs(types) {
+    const configs = await loadConfigs();
+    return Object.fromEntries(types.map(type => [type, { ...DEFAULT_CONFIG, ...(configs[type] || {}) }]));
+}
+
+/**
+ * Cập nhật cấu hình của 1 vị trí
+ * @param {String} type
+ * @param {Object} updates - { mode, explorationFloor, warmupImpressions } (đã qua schema)
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} - { before, after }
+ */
+async function setConfig(type, updates, userId) {
+    const configs = await Setting.getValue(Setting.KEYS.BANNER_ALLOCATION, {});
+    const before = { ...DEFAULT_CONFIG, ...(configs[type] || {}) };
+    const after = { ...before, ...updates };
+
+    await Setting.setValue(Setting.KEYS.BANNER_ALLOCATION, { ...configs, [type]: after }, userId);
+    cache = null;
+
+    return { before, after };
+}
+
+/**
+ * Ghi quyết định (không chặn request, lỗi chỉ log)
+ */
+function recordDecision(type, config, selection) {
+    BannerAllocationDecision.create({
+        type,
+        mode: config.mode,
+        bannerId: selection.banner._id,
+        reason: selection.reason,
+        detail: selection.detail,
+        explorationFloor: config.explorationFloor,
+        warmupImpressions: config.warmupImpressions,
+        candidates: selection.candidates
+    }).catch(error => {
+        console.error('❌ [BannerAllocation] Không ghi được quyết định:', error.message);
+    });
+}
+
+/**
+ * Chọn 1 banner trong các ứng viên theo chế độ của vị trí
+ * @param {Array} banners - Ứng viên đã lọc (thiết bị, bài viết, lịch)
+ * @param {String} type
+ * @returns {Promise<Object|null>}
+ */
+async function choose(banners, type) {
+    if (!banners || banners.length === 0) return null;
+
+    const config = await getConfig(type);
+    if (!BANDIT_MODES.includes(config.mode)) {
+        return pickWeighted(banners);
+    }
+
+    const selection = selectBandit(banners, config);
+    recordDecision(type, config, selection);
+    return selection.banner;
+}
+
+/**
+ * Quyết định gần đây + tổng hợp theo banner / lý do
+ * @param {Object} filter - { type, bannerId, bannerIds, since, limit }
+ *   bannerIds: chỉ lấy quyết định chọn các banner này (banner của workspace); candidates cũng lọc theo danh sách này
+ * @returns {Promise<Object>} - { decisions, summary: [{ bannerId, total, reasons: { warmup, explore, ... } }] }
+ */
+async function listDecisions({ type, bannerId, bannerIds, since, limit = 50 }) {
+    const allowed = bannerIds ? new Set(bannerIds.map(String)) : null;
+    const selected = bannerId
+        ? [bannerId].filter(id => !allowed || allowed.has(String(id)))
+        : bannerIds;
+
+    const match = { type };
+    if (selected) match.bannerId = { $in: selected.map(id => new mongoose.Types.ObjectId(id)) };
+    if (since) match.decidedAt = { $gte: since };
+
+    const [decisions, grouped] = await Promise.all([
+        BannerAllocationDecision.find(match).sort({ decidedAt: -1 }).limit(limit).lean(),
+        BannerAllocationDecision.aggregate([
+            { $match: match },
+            { $group: { _id: { bannerId: '$bannerId', reason: '$reason' }, count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const summary = new Map();
+    grouped.forEach(({ _id, count }) => {
+        const key = _id.bannerId.toString();
+        const entry = summary.get(key) || { bannerId: _id.bannerId, total: 0, reasons: {} };
+        entry.total += count;
+        entry.reasons[_id.reason] = count;
+        summary.set(key, entry);
+    });
+
+    if (allowed) {
+        decisions.forEach(decision => {
+            decision.candidates = (decision.candidates || []).filter(c => allowed.has(String(c.bannerId)));
+        });
+    }
+
+    return {
+        decisions,
+        summary: [...summary.values()].sort((a, b) => b.total - a.total)
+    };
+}
+
+module.exports = {
+    ALLOCATION_MODES,
+    DEFAULT_CONFIG,
+    getConfig,
+    getConfigs,
+    setConfig,
+    choose,
+    listDecisions
+};
@@ -0,0 +1,338 @@
+/**
+ * Banner Experiment Service
+ *
+ * Nghiệp vụ thí nghiệm A/B banner (xem models/BannerExperiment.js):
+ * - Kiểm tra biến thể (cùng workspace, cùng vị trí, không nằm trong thí nghiệm khác đang chạy)
+ * - Start / stop / promote winner (tắt các biến thể thua)
+ * - Báo cáo: lượt xem, click, CTR + khoảng tin cậy Wilson, kiểm định z so với đối chứng (biến thể A)
+ *
+ * Kết luận có biến thể thắng khi: mọi biến thể đủ minImpressions và biến thể dẫn đầu
+ * khác biệt có ý nghĩa với từng biến thể còn lại (alpha chia theo số phép so sánh - Bonferroni)
+ *
+ * Lỗi trả về dạng { errors: [{ field, message }] } (lỗi dữ liệu) hoặc { status, message }
+ */
+
+const Banner = require('../models/Banner');
+const BannerExperiment = require('../models/BannerExperiment');
+const { wilsonInterval, twoProportionTest } = require('../utils/abStats');
+
+const VARIANT_LABELS = 'ABCDEFGHIJ';
+
+/**
+ * Helper: So sánh ObjectId / string
+ */
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+/**
+ * Lấy banner của các biến thể
+ * @param {Object} experiment
+ * @returns {Promise<Map>} - bannerId (string) → banner
+ */
+async function loadBanners(experiment) {
+    const banners = await Banner.find({ _id: { $in: experiment.getBannerIds() } });
+    return new Map(banners.map(banner => [banner._id.toString(), banner]));
+}
+
+/**
+ * Kiểm tra danh sách banner biến thể
+ * @param {Array<String>} bannerIds - Đã qua schema (objectId, không trùng)
+ * @param {String} type - Vị trí hiển thị của thí nghiệm
+ * @param {ObjectId} workspaceId
+ * @returns {Promise<Object>} - { banners } hoặc { errors }
+ */
+async function checkVariants(bannerIds, type, workspaceId) {
+    const banners = await Banner.find({ _id: { $in: bannerIds }, workspaceId });
+
+    const missing = bannerIds.filter(id => !banners.some(banner => sameId(banner._id, id)));
+    if (missing.length > 0) {
+        return { errors: [{ field: 'bannerIds', message: 'Có banner không tồn tại trong workspace' }] };
+    }
+
+    const wrongType = banners.filter(banner => banner.type !== type);
+    if (wrongType.length > 0) {
+        return {
+            errors: [{
+                field: 'bannerIds',
+                message: `Banner khác vị trí hiển thị: ${wrongType.map(banner => banner.name).join(', ')}`
+            }]
+        };
+    }
+
+    // Giữ thứ tự gửi lên (biến thể đầu tiên là đối chứng)
+    return { banners: bannerIds.map(id => banners.find(banner => sameId(banner._id, id))) };
+}
+
+/**
+ * Thí nghiệm khác đang chạy có chung banner
+ * @param {Array} bannerIds
+ * @param {ObjectId} excludeId - Bỏ qua thí nghiệm này
+ * @returns {Promise<Object|null>}
+ */
+function findRunningConflict(bannerIds, excludeId) {
+    return BannerExperiment.findOne({
+        _id: { $ne: excludeId },
+        status: 'running',
+        'variants.bannerId': { $in: bannerIds }
+    });
+}
+
+/**
+ * Stats hiện tại của banner → snapshot
+ */
+const snapshot = (banner) => ({
+    impressions: (banner && banner.stats && banner.stats.impressions) || 0,
+    clicks: (banner && banner.stats && banner.stats.clicks) || 0
+});
+
+/**
+ * Tạo thí nghiệm (draft)
+ * @param {Object} input - { name, hypothesis, type, bannerIds, confidenceLevel, minImpressions }
+ * @param {Object} context - { user, workspace }
+ * @returns {Promise<Object>} - { experiment } hoặc { errors }
+ */
+async function createExperiment(input, { user, workspace }) {
+    const result = await checkVariants(input.bannerIds, input.type, workspace._id);
+    if (result.errors) return result;
+
+    const experiment = await BannerExperiment.create({
+        name: input.name,
+        hypothesis: input.hypothesis || '',
+        type: input.type,
+        variants: result.banners.map((banner, index) => ({ bannerId: banner._id, label: VARIANT_LABELS[index] })),
+        confidenceLevel: input.confidenceLevel,
+        minImpressions: input.minImpressions,
+        createdBy: user._id,
+        workspaceId: workspace._id
+    });
+
+    return { experiment };
+}
+
+/**
+ * Sửa thí nghiệm - chỉ khi còn draft
+ * @param {Object} experiment
+ * @param {Object} updates - Field đã qua schema
+ * @returns {Promise<Object>} - { experiment } hoặc lỗi
+ */
+async function updateExperiment(experiment, updates) {
+    if (experiment.status !== 'draft') {
+        return { status: 409, message: 'Chỉ sửa được thí nghiệm chưa bắt đầu' };
+    }
+
+    const { bannerIds, ...fields } = updates;
+    const type = fields.type || experiment.type;
+
+    // Đổi vị trí hoặc danh sách biến thể → kiểm tra lại biến thể
+    if (bannerIds || fields.type) {
+        const result = await checkVariants(bannerIds || experiment.getBannerIds().map(String), type, experiment.workspaceId);
+        if (result.errors) return result;
+        experiment.variants = result.banners.map((banner, index) => ({ bannerId: banner._id, label: VARIANT_LABELS[index] }));
+    }
+
+    experiment.set(fields);
+    await experiment.save();
+    return { experiment };
+}
+
+/**
+ * Bắt đầu thí nghiệm: chụp baseline, bật các biến thể
+ * @param {Object} experiment
+ * @returns {Promise<Object>} - { experiment } hoặc lỗi
+ */
+async function startExperiment(experiment) {
+    if (experiment.status !== 'draft') {
+        return { status: 409, message: 'Thí nghiệm đã bắt đầu trước đó' };
+    }
+
+    const bannerIds = experiment.getBannerIds();
+    const banners = await loadBanners(experiment);
+    if (banners.size !== bannerIds.length) {
+        return { status: 409, message: 'Có biến thể đã bị xóa, hãy sửa lại danh sách banner' };
+    }
+
+    const conflict = await findRunningConflict(bannerIds, experiment._id);
+    if (conflict) {
+        return { status: 409, message: `Có banner đang nằm trong thí nghiệm "${conflict.name}"` };
+    }
+
+    experiment.variants.forEach(variant => {
+        variant.baseline = snapshot(banners.get(variant.bannerId.toString()));
+        variant.final = null;
+    });
+    experiment.status = 'running';
+    experiment.startedAt = new Date();
+    await experiment.save();
+
+    // Biến thể phải đang bật để được xoay vòng hiển thị
+    await Banner.updateMany({ _id: { $in: bannerIds } }, { $set: { isActive: true } });
+
+    return { experiment };
+}
+
+/**
+ * Chụp stats cuối của các biến thể
+ */
+async function captureFinal(experiment) {
+    const banners = await loadBanners(experiment);
+    experiment.variants.forEach(variant => {
+        const banner = banners.get(variant.bannerId.toString());
+        // Banner đã bị xóa → giữ số liệu bằng baseline (0 trong thí nghiệm)
+        variant.final = banner ? snapshot(banner) : variant.baseline;
+    });
+    experiment.stoppedAt = new Date();
+}
+
+/**
+ * Dừng thí nghiệm (giữ nguyên trạng thái bật / tắt của banner)
+ * @param {Object} experiment
+ * @returns {Promise<Object>} - { experiment } hoặc lỗi
+ */
+async function stopExperiment(experiment) {
+    if (experiment.status !== 'running') {
+        return { status: 409, message: 'Thí nghiệm không chạy' };
+    }
+
+    await captureFinal(experiment);
+    experiment.status = 'stopped';
+    await experiment.save();
+    return { experiment };
+}
+
+/**
+ * Chọn biến thể thắng: bật banner thắng, tắt các biến thể còn lại, kết thúc thí nghiệm
+ * @param {Object} experiment
+ * @param {String} bannerId - Banner thắng
+ * @returns {Promise<Object>} - { experiment, deactivated } hoặc lỗi
+ */
+async function promoteWinner(experiment, bannerId) {
+    if (!['running', 'stopped'].includes(experiment.status)) {
+        return { status: 409, message: 'Chỉ chọn biến thể thắng khi thí nghiệm đang chạy hoặc đã dừng' };
+    }
+
+    if (!experiment.variants.some(variant => sameId(variant.bannerId, bannerId))) {
+        return { errors: [{ field: 'bannerId', message: 'Banner không thuộc thí nghiệm' }] };
+    }
+
+    const winner = await Banner.findById(bannerId);
+    if (!winner) {
+        return { errors: [{ field: 'bannerId', message: 'Banner thắng đã bị xóa' }] };
+    }
+
+    if (experiment.status === 'running') {
+        await captureFinal(experiment);
+    }
+
+    const losers = experiment.getBannerIds().filter(id => !sameId(id, bannerId));
+    const { modifiedCount } = await Banner.updateMany(
+        { _id: { $in: losers }, isActive: true },
+        { $set: { isActive: false } }
+    );
+    if (!winner.isActive) {
+        winner.isActive = true;
+        await winner.save();
+    }
+
+    experiment.status = 'completed';
+    experiment.winnerBannerId = winner._id;
+    experiment.promotedAt = new Date();
+    await experiment.save();
+
+    return { experiment, deactivated: modifiedCount };
+}
+
+/**
+ * Báo cáo số liệu của thí nghiệm
+ * @param {Object} experiment
+ * @param {Map} banners - Từ loadBanners
+ * @returns {Object} - { variants, alpha, adjustedAlpha, leaderBannerId, winnerBannerId, conclusion }
+ *   CTR / khoảng tin cậy là tỉ lệ 0-1; conclusion: not_started | insufficient_data | no_difference | winner
+ */
+function buildReport(experiment, banners) {
+    const alpha = Number((1 - experiment.confidenceLevel).toFixed(4));
+    // Bonferroni: biến thể dẫn đầu so với (k - 1) biến thể còn lại
+    const adjustedAlpha = alpha / Math.max(1, experiment.variants.length - 1);
+
+    const rows = experiment.variants.map(variant => {
+        const banner = banners.get(variant.bannerId.toString()) || null;
+        const counts = experiment.getVariantCounts(variant, banner);
+        return {
+            bannerId: variant.bannerId,
+            label: variant.label,
+            name: banner ? banner.name : '(đã xóa)',
+            imageUrl: banner ? banner.imageUrl : '',
+            isActive: Boolean(banner && banner.isActive),
+            missing: !banner,
+            impressions: counts.impressions,
+            clicks: counts.clicks,
+            ctr: counts.impressions > 0 ? counts.clicks / counts.impressions : 0,
+            ci: wilsonInterval(counts.clicks, counts.impressions, experiment.confidenceLevel)
+        };
+    });
+
+    // So với đối chứng (A)
+    const control = rows[0];
+    rows.forEach((row, index) => {
+        if (index === 0) {
+            row.lift = null;
+            row.pValue = null;
+            row.significant = false;
+            return;
+        }
+        const test = twoProportionTest(row, control);
+        row.lift = control.ctr > 0 ? (row.ctr - control.ctr) / control.ctr : null;
+        row.pValue = test.pValue;
+        row.significant = test.pValue < adjustedAlpha;
+    });
+
+    const report = {
+        confidenceLevel: experiment.confidenceLevel,
+        alpha,
+        adjustedAlpha,
+        minImpressions: experiment.minImpressions,
+        variants: rows,
+        leaderBannerId: null,
+        winnerBannerId: null,
+        conclusion: 'not_started'
+    };
+
+    if (experiment.status === 'draft') return report;
+
+    const leader = rows.filter(row => !row.missing).reduce((best, row) => (!best || row.ctr > best.ctr ? row : best), null);
+    report.leaderBannerId = leader && leader.impressions > 0 ? leader.bannerId : null;
+
+    if (rows.some(row => !row.missing && row.impressions < experiment.minImpressions) || !report.leaderBannerId) {
+        report.conclusion = 'insufficient_data';
+        return report;
+    }
+
+    const beatsAll = rows
+        .filter(row => row !== leader && !row.missing)
+        .every(row => twoProportionTest(leader, row).pValue < adjustedAlpha);
+
+    report.conclusion = beatsAll ? 'winner' : 'no_difference';
+    report.winnerBannerId = beatsAll ? leader.bannerId : null;
+    return report;
+}
+
+/**
+ * Thí nghiệm kèm báo cáo (trả về client)
+ * @param {Object} experiment
+ * @returns {Promise<Object>}
+ */
+async function withReport(experiment) {
+    const banners = await loadBanners(experiment);
+    return {
+        ...experiment.toObject(),
+        report: buildReport(experiment, banners)
+    };
+}
+
+module.exports = {
+    createExperiment,
+    updateExperiment,
+    startExperiment,
+    stopExperiment,
+    promoteWinner,
+    buildReport,
+    withReport
+};
@@ -0,0 +1,87 @@
+/**
+ * Banner Impression Service
+ *
+ * Đếm lượt xem banner theo beacon từ trình duyệt (BannerDisplay / HomeBannerDisplay):
+ * - Beacon chỉ gửi khi banner đã render và hiển thị ≥ 50% trong 1 giây (IntersectionObserver)
+ * - Chống đếm trùng theo lượt xem trang: mỗi (pageViewId, banner) chỉ tính 1 lần
+ * - Lượt xem đã tính cũng được đếm vào frequency cap của khách (services/bannerVisitorService.js)
+ *
+ * Bộ nhớ chống trùng nằm trong memory của instance (beacon trùng hiếm khi tới instance khác)
+ */
+
+const Banner = require('../models/Banner');
+const bannerVisitorService = require('./bannerVisitorService');
+
+// pageViewId sống tối đa bằng 1 lượt đọc bài
+const DEDUP_TTL_MS = (parseInt(process.env.BANNER_IMPRESSION_DEDUP_MINUTES) || 30) * 60 * 1000;
+
+// Giới hạn bộ nhớ chống trùng (beacon giả mạo không làm phình memory)
+const DEDUP_MAX_ENTRIES = 100000;
+
+// `${pageViewId}:${bannerId}` → expiresAt
+const seen = new Map();
+
+// Dọn entry hết hạn mỗi 5 phút
+const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, expiresAt] of seen) {
+        if (expiresAt <= now) seen.delete(key);
+    }
+}, 5 * 60 * 1000);
+if (cleanupTimer.unref) cleanupTimer.unref();
+
+/**
+ * Đánh dấu đã tính (pageViewId, banner)
+ * @returns {Boolean} - false nếu đã tính trước đó
+ */
+function markSeen(pageViewId, bannerId) {
+    const key = `${pageViewId}:${bannerId}`;
+    const expiresAt = seen.get(key);
+    if (expiresAt && expiresAt > Date.now()) return false;
+
+    // Map giữ thứ tự thêm vào → xóa entry cũ nhất khi đầy
+    if (seen.size >= DEDUP_MAX_ENTRIES) {
+        seen.delete(seen.keys().next().value);
+    }
+    seen.set(key, Date.now() + DEDUP_TTL_MS);
+    return true;
+}
+
+/**
+ * Ghi 1 lượt xem thực sự
+ * @param {String} bannerId
+ * @param {String} pageViewId - Mã lượt xem trang do trình duyệt sinh
+ * @param {Object} visitor - { visitorId, sessionId } (optional)
+ * @returns {Promise<Object>} - { found, counted }
+ */
+async function recordView(bannerId, pageViewId, visitor) {
+    const banner = await Banner.findById(bannerId);
+    if (!banner) return { found: false, counted: false };
+
+    if (!markSeen(pageViewId, bannerId)) return { found: true, counted: false };
+
+    await banner.recordImpression();
+
+    bannerVisitorService.recordView(visitor, banner._id).catch(error => {
+        console.error('❌ [BannerImpression] Không ghi được frequency cap:', error.message);
+    });
+
+    return { found: true, counted: true };
+}
+
+/**
+ * Ghi served cho các banner vừa trả về (không chặn request, lỗi chỉ log)
+ * @param {Array} banners
+ */
+function recordServed(banners) {
+    if (!banners || banners.length === 0) return;
+
+    Banner.recordServed(banners.map(banner => banner._id)).catch(error => {
+        console.error('❌ [BannerImpression] Không ghi được served:', error.message);
+    });
+}
+
+module.exports = {
+    recordView,
+    recordServed
+};
@@ -0,0 +1,92 @@
+/**
+ * Banner Stats Service
+ *
+ * Chuỗi thời gian served / lượt xem / click / CTR của 1 banner (đọc BannerStatsBucket)
+ * - hour: bucket giờ, tối đa MAX_HOUR_RANGE_DAYS ngày
+ * - day: bucket ngày theo BannerStatsBucket.STATS_TIMEZONE, tối đa MAX_DAY_RANGE_DAYS ngày
+ * Bucket không có dữ liệu trả về 0 để biểu đồ các banner thẳng hàng theo thời gian
+ */
+
+const BannerStatsBucket = require('../models/BannerStatsBucket');
+
+const MAX_HOUR_RANGE_DAYS = 31;
+const MAX_DAY_RANGE_DAYS = 366;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Khoảng thời gian mặc định + kiểm tra giới hạn
+ * @param {Object} query - { from, to, granularity } (đã qua schema)
+ * @returns {Object} - { from, to, granularity } hoặc { error }
+ */
+const parseRange = (query = {}) => {
+    const granularity = query.granularity || 'day';
+    const to = query.to || new Date();
+    const from = query.from || new Date(to.getTime() - (granularity === 'hour' ? 2 : 30) * DAY_MS);
+
+    if (from >= to) {
+        return { error: 'from phải nhỏ hơn to' };
+    }
+
+    const maxDays = granularity === 'hour' ? MAX_HOUR_RANGE_DAYS : MAX_DAY_RANGE_DAYS;
+    if (to.getTime() - from.getTime() > maxDays * DAY_MS) {
+        return { error: `Khoảng thời gian tối đa ${maxDays} ngày cho granularity "${granularity}"` };
+    }
+
+    return { from, to, granularity };
+};
+
+/**
+ * Đầu các bucket trong khoảng [from, to)
+ */
+const listBuckets = (from, to, granularity) => {
+    const buckets = [];
+    let start = BannerStatsBucket.getBucketStart(from, granularity);
+    while (start < to) {
+        buckets.push(start);
+        // Ngày: nhảy quá 24h rồi làm tròn lại (ngày local không phải lúc nào cũng dài 24h)
+        start = granularity === 'hour'
+            ? new Date(start.getTime() + HOUR_MS)
+            : BannerStatsBucket.getBucketStart(new Date(start.getTime() + DAY_MS + 2 * HOUR_MS), 'day');
+    }
+    return buckets;
+};
+
+const ctrOf = (clicks, impressions) => (impressions > 0 ? clicks / impressions : 0);
+
+/**
+ * Chuỗi thời gian của 1 banner
+ * @param {ObjectId} bannerId
+ * @param {Object} range - { from, to, granularity } (từ parseRange)
+ * @returns {Promise<Object>} - { series: [{ bucketStart, served, impressions, clicks, ctr }], totals }
+ */
+async function getSeries(bannerId, { from, to, granularity }) {
+    const rows = await BannerStatsBucket.getSeries({ bannerId, granularity, from, to });
+    const byStart = new Map(rows.map(row => [row.bucketStart.getTime(), row]));
+
+    const totals = { served: 0, impressions: 0, clicks: 0 };
+    const series = listBuckets(from, to, granularity).map(bucketStart => {
+        const row = byStart.get(bucketStart.getTime()) || {};
+        const point = {
+            bucketStart,
+            served: row.served || 0,
+            impressions: row.impressions || 0,
+            clicks: row.clicks || 0
+        };
+        point.ctr = ctrOf(point.clicks, point.impressions);
+
+        totals.served += point.served;
+        totals.impressions += point.impressions;
+        totals.clicks += point.clicks;
+        return point;
+    });
+    totals.ctr = ctrOf(totals.clicks, totals.impressions);
+
+    return { series, totals };
+}
+
+module.exports = {
+    parseRange,
+    getSeries
+};
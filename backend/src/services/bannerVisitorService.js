@@ -0,0 +1,136 @@
+/**
+ * Banner Visitor Service
+ *
+ * Frequency cap và ghi nhớ đóng banner theo khách:
+ * - Khách nhận diện bằng visitorId first-party (localStorage trên site) + sessionId (sessionStorage)
+ * - Lượt xem đếm theo beacon (services/bannerImpressionService.js), không theo lượt fetch
+ * - Banner.frequencyCap lượt xem / frequencyPeriod (day | session), 0 = không giới hạn
+ * - Đóng banner → ẩn trong Banner.dismissCooldownHours giờ
+ *
+ * Áp dụng ở getRandomActive và GET /api/banners/public/all. Không có visitorId (bot, chặn storage) → không lọc
+ */
+
+const BannerVisitorState = require('../models/BannerVisitorState');
+
+const DAY_TIMEZONE = process.env.BANNER_FREQUENCY_TIMEZONE || 'Asia/Ho_Chi_Minh';
+
+// Giữ bộ đếm lượt xem sau lần xem cuối (đủ cho chu kỳ ngày / phiên)
+const STATE_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Ngày hiện tại dạng YYYY-MM-DD theo DAY_TIMEZONE
+ * @param {Date} date
+ * @returns {String}
+ */
+const formatDay = (date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: DAY_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+/**
+ * Banner có bị ẩn với khách không
+ * @param {Object} banner
+ * @param {Object} state - BannerVisitorState (có thể null)
+ * @param {Object} visitor - { visitorId, sessionId }
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isBlocked = (banner, state, visitor, now) => {
+    if (!state) return false;
+
+    if (state.dismissedUntil && state.dismissedUntil > now) return true;
+
+    const cap = banner.frequencyCap || 0;
+    if (cap <= 0) return false;
+
+    if (banner.frequencyPeriod === 'session') {
+        return !!visitor.sessionId && state.sessionId === visitor.sessionId && state.sessionViews >= cap;
+    }
+    return state.dayKey === formatDay(now) && state.dayViews >= cap;
+};
+
+/**
+ * Bỏ các banner khách đã đóng (còn cool-down) hoặc đã xem đủ frequency cap
+ * @param {Array} banners
+ * @param {Object} visitor - { visitorId, sessionId }
+ * @returns {Promise<Array>}
+ */
+async function filterEligible(banners, visitor) {
+    if (!visitor || !visitor.visitorId || !banners || banners.length === 0) return banners;
+
+    const states = await BannerVisitorState.find({
+        visitorId: visitor.visitorId,
+        bannerId: { $in: banners.map(banner => banner._id) }
+    }).lean();
+    if (states.length === 0) return banners;
+
+    const byBanner = new Map(states.map(state => [state.bannerId.toString(), state]));
+    const now = new Date();
+
+    return banners.filter(banner => !isBlocked(banner, byBanner.get(banner._id.toString()), visitor, now));
+}
+
+/**
+ * Đếm 1 lượt xem của khách (đổi ngày / phiên → đếm lại từ 1)
+ * @param {Object} visitor - { visitorId, sessionId }
+ * @param {ObjectId|String} bannerId
+ */
+async function recordView(visitor, bannerId) {
+    if (!visitor || !visitor.visitorId) return;
+
+    const now = new Date();
+    const dayKey = formatDay(now);
+    const sessionId = visitor.sessionId || '';
+
+    // Pipeline update: so sánh ngày / phiên đang lưu ngay trong MongoDB (không race giữa các beacon)
+    await BannerVisitorState.updateOne(
+        { visitorId: visitor.visitorId, bannerId },
+        [{
+            $set: {
+                dayViews: {
+                    $cond: [{ $eq: ['$dayKey', dayKey] }, { $add: [{ $ifNull: ['$dayViews', 0] }, 1] }, 1]
+                },
+                sessionViews: {
+                    $cond: [{ $eq: ['$sessionId', sessionId] }, { $add: [{ $ifNull: ['$sessionViews', 0] }, 1] }, 1]
+                },
+                dayKey,
+                sessionId,
+                lastSeenAt: now,
+                expiresAt: { $max: ['$dismissedUntil', new Date(now.getTime() + STATE_RETENTION_MS)] }
+            }
+        }],
+        { upsert: true }
+    );
+}
+
+/**
+ * Ghi nhớ khách đã đóng banner
+ * @param {Object} visitor - { visitorId, sessionId }
+ * @param {Object} banner - Cần _id, dismissCooldownHours
+ * @returns {Promise<Date|null>} - Ẩn tới thời điểm này (null nếu banner không có cool-down)
+ */
+async function recordDismiss(visitor, banner) {
+    const cooldownHours = banner.dismissCooldownHours || 0;
+    if (!visitor || !visitor.visitorId || cooldownHours <= 0) return null;
+
+    const dismissedUntil = new Date(Date.now() + cooldownHours * 60 * 60 * 1000);
+
+    await BannerVisitorState.updateOne(
+        { visitorId: visitor.visitorId, bannerId: banner._id },
+        {
+            $set: { dismissedUntil },
+            $max: { expiresAt: dismissedUntil }
+        },
+        { upsert: true }
+    );
+
+    return dismissedUntil;
+}
+
+module.exports = {
+    filterEligible,
+    recordView,
+    recordDismiss
+};
@@ -0,0 +1,244 @@
+/**
+ * Click Queue
+ *
+ * Hàng đợi click trong process: redirect chỉ enqueue rồi trả về ngay,
+ * click được ghi xuống MongoDB theo lô khi đủ số lượng hoặc hết thời gian chờ
+ *
+ * Features:
+ * - Flush theo kích thước lô (batchSize) hoặc theo thời gian (flushIntervalMs)
+ * - Backend lưu trữ có thể thay thế (mặc định: memory, sau này: Redis)
+ * - Backpressure: bỏ click mới khi hàng đợi đầy (maxQueueSize), có metrics
+ * - Graceful shutdown: flush hết hàng đợi trước khi tắt server
+ */
+
+const clickTrackingService = require('./clickTrackingService');
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Memory Backend
+ *
+ * Interface mà mọi backend cần implement (có thể trả về Promise):
+ * - push(items)      Thêm items vào cuối hàng đợi
+ * - take(max)        Lấy tối đa `max` items từ đầu hàng đợi
+ * - requeue(items)   Trả items về đầu hàng đợi (khi flush lỗi)
+ * - size()           Số items đang chờ
+ */
+class MemoryQueueBackend {
+    constructor() {
+        this.items = [];
+    }
+
+    push(items) {
+        this.items.push(...items);
+    }
+
+    take(max) {
+        return this.items.splice(0, max);
+    }
+
+    requeue(items) {
+        this.items.unshift(...items);
+    }
+
+    size() {
+        return this.items.length;
+    }
+}
+
+class ClickQueue {
+    /**
+     * @param {Object} options
+     * @param {Object} options.backend - Backend lưu hàng đợi
+     * @param {Function} options.processor - async (batch) => void, ghi một lô xuống DB
+     * @param {Number} options.batchSize - Số click tối đa mỗi lần flush
+     * @param {Number} options.flushIntervalMs - Chu kỳ flush định kỳ
+     * @param {Number} options.maxQueueSize - Giới hạn hàng đợi (backpressure)
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || new MemoryQueueBackend();
+        this.processor = options.processor;
+        this.batchSize = options.batchSize || 100;
+        this.flushIntervalMs = options.flushIntervalMs || 2000;
+        this.maxQueueSize = options.maxQueueSize || 10000;
+
+        this.timer = null;
+        this.flushing = null;
+        this.pending = 0;
+
+        this.metrics = {
+            enqueued: 0,
+            dropped: 0,
+            flushed: 0,
+            failed: 0,
+            retried: 0,
+            flushes: 0,
+            highWaterMark: 0,
+            lastFlushAt: null,
+            lastFlushDurationMs: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Thay backend (VD: Redis) - gọi trước start()
+     * @param {Object} backend
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Bắt đầu flush định kỳ
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.flush().catch(() => {});
+        }, this.flushIntervalMs);
+
+        // Không giữ process sống chỉ vì timer này
+        if (this.timer.unref) this.timer.unref();
+
+        console.log(`📥 [ClickQueue] Started | batch: ${this.batchSize} | interval: ${this.flushIntervalMs}ms | max: ${this.maxQueueSize}`);
+    }
+
+    /**
+     * Dừng timer và flush toàn bộ click còn lại
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        await this.drain();
+        console.log(`📥 [ClickQueue] Stopped | flushed: ${this.metrics.flushed} | dropped: ${this.metrics.dropped}`);
+    }
+
+    /**
+     * Thêm click vào hàng đợi (không chờ ghi DB)
+     * @param {Object} click - Dữ liệu click
+     * @returns {boolean} - false nếu bị bỏ do hàng đợi đầy
+     */
+    enqueue(click) {
+        if (this.pending >= this.maxQueueSize) {
+            this.metrics.dropped += 1;
+            if (this.metrics.dropped % 1000 === 1) {
+                console.warn(`⚠️  [ClickQueue] Queue full (${this.pending}), dropping clicks | total dropped: ${this.metrics.dropped}`);
+            }
+            return false;
+        }
+
+        this.pending += 1;
+        this.metrics.enqueued += 1;
+        this.metrics.highWaterMark = Math.max(this.metrics.highWaterMark, this.pending);
+
+        Promise.resolve(this.backend.push([{ click, attempts: 0 }])).catch(err => {
+            this.pending -= 1;
+            this.metrics.failed += 1;
+            this.metrics.lastError = err.message;
+            console.error('❌ [ClickQueue] Backend push error:', err.message);
+        });
+
+        // Đủ lô → flush ngay (chỉ khi queue đã start)
+        if (this.timer && this.pending >= this.batchSize) {
+            this.flush().catch(() => {});
+        }
+
+        return true;
+    }
+
+    /**
+     * Flush một lô click xuống DB
+     * Chỉ một flush chạy tại một thời điểm
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flushBatch().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Flush cho đến khi hàng đợi rỗng
+     */
+    async drain() {
+        if (this.flushing) await this.flushing;
+
+        // Lô lỗi được requeue tối đa MAX_ATTEMPTS lần nên vòng lặp luôn kết thúc
+        while (await this.backend.size() > 0) {
+            await this.flush();
+        }
+    }
+
+    async _flushBatch() {
+        const entries = await this.backend.take(this.batchSize);
+        if (!entries || entries.length === 0) return;
+
+        const startedAt = Date.now();
+
+        try {
+            await this.processor(entries.map(e => e.click));
+
+            this.pending -= entries.length;
+            this.metrics.flushed += entries.length;
+            this.metrics.flushes += 1;
+        } catch (error) {
+            this.metrics.lastError = error.message;
+
+            // Requeue chính các object click: processor lưu tiến độ trên click (xem clickTrackingService)
+            // nên lần thử sau chỉ ghi phần còn thiếu, không ghi trùng event / counters
+            const retry = entries.filter(e => ++e.attempts < MAX_ATTEMPTS);
+            const failed = entries.length - retry.length;
+
+            if (retry.length > 0) {
+                await this.backend.requeue(retry);
+                this.metrics.retried += retry.length;
+            }
+            if (failed > 0) {
+                this.pending -= failed;
+                this.metrics.failed += failed;
+            }
+
+            console.error(`❌ [ClickQueue] Flush error (${entries.length} clicks, ${failed} dropped): ${error.message}`);
+        } finally {
+            this.metrics.lastFlushAt = new Date().toISOString();
+            this.metrics.lastFlushDurationMs = Date.now() - startedAt;
+        }
+    }
+
+    /**
+     * Metrics cho monitoring / backpressure
+     */
+    async getMetrics() {
+        const size = await this.backend.size();
+        return {
+            ...this.metrics,
+            pending: size,
+            maxQueueSize: this.maxQueueSize,
+            utilization: Number((size / this.maxQueueSize).toFixed(4)),
+            batchSize: this.batchSize,
+            flushIntervalMs: this.flushIntervalMs,
+            running: !!this.timer,
+            backend: this.backend.constructor.name
+        };
+    }
+}
+
+// Export singleton instance
+const clickQueue = new ClickQueue({
+    processor: clickTrackingService.recordClicks,
+    batchSize: parseInt(process.env.CLICK_QUEUE_BATCH_SIZE) || 100,
+    flushIntervalMs: parseInt(process.env.CLICK_QUEUE_FLUSH_INTERVAL_MS) || 2000,
+    maxQueueSize: parseInt(process.env.CLICK_QUEUE_MAX_SIZE) || 10000
+});
+
+module.exports = {
+    clickQueue,
+    ClickQueue,
+    MemoryQueueBackend
+};
@@ -0,0 +1,206 @@
+/**
+ * Click Tracking Service
+ *
+ * Ghi nhận click của Link vào collection ClickEvent (append-only)
+ * và cộng dồn vào ClickRollup (giờ/ngày) + counters trên Link
+ *
+ * Hỗ trợ ghi theo lô (batch) để giảm số lần ghi MongoDB
+ * Ghi lại được an toàn khi lỗi (click queue retry): mỗi click có _id cố định và
+ * lưu bước đã xong (recordedStage), lần sau chỉ chạy các bước còn thiếu → không đếm trùng
+ */
+
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const ClickEvent = require('../models/ClickEvent');
+const ClickRollup = require('../models/ClickRollup');
+const { parseSource } = require('./referrerService');
+
+// Các bước ghi 1 click (click.recordedStage = bước cuối đã xong)
+const STAGES = {
+    INSERTED: 1,
+    COUNTED: 2,
+    ROLLED_UP: 3
+};
+
+/**
+ * Chuẩn hóa dữ liệu click trước khi lưu
+ * @param {Object} click - Dữ liệu click thô
+ * @returns {Object} - Click event
+ */
+const normalizeClick = (click) => ({
+    _id: click._id,
+    linkId: click.linkId,
+    destinationId: click.destinationId || null,
+    slug: click.slug,
+    ip: click.ip || 'unknown',
+    ipInfo: click.ipInfo || {},
+    userAgent: (click.userAgent || '').substring(0, 500), // Giới hạn length
+    referer: (click.referer || '').substring(0, 500),
+    source: click.source || parseSource({
+        referer: click.referer,
+        landingUrl: click.landingUrl,
+        userAgent: click.userAgent
+    }),
+    device: click.device || 'unknown',
+    isValid: click.isValid !== false,
+    invalidReason: click.isValid === false ? (click.invalidReason || null) : null,
+    clickedAt: click.clickedAt ? new Date(click.clickedAt) : new Date(),
+    isNewIP: Boolean(click.isNewIP)
+});
+
+/**
+ * Insert click events, bỏ qua event đã có (_id trùng - đã ghi ở lần thử trước)
+ * @param {Array} events - Click events đã chuẩn hóa (có _id)
+ */
+const insertEvents = async (events) => {
+    try {
+        await ClickEvent.insertMany(events, { ordered: false });
+    } catch (error) {
+        const writeErrors = error.writeErrors
+            ? [].concat(error.writeErrors)
+            : [{ code: error.code }];
+        if (writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+    }
+};
+
+/**
+ * $inc counters trên Link (+ counters của destination nếu có)
+ * @param {Array} events - Click events đã chuẩn hóa
+ */
+const applyLinkCounters = async (events) => {
+    const counters = new Map();
+    for (const event of events) {
+        const id = event.linkId.toString();
+        const inc = counters.get(id) || { totalClicks: 0, validClicks: 0, invalidClicks: 0, uniqueIPs: 0 };
+        inc.totalClicks += 1;
+        inc[event.isValid ? 'validClicks' : 'invalidClicks'] += 1;
+        if (event.isNewIP) inc.uniqueIPs += 1;
+        counters.set(id, inc);
+    }
+
+    // Counters theo destination (link nhiều đích)
+    const destinationCounters = new Map();
+    for (const event of events.filter(e => e.destinationId)) {
+        const key = `${event.linkId}:${event.destinationId}`;
+        const inc = destinationCounters.get(key) || {
+            linkId: event.linkId,
+            destinationId: event.destinationId,
+            totalClicks: 0,
+            validClicks: 0,
+            lastClickedAt: event.clickedAt
+        };
+        inc.totalClicks += 1;
+        if (event.isValid) inc.validClicks += 1;
+        if (event.clickedAt > inc.lastClickedAt) inc.lastClickedAt = event.clickedAt;
+        destinationCounters.set(key, inc);
+    }
+
+    await Link.bulkWrite(
+        [
+            ...[...counters.entries()].map(([id, inc]) => ({
+                updateOne: {
+                    filter: { _id: id },
+                    update: { $inc: inc }
+                }
+            })),
+            ...[...destinationCounters.values()].map(inc => ({
+                updateOne: {
+                    filter: { _id: inc.linkId, 'destinations._id': inc.destinationId },
+                    update: {
+                        $inc: {
+                            'destinations.$.totalClicks': inc.totalClicks,
+                            'destinations.$.validClicks': inc.validClicks
+                        },
+                        $max: { 'destinations.$.lastClickedAt': inc.lastClickedAt }
+                    }
+                }
+            }))
+        ],
+        { ordered: false }
+    );
+};
+
+/**
+ * Ghi nhận một loạt click
+ *
+ * Flow (mỗi bước chỉ chạy cho click chưa qua bước đó):
+ * 1. Gán _id, xác định IP mới (chưa từng click link trong thời gian lưu trữ)
+ * 2. Insert ClickEvent (bỏ qua event trùng _id)
+ * 3. $inc counters trên Link (+ counters của destination nếu có)
+ * 4. Cộng dồn vào rollup giờ/ngày
+ *
+ * Tiến độ (_id, isNewIP, recordedStage) lưu trên chính object click:
+ * click queue retry truyền lại cùng object nên lỗi ở bước 3 / 4 không làm insert hay đếm lại các bước trước
+ *
+ * @param {Array} clicks - [{ linkId, destinationId, slug, ip, ipInfo, userAgent, referer, landingUrl, device, isValid, invalidReason, clickedAt }]
+ * @returns {Array} - Các click event đã ghi (kèm isNewIP)
+ */
+const recordClicks = async (clicks) => {
+    const pending = clicks.filter(c => c && c.linkId);
+    if (pending.length === 0) return [];
+
+    const atStage = (stage) => pending.filter(click => (click.recordedStage || 0) === stage);
+    const markStage = (items, stage) => items.forEach(click => {
+        click.recordedStage = stage;
+    });
+
+    // Bước 1: _id cố định + unique IP (IP đã có trong DB hoặc đã xuất hiện trước đó trong lô), chỉ tính ở lần thử đầu
+    const fresh = pending.filter(click => !click._id);
+    if (fresh.length > 0) {
+        const seen = await ClickEvent.findSeenIPs(fresh.map(normalizeClick));
+        for (const click of fresh) {
+            const key = `${click.linkId}:${click.ip || 'unknown'}`;
+            click._id = new mongoose.Types.ObjectId();
+            click.isNewIP = !seen.has(key);
+            seen.add(key);
+        }
+    }
+
+    // Bước 2: Append click events
+    const toInsert = atStage(0);
+    if (toInsert.length > 0) {
+        await insertEvents(toInsert.map(normalizeClick));
+        markStage(toInsert, STAGES.INSERTED);
+    }
+
+    // Bước 3: Counters trên Link
+    const toCount = atStage(STAGES.INSERTED);
+    if (toCount.length > 0) {
+        await applyLinkCounters(toCount.map(normalizeClick));
+        markStage(toCount, STAGES.COUNTED);
+    }
+
+    // Bước 4: Rollups
+    const toRollUp = atStage(STAGES.COUNTED);
+    if (toRollUp.length > 0) {
+        await ClickRollup.applyClicks(toRollUp.map(normalizeClick));
+        markStage(toRollUp, STAGES.ROLLED_UP);
+    }
+
+    return pending.map(normalizeClick);
+};
+
+/**
+ * Ghi nhận một click
+ * @param {Object} click - Dữ liệu click
+ * @returns {Object} - Click event đã ghi
+ */
+const recordClick = async (click) => {
+    const [event] = await recordClicks([click]);
+    return event;
+};
+
+/**
+ * Lấy các click gần nhất của link
+ * @param {ObjectId} linkId
+ * @param {Number} limit
+ */
+const getRecentClicks = (linkId, limit = 20) => {
+    return ClickEvent.getRecent(linkId, limit);
+};
+
+module.exports = {
+    recordClicks,
+    recordClick,
+    getRecentClicks
+};
@@ -0,0 +1,460 @@
+/**
+ * Link Analytics Service
+ *
+ * Thống kê click theo khoảng thời gian, có timezone (IANA)
+ * - Tổng, theo link, theo category, theo thiết bị: đọc từ ClickRollup (giờ)
+ * - Theo referer domain, theo quốc gia: đọc từ ClickEvent
+ *   (chỉ có dữ liệu trong thời gian lưu trữ CLICK_EVENT_RETENTION_DAYS)
+ *
+ * Lưu ý: rollup giờ tính theo UTC nên với timezone lệch nửa giờ (VD: +05:30)
+ * mỗi giờ UTC được gán vào khung giờ local chứa thời điểm bắt đầu của nó
+ */
+
+const Link = require('../models/Link');
+const ClickEvent = require('../models/ClickEvent');
+const ClickRollup = require('../models/ClickRollup');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const DEVICES = ['desktop', 'mobile', 'tablet', 'unknown'];
+
+// Giới hạn khoảng thời gian mỗi request
+const MAX_RANGE_DAYS = 366;
+const MAX_HOUR_RANGE_DAYS = 31;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Format nhãn bucket (dùng chung cho MongoDB $dateToString và JS)
+const BUCKET_FORMATS = {
+    hour: '%Y-%m-%dT%H:00',
+    day: '%Y-%m-%d',
+    week: '%Y-%m-%d',
+    month: '%Y-%m'
+};
+
+/**
+ * Kiểm tra timezone IANA hợp lệ
+ * @param {String} timezone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Tính nhãn bucket của một thời điểm theo timezone (khớp với $dateTrunc + $dateToString)
+ * @param {Date} date
+ * @param {String} granularity
+ * @param {Intl.DateTimeFormat} formatter - formatter theo timezone
+ * @returns {String}
+ */
+const getBucketLabel = (date, granularity, formatter) => {
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = value;
+    }
+    const hour = parts.hour === '24' ? '00' : parts.hour;
+
+    if (granularity === 'hour') return `${parts.year}-${parts.month}-${parts.day}T${hour}:00`;
+    if (granularity === 'month') return `${parts.year}-${parts.month}`;
+    if (granularity === 'day') return `${parts.year}-${parts.month}-${parts.day}`;
+
+    // week: ngày thứ Hai đầu tuần
+    const local = new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day));
+    const offset = (local.getUTCDay() + 6) % 7;
+    local.setUTCDate(local.getUTCDate() - offset);
+    return local.toISOString().substring(0, 10);
+};
+
+/**
+ * Liệt kê tất cả nhãn bucket trong khoảng [from, to)
+ */
+const listBuckets = (from, to, granularity, timezone) => {
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    const labels = [];
+    let last = null;
+    for (let t = from.getTime(); t < to.getTime(); t += HOUR_MS) {
+        const label = getBucketLabel(new Date(t), granularity, formatter);
+        if (label !== last) {
+            labels.push(label);
+            last = label;
+        }
+    }
+    return labels;
+};
+
+/**
+ * Expression MongoDB: nhãn bucket của một field ngày theo timezone
+ */
+const bucketExpression = (field, granularity, timezone) => ({
+    $dateToString: {
+        format: BUCKET_FORMATS[granularity],
+        timezone,
+        date: {
+            $dateTrunc: {
+                date: field,
+                unit: granularity,
+                timezone,
+                startOfWeek: 'monday'
+            }
+        }
+    }
+});
+
+/**
+ * Expression MongoDB: domain nguồn truy cập, '(direct)' nếu không có
+ * Ưu tiên source.domain đã chuẩn hóa, event cũ thì tách từ referer thô
+ */
+const refererDomainExpression = () => ({
+    $ifNull: ['$source.domain', rawRefererDomainExpression()]
+});
+
+const rawRefererDomainExpression = () => ({
+    $let: {
+        vars: {
+            match: {
+                $regexFind: {
+                    input: { $ifNull: ['$referer', ''] },
+                    regex: '^[a-z][a-z0-9+.-]*://(?:www\\.)?([^/:?#]+)',
+                    options: 'i'
+                }
+            }
+        },
+        in: {
+            $toLower: {
+                $ifNull: [{ $arrayElemAt: ['$$match.captures', 0] }, '(direct)']
+            }
+        }
+    }
+});
+
+/**
+ * Parse và validate tham số query
+ * @param {Object} query - { from, to, granularity, timezone }
+ * @returns {Object} - { from, to, granularity, timezone } hoặc { error }
+ */
+const parseRangeQuery = (query = {}) => {
+    const granularity = query.granularity || 'day';
+    const timezone = query.timezone || query.tz || 'Asia/Ho_Chi_Minh';
+
+    if (!GRANULARITIES.includes(granularity)) {
+        return { error: `granularity phải là một trong: ${GRANULARITIES.join(', ')}` };
+    }
+
+    if (!isValidTimezone(timezone)) {
+        return { error: `Timezone không hợp lệ: ${timezone}` };
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 7 * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from/to phải là ngày hợp lệ (ISO 8601)' };
+    }
+
+    if (from >= to) {
+        return { error: 'from phải nhỏ hơn to' };
+    }
+
+    const maxDays = granularity === 'hour' ? MAX_HOUR_RANGE_DAYS : MAX_RANGE_DAYS;
+    if (to.getTime() - from.getTime() > maxDays * DAY_MS) {
+        return { error: `Khoảng thời gian tối đa ${maxDays} ngày cho granularity "${granularity}"` };
+    }
+
+    // Làm tròn from xuống đầu giờ (rollup nhỏ nhất là giờ)
+    return {
+        from: ClickRollup.getBucketStart(from, 'hour'),
+        to,
+        granularity,
+        timezone
+    };
+};
+
+/**
+ * Tạo breakdown { key, total, series[] } từ map key → { label → count }
+ */
+const toBreakdown = (map, labels, limit, extra = () => ({})) => {
+    return [...map.entries()]
+        .map(([key, counts]) => ({
+            key,
+            ...extra(key),
+            total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+            series: labels.map(label => counts[label] || 0)
+        }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, limit);
+};
+
+const addCount = (map, key, label, count) => {
+    if (!count) return;
+    const counts = map.get(key) || {};
+    counts[label] = (counts[label] || 0) + count;
+    map.set(key, counts);
+};
+
+/**
+ * Lấy analytics cho links
+ *
+ * @param {Object} options
+ * @param {Object} options.scope - Điều kiện lọc Link (VD: { workspaceId } của workspace đang dùng)
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {String} options.granularity - hour | day | week | month
+ * @param {String} options.timezone - IANA timezone
+ * @param {Number} options.limit - Số phần tử tối đa mỗi breakdown
+ * @returns {Object}
+ */
+const getLinkAnalytics = async (options) => {
+    const { scope = {}, from, to, granularity, timezone, limit = 10 } = options;
+
+    const links = await Link.find(scope).select('_id slug title category').lean();
+    const linkMap = new Map(links.map(l => [l._id.toString(), l]));
+
+    // Không giới hạn scope (admin xem tất cả) → không cần $in
+    const linkFilter = Object.keys(scope).length > 0
+        ? { $in: links.map(l => l._id) }
+        : null;
+
+    const rollupMatch = {
+        granularity: 'hour',
+        bucketStart: { $gte: from, $lt: to }
+    };
+    const eventMatch = {
+        clickedAt: { $gte: from, $lt: to }
+    };
+    if (linkFilter) {
+        rollupMatch.linkId = linkFilter;
+        eventMatch.linkId = linkFilter;
+    }
+
+    const [rollups, [events]] = await Promise.all([
+        ClickRollup.aggregate([
+            { $match: rollupMatch },
+            {
+                $group: {
+                    _id: {
+                        bucket: bucketExpression('$bucketStart', granularity, timezone),
+                        linkId: '$linkId'
+                    },
+                    totalClicks: { $sum: '$totalClicks' },
+                    validClicks: { $sum: '$validClicks' },
+                    invalidClicks: { $sum: '$invalidClicks' },
+                    uniqueIPs: { $sum: '$uniqueIPs' },
+                    ...Object.fromEntries(DEVICES.map(d => [d, { $sum: `$devices.${d}` }]))
+                }
+            }
+        ]),
+        ClickEvent.aggregate([
+            { $match: eventMatch },
+            {
+                $project: {
+                    bucket: bucketExpression('$clickedAt', granularity, timezone),
+                    country: { $ifNull: ['$ipInfo.countryShort', 'Unknown'] },
+                    domain: refererDomainExpression()
+                }
+            },
+            {
+                $facet: {
+                    byCountry: [
+                        { $group: { _id: { bucket: '$bucket', key: '$country' }, clicks: { $sum: 1 } } }
+                    ],
+                    byRefererDomain: [
+                        { $group: { _id: { bucket: '$bucket', key: '$domain' }, clicks: { $sum: 1 } } }
+                    ]
+                }
+            }
+        ])
+    ]);
+
+    const labels = listBuckets(from, to, granularity, timezone);
+
+    // Tổng theo bucket
+    const totalsByLabel = new Map(labels.map(label => [label, {
+        bucket: label,
+        totalClicks: 0,
+        validClicks: 0,
+        invalidClicks: 0,
+        uniqueIPs: 0
+    }]));
+
+    const byLink = new Map();
+    const byCategory = new Map();
+    const byDevice = new Map();
+
+    for (const row of rollups) {
+        const label = row._id.bucket;
+        const linkId = row._id.linkId.toString();
+        const total = totalsByLabel.get(label);
+
+        if (total) {
+            total.totalClicks += row.totalClicks;
+            total.validClicks += row.validClicks;
+            total.invalidClicks += row.invalidClicks;
+            total.uniqueIPs += row.uniqueIPs;
+        }
+
+        addCount(byLink, linkId, label, row.totalClicks);
+        addCount(byCategory, linkMap.get(linkId)?.category || 'Không xác định', label, row.totalClicks);
+        for (const device of DEVICES) {
+            addCount(byDevice, device, label, row[device]);
+        }
+    }
+
+    const byCountry = new Map();
+    const byRefererDomain = new Map();
+    for (const row of events?.byCountry || []) {
+        addCount(byCountry, row._id.key, row._id.bucket, row.clicks);
+    }
+    for (const row of events?.byRefererDomain || []) {
+        addCount(byRefererDomain, row._id.key, row._id.bucket, row.clicks);
+    }
+
+    const series = [...totalsByLabel.values()];
+    const summary = series.reduce((acc, s) => ({
+        totalClicks: acc.totalClicks + s.totalClicks,
+        validClicks: acc.validClicks + s.validClicks,
+        invalidClicks: acc.invalidClicks + s.invalidClicks,
+        uniqueIPs: acc.uniqueIPs + s.uniqueIPs
+    }), { totalClicks: 0, validClicks: 0, invalidClicks: 0, uniqueIPs: 0 });
+
+    const retentionStart = new Date(Date.now() - ClickEvent.RETENTION_DAYS * DAY_MS);
+
+    return {
+        range: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            granularity,
+            timezone
+        },
+        buckets: labels,
+        summary,
+        series,
+        byLink: toBreakdown(byLink, labels, limit, (id) => ({
+            slug: linkMap.get(id)?.slug || null,
+            title: linkMap.get(id)?.title || null
+        })),
+        byCategory: toBreakdown(byCategory, labels, limit),
+        byDevice: toBreakdown(byDevice, labels, DEVICES.length),
+        byRefererDomain: toBreakdown(byRefererDomain, labels, limit),
+        byCountry: toBreakdown(byCountry, labels, limit),
+        // Referer/country chỉ đầy đủ trong thời gian lưu click events
+        eventRetentionDays: ClickEvent.RETENTION_DAYS,
+        eventDataComplete: from >= retentionStart
+    };
+};
+
+/**
+ * Top nguồn truy cập (từ ClickEvent)
+ *
+ * @param {Object} options
+ * @param {Object} options.scope - Điều kiện lọc Link
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Number} options.limit - Số nguồn tối đa
+ * @returns {Object} - { sources, families, campaigns, totalClicks }
+ */
+const getTopSources = async (options) => {
+    const { scope = {}, from, to, limit = 10 } = options;
+
+    const match = { clickedAt: { $gte: from, $lt: to } };
+    if (Object.keys(scope).length > 0) {
+        const linkIds = await Link.find(scope).distinct('_id');
+        match.linkId = { $in: linkIds };
+    }
+
+    const [result] = await ClickEvent.aggregate([
+        { $match: match },
+        {
+            $project: {
+                isValid: 1,
+                domain: refererDomainExpression(),
+                family: { $ifNull: ['$source.family', 'direct'] },
+                campaign: '$source.utm.campaign',
+                utmSource: '$source.utm.source'
+            }
+        },
+        {
+            $facet: {
+                sources: [
+                    {
+                        $group: {
+                            _id: { domain: '$domain', family: '$family' },
+                            clicks: { $sum: 1 },
+                            validClicks: { $sum: { $cond: ['$isValid', 1, 0] } }
+                        }
+                    },
+                    { $sort: { clicks: -1 } },
+                    { $limit: limit }
+                ],
+                families: [
+                    { $group: { _id: '$family', clicks: { $sum: 1 } } },
+                    { $sort: { clicks: -1 } }
+                ],
+                campaigns: [
+                    { $match: { campaign: { $ne: null } } },
+                    {
+                        $group: {
+                            _id: { campaign: '$campaign', source: '$utmSource' },
+                            clicks: { $sum: 1 }
+                        }
+                    },
+                    { $sort: { clicks: -1 } },
+                    { $limit: limit }
+                ],
+                total: [
+                    { $count: 'clicks' }
+                ]
+            }
+        }
+    ]);
+
+    const totalClicks = result?.total[0]?.clicks || 0;
+    const share = (clicks) => totalClicks > 0 ? Number(((clicks / totalClicks) * 100).toFixed(2)) : 0;
+
+    return {
+        range: {
+            from: from.toISOString(),
+            to: to.toISOString()
+        },
+        totalClicks,
+        sources: (result?.sources || []).map(s => ({
+            domain: s._id.domain,
+            family: s._id.family,
+            clicks: s.clicks,
+            validClicks: s.validClicks,
+            share: share(s.clicks)
+        })),
+        families: (result?.families || []).map(f => ({
+            family: f._id,
+            clicks: f.clicks,
+            share: share(f.clicks)
+        })),
+        campaigns: (result?.campaigns || []).map(c => ({
+            campaign: c._id.campaign,
+            source: c._id.source || null,
+            clicks: c.clicks
+        })),
+        eventRetentionDays: ClickEvent.RETENTION_DAYS
+    };
+};
+
+module.exports = {
+    GRANULARITIES,
+    parseRangeQuery,
+    getLinkAnalytics,
+    getTopSources,
+    isValidTimezone
+};
@@ -6,6 +6,12 @@
  */
 
 const Link = require('../models/Link');
+const ClickRollup = require('../models/ClickRollup');
+const LinkRevision = require('../models/LinkRevision');
+const SlugAlias = require('../models/SlugAlias');
+const revisionService = require('./revisionService');
+const clickTrackingService = require('./clickTrackingService');
+const { clickQueue } = require('./clickQueue');
 const { analyzeIP } = require('../middleware/ipFilter');
 const UploadService = require('./uploadService');
 
@@ -59,11 +65,23 @@ const cleanupCloudinaryImages = async (link) => {
 };
 
 /**
- * Tạo link mới
+ * Ghi revision, lỗi không làm hỏng thao tác lưu chính
+ */
+const safeRecordRevision = async (link, options) => {
+    try {
+        await revisionService.recordRevision(link, options);
+    } catch (error) {
+        console.error(`❌ [LinkService] Lỗi ghi revision /${link.slug}:`, error.message);
+    }
+};
+
+/**
+ * Tạo link mới (ghi revision đầu tiên)
  * @param {Object} linkData - Dữ liệu link
+ * @param {Object} options - { editor } - User tạo link (ghi vào revision)
  * @returns {Object} - Link đã tạo
  */
-const createLink = async (linkData) => {
+const createLink = async (linkData, options = {}) => {
     const { 
         title, 
         targetUrl, 
@@ -74,7 +92,13 @@ const createLink = async (linkData) => {
         category,
         author,
         publishedAt,
-        userId // Added userId
+        redirectParams,
+        destinations,
+        status,
+        expiresAt,
+        archivedAt,
+        userId, // Added userId
+        workspaceId
     } = linkData;
     
     try {
@@ -88,9 +112,17 @@ const createLink = async (linkData) => {
             category: category || 'Thời sự',
             author: author || 'Tin tức 24h',
             publishedAt: publishedAt ? new Date(publishedAt) : new Date(),
-            userId // Pass userId to the model
+            redirectParams: redirectParams || [],
+            destinations: destinations || [],
+            status: status || 'published',
+            expiresAt: expiresAt || null,
+            archivedAt: archivedAt || null,
+            userId, // Pass userId to the model
+            workspaceId: workspaceId || null
         });
         
+        await safeRecordRevision(link, { user: options.editor, action: 'create' });
+        
         console.log(`✅ [LinkService] Tạo link: /${link.slug} → ${targetUrl}`);
         return link;
     } catch (error) {
@@ -123,7 +155,7 @@ const getAllLinks = async (options = {}) => {
     const { page = 1, limit = 50, sort = '-createdAt' } = options;
     
     try {
-        const links = await Link.find({ isActive: true })
+        const links = await Link.find(Link.publicFilter())
             .sort(sort)
             .skip((page - 1) * limit)
             .limit(limit)
@@ -137,20 +169,39 @@ const getAllLinks = async (options = {}) => {
 };
 
 /**
- * Cập nhật link
+ * Cập nhật link (mỗi lần lưu có thay đổi → 1 revision)
  * @param {string} slug - Slug của link
  * @param {Object} updateData - Dữ liệu cập nhật
+ * @param {Object} options - { editor } - User sửa link (ghi vào revision)
  * @returns {Object|null} - Link đã cập nhật
  */
-const updateLink = async (slug, updateData) => {
+const updateLink = async (slug, updateData, options = {}) => {
     try {
+        // Link cũ chưa có lịch sử → lưu baseline để lần sửa này vẫn hoàn tác được
+        const current = await Link.findOne({ slug: slug.toLowerCase() }).lean();
+        if (!current) return null;
+        
+        try {
+            await revisionService.ensureBaseline(current);
+        } catch (error) {
+            console.error(`❌ [LinkService] Lỗi ghi baseline revision /${slug}:`, error.message);
+        }
+        
         const link = await Link.findOneAndUpdate(
-            { slug: slug.toLowerCase() },
+            { _id: current._id },
             { $set: updateData },
             { new: true, runValidators: true }
         );
         
         if (link) {
+            // Đổi slug → giữ slug cũ làm alias (301 sang slug mới)
+            if (link.slug !== current.slug) {
+                await SlugAlias.retire(current.slug, link._id, 'renamed');
+                await SlugAlias.release(link.slug);
+                console.log(`🔀 [LinkService] Đổi slug: /${current.slug} → /${link.slug}`);
+            }
+            
+            await safeRecordRevision(link, { user: options.editor, action: 'update' });
             console.log(`✅ [LinkService] Cập nhật link: /${slug}`);
         }
         return link;
@@ -181,8 +232,17 @@ const deleteLink = async (slug) => {
             console.warn(`⚠️  [LinkService] Lỗi xóa ảnh Cloudinary: ${cleanupError.message}`);
         }
         
-        // Hard delete khỏi DB
+        // Hard delete khỏi DB (kèm rollups + revisions; click events tự hết hạn theo TTL)
         await Link.findByIdAndDelete(link._id);
+        await ClickRollup.deleteMany({ linkId: link._id });
+        await LinkRevision.deleteMany({ linkId: link._id });
+        
+        // Slug hiện tại + các slug cũ bắt đầu thời gian chờ, không cho link khác dùng lại ngay
+        await SlugAlias.retire(link.slug, link._id, 'deleted');
+        await SlugAlias.updateMany(
+            { linkId: link._id },
+            { $set: { reason: 'deleted', retiredAt: new Date() } }
+        );
         
         console.log(`✅ [LinkService] Đã xóa hoàn toàn link: /${slug}`);
         return true;
@@ -193,63 +253,76 @@ const deleteLink = async (slug) => {
 };
 
 /**
- * Ghi nhận click với IP checking
+ * Đưa click của một link đã load vào hàng đợi (không chờ ghi DB)
  * 
  * Flow:
- * 1. Kiểm tra IP qua IP2Location (sample.bin.db11)
+ * 1. Kiểm tra IP qua IP2Location (sample.bin.db11) nếu chưa có ipAnalysis
  * 2. Xác định click có hợp lệ không (VN + không phải datacenter)
- * 3. Lưu vào MongoDB với thông tin chi tiết
+ * 3. Enqueue vào clickQueue - ghi ClickEvent + rollups theo lô
  * 
+ * @param {Object} link - Link document (cần _id, slug)
+ * @param {Object} clickInfo - { ip, userAgent, referer, landingUrl, device, destinationId?, ipAnalysis? }
+ * @returns {Object} - Kết quả enqueue
+ */
+const trackClick = (link, clickInfo) => {
+    const { ip, userAgent, referer, landingUrl, device, destinationId } = clickInfo;
+    
+    // Bước 1: Kiểm tra IP qua IP2Location (dùng lại kết quả từ middleware nếu có)
+    const ipAnalysis = clickInfo.ipAnalysis || analyzeIP(ip);
+    
+    // Bước 2: Click hợp lệ = Từ VN + Không phải datacenter/bot
+    const isValidClick = !ipAnalysis.isBot;
+    
+    // Bước 3: Enqueue
+    const queued = clickQueue.enqueue({
+        linkId: link._id,
+        destinationId: destinationId || null,
+        slug: link.slug,
+        ip,
+        ipInfo: {
+            countryShort: ipAnalysis.details.countryShort,
+            isp: ipAnalysis.details.isp,
+            region: ipAnalysis.details.region || '',
+            city: ipAnalysis.details.city || ''
+        },
+        userAgent,
+        referer,
+        landingUrl,
+        device,
+        isValid: isValidClick,
+        invalidReason: isValidClick ? null : ipAnalysis.reason,
+        clickedAt: new Date()
+    });
+    
+    // Log kết quả
+    const logIcon = isValidClick ? '✅' : '⚠️';
+    console.log(`${logIcon} [Click] /${link.slug} | IP: ${ip} | Valid: ${isValidClick} | Queued: ${queued} | Country: ${ipAnalysis.details.countryShort} | ISP: ${ipAnalysis.details.isp}`);
+    
+    return {
+        success: queued,
+        queued,
+        isValidClick,
+        ipInfo: ipAnalysis.details
+    };
+};
+
+/**
+ * Ghi nhận click theo slug
  * @param {string} slug - Slug của link
  * @param {Object} clickInfo - Thông tin click
  * @returns {Object} - Kết quả ghi nhận
  */
 const recordClick = async (slug, clickInfo) => {
-    const { ip, userAgent, referer, device } = clickInfo;
-    
     try {
-        // Bước 1: Tìm link
-        const link = await Link.findOne({ slug: slug.toLowerCase(), isActive: true });
+        // Chỉ cần _id + slug để enqueue
+        const link = await Link.findOne({ slug: slug.toLowerCase(), isActive: true })
+            .select('_id slug')
+            .lean();
         if (!link) {
             return { success: false, error: 'Link không tồn tại' };
         }
         
-        // Bước 2: Kiểm tra IP qua IP2Location
-        const ipAnalysis = analyzeIP(ip);
-        
-        // Bước 3: Xác định click có hợp lệ không
-        // Click hợp lệ = Từ VN + Không phải datacenter/bot
-        const isValidClick = !ipAnalysis.isBot;
-        
-        // Bước 4: Ghi nhận click vào MongoDB
-        const result = await link.recordClick({
-            ip,
-            ipInfo: {
-                countryShort: ipAnalysis.details.countryShort,
-                isp: ipAnalysis.details.isp,
-                region: ipAnalysis.details.region || '',
-                city: ipAnalysis.details.city || ''
-            },
-            userAgent,
-            referer,
-            device,
-            isValid: isValidClick,
-            invalidReason: isValidClick ? null : ipAnalysis.reason
-        });
-        
-        // Log kết quả
-        const logIcon = isValidClick ? '✅' : '⚠️';
-        console.log(`${logIcon} [Click] /${slug} | IP: ${ip} | Valid: ${isValidClick} | Country: ${ipAnalysis.details.countryShort} | ISP: ${ipAnalysis.details.isp}`);
-        
-        return {
-            success: true,
-            isValidClick,
-            totalClicks: result.totalClicks,
-            validClicks: result.validClicks,
-            isNewIP: result.isNewIP,
-            ipInfo: ipAnalysis.details
-        };
-        
+        return trackClick(link, clickInfo);
     } catch (error) {
         console.error('❌ [LinkService] Lỗi ghi click:', error.message);
         return { success: false, error: error.message };
@@ -259,23 +332,30 @@ const recordClick = async (slug, clickInfo) => {
 /**
  * Lấy thống kê link
  * @param {string} slug - Slug của link
+ * @param {Object} options - { days } số ngày của chuỗi thống kê theo ngày
  * @returns {Object} - Thống kê
  */
-const getLinkStats = async (slug) => {
+const getLinkStats = async (slug, options = {}) => {
+    const { days = 30 } = options;
+    
     try {
         const link = await Link.findOne({ slug: slug.toLowerCase() })
-            .select('slug title totalClicks validClicks invalidClicks uniqueIPs createdAt');
+            .select('slug title targetUrl destinations totalClicks validClicks invalidClicks uniqueIPs createdAt');
         
         if (!link) return null;
         
-        // Lấy thêm click logs gần nhất
-        const linkWithLogs = await Link.findOne({ slug: slug.toLowerCase() })
-            .select('clickLogs')
-            .slice('clickLogs', -20); // 20 clicks gần nhất
+        const to = new Date();
+        const from = ClickRollup.getBucketStart(new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000), 'day');
+        
+        const [daily, recentClicks] = await Promise.all([
+            ClickRollup.getSeries({ linkIds: [link._id], granularity: 'day', from, to }),
+            clickTrackingService.getRecentClicks(link._id, 20) // 20 clicks gần nhất
+        ]);
         
         return {
             link,
-            recentClicks: linkWithLogs?.clickLogs || []
+            daily,
+            recentClicks
         };
     } catch (error) {
         console.error('❌ [LinkService] Lỗi lấy stats:', error.message);
@@ -345,6 +425,7 @@ module.exports = {
     getAllLinks,
     updateLink,
     deleteLink,
+    trackClick,
     recordClick,
     getLinkStats,
     getOverallStats,
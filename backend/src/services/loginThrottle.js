@@ -0,0 +1,256 @@
+/**
+ * Login Throttle
+ *
+ * Chống brute-force đăng nhập:
+ * - Đếm lần đăng nhập sai theo username và theo IP (reset sau FAILURE_WINDOW không sai thêm)
+ * - Backoff lũy thừa: sau FREE_ATTEMPTS lần sai, phải chờ 2^n giây mới được thử tiếp
+ * - Khóa tạm thời: username sai quá USER_LOCK_THRESHOLD lần / IP sai quá IP_LOCK_THRESHOLD lần
+ * - Admin mở khóa tài khoản từ trang quản lý user (xóa cả khóa của các IP đã đăng nhập sai vào tài khoản)
+ * - IP đếm theo getLoginIP: chỉ tin X-Client-IP do route /api/auth/* của frontend gửi kèm AUTH_PROXY_SECRET,
+ *   ngoài ra dùng địa chỉ kết nối (X-Forwarded-For do client tự khai, không dùng)
+ *
+ * Bộ đếm nằm sau store có thể thay thế (mặc định: memory, sau này: Redis / MongoDB dùng chung nhiều instance)
+ */
+
+const crypto = require('crypto');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60;
+const USER_LOCK_THRESHOLD = parseInt(process.env.LOGIN_USER_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const AUTH_PROXY_SECRET = process.env.AUTH_PROXY_SECRET || '';
+
+// Số IP đăng nhập sai gần nhất lưu trên entry username (để mở khóa cả IP)
+const MAX_TRACKED_IPS = 20;
+
+/**
+ * Memory Attempt Store
+ *
+ * Interface mà mọi store cần implement (có thể trả về Promise):
+ * - get(key)              Entry { failures, lastFailureAt, blockedUntil, lockedUntil } hoặc null
+ * - set(key, entry, ttlMs) Ghi entry, tự hết hạn sau ttlMs
+ * - delete(key)           Xóa entry (mở khóa / đăng nhập thành công)
+ */
+class MemoryAttemptStore {
+    constructor() {
+        this.entries = new Map();
+
+        // Dọn entry hết hạn mỗi 5 phút
+        this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+        if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+    }
+
+    get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+        if (item.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return { ...item.entry };
+    }
+
+    set(key, entry, ttlMs) {
+        this.entries.set(key, { entry: { ...entry }, expiresAt: Date.now() + ttlMs });
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, item] of this.entries) {
+            if (item.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+class LoginThrottle {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Store lưu bộ đếm
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemoryAttemptStore();
+    }
+
+    /**
+     * Thay store (VD: Redis) - gọi khi khởi động server
+     * @param {Object} store
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Kiểm tra được phép thử đăng nhập không (gọi trước khi so password)
+     * @param {String} username
+     * @param {String} ip
+     * @returns {Object} - { allowed: true } hoặc { allowed: false, reason: 'locked' | 'backoff', retryAfter (giây), until }
+     */
+    async check(username, ip) {
+        const now = Date.now();
+        const [userEntry, ipEntry] = await Promise.all([
+            this.store.get(userKey(username)),
+            ip ? this.store.get(ipKey(ip)) : null
+        ]);
+
+        // Khóa được ưu tiên báo trước backoff (thời gian chờ dài hơn)
+        for (const entry of [userEntry, ipEntry]) {
+            if (entry?.lockedUntil && entry.lockedUntil > now) {
+                return blocked('locked', entry.lockedUntil, now);
+            }
+        }
+        for (const entry of [userEntry, ipEntry]) {
+            if (entry?.blockedUntil && entry.blockedUntil > now) {
+                return blocked('backoff', entry.blockedUntil, now);
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Ghi nhận đăng nhập sai (sai password / user không tồn tại / sai mã 2FA)
+     * @param {String} username
+     * @param {String} ip
+     * @returns {Object} - Trạng thái sau khi ghi nhận (như check)
+     */
+    async recordFailure(username, ip) {
+        const now = Date.now();
+
+        await this.bump(userKey(username), USER_LOCK_THRESHOLD, now, ip);
+        if (ip) await this.bump(ipKey(ip), IP_LOCK_THRESHOLD, now);
+
+        return this.check(username, ip);
+    }
+
+    /**
+     * Đăng nhập thành công: reset bộ đếm của username
+     * (bộ đếm IP giữ nguyên, tự hết hạn - tránh kẻ tấn công dùng tài khoản của mình để reset)
+     * @param {String} username
+     */
+    async recordSuccess(username) {
+        await this.store.delete(userKey(username));
+    }
+
+    /**
+     * Admin mở khóa tài khoản: xóa bộ đếm username + các IP đã đăng nhập sai vào tài khoản
+     * (IP bị khóa vẫn chặn đăng nhập dù username đã mở)
+     * @param {String} username
+     */
+    async unlock(username) {
+        const entry = await this.store.get(userKey(username));
+        const ips = entry?.ips || [];
+
+        await this.store.delete(userKey(username));
+        await Promise.all(ips.map(ip => this.store.delete(ipKey(ip))));
+        console.log(`🔓 [LoginThrottle] Mở khóa "${username}"${ips.length > 0 ? ` + ${ips.length} IP` : ''}`);
+    }
+
+    /**
+     * Trạng thái khóa của username (trang quản lý user)
+     * @param {String} username
+     * @returns {Object} - { failures, locked, lockedUntil, blockedUntil }
+     */
+    async getStatus(username) {
+        const entry = await this.store.get(userKey(username));
+        const now = Date.now();
+        return {
+            failures: entry?.failures || 0,
+            locked: Boolean(entry?.lockedUntil && entry.lockedUntil > now),
+            lockedUntil: entry?.lockedUntil > now ? new Date(entry.lockedUntil) : null,
+            blockedUntil: entry?.blockedUntil > now ? new Date(entry.blockedUntil) : null
+        };
+    }
+
+    /**
+     * Tăng bộ đếm, tính backoff / khóa
+     * @param {String} key
+     * @param {Number} lockThreshold
+     * @param {Number} now
+     * @param {String} ip - Entry username: IP của lần sai (lưu lại để mở khóa)
+     * @returns {Object} - Entry mới
+     */
+    async bump(key, lockThreshold, now, ip) {
+        const previous = await this.store.get(key);
+        const failures = (previous?.failures || 0) + 1;
+        const entry = {
+            failures,
+            lastFailureAt: now,
+            blockedUntil: null,
+            lockedUntil: previous?.lockedUntil > now ? previous.lockedUntil : null
+        };
+
+        if (ip || previous?.ips) {
+            const ips = (previous?.ips || []).filter(item => item !== ip);
+            if (ip) ips.push(ip);
+            entry.ips = ips.slice(-MAX_TRACKED_IPS);
+        }
+
+        if (failures >= lockThreshold && !entry.lockedUntil) {
+            entry.lockedUntil = now + LOCK_MINUTES * 60 * 1000;
+            console.warn(`🚫 [LoginThrottle] Khóa tạm ${key} ${LOCK_MINUTES} phút sau ${failures} lần sai`);
+        } else if (failures > FREE_ATTEMPTS) {
+            const delaySeconds = Math.min(
+                BACKOFF_BASE_SECONDS * 2 ** (failures - FREE_ATTEMPTS - 1),
+                BACKOFF_MAX_SECONDS
+            );
+            entry.blockedUntil = now + delaySeconds * 1000;
+        }
+
+        // Giữ entry đến hết khóa hoặc hết cửa sổ đếm (lấy mốc xa hơn)
+        const ttlMs = Math.max(
+            FAILURE_WINDOW_MINUTES * 60 * 1000,
+            (entry.lockedUntil || 0) - now
+        );
+        await this.store.set(key, entry, ttlMs);
+        return entry;
+    }
+}
+
+/**
+ * IP dùng cho chống brute-force đăng nhập
+ * Chỉ tin 1 hop: X-Client-IP từ route handler /api/auth/* của frontend (kèm đúng AUTH_PROXY_SECRET),
+ * còn lại lấy địa chỉ kết nối TCP - không đọc X-Forwarded-For vì client tự đặt được
+ * @param {Object} req
+ * @returns {String}
+ */
+const getLoginIP = (req) => {
+    const forwardedIP = String(req.headers['x-client-ip'] || '').trim();
+    if (forwardedIP && AUTH_PROXY_SECRET && secretMatches(req.headers['x-auth-proxy-secret'])) {
+        return forwardedIP;
+    }
+
+    const remoteAddress = req.socket?.remoteAddress || '';
+    return remoteAddress.startsWith('::ffff:') ? remoteAddress.substring(7) : remoteAddress;
+};
+
+const secretMatches = (value) => {
+    const given = Buffer.from(String(value || ''));
+    const expected = Buffer.from(AUTH_PROXY_SECRET);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const userKey = (username) => `user:${String(username || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const blocked = (reason, until, now) => ({
+    allowed: false,
+    reason,
+    until: new Date(until),
+    retryAfter: Math.ceil((until - now) / 1000)
+});
+
+// Singleton dùng chung cho authRoutes
+const loginThrottle = new LoginThrottle();
+
+module.exports = {
+    loginThrottle,
+    getLoginIP,
+    LoginThrottle,
+    MemoryAttemptStore
+};
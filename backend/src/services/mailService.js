@@ -0,0 +1,209 @@
+/**
+ * Mail Service
+ *
+ * Gửi email qua transport có thể thay thế:
+ * - smtp: gửi thật qua SMTP (nodemailer) - production
+ * - file: ghi mỗi email thành 1 file JSON trong MAIL_FILE_DIR - dev / test (đọc link trong file)
+ * - console: in email ra log - dev
+ *
+ * Chọn transport bằng MAIL_TRANSPORT (mặc định: smtp nếu có SMTP_HOST, ngược lại console)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Tin tức 24h <no-reply@localhost>';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * SMTP Transport
+ *
+ * Interface mà mọi transport cần implement:
+ * - send(message)  message = { from, to, subject, text, html } → Promise<{ messageId }>
+ */
+class SmtpTransport {
+    /**
+     * @param {Object} options - { host, port, secure, user, pass }
+     */
+    constructor(options = {}) {
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: options.secure ?? options.port === 465,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * File Transport - mỗi email 1 file JSON (test đọc file để lấy link)
+ */
+class FileTransport {
+    /**
+     * @param {Object} options - { dir }
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '../../tmp/mail');
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const file = path.join(this.dir, `${messageId}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2));
+        return { messageId, file };
+    }
+}
+
+/**
+ * Console Transport - in email ra log
+ */
+class ConsoleTransport {
+    async send(message) {
+        const messageId = `console-${Date.now()}`;
+        console.log(`📧 [Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { messageId };
+    }
+}
+
+/**
+ * Tạo transport theo env
+ * @returns {Object}
+ */
+const createTransportFromEnv = () => {
+    const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    switch (type) {
+        case 'smtp':
+            return new SmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        case 'file':
+            return new FileTransport({ dir: process.env.MAIL_FILE_DIR });
+        case 'console':
+            return new ConsoleTransport();
+        default:
+            throw new Error(`MAIL_TRANSPORT không hợp lệ: ${type}`);
+    }
+};
+
+let transport = null;
+
+/**
+ * Transport hiện tại (khởi tạo lần đầu dùng)
+ */
+const getTransport = () => {
+    if (!transport) transport = createTransportFromEnv();
+    return transport;
+};
+
+/**
+ * Thay transport (VD: test dùng FileTransport)
+ * @param {Object} nextTransport
+ */
+const setTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+/**
+ * Gửi email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} - { messageId }
+ */
+const send = async (message) => {
+    const result = await getTransport().send({ from: MAIL_FROM, ...message });
+    console.log(`📧 [Mail] Đã gửi "${message.subject}" tới ${message.to}`);
+    return result;
+};
+
+// =================================================================
+// TEMPLATES
+// =================================================================
+
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Khung HTML chung: lời chào + đoạn nội dung + nút bấm
+ */
+const renderHtml = ({ greeting, paragraphs, actionText, actionUrl, footer }) => `
+<div style="font-family: Arial, sans-serif; max-width: 520px; margin: 0 auto; color: #333;">
+    <h2 style="color: #D31016;">Tin tức 24h</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p style="margin: 24px 0;">
+        <a href="${escapeHtml(actionUrl)}" style="background: #D31016; color: #fff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">${escapeHtml(actionText)}</a>
+    </p>
+    <p style="font-size: 12px; color: #999;">${escapeHtml(footer)}<br>${escapeHtml(actionUrl)}</p>
+</div>`;
+
+/**
+ * Email đặt lại mật khẩu
+ * @param {Object} user
+ * @param {String} token
+ * @param {Number} expiresMinutes
+ */
+const sendPasswordReset = (user, token, expiresMinutes) => {
+    const url = `${FRONTEND_URL}/admin/reset-password?token=${encodeURIComponent(token)}`;
+    const greeting = `Xin chào ${user.fullName || user.username},`;
+    const paragraphs = [
+        'Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.',
+        `Link chỉ dùng được 1 lần và hết hạn sau ${expiresMinutes} phút.`
+    ];
+    const footer = 'Nếu bạn không yêu cầu, hãy bỏ qua email này - mật khẩu sẽ không thay đổi.';
+
+    return send({
+        to: user.email,
+        subject: 'Đặt lại mật khẩu - Tin tức 24h',
+        text: [greeting, ...paragraphs, url, footer].join('\n\n'),
+        html: renderHtml({ greeting, paragraphs, actionText: 'Đặt lại mật khẩu', actionUrl: url, footer })
+    });
+};
+
+/**
+ * Email mời tham gia (user tự đặt mật khẩu)
+ * @param {Object} user
+ * @param {String} token
+ * @param {Object} inviter - Admin mời
+ * @param {Number} expiresDays
+ */
+const sendInvite = (user, token, inviter, expiresDays) => {
+    const url = `${FRONTEND_URL}/admin/reset-password?token=${encodeURIComponent(token)}`;
+    const greeting = `Xin chào ${user.fullName || user.username},`;
+    const paragraphs = [
+        `${inviter?.fullName || inviter?.username || 'Quản trị viên'} đã mời bạn tham gia hệ thống quản trị Tin tức 24h với username "${user.username}".`,
+        `Bấm nút bên dưới để đặt mật khẩu và kích hoạt tài khoản. Link hết hạn sau ${expiresDays} ngày.`
+    ];
+    const footer = 'Nếu không mở được nút, hãy copy link sau vào trình duyệt:';
+
+    return send({
+        to: user.email,
+        subject: 'Lời mời tham gia - Tin tức 24h',
+        text: [greeting, ...paragraphs, url].join('\n\n'),
+        html: renderHtml({ greeting, paragraphs, actionText: 'Kích hoạt tài khoản', actionUrl: url, footer })
+    });
+};
+
+module.exports = {
+    send,
+    sendPasswordReset,
+    sendInvite,
+    getTransport,
+    setTransport,
+    SmtpTransport,
+    FileTransport,
+    ConsoleTransport
+};
@@ -0,0 +1,81 @@
+/**
+ * Password Token Service
+ *
+ * Token đặt lại mật khẩu / lời mời kích hoạt tài khoản:
+ * - JWT ký bằng JWT_SECRET + hash password hiện tại của user
+ *   → đặt mật khẩu xong hash đổi, token tự mất hiệu lực (dùng 1 lần, không cần lưu DB)
+ * - password_reset: hết hạn sau PASSWORD_RESET_MINUTES phút
+ * - invite: hết hạn sau INVITE_EXPIRES_DAYS ngày; gửi lại lời mời → đổi password tạm → link cũ mất hiệu lực
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+const INVITE_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+const PURPOSES = ['password_reset', 'invite'];
+
+/**
+ * Khóa ký riêng cho từng user, gắn với hash password hiện tại
+ * @param {Object} user - User đã load +password
+ */
+const signingKey = (user) => `${JWT_SECRET}:${user.password}`;
+
+/**
+ * Password tạm ngẫu nhiên cho tài khoản được mời (không ai biết, chỉ đăng nhập được sau khi kích hoạt)
+ * @returns {String}
+ */
+const generatePlaceholderPassword = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Tạo token
+ * @param {Object} user - User đã load +password
+ * @param {String} purpose - password_reset | invite
+ * @returns {String}
+ */
+const createToken = (user, purpose) => {
+    const expiresIn = purpose === 'invite'
+        ? `${INVITE_EXPIRES_DAYS}d`
+        : `${PASSWORD_RESET_MINUTES}m`;
+
+    return jwt.sign({ userId: user._id, purpose }, signingKey(user), { expiresIn });
+};
+
+/**
+ * Kiểm tra token
+ * @param {String} token
+ * @returns {Object} - { user, purpose } (user đã load +password)
+ *                     hoặc { error: 'invalid' | 'expired' | 'user_disabled' }
+ */
+const verifyToken = async (token) => {
+    const decoded = jwt.decode(String(token || ''));
+    if (!decoded?.userId || !PURPOSES.includes(decoded.purpose)) {
+        return { error: 'invalid' };
+    }
+
+    const user = await User.findById(decoded.userId).select('+password');
+    if (!user) return { error: 'invalid' };
+
+    try {
+        jwt.verify(token, signingKey(user));
+    } catch (error) {
+        // Chữ ký sai = password đã đổi (token đã dùng / lời mời đã gửi lại)
+        return { error: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+
+    if (!user.isActive) return { error: 'user_disabled' };
+    if (decoded.purpose === 'invite' && user.invitation?.acceptedAt) return { error: 'invalid' };
+
+    return { user, purpose: decoded.purpose };
+};
+
+module.exports = {
+    PASSWORD_RESET_MINUTES,
+    INVITE_EXPIRES_DAYS,
+    generatePlaceholderPassword,
+    createToken,
+    verifyToken
+};
@@ -0,0 +1,168 @@
+/**
+ * Redirect Template Service
+ *
+ * Gắn tham số tracking (utm_*, sub-ID affiliate...) vào URL đích khi redirect /go/:slug
+ * để đối soát conversion ngược về bài viết đã tạo ra click
+ *
+ * Template gồm danh sách { key, value, mode }:
+ * - value hỗ trợ biến: {slug} {category} {userId} {username} {linkId} {date}
+ * - mode 'append': chỉ thêm nếu URL đích chưa có tham số này
+ * - mode 'overwrite': luôn ghi đè giá trị
+ *
+ * Template của user được áp dụng trước, template của link ghi đè theo key
+ */
+
+const PARAM_MODES = ['append', 'overwrite'];
+const TEMPLATE_VARIABLES = ['slug', 'category', 'userId', 'username', 'linkId', 'date'];
+const MAX_PARAMS = 20;
+
+// Timezone dùng cho biến {date}
+const DATE_TIMEZONE = process.env.REDIRECT_TEMPLATE_TIMEZONE || 'Asia/Ho_Chi_Minh';
+
+/**
+ * Chuẩn hóa + validate danh sách tham số từ request body
+ * @param {Array} params - [{ key, value, mode }]
+ * @returns {Object} - { params } hoặc { error }
+ */
+const sanitizeParams = (params) => {
+    if (params === null) return { params: [] };
+    if (!Array.isArray(params)) {
+        return { error: 'redirectParams phải là một mảng' };
+    }
+    if (params.length > MAX_PARAMS) {
+        return { error: `Tối đa ${MAX_PARAMS} tham số redirect` };
+    }
+
+    const result = [];
+    const keys = new Set();
+
+    for (const param of params) {
+        const key = String(param?.key || '').trim();
+        if (!key) continue;
+
+        if (!/^[\w.\-[\]]{1,64}$/.test(key)) {
+            return { error: `Tên tham số "${key}" không hợp lệ` };
+        }
+        if (keys.has(key)) {
+            return { error: `Tham số "${key}" bị trùng` };
+        }
+
+        const mode = param.mode || 'overwrite';
+        if (!PARAM_MODES.includes(mode)) {
+            return { error: `Chế độ "${mode}" không hợp lệ (append | overwrite)` };
+        }
+
+        keys.add(key);
+        result.push({
+            key,
+            value: String(param.value ?? '').trim().substring(0, 500),
+            mode
+        });
+    }
+
+    return { params: result };
+};
+
+/**
+ * Ngày hiện tại dạng YYYY-MM-DD theo DATE_TIMEZONE
+ * @param {Date} date
+ * @returns {String}
+ */
+const formatDate = (date = new Date()) => {
+    // en-CA format mặc định là YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: DATE_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+};
+
+/**
+ * Tạo context biến cho template
+ * @param {Object} link - Link (cần slug, category, _id, userId)
+ * @param {Object} owner - User sở hữu link (cần _id, username) - optional
+ * @param {Date} now
+ * @returns {Object}
+ */
+const buildContext = (link, owner = null, now = new Date()) => ({
+    slug: link.slug || '',
+    category: link.category || '',
+    userId: String(owner?._id || link.userId?._id || link.userId || ''),
+    username: owner?.username || '',
+    linkId: link._id ? String(link._id) : '',
+    date: formatDate(now)
+});
+
+/**
+ * Thay thế {biến} trong value, biến không xác định được giữ nguyên
+ * @param {String} value
+ * @param {Object} context
+ * @returns {String}
+ */
+const renderValue = (value, context) => {
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => {
+        return TEMPLATE_VARIABLES.includes(name) ? context[name] ?? '' : match;
+    });
+};
+
+/**
+ * Gộp template user + link (link ghi đè user theo key)
+ * @param {Array} userParams
+ * @param {Array} linkParams
+ * @returns {Array}
+ */
+const mergeParams = (userParams = [], linkParams = []) => {
+    const merged = new Map();
+    for (const param of [...(userParams || []), ...(linkParams || [])]) {
+        if (param && param.key) merged.set(param.key, param);
+    }
+    return [...merged.values()];
+};
+
+/**
+ * Áp dụng template lên URL đích
+ * @param {String} targetUrl - URL đích gốc
+ * @param {Array} params - [{ key, value, mode }] (đã gộp)
+ * @param {Object} context - buildContext()
+ * @returns {String} - URL cuối cùng (trả nguyên targetUrl nếu không parse được)
+ */
+const applyRedirectTemplate = (targetUrl, params, context) => {
+    if (!targetUrl || !params || params.length === 0) return targetUrl;
+
+    let url;
+    try {
+        url = new URL(targetUrl);
+    } catch (e) {
+        return targetUrl;
+    }
+
+    for (const param of params) {
+        if (param.mode === 'append' && url.searchParams.has(param.key)) continue;
+        url.searchParams.set(param.key, renderValue(param.value, context));
+    }
+
+    return url.toString();
+};
+
+/**
+ * Tính URL redirect cuối cùng cho một link
+ * @param {Object} link - Link (cần targetUrl, redirectParams, slug, category, _id, userId)
+ * @param {Object} owner - User sở hữu (cần _id, username, redirectParams) - optional
+ * @param {String} targetUrl - URL đích (mặc định link.targetUrl, hoặc URL của destination được chọn)
+ * @returns {String}
+ */
+const resolveRedirectUrl = (link, owner = null, targetUrl = link.targetUrl) => {
+    const params = mergeParams(owner?.redirectParams, link.redirectParams);
+    return applyRedirectTemplate(targetUrl, params, buildContext(link, owner));
+};
+
+module.exports = {
+    PARAM_MODES,
+    TEMPLATE_VARIABLES,
+    sanitizeParams,
+    buildContext,
+    mergeParams,
+    applyRedirectTemplate,
+    resolveRedirectUrl
+};
@@ -0,0 +1,155 @@
+/**
+ * Referrer Service
+ *
+ * Chuẩn hóa nguồn truy cập của một click:
+ * - domain: domain referer đã bỏ www./m./l. (VD: l.facebook.com → facebook.com)
+ * - family: social | search | messaging | email | internal | referral | direct
+ * - utm: các tham số utm_* trên landing URL
+ *
+ * In-app browser (Facebook, Zalo...) thường không gửi referer,
+ * nên User-Agent và utm_source được dùng để đoán nguồn khi referer trống
+ */
+
+// Domain gốc → family
+const SOURCE_FAMILIES = {
+    social: [
+        'facebook.com', 'fb.com', 'fb.me', 'instagram.com', 'threads.net',
+        'tiktok.com', 'twitter.com', 'x.com', 't.co', 'youtube.com', 'youtu.be',
+        'linkedin.com', 'lnkd.in', 'pinterest.com', 'reddit.com'
+    ],
+    search: [
+        'google.com', 'google.com.vn', 'bing.com', 'coccoc.com', 'yahoo.com',
+        'duckduckgo.com', 'yandex.ru', 'yandex.com', 'baidu.com', 'search.brave.com'
+    ],
+    messaging: [
+        'zalo.me', 'chat.zalo.me', 'messenger.com', 'm.me', 't.me', 'telegram.org',
+        'web.telegram.org', 'whatsapp.com', 'web.whatsapp.com', 'wa.me',
+        'discord.com', 'slack.com', 'line.me', 'viber.com'
+    ],
+    email: [
+        'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'mail.yahoo.com'
+    ]
+};
+
+// utm_source / in-app browser → domain + family khi không có referer
+const KNOWN_SOURCES = [
+    { pattern: /facebook|^fb$|fban|fbav|fb_iab/i, domain: 'facebook.com', family: 'social' },
+    { pattern: /instagram/i, domain: 'instagram.com', family: 'social' },
+    { pattern: /tiktok|musical_ly|bytedancewebview/i, domain: 'tiktok.com', family: 'social' },
+    { pattern: /zalo/i, domain: 'zalo.me', family: 'messaging' },
+    { pattern: /messenger/i, domain: 'messenger.com', family: 'messaging' },
+    { pattern: /telegram/i, domain: 't.me', family: 'messaging' },
+    { pattern: /google/i, domain: 'google.com', family: 'search' },
+    { pattern: /coccoc/i, domain: 'coccoc.com', family: 'search' },
+    { pattern: /email|newsletter/i, domain: null, family: 'email' }
+];
+
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Prefix subdomain không mang ý nghĩa nguồn
+const STRIPPED_PREFIXES = /^(www\d*|m|l|lm|mobile|mbasic|touch|amp)\./;
+
+/**
+ * Lấy hostname đã chuẩn hóa từ URL
+ * @param {String} url
+ * @returns {String|null}
+ */
+const normalizeDomain = (url) => {
+    if (!url) return null;
+    try {
+        let host = new URL(url).hostname.toLowerCase();
+        while (STRIPPED_PREFIXES.test(host) && host.split('.').length > 2) {
+            host = host.replace(STRIPPED_PREFIXES, '');
+        }
+        return host || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Xác định family theo domain (khớp cả subdomain: news.google.com → search)
+ * @param {String} domain
+ * @returns {String|null}
+ */
+const getFamilyForDomain = (domain) => {
+    if (!domain) return null;
+
+    for (const [family, domains] of Object.entries(SOURCE_FAMILIES)) {
+        if (domains.some(d => domain === d || domain.endsWith(`.${d}`))) {
+            return family;
+        }
+    }
+
+    // google.xx, yandex.xx...
+    if (/^(google|bing|yahoo|yandex)\.[a-z.]+$/.test(domain)) {
+        return 'search';
+    }
+
+    return null;
+};
+
+/**
+ * Lấy các tham số utm_* từ landing URL
+ * @param {String} landingUrl - URL đầy đủ hoặc path + query (VD: /go/abc?utm_source=fb)
+ * @returns {Object} - { source, medium, campaign, term, content } (chỉ các key có giá trị)
+ */
+const parseUtm = (landingUrl) => {
+    const utm = {};
+    if (!landingUrl) return utm;
+
+    try {
+        const url = new URL(landingUrl, 'http://localhost');
+        for (const param of UTM_PARAMS) {
+            const value = url.searchParams.get(`utm_${param}`);
+            if (value) utm[param] = value.substring(0, 200);
+        }
+    } catch {
+        // Landing URL không hợp lệ → bỏ qua utm
+    }
+
+    return utm;
+};
+
+/**
+ * Chuẩn hóa nguồn truy cập
+ * @param {Object} input - { referer, landingUrl, userAgent }
+ * @returns {Object} - { domain, family, utm }
+ */
+const parseSource = ({ referer = '', landingUrl = '', userAgent = '' } = {}) => {
+    const utm = parseUtm(landingUrl);
+    const domain = normalizeDomain(referer);
+
+    // Referer từ chính site → internal
+    const ownDomain = normalizeDomain(process.env.FRONTEND_URL);
+    if (domain && ownDomain && domain === ownDomain) {
+        return { domain, family: 'internal', utm };
+    }
+
+    if (domain) {
+        return {
+            domain,
+            family: getFamilyForDomain(domain) || 'referral',
+            utm
+        };
+    }
+
+    // Không có referer: đoán từ utm_source rồi tới in-app browser
+    const hints = [utm.source, userAgent].filter(Boolean);
+    for (const hint of hints) {
+        const known = KNOWN_SOURCES.find(s => s.pattern.test(hint));
+        if (known) {
+            return { domain: known.domain, family: known.family, utm };
+        }
+    }
+
+    return { domain: null, family: 'direct', utm };
+};
+
+module.exports = {
+    SOURCE_FAMILIES,
+    normalizeDomain,
+    getFamilyForDomain,
+    parseUtm,
+    parseSource
+};
@@ -0,0 +1,235 @@
+/**
+ * Revision Service
+ *
+ * Lịch sử chỉnh sửa bài viết (LinkRevision):
+ * - Ghi revision mỗi lần tạo / cập nhật / khôi phục
+ * - Liệt kê, so sánh (diff HTML theo từ) và khôi phục revision
+ */
+
+const Link = require('../models/Link');
+const LinkRevision = require('../models/LinkRevision');
+const { diffHtml } = require('../utils/htmlDiff');
+
+// Field được ghi đè khi khôi phục
+// Không khôi phục slug (đổi URL) và trạng thái/lịch đăng (ảnh hưởng public)
+const RESTORABLE_FIELDS = [
+    'title', 'description', 'content', 'imageUrl', 'category', 'author', 'targetUrl', 'destinations', 'redirectParams'
+];
+
+// Field mảng: snapshot null → []
+const ARRAY_FIELDS = ['destinations', 'redirectParams'];
+
+/**
+ * Chuẩn hóa người sửa từ req.user
+ * @param {Object} user - User document / { _id, username }
+ * @returns {Object} - { userId, username }
+ */
+const toEditor = (user) => ({
+    userId: user?._id || null,
+    username: user?.username || 'system'
+});
+
+/**
+ * Ghi một revision cho link (bỏ qua nếu không có gì thay đổi)
+ * @param {Object} link - Link sau khi lưu
+ * @param {Object} options - { user, action, restoredFrom }
+ * @returns {Object|null} - Revision đã ghi
+ */
+const recordRevision = async (link, options = {}) => {
+    const { user = null, action = 'update', restoredFrom = null } = options;
+    const snapshot = LinkRevision.buildSnapshot(link);
+
+    // Thử lại khi 2 request lưu cùng lúc tranh nhau số revision
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const latest = await LinkRevision.getLatest(link._id);
+        const changedFields = LinkRevision.diffFields(latest?.snapshot, snapshot);
+
+        if (latest && changedFields.length === 0 && action === 'update') {
+            return null;
+        }
+
+        try {
+            const revision = await LinkRevision.create({
+                linkId: link._id,
+                revision: (latest?.revision || 0) + 1,
+                action,
+                restoredFrom,
+                changedFields,
+                snapshot,
+                editedBy: toEditor(user)
+            });
+
+            await LinkRevision.prune(link._id);
+            return revision;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    throw new Error('Không thể ghi revision (xung đột số revision)');
+};
+
+/**
+ * Link cũ chưa có revision → lưu trạng thái hiện tại làm baseline trước khi sửa
+ * để lần sửa đầu tiên vẫn khôi phục được
+ * @param {Object} link - Link trước khi cập nhật
+ */
+const ensureBaseline = async (link) => {
+    const exists = await LinkRevision.exists({ linkId: link._id });
+    if (!exists) {
+        await recordRevision(link, { action: 'baseline' });
+    }
+};
+
+/**
+ * Danh sách revision của link (không kèm content)
+ * @param {ObjectId} linkId
+ * @param {Object} options - { limit }
+ * @returns {Array}
+ */
+const listRevisions = async (linkId, options = {}) => {
+    const limit = Math.min(parseInt(options.limit) || 50, LinkRevision.REVISION_LIMIT);
+
+    return LinkRevision.aggregate([
+        { $match: { linkId } },
+        { $sort: { revision: -1 } },
+        { $limit: limit },
+        {
+            $project: {
+                _id: 0,
+                revision: 1,
+                action: 1,
+                restoredFrom: 1,
+                changedFields: 1,
+                editedBy: 1,
+                createdAt: 1,
+                title: '$snapshot.title',
+                status: '$snapshot.status',
+                contentLength: { $strLenCP: { $ifNull: ['$snapshot.content', ''] } }
+            }
+        }
+    ]);
+};
+
+/**
+ * Lấy một revision đầy đủ
+ * @param {ObjectId} linkId
+ * @param {Number} revision
+ */
+const getRevision = (linkId, revision) => {
+    return LinkRevision.findOne({ linkId, revision }).lean();
+};
+
+/**
+ * So sánh 2 revision
+ * - content: diff HTML theo từ
+ * - các field khác: giá trị trước/sau
+ * @param {ObjectId} linkId
+ * @param {Number} from - Revision cũ
+ * @param {Number} to - Revision mới
+ * @returns {Object|null} - null nếu không tìm thấy revision
+ */
+const diffRevisions = async (linkId, from, to) => {
+    const [before, after] = await Promise.all([
+        getRevision(linkId, from),
+        getRevision(linkId, to)
+    ]);
+
+    if (!before || !after) return null;
+
+    const changedFields = LinkRevision.diffFields(before.snapshot, after.snapshot);
+
+    const fields = changedFields
+        .filter(field => field !== 'content')
+        .map(field => ({
+            field,
+            before: before.snapshot[field] ?? null,
+            after: after.snapshot[field] ?? null
+        }));
+
+    const meta = (rev) => ({
+        revision: rev.revision,
+        action: rev.action,
+        editedBy: rev.editedBy,
+        createdAt: rev.createdAt
+    });
+
+    return {
+        from: meta(before),
+        to: meta(after),
+        changedFields,
+        fields,
+        content: diffHtml(before.snapshot.content || '', after.snapshot.content || '')
+    };
+};
+
+/**
+ * Destinations trong snapshot → giá trị lưu lại, giữ counters của destination còn trên link (cùng _id)
+ * @param {Array} snapshotDestinations
+ * @param {Array} current - destinations hiện tại của link
+ * @returns {Array}
+ */
+const restoreDestinations = (snapshotDestinations, current = []) => {
+    const currentById = new Map(current.map(dest => [String(dest._id), dest]));
+
+    return snapshotDestinations.map(dest => {
+        const previous = dest._id ? currentById.get(String(dest._id)) : null;
+        return {
+            ...dest,
+            totalClicks: previous?.totalClicks || 0,
+            validClicks: previous?.validClicks || 0,
+            lastClickedAt: previous?.lastClickedAt || null
+        };
+    });
+};
+
+/**
+ * Khôi phục link về một revision (tạo revision mới action = restore)
+ * @param {Object} link - Link hiện tại
+ * @param {Number} revision - Số revision cần khôi phục
+ * @param {Object} user - Người khôi phục
+ * @returns {Object|null} - { link, revision } hoặc null nếu không tìm thấy revision
+ */
+const restoreRevision = async (link, revision, user) => {
+    const target = await getRevision(link._id, revision);
+    if (!target) return null;
+
+    await ensureBaseline(link);
+
+    const update = {};
+    for (const field of RESTORABLE_FIELDS) {
+        if (target.snapshot[field] !== undefined) {
+            update[field] = target.snapshot[field] ?? (ARRAY_FIELDS.includes(field) ? [] : '');
+        }
+    }
+    // Giữ counters click của destination hiện tại (revision cũ không lưu destinations: giữ nguyên destinations)
+    if (update.destinations) {
+        update.destinations = restoreDestinations(update.destinations, link.destinations);
+    }
+
+    const restored = await Link.findByIdAndUpdate(
+        link._id,
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+
+    const newRevision = await recordRevision(restored, {
+        user,
+        action: 'restore',
+        restoredFrom: revision
+    });
+
+    console.log(`⏪ [Revision] /${restored.slug} khôi phục về revision #${revision} bởi ${toEditor(user).username}`);
+
+    return { link: restored, revision: newRevision };
+};
+
+module.exports = {
+    RESTORABLE_FIELDS,
+    recordRevision,
+    ensureBaseline,
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
@@ -0,0 +1,258 @@
+/**
+ * Session Service
+ *
+ * Quản lý phiên đăng nhập với refresh token xoay vòng:
+ * - Đăng nhập → tạo Session + refresh token (HttpOnly cookie, DB chỉ lưu hash)
+ * - Refresh → đổi refresh token mới, token cũ bị vô hiệu
+ * - Token cũ bị dùng lại → thu hồi cả phiên (họ token) vì token có thể đã bị lộ
+ * - Liệt kê / thu hồi phiên theo thiết bị
+ */
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// 2 tab refresh cùng lúc bằng cùng token: trong khoảng này không coi là reuse
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+
+const REFRESH_COOKIE_NAME = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Thời điểm hết hạn refresh token tính từ now
+ * @param {Date} now
+ * @returns {Date}
+ */
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Thông tin thiết bị từ request
+ * @param {Object} req
+ * @returns {Object} - { ip, userAgent }
+ */
+const getClientMeta = (req) => ({
+    ip: req.clientIP || req.ip || req.connection?.remoteAddress || '',
+    userAgent: String(req.headers['user-agent'] || '').substring(0, 500)
+});
+
+/**
+ * Tạo phiên mới khi đăng nhập
+ * @param {Object} user - User document
+ * @param {Object} meta - { ip, userAgent }
+ * @returns {Object} - { session, refreshToken }
+ */
+const createSession = async (user, meta = {}) => {
+    const refreshToken = Session.generateToken();
+    const session = await Session.create({
+        userId: user._id,
+        tokenHash: Session.hashToken(refreshToken),
+        ip: meta.ip || '',
+        userAgent: meta.userAgent || '',
+        expiresAt: refreshExpiry()
+    });
+
+    console.log(`🔑 [Session] Tạo phiên ${session._id} cho ${user.username}`);
+    return { session, refreshToken };
+};
+
+/**
+ * Refresh token không còn là token hiện tại của phiên nào: token đã xoay bị dùng lại
+ * - Token ngay trước token hiện tại, trong grace period (request song song / thua race xoay token)
+ *   → cấp access token, không đổi cookie
+ * - Còn lại → thu hồi cả phiên (token family)
+ * @param {String} hash - Hash của token client gửi lên
+ * @param {Date} now
+ * @returns {Object} - Như rotateSession
+ */
+const handleRotatedToken = async (hash, now) => {
+    const reused = await Session.findOne({ previousTokenHashes: hash });
+    if (!reused) return { error: 'invalid' };
+
+    const isLatestPrevious = reused.previousTokenHashes[reused.previousTokenHashes.length - 1] === hash;
+    const withinGrace = now - reused.lastUsedAt < REUSE_GRACE_SECONDS * 1000;
+
+    if (reused.isValid(now) && isLatestPrevious && withinGrace) {
+        const user = await User.findById(reused.userId);
+        if (!user || !user.isActive) return { error: 'user_disabled' };
+        return { session: reused, user, refreshToken: null };
+    }
+
+    if (!reused.revokedAt) {
+        reused.revokedAt = now;
+        reused.revokedReason = 'reuse_detected';
+        await reused.save();
+        console.warn(`🚨 [Session] Refresh token bị dùng lại, thu hồi phiên ${reused._id} (user ${reused.userId})`);
+    }
+    return { error: 'reuse_detected' };
+};
+
+/**
+ * Xoay refresh token
+ * Đổi token bằng 1 lệnh findOneAndUpdate có điều kiện tokenHash = token cũ:
+ * 2 request song song cùng token chỉ 1 request xoay được, request còn lại xử lý như token đã xoay
+ * @param {String} refreshToken - Token client gửi lên
+ * @param {Object} meta - { ip, userAgent }
+ * @returns {Object} - { session, user, refreshToken } (refreshToken = null khi trong grace period)
+ *                     hoặc { error: 'invalid' | 'reuse_detected' | 'expired' | 'user_disabled' }
+ */
+const rotateSession = async (refreshToken, meta = {}) => {
+    if (!refreshToken) return { error: 'invalid' };
+
+    const now = new Date();
+    const hash = Session.hashToken(refreshToken);
+
+    const current = await Session.findOne({ tokenHash: hash });
+    if (!current) return handleRotatedToken(hash, now);
+
+    if (!current.isValid(now)) {
+        return { error: current.revokedAt ? 'invalid' : 'expired' };
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user || !user.isActive) {
+        current.revokedAt = now;
+        current.revokedReason = 'user_disabled';
+        await current.save();
+        return { error: 'user_disabled' };
+    }
+
+    const nextToken = Session.generateToken();
+    const session = await Session.findOneAndUpdate(
+        { _id: current._id, tokenHash: hash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: Session.hashToken(nextToken),
+                lastUsedAt: now,
+                expiresAt: refreshExpiry(now),
+                ...(meta.ip && { ip: meta.ip }),
+                ...(meta.userAgent && { userAgent: meta.userAgent })
+            },
+            $push: { previousTokenHashes: { $each: [hash], $slice: -Session.MAX_PREVIOUS_HASHES } }
+        },
+        { new: true }
+    );
+
+    // Request khác vừa xoay / thu hồi phiên giữa findOne và update
+    if (!session) return handleRotatedToken(hash, now);
+
+    return { session, user, refreshToken: nextToken };
+};
+
+/**
+ * Thu hồi phiên theo refresh token (đăng xuất)
+ * @param {String} refreshToken
+ * @returns {Boolean}
+ */
+const revokeByToken = async (refreshToken) => {
+    if (!refreshToken) return false;
+    const result = await Session.updateOne(
+        { tokenHash: Session.hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Thu hồi một phiên của user
+ * @param {ObjectId} sessionId
+ * @param {ObjectId} userId - Chủ phiên
+ * @returns {Boolean} - false nếu không tìm thấy phiên còn hiệu lực
+ */
+const revokeSession = async (sessionId, userId) => {
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Danh sách phiên còn hiệu lực của user
+ * @param {ObjectId} userId
+ * @param {ObjectId} currentSessionId - Đánh dấu phiên đang dùng
+ * @returns {Array}
+ */
+const listSessions = async (userId, currentSessionId = null) => {
+    const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ lastUsedAt: -1 })
+        .select('ip userAgent createdAt lastUsedAt expiresAt')
+        .lean();
+
+    return sessions.map(s => ({
+        id: s._id,
+        ip: s.ip,
+        userAgent: s.userAgent,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        isCurrent: Boolean(currentSessionId && s._id.toString() === currentSessionId.toString())
+    }));
+};
+
+// =================================================================
+// REFRESH COOKIE
+// =================================================================
+
+/**
+ * Ghi refresh token vào HttpOnly cookie (chỉ gửi kèm các route /api/auth)
+ * @param {Object} res
+ * @param {String} refreshToken
+ * @param {Date} expiresAt
+ */
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+        path: REFRESH_COOKIE_PATH,
+        expires: expiresAt
+    });
+};
+
+/**
+ * Xóa refresh cookie
+ * @param {Object} res
+ */
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Đọc refresh token từ cookie (trình duyệt) hoặc body (client không dùng cookie)
+ * @param {Object} req
+ * @returns {String|null}
+ */
+const readRefreshToken = (req) => {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        if (part.slice(0, index).trim() === REFRESH_COOKIE_NAME) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return req.body?.refreshToken || null;
+};
+
+module.exports = {
+    REFRESH_TOKEN_DAYS,
+    REFRESH_COOKIE_NAME,
+    getClientMeta,
+    createSession,
+    rotateSession,
+    revokeByToken,
+    revokeSession,
+    listSessions,
+    setRefreshCookie,
+    clearRefreshCookie,
+    readRefreshToken
+};
@@ -0,0 +1,319 @@
+/**
+ * Two-Factor Service
+ *
+ * Xác thực 2 lớp TOTP (RFC 6238) cho tài khoản admin / user:
+ * - Đăng ký: sinh secret → QR (otpauth URI) → xác nhận mã đầu tiên → cấp mã khôi phục (hiện 1 lần)
+ * - Đăng nhập 2 bước: password đúng → challenge token (JWT 5 phút) → nhập mã TOTP / mã khôi phục → tạo phiên
+ * - Chính sách: admin có thể bắt buộc 2FA cho mọi tài khoản role admin
+ *   (admin chưa đăng ký phải đăng ký ngay ở bước đăng nhập, không có phiên nào khi chưa bật 2FA)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const totp = require('../utils/totp');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Tin tức 24h';
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+// Khóa mã hóa secret TOTP (mặc định dẫn xuất từ JWT_SECRET)
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+// Số lần nhập sai theo challenge (jti) - challenge chỉ sống 5 phút
+const challengeAttempts = new Map();
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// =================================================================
+// MÃ HÓA SECRET
+// =================================================================
+
+/**
+ * Mã hóa secret Base32 (AES-256-GCM)
+ * @param {String} secret
+ * @returns {String} - iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64url')).join('.');
+};
+
+/**
+ * Giải mã secret đã lưu
+ * @param {String} payload
+ * @returns {String} - Secret Base32
+ */
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = String(payload).split('.').map(p => Buffer.from(p, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// =================================================================
+// MÃ KHÔI PHỤC
+// =================================================================
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Sinh bộ mã khôi phục mới (dạng xxxxx-xxxxx)
+ * @returns {Object} - { codes: [String], hashed: [{ hash, usedAt }] }
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+        codes,
+        hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+    };
+};
+
+// =================================================================
+// CHÍNH SÁCH
+// =================================================================
+
+/**
+ * Admin có bắt buộc 2FA cho role admin không
+ * @returns {Boolean}
+ */
+const isRequiredForAdmins = async () => {
+    return Boolean(await Setting.getValue(Setting.KEYS.REQUIRE_ADMIN_TWO_FACTOR, false));
+};
+
+/**
+ * User có bắt buộc phải dùng 2FA không
+ * @param {Object} user
+ * @returns {Boolean}
+ */
+const isRequiredFor = async (user) => {
+    return user.role === 'admin' && await isRequiredForAdmins();
+};
+
+/**
+ * Bật / tắt bắt buộc 2FA cho admin
+ * Khi bật: admin chưa đăng ký 2FA bị thu hồi phiên, lần đăng nhập sau phải đăng ký
+ * @param {Boolean} required
+ * @param {Object} actor - Admin thực hiện (phải đã bật 2FA trước khi bắt buộc)
+ * @returns {Object} - { requireForAdmins, revokedSessions } hoặc { error }
+ */
+const setAdminPolicy = async (required, actor) => {
+    if (required && !actor.twoFactor?.enabled) {
+        return { error: 'Bạn cần bật xác thực 2 lớp cho tài khoản của mình trước khi bắt buộc cho admin' };
+    }
+
+    await Setting.setValue(Setting.KEYS.REQUIRE_ADMIN_TWO_FACTOR, Boolean(required), actor._id);
+
+    let revokedSessions = 0;
+    if (required) {
+        const admins = await User.find({ role: 'admin', 'twoFactor.enabled': { $ne: true } }).select('_id').lean();
+        for (const admin of admins) {
+            revokedSessions += await Session.revokeAllForUser(admin._id, 'revoked');
+        }
+    }
+
+    console.log(`🛡️ [2FA] ${actor.username} ${required ? 'bật' : 'tắt'} bắt buộc 2FA cho admin (thu hồi ${revokedSessions} phiên)`);
+    return { requireForAdmins: Boolean(required), revokedSessions };
+};
+
+// =================================================================
+// CHALLENGE ĐĂNG NHẬP
+// =================================================================
+
+/**
+ * Tạo challenge token sau khi password đúng
+ * @param {Object} user
+ * @param {Boolean} setup - true: user phải đăng ký 2FA ngay (bắt buộc nhưng chưa bật)
+ * @returns {String}
+ */
+const createChallenge = (user, setup = false) => {
+    return jwt.sign(
+        { userId: user._id, purpose: setup ? '2fa_setup' : '2fa', jti: crypto.randomUUID() },
+        JWT_SECRET,
+        { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+};
+
+/**
+ * Giải mã challenge token
+ * @param {String} token
+ * @returns {Object|null} - { userId, setup, jti }
+ */
+const readChallenge = (token) => {
+    try {
+        const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+        if (decoded.purpose !== '2fa' && decoded.purpose !== '2fa_setup') return null;
+        if ((challengeAttempts.get(decoded.jti)?.count || 0) >= CHALLENGE_MAX_ATTEMPTS) return null;
+        return { userId: decoded.userId, setup: decoded.purpose === '2fa_setup', jti: decoded.jti };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Ghi nhận 1 lần nhập sai cho challenge
+ * @param {String} jti
+ */
+const recordChallengeFailure = (jti) => {
+    const now = Date.now();
+    for (const [key, entry] of challengeAttempts) {
+        if (entry.expiresAt < now) challengeAttempts.delete(key);
+    }
+    const entry = challengeAttempts.get(jti) || { count: 0, expiresAt: now + 5 * 60 * 1000 };
+    entry.count++;
+    challengeAttempts.set(jti, entry);
+};
+
+// =================================================================
+// ĐĂNG KÝ / XÁC THỰC
+// =================================================================
+
+/**
+ * Load user kèm các field 2FA (select: false)
+ * @param {ObjectId} userId
+ */
+const loadUser = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+/**
+ * Bắt đầu đăng ký: sinh secret chờ xác nhận
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ * @returns {Object} - { secret, otpauthUri }
+ */
+const beginSetup = async (user) => {
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+        secret,
+        otpauthUri: totp.buildOtpAuthUri({ secret, account: user.username, issuer: ISSUER })
+    };
+};
+
+/**
+ * Xác nhận mã đầu tiên → bật 2FA, cấp mã khôi phục
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ * @param {String} code
+ * @returns {Array|null} - Mã khôi phục (chỉ trả về 1 lần), null nếu mã sai
+ */
+const confirmSetup = async (user, code) => {
+    if (!user.twoFactor.pendingSecret) return null;
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return null;
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    console.log(`🛡️ [2FA] ${user.username} đã bật xác thực 2 lớp`);
+    return codes;
+};
+
+/**
+ * Kiểm tra mã TOTP hoặc mã khôi phục (mã khôi phục dùng xong bị đánh dấu)
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {String|null} - 'totp' | 'recovery' | null nếu sai
+ */
+const verifyUserCode = async (user, { code, recoveryCode } = {}) => {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const entry = (user.twoFactor.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+        if (!entry) return null;
+
+        entry.usedAt = new Date();
+        await user.save();
+        console.log(`🛡️ [2FA] ${user.username} dùng mã khôi phục (còn ${countRemainingRecoveryCodes(user)})`);
+        return 'recovery';
+    }
+
+    const afterStep = Number.isInteger(user.twoFactor.lastUsedStep) ? user.twoFactor.lastUsedStep : null;
+    const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code, { afterStep });
+    if (step === null) return null;
+
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return 'totp';
+};
+
+/**
+ * Tắt 2FA
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ */
+const disable = async (user) => {
+    user.twoFactor = { enabled: false };
+    await user.save();
+    console.log(`🛡️ [2FA] Đã tắt xác thực 2 lớp cho ${user.username}`);
+};
+
+/**
+ * Cấp lại bộ mã khôi phục (bộ cũ hết hiệu lực)
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ * @returns {Array} - Mã khôi phục mới
+ */
+const regenerateRecoveryCodes = async (user) => {
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+    return codes;
+};
+
+/**
+ * Số mã khôi phục chưa dùng
+ * @param {Object} user
+ * @returns {Number}
+ */
+const countRemainingRecoveryCodes = (user) => {
+    return (user.twoFactor?.recoveryCodes || []).filter(c => !c.usedAt).length;
+};
+
+/**
+ * Trạng thái 2FA của user (cho trang profile)
+ * @param {Object} user - User đã load TWO_FACTOR_FIELDS
+ * @returns {Object}
+ */
+const getStatus = async (user) => ({
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: countRemainingRecoveryCodes(user),
+    required: await isRequiredFor(user)
+});
+
+module.exports = {
+    ISSUER,
+    isRequiredForAdmins,
+    isRequiredFor,
+    setAdminPolicy,
+    createChallenge,
+    readChallenge,
+    recordChallengeFailure,
+    loadUser,
+    beginSetup,
+    confirmSetup,
+    verifyUserCode,
+    disable,
+    regenerateRecoveryCodes,
+    getStatus
+};
@@ -0,0 +1,467 @@
+/**
+ * User Service
+ *
+ * Nghiệp vụ quản lý user cho /api/v1/users (routes/userManagementRoutes.js)
+ * - Danh sách: phân trang, tìm kiếm, sắp xếp, lọc theo vai trò / trạng thái
+ * - Tạo (đặt password hoặc gửi lời mời), cập nhật, vô hiệu hóa, bật / tắt hàng loạt
+ * - Dữ liệu vào đã kiểm tra theo schema ở routes (USER_FIELDS + middleware/validate.js)
+ * - Lỗi dữ liệu trả về dạng { errors: [{ field, message }] }, lỗi nghiệp vụ dạng { status, message }
+ */
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Link = require('../models/Link');
+const Campaign = require('../models/Campaign');
+const { loginThrottle } = require('./loginThrottle');
+const passwordTokenService = require('./passwordTokenService');
+const mailService = require('./mailService');
+
+// Trạng thái lọc được (invited = đã mời, chưa kích hoạt)
+const STATUSES = ['active', 'inactive', 'invited'];
+
+// Field sắp xếp được (?sort=username hoặc ?sort=-createdAt)
+const SORT_FIELDS = ['createdAt', 'username', 'fullName', 'role', 'lastLogin'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Số user tối đa trong 1 lần bật / tắt hàng loạt
+const MAX_BULK = 200;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Rule validate field user (middleware/validate.js), dùng chung cho /api/v1/users và /api/users/profile
+ */
+const USER_FIELDS = {
+    username: {
+        type: 'string',
+        trim: true,
+        lowercase: true,
+        minLength: 3,
+        maxLength: 30,
+        pattern: /^[a-z0-9_]+$/,
+        patternMessage: 'Username chỉ được chứa chữ, số và dấu gạch dưới',
+        label: 'Username'
+    },
+    // '' khi sửa user = giữ password cũ
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 128, nullable: true, label: 'Password' },
+    fullName: { type: 'string', trim: true, maxLength: 100, label: 'Họ tên' },
+    email: {
+        type: 'string',
+        trim: true,
+        lowercase: true,
+        pattern: /^\S+@\S+\.\S+$/,
+        patternMessage: 'Email không hợp lệ',
+        label: 'Email'
+    },
+    phone: {
+        type: 'string',
+        trim: true,
+        pattern: /^[0-9]{10,11}$/,
+        patternMessage: 'Số điện thoại không hợp lệ',
+        label: 'Số điện thoại'
+    },
+    role: { type: 'string', trim: true, lowercase: true, minLength: 1, message: 'Vai trò không hợp lệ', label: 'Vai trò' },
+    isActive: { type: 'boolean', label: 'Trạng thái' }
+};
+
+/**
+ * Escape chuỗi tìm kiếm trước khi đưa vào $regex
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Điều kiện lọc + sắp xếp + phân trang từ query string (đã kiểm tra theo schema ở routes)
+ * @param {Object} query - { page, limit, search, sort, role, status }
+ * @returns {Object} - { filter, sort, page, limit }
+ */
+const buildListQuery = (query = {}) => {
+    const filter = {};
+    const page = query.page || 1;
+    const limit = query.limit || DEFAULT_LIMIT;
+
+    const sortKey = query.sort || '-createdAt';
+    const sortField = sortKey.replace(/^-/, '');
+
+    if (query.status === 'invited') {
+        filter['invitation.invitedAt'] = { $ne: null };
+        filter['invitation.acceptedAt'] = null;
+    } else if (query.status) {
+        filter.isActive = query.status === 'active';
+    }
+
+    if (query.role) {
+        filter.role = query.role;
+    }
+
+    if (query.search) {
+        const pattern = new RegExp(escapeRegex(query.search), 'i');
+        filter.$or = [{ username: pattern }, { fullName: pattern }, { email: pattern }];
+    }
+
+    return {
+        filter,
+        sort: { [sortField]: sortKey.startsWith('-') ? -1 : 1, _id: 1 },
+        page,
+        limit
+    };
+};
+
+/**
+ * Lỗi validate của Mongoose → [{ field, message }]
+ */
+const fromValidationError = (error) => Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+}));
+
+/**
+ * Thống kê link / chiến dịch / click của nhiều user (gộp 1 lần query)
+ * @param {Array<ObjectId>} userIds
+ * @returns {Map<String, Object>}
+ */
+const loadStats = async (userIds) => {
+    const [linkStats, campaignStats] = await Promise.all([
+        Link.aggregate([
+            { $match: { userId: { $in: userIds } } },
+            {
+                $group: {
+                    _id: '$userId',
+                    linksCreated: { $sum: 1 },
+                    totalClicks: { $sum: '$totalClicks' },
+                    validClicks: { $sum: '$validClicks' }
+                }
+            }
+        ]),
+        Campaign.aggregate([
+            { $match: { userId: { $in: userIds } } },
+            { $group: { _id: '$userId', campaignsCreated: { $sum: 1 } } }
+        ])
+    ]);
+
+    const stats = new Map(userIds.map(id => [id.toString(), {
+        linksCreated: 0,
+        campaignsCreated: 0,
+        totalClicks: 0,
+        validClicks: 0
+    }]));
+    linkStats.forEach(item => Object.assign(stats.get(item._id.toString()), {
+        linksCreated: item.linksCreated,
+        totalClicks: item.totalClicks,
+        validClicks: item.validClicks
+    }));
+    campaignStats.forEach(item => {
+        stats.get(item._id.toString()).campaignsCreated = item.campaignsCreated;
+    });
+
+    return stats;
+};
+
+/**
+ * Danh sách user (kèm thống kê + trạng thái khóa đăng nhập)
+ * @param {Object} query - Query string (xem buildListQuery)
+ * @returns {Object} - { users, pagination, summary }
+ */
+const listUsers = async (query) => {
+    const { filter, sort, page, limit } = buildListQuery(query);
+
+    const [users, total, summary] = await Promise.all([
+        User.find(filter)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('createdBy', 'username fullName'),
+        User.countDocuments(filter),
+        getSummary()
+    ]);
+
+    const stats = await loadStats(users.map(user => user._id));
+    const data = await Promise.all(users.map(async (user) => ({
+        ...user.toSafeObject(),
+        stats: stats.get(user._id.toString()),
+        // Trạng thái khóa do đăng nhập sai (mở khóa: POST /api/v1/users/:id/unlock)
+        loginLock: await loginThrottle.getStatus(user.username)
+    })));
+
+    return {
+        users: data,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        summary
+    };
+};
+
+/**
+ * Số user theo trạng thái (thẻ thống kê trang Users, không phụ thuộc bộ lọc)
+ * @returns {Object} - { total, admins, active, inactive, invited }
+ */
+const getSummary = async () => {
+    const [total, admins, active, invited] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ role: Role.ADMIN_ROLE }),
+        User.countDocuments({ isActive: true }),
+        User.countDocuments({ 'invitation.invitedAt': { $ne: null }, 'invitation.acceptedAt': null })
+    ]);
+
+    return { total, admins, active, inactive: total - active, invited };
+};
+
+/**
+ * Gửi email mời kích hoạt tài khoản
+ * @param {User} user - User đã load +password (password tạm)
+ * @param {User} inviter - Người mời
+ * @returns {Object} - { sent, error }
+ */
+const deliverInvite = async (user, inviter) => {
+    try {
+        const token = passwordTokenService.createToken(user, 'invite');
+        await mailService.sendInvite(user, token, inviter, passwordTokenService.INVITE_EXPIRES_DAYS);
+        return { sent: true };
+    } catch (error) {
+        console.error(`❌ Gửi lời mời tới ${user.email} thất bại:`, error.message);
+        return { sent: false, error: error.message };
+    }
+};
+
+/**
+ * Email chưa được user khác dùng (đăng nhập / quên mật khẩu tìm user theo email)
+ * @param {String} email - Đã chuẩn hóa (trim, lowercase); rỗng → bỏ qua
+ * @param {ObjectId} userId - User đang sửa (null khi tạo mới)
+ * @returns {Object|null} - { errors } nếu trùng
+ */
+const checkEmailAvailable = async (email, userId = null) => {
+    if (!email) return null;
+    const taken = await User.exists({ email, ...(userId && { _id: { $ne: userId } }) });
+    return taken ? { errors: [{ field: 'email', message: 'Email đã được sử dụng' }] } : null;
+};
+
+/**
+ * Tạo user (invite: true → password tạm ngẫu nhiên, gửi lời mời qua email)
+ * @param {Object} body - { username, password, fullName, email, phone, role, isActive, invite }
+ * @param {Object} actor - { user, permissions } của người thực hiện
+ * @returns {Object} - { user, inviteSent, inviteError } hoặc { errors } / { status, message }
+ */
+const createUser = async (body, actor) => {
+    const invite = Boolean(body.invite);
+    const { username } = body;
+    const role = body.role || Role.DEFAULT_ROLE;
+
+    const roleError = await Role.checkAssignable(actor.permissions, role);
+    if (roleError) return roleError;
+
+    if (await User.exists({ username })) {
+        return { errors: [{ field: 'username', message: 'Username đã tồn tại' }] };
+    }
+
+    const emailError = await checkEmailAvailable(body.email);
+    if (emailError) return emailError;
+
+    try {
+        const user = await User.create({
+            username,
+            password: invite ? passwordTokenService.generatePlaceholderPassword() : body.password,
+            role,
+            fullName: body.fullName,
+            email: body.email,
+            phone: body.phone,
+            isActive: body.isActive !== false,
+            createdBy: actor.user._id,
+            ...(invite && { invitation: { invitedAt: new Date(), invitedBy: actor.user._id } })
+        });
+
+        if (!invite) return { user };
+
+        const delivery = await deliverInvite(user, actor.user);
+        return { user, inviteSent: delivery.sent, inviteError: delivery.error };
+    } catch (error) {
+        if (error.name === 'ValidationError') return { errors: fromValidationError(error) };
+        throw error;
+    }
+};
+
+/**
+ * Có được thao tác trên user này không (sửa thông tin, đổi mật khẩu, reset 2FA, ...)
+ * Chỉ thao tác được user có vai trò nằm trong quyền của mình (xem Role.checkAssignable)
+ * Vai trò của user không còn tồn tại → không chặn (chỉ người có quyền cao hơn mới bị bảo vệ)
+ * @param {Object} user - User đích
+ * @param {Object} actor - { user, permissions }
+ * @param {String} message - Thông báo khi bị chặn
+ * @returns {Object|null} - { status: 403, message } nếu không được
+ */
+const checkCanManage = async (user, actor, message = `Không thể thay đổi ${user.username} (quyền cao hơn bạn)`) => {
+    const roleError = await Role.checkAssignable(actor.permissions, user.role);
+    if (roleError && roleError.status === 403) {
+        return { status: 403, message };
+    }
+    return null;
+};
+
+/**
+ * Cập nhật user (đổi vai trò: xem Role.checkAssignable)
+ * @param {String} id
+ * @param {Object} body - { fullName, email, phone, role, isActive, password }
+ * @param {Object} actor - { user, permissions }
+ * @returns {Object} - { user, before } hoặc { errors } / { status, message }
+ */
+const updateUser = async (id, body, actor) => {
+    const user = await User.findById(id);
+    if (!user) return { status: 404, message: 'Không tìm thấy user' };
+
+    const { fullName, email, phone, role, isActive, password } = body;
+
+    // Không được sửa bất kỳ thông tin nào (mật khẩu, email, trạng thái, vai trò) của người có quyền cao hơn mình
+    const denied = await checkCanManage(user, actor);
+    if (denied) return denied;
+
+    if (role !== undefined && role !== user.role) {
+        const roleError = await Role.checkAssignable(actor.permissions, role);
+        if (roleError) return roleError;
+    }
+
+    if (isActive === false && user._id.equals(actor.user._id)) {
+        return { errors: [{ field: 'isActive', message: 'Không thể tự vô hiệu hóa chính mình' }] };
+    }
+
+    if (email !== undefined && email !== user.email) {
+        const emailError = await checkEmailAvailable(email, user._id);
+        if (emailError) return emailError;
+    }
+
+    const before = user.toObject();
+
+    if (fullName !== undefined) user.fullName = fullName;
+    if (email !== undefined) user.email = email;
+    if (phone !== undefined) user.phone = phone;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+    if (password) user.password = password;
+
+    try {
+        await user.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') return { errors: fromValidationError(error) };
+        throw error;
+    }
+
+    return { user, before };
+};
+
+/**
+ * Kiểm tra có được bật / tắt user này không
+ * @returns {Object|null} - { status, message } nếu không được
+ */
+const checkCanToggle = async (user, actor) => {
+    if (user._id.equals(actor.user._id)) {
+        return { status: 400, message: 'Không thể tự vô hiệu hóa chính mình' };
+    }
+    // Không vô hiệu hóa người có quyền cao hơn mình
+    return checkCanManage(user, actor, `Không thể thay đổi trạng thái của ${user.username} (quyền cao hơn bạn)`);
+};
+
+/**
+ * Vô hiệu hóa user (soft delete - thu hồi phiên qua hook của User)
+ * @param {String} id
+ * @param {Object} actor - { user, permissions }
+ * @param {Object} options - { protectAdmin } (alias cũ /api/users: không xóa được admin)
+ * @returns {Object} - { user } hoặc { status, message }
+ */
+const deactivateUser = async (id, actor, options = {}) => {
+    const user = await User.findById(id);
+    if (!user) return { status: 404, message: 'Không tìm thấy user' };
+
+    if (options.protectAdmin && user.role === Role.ADMIN_ROLE) {
+        return { status: 400, message: 'Không thể xóa admin' };
+    }
+
+    const denied = await checkCanToggle(user, actor);
+    if (denied) return denied;
+
+    if (user.isActive) {
+        user.isActive = false;
+        await user.save();
+    }
+
+    return { user };
+};
+
+/**
+ * Bật / tắt hàng loạt
+ * @param {Array<String>} ids - ObjectId hợp lệ (tối đa MAX_BULK)
+ * @param {Boolean} isActive
+ * @param {Object} actor - { user, permissions }
+ * @returns {Object} - { updated: [User], skipped: [{ id, message }] }
+ */
+const bulkSetActive = async (ids, isActive, actor) => {
+    const uniqueIds = [...new Set(ids.map(String))];
+    const users = await User.find({ _id: { $in: uniqueIds } });
+    const found = new Set(users.map(user => user._id.toString()));
+
+    const updated = [];
+    const skipped = uniqueIds
+        .filter(id => !found.has(id))
+        .map(id => ({ id, message: 'Không tìm thấy user' }));
+
+    // Lưu từng user để chạy hook thu hồi phiên khi vô hiệu hóa
+    for (const user of users) {
+        if (user.isActive === isActive) continue;
+
+        const denied = await checkCanToggle(user, actor);
+        if (denied) {
+            skipped.push({ id: user._id.toString(), message: denied.message });
+            continue;
+        }
+
+        user.isActive = isActive;
+        await user.save();
+        updated.push(user);
+    }
+
+    return { updated, skipped };
+};
+
+/**
+ * Gửi lại lời mời (đổi password tạm → link mời cũ hết hiệu lực)
+ * @param {String} id
+ * @param {Object} actor - { user, permissions }
+ * @returns {Object} - { user, sent, error } hoặc { status, message }
+ */
+const resendInvite = async (id, actor) => {
+    const user = await User.findById(id).select('+password');
+    if (!user) return { status: 404, message: 'Không tìm thấy user' };
+
+    const denied = await checkCanManage(user, actor);
+    if (denied) return denied;
+
+    if (!user.invitation?.invitedAt || user.invitation.acceptedAt) {
+        return { status: 400, message: 'Tài khoản đã kích hoạt, không cần gửi lời mời' };
+    }
+    if (!user.email) {
+        return { status: 400, message: 'User chưa có email' };
+    }
+
+    user.password = passwordTokenService.generatePlaceholderPassword();
+    user.invitation.invitedAt = new Date();
+    user.invitation.invitedBy = actor.user._id;
+    await user.save();
+
+    const delivery = await deliverInvite(user, actor.user);
+    return { user, ...delivery };
+};
+
+module.exports = {
+    STATUSES,
+    SORT_FIELDS,
+    MAX_LIMIT,
+    MAX_BULK,
+    USER_FIELDS,
+    buildListQuery,
+    checkEmailAvailable,
+    listUsers,
+    getSummary,
+    createUser,
+    checkCanManage,
+    updateUser,
+    deactivateUser,
+    bulkSetActive,
+    resendInvite
+};
@@ -0,0 +1,123 @@
+/**
+ * Workspace Service
+ *
+ * - Workspace cá nhân: tạo lần đầu user cần, chuyển links / banners cũ (chưa gắn workspace) của user vào
+ * - Xác định workspace đang dùng của request (header X-Workspace-Id, mặc định workspace cá nhân)
+ * - File upload của workspace nằm trong thư mục riêng trên Cloudinary
+ */
+
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const Link = require('../models/Link');
+const Banner = require('../models/Banner');
+
+/**
+ * Workspace cá nhân của user (tạo nếu chưa có)
+ * @param {Object} user
+ * @returns {Workspace}
+ */
+const ensurePersonalWorkspace = async (user) => {
+    const existing = await Workspace.findOne({ personalFor: user._id });
+    if (existing) return existing;
+
+    let workspace;
+    try {
+        workspace = await Workspace.create({
+            name: `${user.fullName || user.username} (cá nhân)`,
+            personalFor: user._id,
+            createdBy: user._id,
+            members: [{ userId: user._id, role: 'owner' }]
+        });
+    } catch (error) {
+        // Request song song đã tạo trước (unique personalFor)
+        if (error.code === 11000) return Workspace.findOne({ personalFor: user._id });
+        throw error;
+    }
+
+    const { links, banners } = await adoptUnassigned(user._id, workspace._id);
+
+    console.log(`🗂️ [Workspace] Tạo workspace cá nhân cho ${user.username}, chuyển ${links} links, ${banners} banners`);
+    return workspace;
+};
+
+/**
+ * Dữ liệu trước khi có workspace (workspaceId null) của 1 chủ sở hữu → workspace
+ * Dùng khi tạo workspace cá nhân và trong script migrate:workspaces
+ * @param {ObjectId} ownerId - Link.userId / Banner.createdBy
+ * @param {ObjectId} workspaceId
+ * @returns {Object} - { links, banners }: số bản ghi đã chuyển
+ */
+const adoptUnassigned = async (ownerId, workspaceId) => {
+    const [links, banners] = await Promise.all([
+        Link.updateMany({ userId: ownerId, workspaceId: null }, { $set: { workspaceId } }),
+        Banner.updateMany({ createdBy: ownerId, workspaceId: null }, { $set: { workspaceId } })
+    ]);
+    return { links: links.modifiedCount, banners: banners.modifiedCount };
+};
+
+/**
+ * Xác định workspace đang dùng
+ * @param {Object} user
+ * @param {String} requestedId - Workspace client chọn (trống → workspace cá nhân)
+ * @param {Object} options
+ * @param {Boolean} options.bypassMembership - Quyền xem mọi workspace (links:manage-all), coi như owner
+ * @returns {Object} - { workspace, role } hoặc { error: 'invalid' | 'not_found' | 'forbidden' }
+ */
+const resolveWorkspace = async (user, requestedId, options = {}) => {
+    if (!requestedId) {
+        return { workspace: await ensurePersonalWorkspace(user), role: 'owner' };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(requestedId)) {
+        return { error: 'invalid' };
+    }
+
+    const workspace = await Workspace.findById(requestedId);
+    if (!workspace) return { error: 'not_found' };
+
+    const role = workspace.getMemberRole(user._id) || (options.bypassMembership ? 'owner' : null);
+    if (!role) return { error: 'forbidden' };
+
+    return { workspace, role };
+};
+
+/**
+ * Danh sách workspace của user (workspace cá nhân đứng đầu)
+ * @param {Object} user
+ * @returns {Array<Object>} - [{ ...workspace, role, memberCount }]
+ */
+const listForUser = async (user) => {
+    await ensurePersonalWorkspace(user);
+
+    const workspaces = await Workspace.find({ 'members.userId': user._id })
+        .sort({ personalFor: -1, name: 1 })
+        .lean();
+
+    return workspaces.map(workspace => ({
+        _id: workspace._id,
+        name: workspace.name,
+        description: workspace.description,
+        isPersonal: Boolean(workspace.personalFor),
+        role: workspace.members.find(m => m.userId.toString() === user._id.toString()).role,
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt
+    }));
+};
+
+/**
+ * Thư mục upload (không gồm prefix shoppe/) của workspace
+ * @param {ObjectId|String|null} workspaceId
+ * @param {String} folder - VD: banners, articles/covers
+ * @returns {String} - workspaces/<id>/<folder>, không có workspace → giữ nguyên folder
+ */
+const uploadFolder = (workspaceId, folder) => {
+    return workspaceId ? `workspaces/${workspaceId}/${folder}` : folder;
+};
+
+module.exports = {
+    ensurePersonalWorkspace,
+    adoptUnassigned,
+    resolveWorkspace,
+    listForUser,
+    uploadFolder
+};
@@ -0,0 +1,81 @@
+/**
+ * A/B Stats
+ *
+ * Thống kê cho thí nghiệm banner (tỉ lệ click = clicks / impressions):
+ * - Khoảng tin cậy Wilson cho CTR (ổn định cả khi ít lượt xem / CTR gần 0)
+ * - Kiểm định z 2 tỉ lệ (pooled) giữa 2 biến thể, p-value 2 phía
+ */
+
+// Giá trị z theo mức tin cậy (2 phía)
+const Z_SCORES = {
+    0.9: 1.6449,
+    0.95: 1.96,
+    0.99: 2.5758
+};
+
+const CONFIDENCE_LEVELS = Object.keys(Z_SCORES).map(Number);
+
+/**
+ * Hàm phân phối chuẩn tắc Φ(z) (xấp xỉ Abramowitz & Stegun 7.1.26, sai số < 1.5e-7)
+ * @param {Number} z
+ * @returns {Number}
+ */
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+        * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Khoảng tin cậy Wilson của tỉ lệ
+ * @param {Number} successes - Số click
+ * @param {Number} trials - Số lượt xem
+ * @param {Number} confidenceLevel - 0.9 | 0.95 | 0.99
+ * @returns {Object} - { low, high } (0-1), chưa có lượt xem → { low: 0, high: 0 }
+ */
+const wilsonInterval = (successes, trials, confidenceLevel = 0.95) => {
+    if (!trials) return { low: 0, high: 0 };
+
+    const z = Z_SCORES[confidenceLevel] || Z_SCORES[0.95];
+    const rate = successes / trials;
+    const z2 = z * z;
+    const center = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (z / (1 + z2 / trials)) * Math.sqrt((rate * (1 - rate)) / trials + z2 / (4 * trials * trials));
+
+    return {
+        low: Math.max(0, center - margin),
+        high: Math.min(1, center + margin)
+    };
+};
+
+/**
+ * Kiểm định z 2 tỉ lệ (H0: 2 biến thể có cùng CTR)
+ * @param {Object} a - { clicks, impressions }
+ * @param {Object} b - { clicks, impressions }
+ * @returns {Object} - { z, pValue } (thiếu dữ liệu → { z: 0, pValue: 1 })
+ */
+const twoProportionTest = (a, b) => {
+    if (!a.impressions || !b.impressions) return { z: 0, pValue: 1 };
+
+    const rateA = a.clicks / a.impressions;
+    const rateB = b.clicks / b.impressions;
+    const pooled = (a.clicks + b.clicks) / (a.impressions + b.impressions);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.impressions + 1 / b.impressions));
+
+    if (standardError === 0) return { z: 0, pValue: 1 };
+
+    const z = (rateA - rateB) / standardError;
+    return {
+        z,
+        pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z))))
+    };
+};
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    normalCdf,
+    wilsonInterval,
+    twoProportionTest
+};
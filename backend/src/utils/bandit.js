@@ -0,0 +1,140 @@
+/**
+ * Multi-armed Bandit
+ *
+ * Chọn banner theo CTR quan sát được (clicks / impressions trong stats):
+ * - thompson: lấy mẫu Beta(clicks + 1, impressions - clicks + 1) cho mỗi banner, chọn mẫu lớn nhất
+ * - epsilon_greedy: chọn banner CTR cao nhất, tỉ lệ explorationFloor chọn ngẫu nhiên
+ *
+ * Chung cho cả 2 chế độ:
+ * - Warm-up: banner chưa đủ warmupImpressions lượt xem được ưu tiên (chọn ngẫu nhiên trong nhóm này)
+ * - Exploration floor: tỉ lệ lượt hiển thị chia đều cho mọi banner bất kể CTR
+ *   → mỗi banner luôn nhận ít nhất explorationFloor / số banner lượt hiển thị
+ */
+
+const BANDIT_MODES = ['thompson', 'epsilon_greedy'];
+
+/**
+ * Mẫu chuẩn tắc N(0, 1) (Box-Muller)
+ */
+const sampleNormal = () => {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Mẫu Gamma(shape, 1) (Marsaglia & Tsang)
+ * @param {Number} shape - > 0
+ */
+const sampleGamma = (shape) => {
+    if (shape < 1) {
+        return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal();
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = Math.random();
+        if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+            return d * v;
+        }
+    }
+};
+
+/**
+ * Mẫu Beta(alpha, beta)
+ */
+const sampleBeta = (alpha, beta) => {
+    const x = sampleGamma(alpha);
+    const y = sampleGamma(beta);
+    return x / (x + y);
+};
+
+/**
+ * Số liệu của 1 banner (clicks không vượt impressions)
+ */
+const countsOf = (banner) => {
+    const impressions = (banner.stats && banner.stats.impressions) || 0;
+    const clicks = Math.min((banner.stats && banner.stats.clicks) || 0, impressions);
+    return { impressions, clicks };
+};
+
+const pickUniform = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Chọn 1 banner theo bandit
+ * @param {Array} banners - Ứng viên (đã lọc thiết bị / bài viết), có stats
+ * @param {Object} config - { mode, explorationFloor, warmupImpressions }
+ * @returns {Object|null} - { banner, reason, detail, candidates }
+ *   reason: warmup | explore | exploit | sample
+ *   candidates: [{ bannerId, impressions, clicks, ctr, score }] - score = mẫu Beta (thompson) hoặc CTR (epsilon_greedy)
+ */
+const selectBandit = (banners, config) => {
+    if (!banners || banners.length === 0) return null;
+
+    const candidates = banners.map(banner => {
+        const { impressions, clicks } = countsOf(banner);
+        return {
+            banner,
+            bannerId: banner._id,
+            impressions,
+            clicks,
+            ctr: impressions > 0 ? clicks / impressions : 0,
+            score: null
+        };
+    });
+
+    const result = (candidate, reason, detail) => ({
+        banner: candidate.banner,
+        reason,
+        detail,
+        candidates: candidates.map(({ banner, ...rest }) => rest)
+    });
+
+    // 1. Warm-up
+    const warming = candidates.filter(c => c.impressions < config.warmupImpressions);
+    if (warming.length > 0) {
+        const chosen = pickUniform(warming);
+        return result(chosen, 'warmup',
+            `${warming.length}/${candidates.length} banner chưa đủ ${config.warmupImpressions} lượt xem, chọn ngẫu nhiên trong nhóm warm-up`);
+    }
+
+    // 2. Exploration floor (epsilon của epsilon-greedy)
+    if (candidates.length > 1 && Math.random() < config.explorationFloor) {
+        const chosen = pickUniform(candidates);
+        return result(chosen, 'explore',
+            `Khám phá (tỉ lệ ${config.explorationFloor}): chọn ngẫu nhiên trong ${candidates.length} banner`);
+    }
+
+    // 3. Khai thác
+    if (config.mode === 'thompson') {
+        candidates.forEach(c => {
+            c.score = sampleBeta(c.clicks + 1, c.impressions - c.clicks + 1);
+        });
+        const chosen = candidates.reduce((best, c) => (c.score > best.score ? c : best));
+        return result(chosen, 'sample',
+            `Thompson sampling: mẫu Beta cao nhất ${chosen.score.toFixed(4)} (CTR quan sát ${(chosen.ctr * 100).toFixed(2)}%)`);
+    }
+
+    candidates.forEach(c => {
+        c.score = c.ctr;
+    });
+    // Hòa CTR → chọn ngẫu nhiên giữa các banner dẫn đầu
+    const bestCtr = Math.max(...candidates.map(c => c.ctr));
+    const chosen = pickUniform(candidates.filter(c => c.ctr === bestCtr));
+    return result(chosen, 'exploit',
+        `Epsilon-greedy: CTR quan sát cao nhất ${(chosen.ctr * 100).toFixed(2)}%`);
+};
+
+module.exports = {
+    BANDIT_MODES,
+    sampleBeta,
+    selectBandit
+};
@@ -0,0 +1,194 @@
+/**
+ * HTML Diff
+ *
+ * So sánh 2 đoạn HTML theo từ (word-level), thẻ HTML được coi là 1 token nguyên vẹn
+ * để diff không cắt ngang thẻ và thay đổi định dạng tách riêng khỏi thay đổi chữ
+ *
+ * Thuật toán: Myers O(ND) - nhanh với văn bản dài ít thay đổi
+ */
+
+// Thẻ đóng khối / <br> → xuống dòng khi hiển thị dạng text
+const LINE_BREAK_TAGS = /^<(\/(p|div|h[1-6]|li|blockquote|pre|tr)|br|hr)\b/i;
+
+// Số token tối đa mỗi bên + số thay đổi tối đa (tránh diff quá nặng)
+const MAX_TOKENS = 20000;
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Tách HTML thành token: thẻ, khoảng trắng, từ, dấu câu
+ * @param {String} html
+ * @returns {Array<String>}
+ */
+const tokenize = (html) => {
+    if (!html) return [];
+    return String(html).match(/<[^>]*>|\s+|[^\s<]+?(?=[\s<.,;:!?()"]|$)|[.,;:!?()"]/g) || [];
+};
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Myers diff trên 2 mảng token
+ * Quá MAX_EDIT_DISTANCE thay đổi → coi phần giữa là thay thế toàn bộ (giới hạn bộ nhớ)
+ * @param {Array} a - Token cũ
+ * @param {Array} b - Token mới
+ * @returns {Array} - [{ op: 'equal' | 'insert' | 'delete', token }]
+ */
+const diffTokens = (a, b) => {
+    // Bỏ phần đầu/cuối giống nhau để giảm khối lượng
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    return [
+        ...a.slice(0, start).map(token => ({ op: 'equal', token })),
+        ...myers(midA, midB),
+        ...a.slice(endA).map(token => ({ op: 'equal', token }))
+    ];
+};
+
+/**
+ * Myers diff (phần giữa đã bỏ đầu/cuối giống nhau)
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array} - [{ op, token }]
+ */
+const myers = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] = v sau bước d - 1, chỉ lưu đoạn k ∈ [-d, d]
+    const trace = [];
+
+    let found = n + m === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    if (!found) {
+        return [
+            ...a.map(token => ({ op: 'delete', token })),
+            ...b.map(token => ({ op: 'insert', token }))
+        ];
+    }
+
+    // Truy vết ngược để dựng danh sách thao tác
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d];
+        const get = (k) => prev[k + d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+        const prevX = get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ op: 'equal', token: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ op: 'insert', token: b[y - 1] });
+            y--;
+        } else {
+            ops.push({ op: 'delete', token: a[x - 1] });
+            x--;
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ op: 'equal', token: a[x - 1] });
+        x--;
+        y--;
+    }
+
+    return ops.reverse();
+};
+
+/**
+ * Chuyển token sang text hiển thị (thẻ khối → xuống dòng, thẻ khác bỏ)
+ * @param {String} token
+ * @returns {String}
+ */
+const tokenToText = (token) => {
+    if (!isTag(token)) {
+        return token
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0?39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+    return LINE_BREAK_TAGS.test(token) ? '\n' : '';
+};
+
+/**
+ * Diff 2 đoạn HTML
+ * @param {String} oldHtml
+ * @param {String} newHtml
+ * @returns {Object} - { segments: [{ op, text, html, formatOnly }], stats: { insertedWords, deletedWords, formatChanges }, truncated }
+ */
+const diffHtml = (oldHtml, newHtml) => {
+    let a = tokenize(oldHtml);
+    let b = tokenize(newHtml);
+    const truncated = a.length > MAX_TOKENS || b.length > MAX_TOKENS;
+    if (truncated) {
+        a = a.slice(0, MAX_TOKENS);
+        b = b.slice(0, MAX_TOKENS);
+    }
+
+    const ops = diffTokens(a, b);
+    const stats = { insertedWords: 0, deletedWords: 0, formatChanges: 0 };
+    const segments = [];
+
+    for (const { op, token } of ops) {
+        if (op !== 'equal') {
+            if (isTag(token)) stats.formatChanges++;
+            else if (/\S/.test(token)) stats[op === 'insert' ? 'insertedWords' : 'deletedWords']++;
+        }
+
+        // Gộp các token liên tiếp cùng thao tác
+        const last = segments[segments.length - 1];
+        if (last && last.op === op) {
+            last.html += token;
+            last.text += tokenToText(token);
+            last.formatOnly = last.formatOnly && isTag(token);
+        } else {
+            segments.push({ op, html: token, text: tokenToText(token), formatOnly: isTag(token) });
+        }
+    }
+
+    return { segments, stats, truncated };
+};
+
+module.exports = {
+    tokenize,
+    diffTokens,
+    diffHtml
+};
@@ -0,0 +1,143 @@
+/**
+ * TOTP (RFC 6238) - mã 6 số theo thời gian cho xác thực 2 lớp
+ *
+ * HMAC-SHA1, bước 30 giây, secret mã hóa Base32 (RFC 4648) như Google Authenticator / Authy
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Mã hóa Base32 (không padding)
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Giải mã Base32 (bỏ qua khoảng trắng, padding, không phân biệt hoa thường)
+ * @param {String} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Secret Base32 không hợp lệ');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Sinh secret ngẫu nhiên 160 bit
+ * @returns {String} - Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Bước thời gian hiện tại
+ * @param {Number} timestamp - ms
+ */
+const getStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Sinh mã TOTP cho một bước thời gian (HOTP RFC 4226 với counter = step)
+ * @param {String} secret - Base32
+ * @param {Number} step
+ * @returns {String} - 6 chữ số
+ */
+const generateCode = (secret, step = getStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Kiểm tra mã TOTP, chấp nhận lệch ±window bước (đồng hồ điện thoại lệch)
+ * @param {String} secret - Base32
+ * @param {String} code - Mã người dùng nhập
+ * @param {Object} options - { window = 1, afterStep } - afterStep: bước đã dùng gần nhất (chống dùng lại mã)
+ * @returns {Number|null} - Bước khớp, null nếu sai
+ */
+const verifyCode = (secret, code, options = {}) => {
+    const { window = 1, afterStep = null, timestamp = Date.now() } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = getStep(timestamp);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = current + offset;
+        if (afterStep !== null && step <= afterStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * URI otpauth:// để app authenticator quét QR
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {String}
+ */
+const buildOtpAuthUri = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getStep,
+    generateCode,
+    verifyCode,
+    buildOtpAuthUri
+};
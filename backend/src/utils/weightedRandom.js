@@ -0,0 +1,35 @@
+/**
+ * Weighted Random
+ *
+ * Chọn ngẫu nhiên 1 phần tử theo trọng số (weight cao → xác suất cao)
+ * Dùng chung cho Banner.getRandomActive (chế độ weighted) và Link destinations
+ */
+
+/**
+ * Chọn 1 phần tử theo trọng số
+ * @param {Array} items - Danh sách phần tử
+ * @param {Function} getWeight - Lấy weight của phần tử (mặc định item.weight)
+ * @returns {*} - Phần tử được chọn, null nếu danh sách rỗng
+ */
+const pickWeighted = (items, getWeight = (item) => item.weight) => {
+    if (!items || items.length === 0) {
+        return null;
+    }
+
+    const totalWeight = items.reduce((sum, item) => sum + Math.max(getWeight(item) || 0, 0), 0);
+    let random = Math.random() * totalWeight;
+
+    for (const item of items) {
+        random -= Math.max(getWeight(item) || 0, 0);
+        if (random <= 0) {
+            return item;
+        }
+    }
+
+    // Fallback to first item
+    return items[0];
+};
+
+module.exports = {
+    pickWeighted
+};
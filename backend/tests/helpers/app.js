@@ -0,0 +1,27 @@
+/**
+ * Express app tối thiểu cho integration test
+ *
+ * Chỉ mount các router cần test (không chạy server.js: không listen, không scheduler, không seed dữ liệu mẫu)
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * @param {Object} routes - { '/api/links': linkRoutes, ... }
+ * @returns {Express}
+ */
+const createApp = (routes) => {
+    const app = express();
+    app.use(bodyParser.json({ limit: '10mb' }));
+
+    for (const [mountPath, router] of Object.entries(routes)) {
+        app.use(mountPath, router);
+    }
+
+    return app;
+};
+
+module.exports = {
+    createApp
+};
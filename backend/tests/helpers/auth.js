@@ -0,0 +1,44 @@
+/**
+ * Tạo user + access token cho integration test
+ *
+ * Token là access token thật (JWT gắn Session), đi qua authenticate như request của trình duyệt
+ */
+
+const User = require('../../src/models/User');
+const Role = require('../../src/models/Role');
+const sessionService = require('../../src/services/sessionService');
+const { generateAuthResponse } = require('../../src/middleware/auth');
+
+/**
+ * Seed vai trò hệ thống (admin, user) - gọi sau mỗi lần xóa dữ liệu
+ */
+const seedRoles = () => Role.seedDefaults();
+
+/**
+ * Tạo user đang hoạt động
+ * @param {String} username
+ * @param {String} role - Tên vai trò (mặc định user)
+ * @returns {Promise<User>}
+ */
+const createUser = (username, role = Role.DEFAULT_ROLE) => User.create({
+    username,
+    password: 'password123',
+    role,
+    fullName: username
+});
+
+/**
+ * Access token (Bearer) của user qua một phiên đăng nhập mới
+ * @param {User} user
+ * @returns {Promise<String>}
+ */
+const tokenFor = async (user) => {
+    const { session } = await sessionService.createSession(user, { ip: '127.0.0.1', userAgent: 'jest' });
+    return generateAuthResponse(user, session).token;
+};
+
+module.exports = {
+    seedRoles,
+    createUser,
+    tokenFor
+};
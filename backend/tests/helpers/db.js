@@ -0,0 +1,43 @@
+/**
+ * MongoDB in-memory cho integration test (mongodb-memory-server)
+ *
+ * Mỗi file test: connect() trong beforeAll, clear() trong beforeEach / afterEach, disconnect() trong afterAll
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+/**
+ * Khởi động MongoDB in-memory và kết nối mongoose
+ */
+const connect = async () => {
+    server = await MongoMemoryServer.create();
+    await mongoose.connect(server.getUri());
+};
+
+/**
+ * Xóa dữ liệu của mọi collection (giữ index)
+ */
+const clear = async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Ngắt kết nối và dừng MongoDB in-memory
+ */
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (server) {
+        await server.stop();
+        server = null;
+    }
+};
+
+module.exports = {
+    connect,
+    clear,
+    disconnect
+};
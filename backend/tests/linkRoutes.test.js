@@ -0,0 +1,233 @@
+/**
+ * Integration test: phân quyền thao tác link (/api/links)
+ *
+ * 4 loại người gọi cho mỗi route:
+ * - admin: quyền links:manage-all, thao tác mọi link
+ * - owner: vai trò user, link nằm trong workspace cá nhân của mình
+ * - other: vai trò user khác, không phải thành viên workspace của link
+ * - anonymous: không gửi token
+ */
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp } = require('./helpers/app');
+const { seedRoles, createUser, tokenFor } = require('./helpers/auth');
+const linkRoutes = require('../src/routes/linkRoutes');
+const Link = require('../src/models/Link');
+const LinkRevision = require('../src/models/LinkRevision');
+const revisionService = require('../src/services/revisionService');
+const workspaceService = require('../src/services/workspaceService');
+
+const app = createApp({ '/api/links': linkRoutes });
+
+const SLUG = 'owned-link';
+
+let users;
+let tokens;
+
+/**
+ * Link của owner trong workspace cá nhân + 2 revision (tạo, sửa tiêu đề)
+ */
+const createOwnedLink = async (owner) => {
+    const workspace = await workspaceService.ensurePersonalWorkspace(owner);
+    const link = await Link.create({
+        slug: SLUG,
+        title: 'Bài viết gốc',
+        targetUrl: 'https://shopee.vn/product/1',
+        userId: owner._id,
+        workspaceId: workspace._id
+    });
+
+    await revisionService.recordRevision(link, { user: owner, action: 'create' });
+    link.title = 'Bài viết đã sửa';
+    await link.save();
+    await revisionService.recordRevision(link, { user: owner });
+
+    return link;
+};
+
+/**
+ * Gửi request với token của người gọi (anonymous: không token)
+ */
+const send = (actor, method, path, body) => {
+    let req = request(app)[method](path);
+    if (tokens[actor]) req = req.set('Authorization', `Bearer ${tokens[actor]}`);
+    return body !== undefined ? req.send(body) : req;
+};
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+    await db.clear();
+    await seedRoles();
+
+    users = {
+        admin: await createUser('admin_user', 'admin'),
+        owner: await createUser('owner_user'),
+        other: await createUser('other_user')
+    };
+    tokens = {
+        admin: await tokenFor(users.admin),
+        owner: await tokenFor(users.owner),
+        other: await tokenFor(users.other),
+        anonymous: null
+    };
+
+    await createOwnedLink(users.owner);
+});
+
+describe('PUT /api/links/:slug', () => {
+    test.each([
+        ['admin', 200],
+        ['owner', 200],
+        ['other', 403],
+        ['anonymous', 401]
+    ])('%s → %i', async (actor, status) => {
+        const res = await send(actor, 'put', `/api/links/${SLUG}`, { title: `Sửa bởi ${actor}` });
+
+        expect(res.status).toBe(status);
+        const link = await Link.findOne({ slug: SLUG }).lean();
+        expect(link.title).toBe(status === 200 ? `Sửa bởi ${actor}` : 'Bài viết đã sửa');
+    });
+});
+
+describe('DELETE /api/links/:slug', () => {
+    test.each([
+        ['admin', 200],
+        ['owner', 200],
+        ['other', 403],
+        ['anonymous', 401]
+    ])('%s → %i', async (actor, status) => {
+        const res = await send(actor, 'delete', `/api/links/${SLUG}`);
+
+        expect(res.status).toBe(status);
+        expect(Boolean(await Link.exists({ slug: SLUG }))).toBe(status !== 200);
+    });
+});
+
+describe('POST /api/links/:slug/track', () => {
+    test.each([
+        ['admin', 200],
+        ['owner', 200],
+        ['other', 403],
+        ['anonymous', 401]
+    ])('%s → %i', async (actor, status) => {
+        const res = await send(actor, 'post', `/api/links/${SLUG}/track`, { device: 'mobile' });
+
+        expect(res.status).toBe(status);
+    });
+});
+
+describe('Revision routes', () => {
+    const cases = [
+        ['admin', 200],
+        ['owner', 200],
+        ['other', 403],
+        ['anonymous', 401]
+    ];
+
+    test.each(cases)('GET /:slug/revisions: %s → %i', async (actor, status) => {
+        const res = await send(actor, 'get', `/api/links/${SLUG}/revisions`);
+
+        expect(res.status).toBe(status);
+        if (status === 200) expect(res.body.data).toHaveLength(2);
+    });
+
+    test.each(cases)('GET /:slug/revisions/:revision: %s → %i', async (actor, status) => {
+        const res = await send(actor, 'get', `/api/links/${SLUG}/revisions/1`);
+
+        expect(res.status).toBe(status);
+        if (status === 200) expect(res.body.data.snapshot.title).toBe('Bài viết gốc');
+    });
+
+    test.each(cases)('GET /:slug/revisions/diff: %s → %i', async (actor, status) => {
+        const res = await send(actor, 'get', `/api/links/${SLUG}/revisions/diff?from=1&to=2`);
+
+        expect(res.status).toBe(status);
+    });
+
+    test.each(cases)('POST /:slug/revisions/:revision/restore: %s → %i', async (actor, status) => {
+        const res = await send(actor, 'post', `/api/links/${SLUG}/revisions/1/restore`);
+
+        expect(res.status).toBe(status);
+        const link = await Link.findOne({ slug: SLUG }).lean();
+        expect(link.title).toBe(status === 200 ? 'Bài viết gốc' : 'Bài viết đã sửa');
+        expect(await LinkRevision.countDocuments({ linkId: link._id })).toBe(status === 200 ? 3 : 2);
+    });
+});
+
+describe('PUT /api/links/:slug/owner', () => {
+    test.each([
+        ['admin', 200],
+        ['owner', 403],
+        ['other', 403],
+        ['anonymous', 401]
+    ])('%s → %i', async (actor, status) => {
+        const res = await send(actor, 'put', `/api/links/${SLUG}/owner`, { userId: users.other._id.toString() });
+
+        expect(res.status).toBe(status);
+        const link = await Link.findOne({ slug: SLUG }).lean();
+        const expectedOwner = status === 200 ? users.other : users.owner;
+        expect(link.userId.toString()).toBe(expectedOwner._id.toString());
+    });
+});
+
+describe('POST /api/links/redirect-preview (originalSlug)', () => {
+    test.each([
+        ['admin', 200],
+        ['owner', 200],
+        ['other', 403],
+        ['anonymous', 401]
+    ])('%s → %i', async (actor, status) => {
+        const res = await send(actor, 'post', '/api/links/redirect-preview', {
+            targetUrl: 'https://shopee.vn/product/1',
+            originalSlug: SLUG
+        });
+
+        expect(res.status).toBe(status);
+    });
+});
+
+describe('Khôi phục destinations', () => {
+    test('restore đưa destinations về revision cũ, giữ counters click của destination còn lại', async () => {
+        const link = await Link.findOne({ slug: SLUG });
+        link.destinations = [{ label: 'Shopee', url: 'https://shopee.vn/a', weight: 2 }];
+        await link.save();
+        await revisionService.recordRevision(link, { user: users.owner });
+
+        const kept = link.destinations[0]._id;
+        link.destinations[0].totalClicks = 7;
+        link.destinations.push({ label: 'Lazada', url: 'https://lazada.vn/b' });
+        await link.save();
+        await revisionService.recordRevision(link, { user: users.owner });
+
+        const res = await send('owner', 'post', `/api/links/${SLUG}/revisions/3/restore`);
+
+        expect(res.status).toBe(200);
+        const restored = await Link.findOne({ slug: SLUG }).lean();
+        expect(restored.destinations).toHaveLength(1);
+        expect(restored.destinations[0]._id.toString()).toBe(kept.toString());
+        expect(restored.destinations[0].weight).toBe(2);
+        expect(restored.destinations[0].totalClicks).toBe(7);
+    });
+});
+
+describe('Tái sử dụng slug của link đã tắt', () => {
+    test('link cũ được lưu trữ (đổi slug), không xóa cùng revision', async () => {
+        const old = await Link.findOne({ slug: SLUG });
+        const expired = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        await Link.collection.updateOne({ _id: old._id }, { $set: { isActive: false, updatedAt: expired } });
+
+        const res = await send('other', 'post', '/api/links', {
+            title: 'Bài viết mới',
+            targetUrl: 'https://shopee.vn/product/2',
+            customSlug: SLUG
+        });
+
+        expect(res.status).toBe(201);
+        const archived = await Link.findById(old._id).lean();
+        expect(archived.slug).toBe(`${SLUG}--${old._id}`);
+        expect(await LinkRevision.countDocuments({ linkId: old._id })).toBe(2);
+    });
+});
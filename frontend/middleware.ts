@@ -1,4 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server'
+import { SESSION_MARKER_COOKIE } from '@/lib/authProxy'
 
 /**
  * List of known search engine and bot user agents
@@ -45,18 +46,24 @@ function isBot(userAgent: string | null): boolean {
   return BOT_PATTERNS.some(pattern => lowerUserAgent.includes(pattern))
 }
 
+/**
+ * Admin pages reachable without a session (login, password reset)
+ */
+const PUBLIC_ADMIN_PATHS = ['/admin/login', '/admin/forgot-password', '/admin/reset-password']
+
 export function middleware(request: NextRequest) {
   const userAgent = request.headers.get('user-agent')
   const userType = isBot(userAgent) ? 'bot' : 'user'
   const pathname = request.nextUrl.pathname
 
-  // Authentication check for /admin routes (exclude /admin/login)
-  if (pathname.startsWith('/admin') && !pathname.startsWith('/admin/login')) {
-    // Check if token exists in cookies
-    const token = request.cookies.get('token')?.value
+  // Authentication check for /admin routes (exclude public auth pages)
+  if (pathname.startsWith('/admin') && !PUBLIC_ADMIN_PATHS.some(path => pathname.startsWith(path))) {
+    // Session marker cookie is set by the /api/auth login/refresh route handlers
+    // (the refresh cookie itself is scoped to /api/auth and never reaches here)
+    const hasSession = request.cookies.get(SESSION_MARKER_COOKIE)?.value
 
-    // If no token, redirect to login
-    if (!token) {
+    // If no session, redirect to login
+    if (!hasSession) {
       return NextResponse.redirect(new URL('/admin/login', request.url))
     }
   }
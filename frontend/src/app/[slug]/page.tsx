@@ -1,11 +1,11 @@
 import { Metadata } from 'next'
 import Image from 'next/image'
-import { notFound } from 'next/navigation'
+import { notFound, permanentRedirect } from 'next/navigation'
 import { Header } from '@/components/Header'
 import { Footer } from '@/components/Footer'
 import { ArticleInteractionClient } from '@/components/ArticleInteractionClient'
 import BannerDisplay from '@/components/BannerDisplay'
-import { fetchFromApi, formatDate } from '@/lib/utils'
+import { fetchFromApi, formatDate, isArticlePublic } from '@/lib/utils'
 import { Article, ApiResponse } from '@/lib/types'
 import { fetchOptions } from '@/config/api'
 
@@ -23,7 +23,8 @@ async function getArticle(slug: string): Promise<Article | null> {
       fetchOptions.noStore
     )
 
-    if (response.success && response.data) {
+    // Draft / scheduled / archived không hiển thị trên trang public
+    if (response.success && response.data && isArticlePublic(response.data)) {
       return response.data
     }
 
@@ -105,6 +106,11 @@ export default async function ArticlePage({ params }: ArticlePageProps) {
     notFound()
   }
 
+  // Slug cũ: API đã 301 sang bài hiện tại → đưa URL về slug mới
+  if (article.slug && article.slug !== params.slug) {
+    permanentRedirect(`/${article.slug}`)
+  }
+
   const isCloaked = article.isCloaked ?? false
   const imageUrl = article.imageUrl || article.thumbnail
 
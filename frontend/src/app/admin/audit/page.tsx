@@ -0,0 +1,348 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Table,
+    Button,
+    Input,
+    Select,
+    DatePicker,
+    Space,
+    message,
+    Card,
+    Tag,
+    Typography,
+    Tooltip
+} from 'antd';
+import type { ColumnsType, TablePaginationConfig } from 'antd/es/table';
+import {
+    HistoryOutlined,
+    ReloadOutlined,
+    DownloadOutlined,
+    KeyOutlined
+} from '@ant-design/icons';
+import dayjs, { type Dayjs } from 'dayjs';
+import { getAuditEvents, downloadAuditCsv, type AuditQuery } from '@/lib/adminApi';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+type AuditTargetType = 'link' | 'banner' | 'experiment' | 'category' | 'user' | 'upload' | 'role' | 'workspace' | 'setting';
+
+interface AuditEvent {
+    _id: string;
+    actor: {
+        userId: string | null;
+        username: string;
+        apiKeyId: string | null;
+    };
+    action: string;
+    targetType: AuditTargetType;
+    targetId: string;
+    targetLabel: string;
+    changes: Record<string, { from: unknown; to: unknown }>;
+    ip: string;
+    userAgent: string;
+    createdAt: string;
+}
+
+interface AuditFilters {
+    actor: string;
+    action: string;
+    targetType?: AuditTargetType;
+    range: [Dayjs | null, Dayjs | null] | null;
+}
+
+const TARGET_TYPE_LABELS: Record<AuditTargetType, { label: string; color: string }> = {
+    link: { label: 'Link', color: 'blue' },
+    banner: { label: 'Banner', color: 'purple' },
+    experiment: { label: 'Thí nghiệm A/B', color: 'magenta' },
+    category: { label: 'Danh mục', color: 'cyan' },
+    user: { label: 'User', color: 'orange' },
+    upload: { label: 'Upload', color: 'geekblue' },
+    role: { label: 'Vai trò', color: 'red' },
+    workspace: { label: 'Workspace', color: 'green' },
+    setting: { label: 'Cài đặt', color: 'gold' }
+};
+
+const ACTION_COLORS: Record<string, string> = {
+    create: 'green',
+    update: 'blue',
+    delete: 'red'
+};
+
+const PAGE_SIZE = 50;
+
+// Giá trị trong diff → chuỗi hiển thị
+const formatValue = (value: unknown) => {
+    if (value === null || value === undefined) return <Text type="secondary">(trống)</Text>;
+    if (typeof value === 'object') return <Text code style={{ fontSize: 12 }}>{JSON.stringify(value)}</Text>;
+    return <span style={{ wordBreak: 'break-word' }}>{String(value)}</span>;
+};
+
+// Bộ lọc trên form → query API (khoảng ngày tính trọn ngày)
+const toQuery = (values: AuditFilters): AuditQuery => ({
+    actor: values.actor.trim(),
+    action: values.action.trim(),
+    targetType: values.targetType,
+    from: values.range?.[0]?.startOf('day').toISOString(),
+    to: values.range?.[1]?.endOf('day').toISOString()
+});
+
+export default function AuditPage() {
+    const [events, setEvents] = useState<AuditEvent[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [page, setPage] = useState(1);
+    const [total, setTotal] = useState(0);
+    const [filters, setFilters] = useState<AuditFilters>({ actor: '', action: '', range: null });
+    const [appliedFilters, setAppliedFilters] = useState<AuditFilters>(filters);
+
+    const fetchEvents = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await getAuditEvents({
+                ...toQuery(appliedFilters),
+                page,
+                limit: PAGE_SIZE
+            }) as { data: AuditEvent[]; pagination: { total: number } };
+            setEvents(response.data || []);
+            setTotal(response.pagination?.total || 0);
+        } catch (error: any) {
+            message.error('Lỗi khi tải nhật ký: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [appliedFilters, page]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    const handleSearch = () => {
+        setPage(1);
+        setAppliedFilters(filters);
+    };
+
+    const handleReset = () => {
+        const empty: AuditFilters = { actor: '', action: '', range: null };
+        setFilters(empty);
+        setPage(1);
+        setAppliedFilters(empty);
+    };
+
+    const handleExport = async () => {
+        try {
+            setExporting(true);
+            await downloadAuditCsv(toQuery(appliedFilters));
+        } catch (error: any) {
+            message.error('Không thể xuất CSV: ' + error.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleTableChange = (pagination: TablePaginationConfig) => {
+        setPage(pagination.current || 1);
+    };
+
+    const columns: ColumnsType<AuditEvent> = [
+        {
+            title: 'Thời gian',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            width: 160,
+            render: (value: string) => dayjs(value).format('HH:mm:ss DD/MM/YYYY')
+        },
+        {
+            title: 'Người thực hiện',
+            key: 'actor',
+            width: 180,
+            render: (_, record) => (
+                <Space size={4}>
+                    <Text strong>{record.actor.username}</Text>
+                    {record.actor.apiKeyId && (
+                        <Tooltip title="Thực hiện qua API key">
+                            <KeyOutlined style={{ color: '#faad14' }} />
+                        </Tooltip>
+                    )}
+                </Space>
+            )
+        },
+        {
+            title: 'Hành động',
+            dataIndex: 'action',
+            key: 'action',
+            width: 200,
+            render: (action: string) => (
+                <Tag color={ACTION_COLORS[action.split('.')[1]] || 'default'}>{action}</Tag>
+            )
+        },
+        {
+            title: 'Đối tượng',
+            key: 'target',
+            render: (_, record) => (
+                <Space size={4} wrap>
+                    <Tag color={TARGET_TYPE_LABELS[record.targetType]?.color}>
+                        {TARGET_TYPE_LABELS[record.targetType]?.label || record.targetType}
+                    </Tag>
+                    <Text>{record.targetLabel || record.targetId}</Text>
+                </Space>
+            )
+        },
+        {
+            title: 'Thay đổi',
+            key: 'changes',
+            width: 110,
+            render: (_, record) => {
+                const count = Object.keys(record.changes || {}).length;
+                return count > 0 ? `${count} field` : <Text type="secondary">-</Text>;
+            }
+        },
+        {
+            title: 'IP',
+            dataIndex: 'ip',
+            key: 'ip',
+            width: 140,
+            render: (ip: string, record) => (
+                <Tooltip title={record.userAgent}>
+                    <Text type="secondary" style={{ fontSize: 12 }}>{ip || '-'}</Text>
+                </Tooltip>
+            )
+        }
+    ];
+
+    const renderChanges = (record: AuditEvent) => {
+        const rows = Object.entries(record.changes || {}).map(([field, change]) => ({ field, ...change }));
+
+        return (
+            <Table
+                size="small"
+                rowKey="field"
+                pagination={false}
+                dataSource={rows}
+                columns={[
+                    { title: 'Field', dataIndex: 'field', key: 'field', width: 180, render: (field: string) => <Text code>{field}</Text> },
+                    { title: 'Trước', dataIndex: 'from', key: 'from', render: formatValue },
+                    { title: 'Sau', dataIndex: 'to', key: 'to', render: formatValue }
+                ]}
+            />
+        );
+    };
+
+    return (
+        <>
+            {/* Header */}
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                marginBottom: 24,
+                flexWrap: 'wrap',
+                gap: 16
+            }}>
+                <div>
+                    <Title level={2} style={{
+                        margin: 0,
+                        marginBottom: 8,
+                        color: '#D31016',
+                        fontSize: 24,
+                        fontWeight: 600,
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 8,
+                        lineHeight: 1.3
+                    }}>
+                        <HistoryOutlined />
+                        Nhật ký thay đổi
+                    </Title>
+                    <Text type="secondary" style={{ fontSize: 14 }}>
+                        Ai đã thay đổi links, banners, danh mục, users, uploads - kèm giá trị trước / sau
+                    </Text>
+                </div>
+
+                <Space wrap>
+                    <Button
+                        icon={<ReloadOutlined />}
+                        onClick={fetchEvents}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Làm mới
+                    </Button>
+                    <Button
+                        type="primary"
+                        icon={<DownloadOutlined />}
+                        onClick={handleExport}
+                        loading={exporting}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Xuất CSV
+                    </Button>
+                </Space>
+            </div>
+
+            {/* Filters */}
+            <Card style={{ marginBottom: 16 }}>
+                <Space wrap>
+                    <Select
+                        allowClear
+                        placeholder="Loại đối tượng"
+                        style={{ width: 160 }}
+                        value={filters.targetType}
+                        onChange={(targetType) => setFilters({ ...filters, targetType })}
+                        options={(Object.keys(TARGET_TYPE_LABELS) as AuditTargetType[]).map(type => ({
+                            value: type,
+                            label: TARGET_TYPE_LABELS[type].label
+                        }))}
+                    />
+                    <Input
+                        allowClear
+                        placeholder="Hành động (VD: link.update hoặc link.)"
+                        style={{ width: 260 }}
+                        value={filters.action}
+                        onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+                        onPressEnter={handleSearch}
+                    />
+                    <Input
+                        allowClear
+                        placeholder="Username người thực hiện"
+                        style={{ width: 200 }}
+                        value={filters.actor}
+                        onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+                        onPressEnter={handleSearch}
+                    />
+                    <RangePicker
+                        format="DD/MM/YYYY"
+                        value={filters.range}
+                        onChange={(range) => setFilters({ ...filters, range })}
+                    />
+                    <Button type="primary" onClick={handleSearch}>Lọc</Button>
+                    <Button onClick={handleReset}>Xóa lọc</Button>
+                </Space>
+            </Card>
+
+            {/* Table */}
+            <Card>
+                <Table
+                    columns={columns}
+                    dataSource={events}
+                    rowKey="_id"
+                    loading={loading}
+                    onChange={handleTableChange}
+                    pagination={{
+                        current: page,
+                        pageSize: PAGE_SIZE,
+                        total,
+                        showSizeChanger: false,
+                        showTotal: (count) => `${count} sự kiện`
+                    }}
+                    expandable={{
+                        expandedRowRender: renderChanges,
+                        rowExpandable: (record) => Object.keys(record.changes || {}).length > 0
+                    }}
+                    scroll={{ x: 900 }}
+                />
+            </Card>
+        </>
+    );
+}
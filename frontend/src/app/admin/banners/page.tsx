@@ -34,8 +34,12 @@ import {
     PictureOutlined,
     LinkOutlined
 } from '@ant-design/icons';
-import { getToken, getCurrentUser } from '@/lib/authService';
-import { getApiUrl } from '@/lib/adminApi';
+import { getToken, hasPermission, getWorkspaceHeaders } from '@/lib/authService';
+import { getApiUrl, toApiError } from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
+import BannerExperimentsPanel from '@/components/BannerExperimentsPanel';
+import BannerAllocationPanel from '@/components/BannerAllocationPanel';
+import BannerStatsChart from '@/components/BannerStatsChart';
 
 const { Title, Text } = Typography;
 
@@ -48,12 +52,19 @@ const bannerTypes = [
     { value: 'header', label: 'Header' }
 ];
 
+// Chu kỳ đếm frequency cap
+const frequencyPeriods = [
+    { value: 'day', label: 'Ngày' },
+    { value: 'session', label: 'Phiên truy cập' }
+];
+
 // ===================== API =====================
 const bannerApi = {
     getAll: async () => {
         const token = getToken();
-        const res = await fetch(getApiUrl('banners'), {
-            headers: { 'Authorization': `Bearer ${token}` }
+        // Lấy tối đa 100 banner (bảng phân trang phía client, thí nghiệm A/B chọn biến thể từ danh sách này)
+        const res = await fetch(getApiUrl('banners?limit=100'), {
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
         if (!res.ok) throw new Error('Failed to fetch banners');
         return res.json();
@@ -64,13 +75,13 @@ const bannerApi = {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...getWorkspaceHeaders()
             },
             body: JSON.stringify(data)
         });
-        const json = await res.json();
-        if (!res.ok) throw new Error(json.error || 'Failed to create banner');
-        return json;
+        if (!res.ok) throw await toApiError(res);
+        return res.json();
     },
     update: async (id: string, data: any) => {
         const token = getToken();
@@ -78,30 +89,30 @@ const bannerApi = {
             method: 'PUT',
             headers: {
                 'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...getWorkspaceHeaders()
             },
             body: JSON.stringify(data)
         });
-        const json = await res.json();
-        if (!res.ok) throw new Error(json.error || 'Failed to update banner');
-        return json;
+        if (!res.ok) throw await toApiError(res);
+        return res.json();
     },
     delete: async (id: string) => {
         const token = getToken();
         const res = await fetch(getApiUrl(`banners/${id}`), {
             method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${token}` }
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
-        if (!res.ok) throw new Error('Failed to delete banner');
+        if (!res.ok) throw await toApiError(res);
         return res.json();
     },
     toggle: async (id: string) => {
         const token = getToken();
         const res = await fetch(getApiUrl(`banners/${id}/toggle`), {
             method: 'POST',
-            headers: { 'Authorization': `Bearer ${token}` }
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
-        if (!res.ok) throw new Error('Failed to toggle banner');
+        if (!res.ok) throw await toApiError(res);
         return res.json();
     }
 };
@@ -110,7 +121,7 @@ const linksApi = {
     getAll: async () => {
         const token = getToken();
         const res = await fetch(getApiUrl('links'), {
-            headers: { 'Authorization': `Bearer ${token}` }
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
         if (!res.ok) throw new Error('Failed to fetch links');
         return res.json();
@@ -131,7 +142,11 @@ interface Banner {
     priority: number;
     displayWidth: number;
     showDelay: number;
+    frequencyCap?: number;
+    frequencyPeriod?: 'day' | 'session';
+    dismissCooldownHours?: number;
     stats?: {
+        served?: number;
         impressions: number;
         clicks: number;
         ctr: number;
@@ -158,8 +173,9 @@ export default function BannersPage() {
     const [displayWidth, setDisplayWidth] = useState(50);
     const [form] = Form.useForm();
 
-    const currentUser = getCurrentUser();
-    const isAdmin = currentUser?.role === 'admin';
+    // banners:publish bật / tắt, xóa banner; banners:write tạo / sửa banner của mình
+    const canWrite = hasPermission('banners:write');
+    const canPublish = hasPermission('banners:publish');
 
     const fetchBanners = useCallback(async () => {
         try {
@@ -217,6 +233,9 @@ export default function BannersPage() {
             priority: record.priority || 10,
             displayWidth: w,
             showDelay: record.showDelay || 0,
+            frequencyCap: record.frequencyCap || 0,
+            frequencyPeriod: record.frequencyPeriod || 'day',
+            dismissCooldownHours: record.dismissCooldownHours ?? 24,
             isActive: record.isActive
         });
         setImagePreview(record.imageUrl);
@@ -245,6 +264,9 @@ export default function BannersPage() {
                 priority: values.priority,
                 displayWidth: values.displayWidth,
                 showDelay: values.showDelay || 0,
+                frequencyCap: values.frequencyCap || 0,
+                frequencyPeriod: values.frequencyPeriod,
+                dismissCooldownHours: values.dismissCooldownHours ?? 0,
                 isActive: values.isActive
             };
 
@@ -275,7 +297,10 @@ export default function BannersPage() {
             setEditingId(null);
             fetchBanners();
         } catch (error: any) {
-            message.error('Lỗi: ' + error.message);
+            // Lỗi dữ liệu hiện ngay dưới ô nhập (ảnh banner nhập ngoài form → toast)
+            if (!showFieldErrors(form, error, { imageUrl: false })) {
+                message.error('Lỗi: ' + error.message);
+            }
         } finally {
             setLoading(false);
         }
@@ -417,6 +442,9 @@ export default function BannersPage() {
             width: 130,
             render: (_: any, record: Banner) => (
                 <Space direction="vertical" size={0}>
+                    <Text type="secondary" style={{ fontSize: 12 }}>
+                        📤 {record.stats?.served || 0} served
+                    </Text>
                     <Text type="secondary" style={{ fontSize: 12 }}>
                         👁 {record.stats?.impressions || 0} views
                     </Text>
@@ -432,18 +460,22 @@ export default function BannersPage() {
             width: 140,
             render: (_: any, record: Banner) => (
                 <Space>
-                    <Button
-                        type="text"
-                        icon={record.isActive ? <EyeInvisibleOutlined /> : <EyeOutlined />}
-                        onClick={() => handleToggleActive(record)}
-                        title={record.isActive ? 'Vô hiệu hóa' : 'Kích hoạt'}
-                    />
-                    <Button
-                        type="text"
-                        icon={<EditOutlined />}
-                        onClick={() => handleEditBanner(record)}
-                    />
-                    {isAdmin && (
+                    {canPublish && (
+                        <Button
+                            type="text"
+                            icon={record.isActive ? <EyeInvisibleOutlined /> : <EyeOutlined />}
+                            onClick={() => handleToggleActive(record)}
+                            title={record.isActive ? 'Vô hiệu hóa' : 'Kích hoạt'}
+                        />
+                    )}
+                    {canWrite && (
+                        <Button
+                            type="text"
+                            icon={<EditOutlined />}
+                            onClick={() => handleEditBanner(record)}
+                        />
+                    )}
+                    {canPublish && (
                         <Popconfirm
                             title="Bạn có chắc muốn xóa banner này?"
                             onConfirm={() => handleDeleteBanner(record._id)}
@@ -498,14 +530,16 @@ export default function BannersPage() {
                     >
                         Làm mới
                     </Button>
-                    <Button
-                        type="primary"
-                        icon={<PlusOutlined />}
-                        onClick={handleAddBanner}
-                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
-                    >
-                        Thêm Banner
-                    </Button>
+                    {canWrite && (
+                        <Button
+                            type="primary"
+                            icon={<PlusOutlined />}
+                            onClick={handleAddBanner}
+                            style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                        >
+                            Thêm Banner
+                        </Button>
+                    )}
                 </Space>
             </div>
 
@@ -531,7 +565,7 @@ export default function BannersPage() {
                 </Col>
                 <Col xs={12} sm={6}>
                     <Card>
-                        <Statistic title="Lượt xem" value={totalImpressions} />
+                        <Statistic title="Lượt xem (đã hiển thị)" value={totalImpressions} />
                     </Card>
                 </Col>
                 <Col xs={12} sm={6}>
@@ -558,18 +592,41 @@ export default function BannersPage() {
                         <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
                             Chưa có banner nào
                         </Text>
-                        <Button
-                            type="primary"
-                            icon={<PlusOutlined />}
-                            onClick={handleAddBanner}
-                            style={{ background: '#D31016', borderColor: '#D31016' }}
-                        >
-                            Thêm Banner Đầu Tiên
-                        </Button>
+                        {canWrite && (
+                            <Button
+                                type="primary"
+                                icon={<PlusOutlined />}
+                                onClick={handleAddBanner}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                Thêm Banner Đầu Tiên
+                            </Button>
+                        )}
                     </div>
                 )}
             </Card>
 
+            {/* Thống kê theo thời gian (CTR từng biến thể) */}
+            <BannerStatsChart
+                banners={banners}
+                bannerTypes={bannerTypes}
+            />
+
+            {/* Thí nghiệm A/B */}
+            <BannerExperimentsPanel
+                banners={banners}
+                bannerTypes={bannerTypes}
+                canWrite={canWrite}
+                canPublish={canPublish}
+                onBannersChanged={fetchBanners}
+            />
+
+            {/* Phân bổ lượt hiển thị (weighted / bandit) */}
+            <BannerAllocationPanel
+                bannerTypes={bannerTypes}
+                canPublish={canPublish}
+            />
+
             {/* ===================== Add/Edit Modal ===================== */}
             <Modal
                 title={editingId ? 'Chỉnh sửa Banner' : 'Thêm Banner Mới'}
@@ -589,7 +646,10 @@ export default function BannersPage() {
                         priority: 10,
                         displayWidth: 50,
                         showDelay: 0,
-                        isActive: true
+                        frequencyCap: 0,
+                        frequencyPeriod: 'day',
+                        dismissCooldownHours: 24,
+                        isActive: canPublish
                     }}
                 >
                     {/* Tên banner */}
@@ -768,8 +828,36 @@ export default function BannersPage() {
                                 name="isActive"
                                 label="Trạng thái"
                                 valuePropName="checked"
+                                extra={canPublish ? undefined : 'Cần quyền duyệt banner để bật'}
+                            >
+                                <Switch checkedChildren="Bật" unCheckedChildren="Tắt" disabled={!canPublish} />
+                            </Form.Item>
+                        </Col>
+                    </Row>
+
+                    {/* Frequency cap + ghi nhớ đóng banner (theo khách) */}
+                    <Row gutter={16}>
+                        <Col span={8}>
+                            <Form.Item
+                                name="frequencyCap"
+                                label="Giới hạn lượt xem"
+                                extra="Mỗi khách, 0 = không giới hạn"
+                            >
+                                <InputNumber min={0} max={1000} style={{ width: '100%' }} addonAfter="lượt" />
+                            </Form.Item>
+                        </Col>
+                        <Col span={8}>
+                            <Form.Item name="frequencyPeriod" label="Trong mỗi">
+                                <Select options={frequencyPeriods} />
+                            </Form.Item>
+                        </Col>
+                        <Col span={8}>
+                            <Form.Item
+                                name="dismissCooldownHours"
+                                label="Ẩn sau khi đóng"
+                                extra="0 = hiện lại ở trang sau"
                             >
-                                <Switch checkedChildren="Bật" unCheckedChildren="Tắt" />
+                                <InputNumber min={0} max={2160} style={{ width: '100%' }} addonAfter="giờ" />
                             </Form.Item>
                         </Col>
                     </Row>
@@ -25,8 +25,9 @@ import {
     ReloadOutlined,
     AppstoreOutlined
 } from '@ant-design/icons';
-import { getToken } from '@/lib/authService';
-import { getApiUrl } from '@/lib/adminApi';
+import { getToken, getWorkspaceHeaders } from '@/lib/authService';
+import { getApiUrl, toApiError } from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
 
 const { Title, Text } = Typography;
 
@@ -48,7 +49,7 @@ const categoryApi = {
     getAll: async () => {
         const token = getToken();
         const res = await fetch(getApiUrl('categories'), {
-            headers: { 'Authorization': `Bearer ${token}` }
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
         if (!res.ok) throw new Error('Failed to fetch categories');
         return res.json();
@@ -59,14 +60,12 @@ const categoryApi = {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...getWorkspaceHeaders()
             },
             body: JSON.stringify(data)
         });
-        if (!res.ok) {
-            const err = await res.json();
-            throw new Error(err.error || 'Failed to create category');
-        }
+        if (!res.ok) throw await toApiError(res);
         return res.json();
     },
     update: async (id: string, data: any) => {
@@ -75,26 +74,21 @@ const categoryApi = {
             method: 'PUT',
             headers: {
                 'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...getWorkspaceHeaders()
             },
             body: JSON.stringify(data)
         });
-        if (!res.ok) {
-            const err = await res.json();
-            throw new Error(err.error || 'Failed to update category');
-        }
+        if (!res.ok) throw await toApiError(res);
         return res.json();
     },
     delete: async (id: string) => {
         const token = getToken();
         const res = await fetch(getApiUrl(`categories/${id}`), {
             method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${token}` }
+            headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
-        if (!res.ok) {
-            const err = await res.json();
-            throw new Error(err.error || 'Failed to delete category');
-        }
+        if (!res.ok) throw await toApiError(res);
         return res.json();
     }
 };
@@ -176,7 +170,10 @@ export default function CategoriesPage() {
             setEditingId(null);
             fetchCategories();
         } catch (error: any) {
-            message.error('Lỗi: ' + error.message);
+            // Lỗi dữ liệu hiện ngay dưới ô nhập
+            if (!showFieldErrors(form, error)) {
+                message.error('Lỗi: ' + error.message);
+            }
         } finally {
             setLoading(false);
         }
@@ -18,8 +18,9 @@ import {
     Tooltip,
     ResponsiveContainer
 } from 'recharts';
-import { getCurrentUser } from '@/lib/authService';
+import { hasPermission } from '@/lib/authService';
 import { StatsCards } from '@/components/StatsCards';
+import { TopSources } from '@/components/TopSources';
 import { DashboardSkeleton, ChartSkeleton, StatsCardsSkeleton } from '@/components/PageSkeleton';
 import { useDashboard } from '@/hooks/useAdminData';
 
@@ -29,8 +30,7 @@ export default function DashboardPage() {
     // SWR hooks - data được cache và hiển thị ngay lập tức
     const { links, hourlyTraffic, isLoading, isLinksLoading, isTrafficLoading } = useDashboard();
     
-    const user = getCurrentUser();
-    const isAdmin = user?.role === 'admin';
+    const canViewAll = hasPermission('analytics:view-all');
 
     // Hiển thị skeleton khi loading lần đầu (không có cached data)
     if (isLoading && links.length === 0) {
@@ -67,7 +67,7 @@ export default function DashboardPage() {
                         )}
                     </Title>
                     <Text type="secondary" style={{ fontSize: 14 }}>
-                        {isAdmin ? 'Tổng quan hệ thống' : 'Thống kê của bạn'}
+                        {canViewAll ? 'Tổng quan hệ thống' : 'Thống kê của bạn'}
                     </Text>
                 </div>
             </div>
@@ -79,6 +79,9 @@ export default function DashboardPage() {
                 <StatsCards links={links} />
             )}
 
+            {/* Top nguồn truy cập theo link / user */}
+            <TopSources links={links} isAdmin={canViewAll} />
+
             {/* Traffic Chart */}
             {isTrafficLoading && hourlyTraffic.length === 0 ? (
                 <ChartSkeleton />
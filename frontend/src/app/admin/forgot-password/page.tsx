@@ -0,0 +1,102 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { Form, Input, Button, Card, Result, message, Typography } from 'antd'
+import { UserOutlined, ArrowLeftOutlined } from '@ant-design/icons'
+import { requestPasswordReset } from '@/lib/adminApi'
+
+const { Title } = Typography
+
+export default function ForgotPasswordPage() {
+  const [loading, setLoading] = useState(false)
+  const [sentMessage, setSentMessage] = useState<string | null>(null)
+
+  const handleSubmit = async (values: { identifier: string }) => {
+    try {
+      setLoading(true)
+      const result = await requestPasswordReset(values.identifier) as { message?: string }
+      setSentMessage(result.message || 'Đã gửi link đặt lại mật khẩu')
+    } catch (err) {
+      message.error(err instanceof Error ? err.message : 'Không thể gửi yêu cầu')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      minHeight: '100vh',
+      background: '#ffffff'
+    }}>
+      <Card
+        style={{
+          width: 400,
+          boxShadow: '0 10px 40px rgba(0,0,0,0.2)'
+        }}
+      >
+        <div style={{ textAlign: 'center', marginBottom: 24 }}>
+          <Title level={3} style={{ color: '#D31016', marginBottom: 8 }}>
+            Quên mật khẩu
+          </Title>
+          <p style={{ color: '#666', fontSize: 14 }}>
+            Nhập username hoặc email, chúng tôi sẽ gửi link đặt lại mật khẩu
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <Result
+            status="success"
+            subTitle={sentMessage}
+            style={{ padding: '0 0 16px' }}
+          />
+        ) : (
+          <Form
+            name="forgot-password"
+            onFinish={handleSubmit}
+            autoComplete="off"
+            size="large"
+          >
+            <Form.Item
+              name="identifier"
+              rules={[
+                { required: true, message: 'Vui lòng nhập username hoặc email!' }
+              ]}
+            >
+              <Input
+                prefix={<UserOutlined />}
+                placeholder="Username hoặc email"
+                autoFocus
+              />
+            </Form.Item>
+
+            <Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={loading}
+                block
+                style={{
+                  height: 45,
+                  fontSize: 16,
+                  fontWeight: 600,
+                  background: '#D31016',
+                  borderColor: '#D31016'
+                }}
+              >
+                Gửi link đặt lại
+              </Button>
+            </Form.Item>
+          </Form>
+        )}
+
+        <Link href="/admin/login" style={{ color: '#D31016' }}>
+          <ArrowLeftOutlined /> Quay lại đăng nhập
+        </Link>
+      </Card>
+    </div>
+  )
+}
@@ -14,14 +14,28 @@ import {
     SettingOutlined,
     FolderOutlined,
     FileImageOutlined,
-    AppstoreOutlined
+    AppstoreOutlined,
+    SafetyOutlined,
+    TeamOutlined,
+    HistoryOutlined
 } from '@ant-design/icons';
-import { getCurrentUser, logout } from '@/lib/authService';
+import { getCurrentUser, logout, authService, hasPermission } from '@/lib/authService';
 import { prefetchLinks, prefetchCampaigns, prefetchDashboard } from '@/hooks/useAdminData';
+import WorkspaceSwitcher from '@/components/WorkspaceSwitcher';
 
 const { Header, Sider, Content } = Layout;
 const { Text } = Typography;
 
+// Trang admin không cần đăng nhập (link trong email đặt lại mật khẩu / lời mời)
+const PUBLIC_PATHS = ['/admin/forgot-password', '/admin/reset-password'];
+
+// Tên hiển thị vai trò hệ thống, vai trò tùy chỉnh hiện theo tên
+const roleLabel = (role?: string) => {
+    if (role === 'admin') return 'Quản trị viên';
+    if (role === 'user' || !role) return 'Người dùng';
+    return role;
+};
+
 interface AdminLayoutProps {
     children: ReactNode;
 }
@@ -47,6 +61,9 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
         if (pathname.includes('/admin/categories')) return 'categories';
         if (pathname.includes('/admin/resources')) return 'resources';
         if (pathname.includes('/admin/users')) return 'users';
+        if (pathname.includes('/admin/roles')) return 'roles';
+        if (pathname.includes('/admin/workspaces')) return 'workspaces';
+        if (pathname.includes('/admin/audit')) return 'audit';
         if (pathname.includes('/admin/profile')) return 'profile';
         return 'dashboard';
     }, [pathname]);
@@ -74,10 +91,15 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
                 icon: <FileImageOutlined />,
                 label: 'Quản lý Banner'
             },
-            {
+            ...(hasPermission('categories:manage') ? [{
                 key: 'categories',
                 icon: <AppstoreOutlined />,
                 label: 'Danh mục'
+            }] : []),
+            {
+                key: 'workspaces',
+                icon: <TeamOutlined />,
+                label: 'Workspace'
             },
             {
                 key: 'resources',
@@ -96,12 +118,24 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
             }
         ];
 
-        // Admin thấy thêm user management
-        if (user && user.role === 'admin') {
+        // Quyền users:manage thấy thêm quản lý user + vai trò
+        if (user && hasPermission('users:manage')) {
             items.push({
                 key: 'users',
                 icon: <UserOutlined />,
                 label: 'Quản lý User'
+            }, {
+                key: 'roles',
+                icon: <SafetyOutlined />,
+                label: 'Vai trò & quyền'
+            });
+        }
+
+        if (user && hasPermission('audit:view')) {
+            items.push({
+                key: 'audit',
+                icon: <HistoryOutlined />,
+                label: 'Nhật ký thay đổi'
             });
         }
 
@@ -113,6 +147,12 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
         setMounted(true);
         const currentUser = getCurrentUser();
 
+        // Trang quên / đặt lại mật khẩu: không cần đăng nhập
+        if (PUBLIC_PATHS.includes(pathname)) {
+            setIsLoading(false);
+            return;
+        }
+
         // Nếu đang ở trang login
         if (pathname === '/admin/login') {
             if (currentUser) {
@@ -132,6 +172,17 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
             setUser(currentUser);
             setIsLoading(false);
 
+            // Giữ access token (15 phút) luôn còn hạn bằng refresh cookie
+            authService.ensureFreshToken().then((token) => {
+                if (!token) {
+                    // Phiên đã hết hạn / bị thu hồi
+                    logout();
+                    router.push('/admin/login');
+                    return;
+                }
+                authService.startAutoRefresh();
+            });
+
             // Prefetch data ngay khi login để sẵn sàng cho navigation
             // Chạy sau 100ms để không block render
             setTimeout(() => {
@@ -205,8 +256,8 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
         router.push(`/admin/${key}`);
     };
 
-    // Nếu là trang login thì render children full screen (không có layout admin)
-    if (pathname === '/admin/login') {
+    // Nếu là trang login / đặt lại mật khẩu thì render children full screen (không có layout admin)
+    if (pathname === '/admin/login' || PUBLIC_PATHS.includes(pathname)) {
         if (!mounted || isLoading) {
             return (
                 <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
@@ -287,7 +338,8 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
                     zIndex: 999,
                     height: 64
                 }}>
-                    <div />
+                    {/* Workspace đang dùng */}
+                    <WorkspaceSwitcher />
 
                     <Dropdown
                         placement="bottomRight"
@@ -328,7 +380,7 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
                                     {user?.displayName || user?.fullName || user?.username}
                                 </Text>
                                 <Text type="secondary" style={{ fontSize: 12, lineHeight: 1.2 }}>
-                                    {user?.role === 'admin' ? 'Quản trị viên' : 'Người dùng'}
+                                    {roleLabel(user?.role)}
                                 </Text>
                             </div>
                         </div>
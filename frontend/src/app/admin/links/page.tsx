@@ -17,10 +17,12 @@ import {
 import dynamic from 'next/dynamic';
 
 import LinkTable from '@/components/LinkTable';
+import TransferOwnerModal from '@/components/TransferOwnerModal';
 import { StatsCards } from '@/components/StatsCards';
 import { ListPageSkeleton } from '@/components/PageSkeleton';
 import { useLinks, invalidateLinks } from '@/hooks/useAdminData';
-import { createLink, updateLink, deleteLink } from '@/lib/adminApi';
+import { createLink, updateLink, deleteLink, ApiError } from '@/lib/adminApi';
+import { hasPermission } from '@/lib/authService';
 
 const { Title, Text } = Typography;
 
@@ -47,6 +49,8 @@ export default function LinksPage() {
     const [editingLink, setEditingLink] = useState<Link | null>(null);
     const [formVisible, setFormVisible] = useState(false);
     const [formLoading, setFormLoading] = useState(false);
+    const [transferLink, setTransferLink] = useState<Link | null>(null);
+    const canWrite = hasPermission('links:write');
 
     // Hiển thị skeleton khi loading lần đầu (không có cached data)
     if (isLoading && links.length === 0) {
@@ -107,6 +111,8 @@ export default function LinksPage() {
             invalidateLinks();
 
         } catch (error: any) {
+            // Lỗi dữ liệu theo field → form hiện ngay dưới ô nhập
+            if (error instanceof ApiError && error.fieldErrors.length > 0) throw error;
             console.error('❌ [LinksPage] Submit error:', error);
             message.error(error.message || 'Có lỗi xảy ra');
         } finally {
@@ -119,8 +125,8 @@ export default function LinksPage() {
             await deleteLink(slug);
             message.success('Xóa link thành công!');
             invalidateLinks();
-        } catch (error) {
-            message.error('Không thể xóa link');
+        } catch (error: any) {
+            message.error(error.message || 'Không thể xóa link');
         }
     };
 
@@ -171,14 +177,16 @@ export default function LinksPage() {
                     >
                         Làm mới
                     </Button>
-                    <Button
-                        type="primary"
-                        icon={<PlusOutlined />}
-                        onClick={handleCreate}
-                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
-                    >
-                        Tạo Link Mới
-                    </Button>
+                    {canWrite && (
+                        <Button
+                            type="primary"
+                            icon={<PlusOutlined />}
+                            onClick={handleCreate}
+                            style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                        >
+                            Tạo Link Mới
+                        </Button>
+                    )}
                 </Space>
             </div>
 
@@ -191,6 +199,7 @@ export default function LinksPage() {
                     links={links}
                     onEdit={handleEdit}
                     onDelete={handleDelete}
+                    onTransferOwner={setTransferLink}
                     loading={false}
                     onRefresh={refresh}
                 />
@@ -199,13 +208,15 @@ export default function LinksPage() {
                     description="Chưa có link nào"
                     style={{ padding: '60px 0' }}
                 >
-                    <Button
-                        type="primary"
-                        icon={<PlusOutlined />}
-                        onClick={handleCreate}
-                    >
-                        Tạo Link Đầu Tiên
-                    </Button>
+                    {canWrite && (
+                        <Button
+                            type="primary"
+                            icon={<PlusOutlined />}
+                            onClick={handleCreate}
+                        >
+                            Tạo Link Đầu Tiên
+                        </Button>
+                    )}
                 </Empty>
             )}
 
@@ -220,6 +231,13 @@ export default function LinksPage() {
                 editingLink={editingLink}
                 loading={formLoading}
             />
+
+            {/* Chuyển quyền sở hữu (Admin) */}
+            <TransferOwnerModal
+                link={transferLink}
+                onClose={() => setTransferLink(null)}
+                onTransferred={invalidateLinks}
+            />
         </>
     );
 }
@@ -2,22 +2,58 @@
 
 import { useState } from 'react'
 import { useRouter } from 'next/navigation'
+import Link from 'next/link'
 import { Form, Input, Button, Card, message, Typography } from 'antd'
-import { UserOutlined, LockOutlined } from '@ant-design/icons'
-import { authService } from '@/lib/authService'
+import { UserOutlined, LockOutlined, SafetyOutlined, ArrowLeftOutlined } from '@ant-design/icons'
+import { authService, TwoFactorChallenge, TwoFactorSetupData } from '@/lib/authService'
+import { TwoFactorEnrollment, RecoveryCodesList } from '@/components/TwoFactorSetup'
 
-const { Title } = Typography
+const { Title, Text } = Typography
+
+// credentials → (challenge | setup → recovery) → dashboard
+type LoginStep = 'credentials' | 'challenge' | 'setup' | 'recovery'
+
+const isChallengeExpired = (err: unknown) =>
+  (err as { code?: string } | null)?.code === 'challenge_expired'
 
 export default function LoginPage() {
   const router = useRouter()
   const [loading, setLoading] = useState(false)
+  const [step, setStep] = useState<LoginStep>('credentials')
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null)
+  const [setupData, setSetupData] = useState<TwoFactorSetupData | null>(null)
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([])
+
+  const finishLogin = (user: { fullName?: string; username: string }) => {
+    message.success(`Chào mừng ${user.fullName || user.username}!`)
+    router.push('/admin/dashboard')
+  }
+
+  const resetToCredentials = () => {
+    setStep('credentials')
+    setChallenge(null)
+    setSetupData(null)
+    setUseRecoveryCode(false)
+  }
 
   const handleSubmit = async (values: { username: string; password: string }) => {
     try {
       setLoading(true)
-      const { user } = await authService.login(values.username, values.password)
-      message.success(`Chào mừng ${user.fullName || user.username}!`)
-      router.push('/admin/dashboard')
+      const result = await authService.login(values.username, values.password)
+
+      if ('twoFactorRequired' in result) {
+        setChallenge(result)
+        if (result.setupRequired) {
+          setSetupData(await authService.beginTwoFactorSetup(result.challengeToken))
+          setStep('setup')
+        } else {
+          setStep('challenge')
+        }
+        return
+      }
+
+      finishLogin(result.user)
     } catch (err) {
       message.error(err instanceof Error ? err.message : 'Đăng nhập thất bại')
     } finally {
@@ -25,6 +61,47 @@ export default function LoginPage() {
     }
   }
 
+  const handleVerify = async (values: { code: string }) => {
+    if (!challenge) return
+    try {
+      setLoading(true)
+      const result = await authService.verifyTwoFactor(
+        challenge.challengeToken,
+        useRecoveryCode ? { recoveryCode: values.code } : { code: values.code }
+      )
+      finishLogin(result.user)
+    } catch (err) {
+      message.error(err instanceof Error ? err.message : 'Xác thực thất bại')
+      // Challenge hết hạn / quá số lần thử → đăng nhập lại
+      if (isChallengeExpired(err)) resetToCredentials()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSetupConfirm = async (code: string) => {
+    if (!challenge) return
+    try {
+      setLoading(true)
+      const result = await authService.verifyTwoFactor(challenge.challengeToken, { code })
+      setRecoveryCodes(result.recoveryCodes || [])
+      setStep('recovery')
+    } catch (err) {
+      message.error(err instanceof Error ? err.message : 'Xác thực thất bại')
+      if (isChallengeExpired(err)) resetToCredentials()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const submitButtonStyle = {
+    height: 45,
+    fontSize: 16,
+    fontWeight: 600,
+    background: '#D31016',
+    borderColor: '#D31016'
+  }
+
   return (
     <div style={{
       display: 'flex',
@@ -35,7 +112,7 @@ export default function LoginPage() {
     }}>
       <Card
         style={{
-          width: 400,
+          width: step === 'setup' || step === 'recovery' ? 440 : 400,
           boxShadow: '0 10px 40px rgba(0,0,0,0.2)'
         }}
       >
@@ -48,55 +125,141 @@ export default function LoginPage() {
           </p>
         </div>
         
-        <Form
-          name="login"
-          onFinish={handleSubmit}
-          autoComplete="off"
-          size="large"
-        >
-          <Form.Item
-            name="username"
-            rules={[
-              { required: true, message: 'Vui lòng nhập username!' }
-            ]}
+        {step === 'credentials' && (
+          <Form
+            name="login"
+            onFinish={handleSubmit}
+            autoComplete="off"
+            size="large"
           >
-            <Input
-              prefix={<UserOutlined />}
-              placeholder="Username"
-              autoFocus
-            />
-          </Form.Item>
-          
-          <Form.Item
-            name="password"
-            rules={[
-              { required: true, message: 'Vui lòng nhập password!' }
-            ]}
+            <Form.Item
+              name="username"
+              rules={[
+                { required: true, message: 'Vui lòng nhập username!' }
+              ]}
+            >
+              <Input
+                prefix={<UserOutlined />}
+                placeholder="Username"
+                autoFocus
+              />
+            </Form.Item>
+
+            <Form.Item
+              name="password"
+              rules={[
+                { required: true, message: 'Vui lòng nhập password!' }
+              ]}
+            >
+              <Input.Password
+                prefix={<LockOutlined />}
+                placeholder="Password"
+              />
+            </Form.Item>
+
+            <Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={loading}
+                block
+                style={submitButtonStyle}
+              >
+                Đăng nhập
+              </Button>
+            </Form.Item>
+
+            <div style={{ textAlign: 'center' }}>
+              <Link href="/admin/forgot-password" style={{ color: '#D31016' }}>
+                Quên mật khẩu?
+              </Link>
+            </div>
+          </Form>
+        )}
+
+        {step === 'challenge' && (
+          <Form
+            key={useRecoveryCode ? 'recovery' : 'totp'}
+            name="two-factor"
+            onFinish={handleVerify}
+            autoComplete="off"
+            size="large"
           >
-            <Input.Password
-              prefix={<LockOutlined />}
-              placeholder="Password"
+            <div style={{ textAlign: 'center', marginBottom: 16 }}>
+              <SafetyOutlined style={{ fontSize: 32, color: '#D31016' }} />
+              <p style={{ color: '#666', marginTop: 8 }}>
+                {useRecoveryCode
+                  ? 'Nhập một mã khôi phục chưa sử dụng'
+                  : 'Nhập mã 6 số trong ứng dụng xác thực'}
+              </p>
+            </div>
+
+            <Form.Item
+              name="code"
+              rules={[
+                { required: true, message: 'Vui lòng nhập mã xác thực!' },
+                ...(useRecoveryCode ? [] : [{ pattern: /^\d{6}$/, message: 'Mã gồm 6 chữ số' }])
+              ]}
+            >
+              <Input
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                maxLength={useRecoveryCode ? 11 : 6}
+                style={{ letterSpacing: 4, textAlign: 'center' }}
+                autoFocus
+              />
+            </Form.Item>
+
+            <Form.Item>
+              <Button type="primary" htmlType="submit" loading={loading} block style={submitButtonStyle}>
+                Xác nhận
+              </Button>
+            </Form.Item>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Button type="link" icon={<ArrowLeftOutlined />} onClick={resetToCredentials} style={{ padding: 0 }}>
+                Quay lại
+              </Button>
+              <Button type="link" onClick={() => setUseRecoveryCode(!useRecoveryCode)} style={{ padding: 0 }}>
+                {useRecoveryCode ? 'Dùng mã từ ứng dụng' : 'Dùng mã khôi phục'}
+              </Button>
+            </div>
+          </Form>
+        )}
+
+        {step === 'setup' && setupData && (
+          <>
+            <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
+              Tài khoản admin bắt buộc bật xác thực 2 lớp trước khi đăng nhập.
+            </Text>
+            <TwoFactorEnrollment
+              secret={setupData.secret}
+              otpauthUri={setupData.otpauthUri}
+              loading={loading}
+              submitText="Bật & đăng nhập"
+              onSubmit={handleSetupConfirm}
             />
-          </Form.Item>
-          
-          <Form.Item>
+            <Button type="link" icon={<ArrowLeftOutlined />} onClick={resetToCredentials} style={{ padding: 0, marginTop: 12 }}>
+              Quay lại
+            </Button>
+          </>
+        )}
+
+        {step === 'recovery' && (
+          <>
+            <RecoveryCodesList codes={recoveryCodes} />
             <Button
               type="primary"
-              htmlType="submit"
-              loading={loading}
               block
-              style={{
-                height: 45,
-                fontSize: 16,
-                fontWeight: 600,
-                background: '#D31016',
-                borderColor: '#D31016'
-              }}
+              size="large"
+              style={{ ...submitButtonStyle, marginTop: 16 }}
+              onClick={() => finishLogin(authService.getCurrentUser())}
             >
-              Đăng nhập
+              Tôi đã lưu mã, tiếp tục
             </Button>
-          </Form.Item>
-        </Form>
+          </>
+        )}
       </Card>
     </div>
   )
@@ -23,10 +23,16 @@ import {
     CameraOutlined,
     SaveOutlined,
     LoadingOutlined,
-    PhoneOutlined
+    PhoneOutlined,
+    LinkOutlined
 } from '@ant-design/icons';
 import { getCurrentUser, getToken, updateCurrentUser } from '@/lib/authService';
-import { getApiUrl } from '@/lib/adminApi';
+import { getApiUrl, toApiError } from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
+import RedirectParamsEditor, { RedirectParam } from '@/components/RedirectParamsEditor';
+import SessionsCard from '@/components/SessionsCard';
+import ApiKeysCard from '@/components/ApiKeysCard';
+import TwoFactorCard from '@/components/TwoFactorCard';
 
 const { Title, Text } = Typography;
 
@@ -37,11 +43,13 @@ interface UserData {
     phone?: string;
     avatar?: string;
     role: string;
+    redirectParams?: RedirectParam[];
 }
 
 export default function ProfilePage() {
     const [form] = Form.useForm();
     const [passwordForm] = Form.useForm();
+    const [templateForm] = Form.useForm();
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [uploadingAvatar, setUploadingAvatar] = useState(false);
@@ -67,6 +75,9 @@ export default function ProfilePage() {
                     email: data.data.email || '',
                     phone: data.data.phone || ''
                 });
+                templateForm.setFieldsValue({
+                    redirectParams: data.data.redirectParams || []
+                });
             } else {
                 // Fallback to local user data
                 const currentUser = getCurrentUser();
@@ -96,7 +107,7 @@ export default function ProfilePage() {
         } finally {
             setLoading(false);
         }
-    }, [form]);
+    }, [form, templateForm]);
 
     useEffect(() => {
         fetchUserProfile();
@@ -152,6 +163,13 @@ export default function ProfilePage() {
                     avatar: avatarUrl
                 })
             });
+
+            if (!res.ok) {
+                // Lỗi theo field hiện dưới ô nhập (displayName, email, phone)
+                const error = await toApiError(res);
+                if (!showFieldErrors(form, error)) message.error(error.message || 'Cập nhật thất bại');
+                return;
+            }
             
             const data = await res.json();
             
@@ -176,6 +194,44 @@ export default function ProfilePage() {
         }
     };
 
+    const handleUpdateTemplate = async (values: { redirectParams?: RedirectParam[] }) => {
+        try {
+            setSaving(true);
+            const token = getToken();
+
+            const res = await fetch(getApiUrl('users/profile'), {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    redirectParams: values.redirectParams || []
+                })
+            });
+
+            if (!res.ok) {
+                const error = await toApiError(res);
+                if (!showFieldErrors(templateForm, error)) message.error(error.message || 'Lưu template thất bại');
+                return;
+            }
+
+            const data = await res.json();
+
+            if (data.success) {
+                message.success('Đã lưu template redirect!');
+                templateForm.setFieldsValue({ redirectParams: data.data.redirectParams || [] });
+            } else {
+                message.error(data.message || 'Lưu template thất bại');
+            }
+        } catch (error) {
+            console.error('Template error:', error);
+            message.error('Lỗi lưu template');
+        } finally {
+            setSaving(false);
+        }
+    };
+
     const handleChangePassword = async (values: any) => {
         try {
             setSaving(true);
@@ -192,6 +248,13 @@ export default function ProfilePage() {
                     newPassword: values.newPassword
                 })
             });
+
+            if (!res.ok) {
+                // VD: mật khẩu hiện tại sai → hiện dưới ô currentPassword
+                const error = await toApiError(res);
+                if (!showFieldErrors(passwordForm, error)) message.error(error.message || 'Đổi mật khẩu thất bại');
+                return;
+            }
             
             const data = await res.json();
             
@@ -291,7 +354,7 @@ export default function ProfilePage() {
                                 {userData?.displayName || userData?.username}
                             </Text>
                             <Text type="secondary">
-                                Role: {userData?.role === 'admin' ? 'Admin' : 'User'}
+                                Role: {userData?.role === 'admin' ? 'Admin' : userData?.role === 'user' ? 'User' : userData?.role}
                             </Text>
                         </Space>
                     </Card>
@@ -435,6 +498,45 @@ export default function ProfilePage() {
                             </Form.Item>
                         </Form>
                     </Card>
+
+                    <Card
+                        title={
+                            <Space>
+                                <LinkOutlined style={{ color: '#D31016' }} />
+                                <span>Template tham số redirect mặc định</span>
+                            </Space>
+                        }
+                        style={{ borderRadius: 12, border: '1px solid #f0f0f0', marginTop: 24 }}
+                    >
+                        <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
+                            Tự động gắn vào URL đích của mọi bài viết khi redirect qua /go/slug. Bài viết có thể ghi đè từng tham số.
+                        </Text>
+                        <Form
+                            form={templateForm}
+                            layout="vertical"
+                            onFinish={handleUpdateTemplate}
+                        >
+                            <RedirectParamsEditor />
+
+                            <Form.Item style={{ marginTop: 16, marginBottom: 0 }}>
+                                <Button
+                                    type="primary"
+                                    htmlType="submit"
+                                    loading={saving}
+                                    icon={<SaveOutlined />}
+                                    style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                                >
+                                    Lưu template
+                                </Button>
+                            </Form.Item>
+                        </Form>
+                    </Card>
+
+                    <TwoFactorCard />
+
+                    <SessionsCard />
+
+                    <ApiKeysCard />
                 </Col>
             </Row>
             </div>
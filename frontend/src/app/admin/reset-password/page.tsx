@@ -0,0 +1,173 @@
+'use client'
+
+import { Suspense, useEffect, useState } from 'react'
+import { useRouter, useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+import { Form, Input, Button, Card, Result, Spin, message, Typography } from 'antd'
+import { LockOutlined } from '@ant-design/icons'
+import { verifyPasswordToken, resetPassword } from '@/lib/adminApi'
+
+const { Title } = Typography
+
+interface TokenInfo {
+  purpose: 'password_reset' | 'invite'
+  username: string
+  fullName?: string
+}
+
+/**
+ * Đặt mật khẩu bằng link trong email: đặt lại mật khẩu hoặc kích hoạt tài khoản được mời
+ */
+function ResetPasswordForm() {
+  const router = useRouter()
+  const token = useSearchParams().get('token') || ''
+  const [tokenInfo, setTokenInfo] = useState<TokenInfo | null>(null)
+  const [tokenError, setTokenError] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!token) {
+      setTokenError('Link không hợp lệ')
+      return
+    }
+    verifyPasswordToken(token)
+      .then((result) => setTokenInfo((result as { data: TokenInfo }).data))
+      .catch((err) => setTokenError(err instanceof Error ? err.message : 'Link không hợp lệ'))
+  }, [token])
+
+  const handleSubmit = async (values: { password: string }) => {
+    try {
+      setLoading(true)
+      const result = await resetPassword(token, values.password) as { message?: string }
+      message.success(result.message || 'Đặt mật khẩu thành công')
+      router.push('/admin/login')
+    } catch (err) {
+      message.error(err instanceof Error ? err.message : 'Không thể đặt mật khẩu')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (tokenError) {
+    return (
+      <Result
+        status="warning"
+        title={tokenError}
+        extra={
+          <Link href="/admin/forgot-password" style={{ color: '#D31016' }}>
+            Yêu cầu link mới
+          </Link>
+        }
+      />
+    )
+  }
+
+  if (!tokenInfo) {
+    return (
+      <div style={{ textAlign: 'center', padding: 40 }}>
+        <Spin />
+      </div>
+    )
+  }
+
+  const isInvite = tokenInfo.purpose === 'invite'
+
+  return (
+    <>
+      <div style={{ textAlign: 'center', marginBottom: 24 }}>
+        <Title level={3} style={{ color: '#D31016', marginBottom: 8 }}>
+          {isInvite ? 'Kích hoạt tài khoản' : 'Đặt lại mật khẩu'}
+        </Title>
+        <p style={{ color: '#666', fontSize: 14 }}>
+          {isInvite ? 'Chào mừng' : 'Tài khoản'} <strong>{tokenInfo.fullName || tokenInfo.username}</strong> (@{tokenInfo.username})
+        </p>
+      </div>
+
+      <Form
+        name="reset-password"
+        onFinish={handleSubmit}
+        autoComplete="off"
+        size="large"
+      >
+        <Form.Item
+          name="password"
+          rules={[
+            { required: true, message: 'Vui lòng nhập mật khẩu mới!' },
+            { min: 6, message: 'Mật khẩu phải có ít nhất 6 ký tự!' }
+          ]}
+        >
+          <Input.Password
+            prefix={<LockOutlined />}
+            placeholder="Mật khẩu mới"
+            autoComplete="new-password"
+            autoFocus
+          />
+        </Form.Item>
+
+        <Form.Item
+          name="confirmPassword"
+          dependencies={['password']}
+          rules={[
+            { required: true, message: 'Vui lòng nhập lại mật khẩu!' },
+            ({ getFieldValue }) => ({
+              validator(_, value) {
+                if (!value || getFieldValue('password') === value) {
+                  return Promise.resolve()
+                }
+                return Promise.reject(new Error('Mật khẩu nhập lại không khớp!'))
+              }
+            })
+          ]}
+        >
+          <Input.Password
+            prefix={<LockOutlined />}
+            placeholder="Nhập lại mật khẩu"
+            autoComplete="new-password"
+          />
+        </Form.Item>
+
+        <Form.Item>
+          <Button
+            type="primary"
+            htmlType="submit"
+            loading={loading}
+            block
+            style={{
+              height: 45,
+              fontSize: 16,
+              fontWeight: 600,
+              background: '#D31016',
+              borderColor: '#D31016'
+            }}
+          >
+            {isInvite ? 'Kích hoạt' : 'Đặt mật khẩu'}
+          </Button>
+        </Form.Item>
+      </Form>
+    </>
+  )
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      minHeight: '100vh',
+      background: '#ffffff'
+    }}>
+      <Card
+        style={{
+          width: 400,
+          boxShadow: '0 10px 40px rgba(0,0,0,0.2)'
+        }}
+      >
+        {/* useSearchParams cần Suspense boundary */}
+        <Suspense fallback={<div style={{ textAlign: 'center', padding: 40 }}><Spin /></div>}>
+          <ResetPasswordForm />
+        </Suspense>
+      </Card>
+    </div>
+  )
+}
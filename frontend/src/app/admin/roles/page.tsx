@@ -0,0 +1,352 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Table,
+    Button,
+    Modal,
+    Form,
+    Input,
+    Checkbox,
+    Space,
+    message,
+    Popconfirm,
+    Card,
+    Tag,
+    Tooltip,
+    Typography
+} from 'antd';
+import {
+    EditOutlined,
+    DeleteOutlined,
+    PlusOutlined,
+    ReloadOutlined,
+    SafetyOutlined,
+    LockOutlined
+} from '@ant-design/icons';
+import { getRoles, createRole, updateRole, deleteRole } from '@/lib/adminApi';
+import { hasPermission, type Permission } from '@/lib/authService';
+
+const { Title, Text } = Typography;
+
+interface Role {
+    _id: string;
+    name: string;
+    label: string;
+    description: string;
+    permissions: Permission[];
+    isSystem: boolean;
+    userCount: number;
+}
+
+interface PermissionInfo {
+    key: Permission;
+    description: string;
+}
+
+export default function RolesPage() {
+    const [roles, setRoles] = useState<Role[]>([]);
+    const [permissions, setPermissions] = useState<PermissionInfo[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [editingRole, setEditingRole] = useState<Role | null>(null);
+    const [form] = Form.useForm();
+
+    const fetchRoles = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await getRoles() as { data: { roles: Role[]; permissions: PermissionInfo[] } };
+            setRoles(response.data.roles || []);
+            setPermissions(response.data.permissions || []);
+        } catch (error: any) {
+            message.error('Lỗi khi tải vai trò: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRoles();
+    }, [fetchRoles]);
+
+    const handleAdd = () => {
+        setEditingRole(null);
+        form.resetFields();
+        form.setFieldsValue({ permissions: [] });
+        setModalVisible(true);
+    };
+
+    const handleEdit = (record: Role) => {
+        setEditingRole(record);
+        form.setFieldsValue({
+            name: record.name,
+            label: record.label,
+            description: record.description,
+            permissions: record.permissions
+        });
+        setModalVisible(true);
+    };
+
+    const handleCancel = () => {
+        setModalVisible(false);
+        form.resetFields();
+        setEditingRole(null);
+    };
+
+    const handleSubmit = async (values: any) => {
+        try {
+            setLoading(true);
+
+            if (editingRole) {
+                await updateRole(editingRole._id, {
+                    label: values.label,
+                    description: values.description,
+                    // Vai trò admin luôn đủ quyền, không gửi danh sách quyền
+                    ...(editingRole.name !== 'admin' && { permissions: values.permissions })
+                });
+                message.success('Cập nhật vai trò thành công');
+            } else {
+                await createRole(values);
+                message.success('Tạo vai trò thành công');
+            }
+
+            setModalVisible(false);
+            form.resetFields();
+            setEditingRole(null);
+            fetchRoles();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDelete = async (id: string) => {
+        try {
+            setLoading(true);
+            await deleteRole(id);
+            message.success('Xóa vai trò thành công');
+            fetchRoles();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Vai trò',
+            dataIndex: 'label',
+            width: 200,
+            render: (label: string, record: Role) => (
+                <Space direction="vertical" size={0}>
+                    <Space size={4}>
+                        <Text strong>{label}</Text>
+                        {record.isSystem && (
+                            <Tooltip title="Vai trò hệ thống, không xóa được">
+                                <LockOutlined style={{ color: '#999' }} />
+                            </Tooltip>
+                        )}
+                    </Space>
+                    <Text type="secondary" style={{ fontSize: 12 }}>{record.name}</Text>
+                </Space>
+            )
+        },
+        {
+            title: 'Quyền',
+            dataIndex: 'permissions',
+            render: (rolePermissions: Permission[]) => (
+                <Space size={[4, 4]} wrap>
+                    {rolePermissions.length === 0 && <Text type="secondary">Không có quyền</Text>}
+                    {rolePermissions.map(permission => (
+                        <Tooltip key={permission} title={permissions.find(p => p.key === permission)?.description}>
+                            <Tag color="blue">{permission}</Tag>
+                        </Tooltip>
+                    ))}
+                </Space>
+            )
+        },
+        {
+            title: 'Số user',
+            dataIndex: 'userCount',
+            width: 90,
+            align: 'center' as const
+        },
+        {
+            title: 'Hành động',
+            key: 'action',
+            width: 120,
+            render: (_: any, record: Role) => (
+                <Space>
+                    <Button
+                        type="text"
+                        icon={<EditOutlined />}
+                        onClick={() => handleEdit(record)}
+                    />
+                    {!record.isSystem && (
+                        <Popconfirm
+                            title="Bạn có chắc muốn xóa vai trò này?"
+                            description={record.userCount > 0
+                                ? `Cần chuyển ${record.userCount} user sang vai trò khác trước`
+                                : undefined}
+                            onConfirm={() => handleDelete(record._id)}
+                            okText="Xóa"
+                            cancelText="Hủy"
+                            okButtonProps={{ danger: true }}
+                        >
+                            <Button
+                                type="text"
+                                danger
+                                icon={<DeleteOutlined />}
+                            />
+                        </Popconfirm>
+                    )}
+                </Space>
+            )
+        }
+    ];
+
+    return (
+        <>
+            {/* Header */}
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                marginBottom: 24,
+                flexWrap: 'wrap',
+                gap: 16
+            }}>
+                <div>
+                    <Title level={2} style={{
+                        margin: 0,
+                        marginBottom: 8,
+                        color: '#D31016',
+                        fontSize: 24,
+                        fontWeight: 600,
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 8,
+                        lineHeight: 1.3
+                    }}>
+                        <SafetyOutlined />
+                        Vai trò & quyền
+                    </Title>
+                    <Text type="secondary" style={{ fontSize: 14 }}>
+                        Tạo vai trò tùy chỉnh (VD: biên tập viên, phân tích) từ các quyền chi tiết
+                    </Text>
+                </div>
+
+                <Space wrap>
+                    <Button
+                        icon={<ReloadOutlined />}
+                        onClick={fetchRoles}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Làm mới
+                    </Button>
+                    <Button
+                        type="primary"
+                        icon={<PlusOutlined />}
+                        onClick={handleAdd}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Thêm Vai trò
+                    </Button>
+                </Space>
+            </div>
+
+            {/* Table */}
+            <Card>
+                <Table
+                    columns={columns}
+                    dataSource={roles}
+                    rowKey="_id"
+                    loading={loading}
+                    pagination={false}
+                />
+            </Card>
+
+            {/* Add/Edit Modal */}
+            <Modal
+                title={editingRole ? `Chỉnh sửa vai trò: ${editingRole.label}` : 'Thêm Vai trò Mới'}
+                open={modalVisible}
+                onCancel={handleCancel}
+                footer={null}
+                width={560}
+                destroyOnClose
+            >
+                <Form
+                    form={form}
+                    layout="vertical"
+                    onFinish={handleSubmit}
+                >
+                    <Form.Item
+                        name="name"
+                        label="Mã vai trò"
+                        extra="Lưu trong tài khoản user, không đổi được sau khi tạo"
+                        rules={[
+                            { required: true, message: 'Vui lòng nhập mã vai trò' },
+                            { pattern: /^[a-z0-9][a-z0-9_-]*$/, message: 'Chỉ chữ thường, số, "-" và "_"' }
+                        ]}
+                    >
+                        <Input placeholder="editor" disabled={Boolean(editingRole)} />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="label"
+                        label="Tên hiển thị"
+                        rules={[{ required: true, message: 'Vui lòng nhập tên hiển thị' }]}
+                    >
+                        <Input placeholder="VD: Biên tập viên" />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="description"
+                        label="Mô tả"
+                    >
+                        <Input.TextArea placeholder="Vai trò này dùng cho ai..." rows={2} />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="permissions"
+                        label="Quyền"
+                        extra={editingRole?.name === 'admin'
+                            ? 'Vai trò admin luôn có đủ mọi quyền'
+                            : 'Chỉ cấp được quyền mà bạn đang có'}
+                    >
+                        <Checkbox.Group style={{ width: '100%' }}>
+                            <Space direction="vertical" style={{ width: '100%' }}>
+                                {permissions.map(permission => (
+                                    <Checkbox
+                                        key={permission.key}
+                                        value={permission.key}
+                                        disabled={editingRole?.name === 'admin' || !hasPermission(permission.key)}
+                                    >
+                                        <Text code>{permission.key}</Text>
+                                        <Text type="secondary" style={{ fontSize: 13 }}>{permission.description}</Text>
+                                    </Checkbox>
+                                ))}
+                            </Space>
+                        </Checkbox.Group>
+                    </Form.Item>
+
+                    <Form.Item style={{ marginBottom: 0, textAlign: 'right', marginTop: 16 }}>
+                        <Space>
+                            <Button onClick={handleCancel}>Hủy</Button>
+                            <Button
+                                type="primary"
+                                htmlType="submit"
+                                loading={loading}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                {editingRole ? 'Cập nhật' : 'Tạo mới'}
+                            </Button>
+                        </Space>
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </>
+    );
+}
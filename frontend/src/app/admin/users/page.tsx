@@ -34,71 +34,38 @@ import {
     PhoneOutlined,
     TeamOutlined,
     CheckCircleOutlined,
-    StopOutlined
+    StopOutlined,
+    SafetyCertificateOutlined,
+    UnlockOutlined,
+    SendOutlined
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 import 'dayjs/locale/vi';
-import { getToken, getCurrentUser } from '@/lib/authService';
-import { getApiUrl } from '@/lib/adminApi';
+import type { TablePaginationConfig } from 'antd/es/table';
+import type { SorterResult } from 'antd/es/table/interface';
+import { getCurrentUser } from '@/lib/authService';
+import {
+    getUsers,
+    createUser,
+    updateUser,
+    deactivateUser,
+    setUsersActive,
+    type UserListQuery,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    resetUserTwoFactor,
+    unlockUserLogin,
+    resendUserInvite,
+    getRoles
+} from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
 
 dayjs.extend(relativeTime);
 dayjs.locale('vi');
 
 const { Title, Text } = Typography;
 
-const userApi = {
-    getAll: async () => {
-        const token = getToken();
-        const res = await fetch(getApiUrl('auth/users'), {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-        if (!res.ok) throw new Error('Failed to fetch users');
-        return res.json();
-    },
-    create: async (data: any) => {
-        const token = getToken();
-        const res = await fetch(getApiUrl('auth/users'), {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify(data)
-        });
-        if (!res.ok) {
-            const error = await res.json();
-            throw new Error(error.message || 'Failed to create user');
-        }
-        return res.json();
-    },
-    update: async (id: string, data: any) => {
-        const token = getToken();
-        const res = await fetch(getApiUrl(`auth/users/${id}`), {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify(data)
-        });
-        if (!res.ok) {
-            const error = await res.json();
-            throw new Error(error.message || 'Failed to update user');
-        }
-        return res.json();
-    },
-    delete: async (id: string) => {
-        const token = getToken();
-        const res = await fetch(getApiUrl(`auth/users/${id}`), {
-            method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-        if (!res.ok) throw new Error('Failed to delete user');
-        return res.json();
-    }
-};
-
 interface User {
     _id: string;
     username: string;
@@ -107,6 +74,21 @@ interface User {
     phone?: string;
     role: string;
     isActive: boolean;
+    twoFactor?: {
+        enabled?: boolean;
+        enabledAt?: string;
+    };
+    // Lời mời: chưa acceptedAt = chờ kích hoạt
+    invitation?: {
+        invitedAt?: string;
+        acceptedAt?: string;
+    };
+    // Khóa tạm do đăng nhập sai nhiều lần
+    loginLock?: {
+        failures: number;
+        locked: boolean;
+        lockedUntil: string | null;
+    };
     stats?: {
         linksCreated?: number;
         campaignsCreated?: number;
@@ -116,40 +98,179 @@ interface User {
     [key: string]: any;
 }
 
+// Vai trò (quản lý ở /admin/roles)
+interface RoleOption {
+    name: string;
+    label: string;
+}
+
+// Tổng số theo trạng thái (toàn hệ thống, không phụ thuộc bộ lọc)
+interface UserSummary {
+    total: number;
+    admins: number;
+    active: number;
+    inactive: number;
+    invited: number;
+}
+
+interface UserListResponse {
+    data: User[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+    summary: UserSummary;
+}
+
+const PAGE_SIZE = 20;
+
+const STATUS_OPTIONS = [
+    { value: 'active', label: 'Hoạt động' },
+    { value: 'inactive', label: 'Vô hiệu' },
+    { value: 'invited', label: 'Chờ kích hoạt' }
+];
+
+// Cột sắp xếp được ở server
+const SORTABLE_COLUMNS: Record<string, string> = {
+    user: 'username',
+    lastLogin: 'lastLogin'
+};
+
+const isPendingInvite = (user: User) => Boolean(user.invitation?.invitedAt && !user.invitation?.acceptedAt);
+
 export default function UsersPage() {
     const [users, setUsers] = useState<User[]>([]);
+    const [summary, setSummary] = useState<UserSummary>({ total: 0, admins: 0, active: 0, inactive: 0, invited: 0 });
+    const [query, setQuery] = useState<UserListQuery>({ page: 1, limit: PAGE_SIZE, sort: '-createdAt' });
+    const [total, setTotal] = useState(0);
+    const [selectedIds, setSelectedIds] = useState<React.Key[]>([]);
+    const [bulkLoading, setBulkLoading] = useState(false);
     const [loading, setLoading] = useState(true);
     const [modalVisible, setModalVisible] = useState(false);
     const [detailsModalVisible, setDetailsModalVisible] = useState(false);
     const [editingUser, setEditingUser] = useState<User | null>(null);
     const [selectedUser, setSelectedUser] = useState<User | null>(null);
+    const [requireAdminTwoFactor, setRequireAdminTwoFactor] = useState(false);
+    const [policySaving, setPolicySaving] = useState(false);
+    const [roles, setRoles] = useState<RoleOption[]>([]);
     const [form] = Form.useForm();
+    const inviteByEmail = Form.useWatch('invite', form);
     const currentUser = getCurrentUser();
 
     const fetchUsers = useCallback(async () => {
         try {
             setLoading(true);
-            const response = await userApi.getAll();
-            const data = response.data || response;
-            setUsers(data.users || []);
-        } catch (error) {
-            message.error('Không thể tải danh sách người dùng');
-            console.error(error);
+            const response = await getUsers(query) as UserListResponse;
+            setUsers(response.data || []);
+            setTotal(response.pagination?.total || 0);
+            if (response.summary) setSummary(response.summary);
+        } catch (error: any) {
+            message.error('Không thể tải danh sách người dùng: ' + error.message);
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [query]);
+
+    // Đổi bộ lọc → về trang 1, bỏ chọn
+    const updateQuery = (changes: Partial<UserListQuery>) => {
+        setSelectedIds([]);
+        setQuery(prev => ({ ...prev, ...changes, page: 1 }));
+    };
+
+    const handleTableChange = (
+        pagination: TablePaginationConfig,
+        _filters: unknown,
+        sorter: SorterResult<User> | SorterResult<User>[]
+    ) => {
+        const activeSorter = Array.isArray(sorter) ? sorter[0] : sorter;
+        const field = activeSorter?.order ? SORTABLE_COLUMNS[String(activeSorter.columnKey)] : undefined;
+        setQuery(prev => ({
+            ...prev,
+            page: pagination.current || 1,
+            sort: field ? `${activeSorter.order === 'descend' ? '-' : ''}${field}` : '-createdAt'
+        }));
+    };
+
+    const handleBulkStatus = async (isActive: boolean) => {
+        try {
+            setBulkLoading(true);
+            const result = await setUsersActive(selectedIds.map(String), isActive) as { message?: string };
+            message.success(result.message || 'Đã cập nhật trạng thái');
+            setSelectedIds([]);
+            fetchUsers();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể cập nhật trạng thái');
+        } finally {
+            setBulkLoading(false);
+        }
+    };
 
     useEffect(() => {
         fetchUsers();
     }, [fetchUsers]);
 
+    useEffect(() => {
+        getRoles()
+            .then((result: any) => setRoles(result.data?.roles || []))
+            .catch(() => {});
+    }, []);
+
+    // Tên hiển thị của vai trò (vai trò đã xóa / chưa tải → hiện mã)
+    const roleLabel = (name: string) => roles.find(role => role.name === name)?.label || name;
+
+    useEffect(() => {
+        getTwoFactorPolicy()
+            .then((result: any) => setRequireAdminTwoFactor(Boolean(result.data?.requireForAdmins)))
+            .catch(() => {});
+    }, []);
+
+    const handleTogglePolicy = async (checked: boolean) => {
+        try {
+            setPolicySaving(true);
+            const result = await updateTwoFactorPolicy(checked) as { message?: string };
+            setRequireAdminTwoFactor(checked);
+            message.success(result.message || 'Đã cập nhật chính sách 2FA');
+        } catch (error: any) {
+            message.error(error.message || 'Không thể cập nhật chính sách 2FA');
+        } finally {
+            setPolicySaving(false);
+        }
+    };
+
+    const handleResendInvite = async (user: User) => {
+        try {
+            const result = await resendUserInvite(user._id) as { message?: string };
+            message.success(result.message || 'Đã gửi lại lời mời');
+            fetchUsers();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể gửi lại lời mời');
+        }
+    };
+
+    const handleUnlock = async (user: User) => {
+        try {
+            const result = await unlockUserLogin(user._id) as { message?: string };
+            message.success(result.message || 'Đã mở khóa đăng nhập');
+            fetchUsers();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể mở khóa');
+        }
+    };
+
+    const handleResetTwoFactor = async (user: User) => {
+        try {
+            const result = await resetUserTwoFactor(user._id) as { message?: string };
+            message.success(result.message || 'Đã reset xác thực 2 lớp');
+            fetchUsers();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể reset xác thực 2 lớp');
+        }
+    };
+
     const handleAdd = () => {
         setEditingUser(null);
         form.resetFields();
         form.setFieldsValue({
             role: 'user',
-            isActive: true
+            isActive: true,
+            invite: true
         });
         setModalVisible(true);
     };
@@ -181,10 +302,19 @@ export default function UsersPage() {
             }
 
             if (editingUser) {
-                await userApi.update(editingUser._id, values);
+                await updateUser(editingUser._id, values);
                 message.success('Cập nhật người dùng thành công!');
+            } else if (values.invite) {
+                // Lời mời: user tự đặt mật khẩu qua link trong email
+                delete values.password;
+                const result = await createUser(values) as { message?: string; data?: { inviteSent?: boolean } };
+                if (result.data?.inviteSent === false) {
+                    message.warning(result.message);
+                } else {
+                    message.success(result.message || 'Đã gửi lời mời!');
+                }
             } else {
-                await userApi.create(values);
+                await createUser(values);
                 message.success('Tạo người dùng mới thành công!');
             }
 
@@ -193,31 +323,29 @@ export default function UsersPage() {
             setEditingUser(null);
             fetchUsers();
         } catch (error: any) {
+            // Lỗi validate trên form (errorFields) hoặc lỗi dữ liệu từ API → hiện dưới ô nhập
+            if (error.errorFields || showFieldErrors(form, error)) return;
             message.error(error.message || 'Có lỗi xảy ra');
         }
     };
 
     const handleDelete = async (id: string) => {
         try {
-            await userApi.delete(id);
-            message.success('Xóa người dùng thành công!');
+            await deactivateUser(id);
+            message.success('Đã vô hiệu hóa người dùng');
             fetchUsers();
-        } catch (error) {
-            message.error('Không thể xóa người dùng');
+        } catch (error: any) {
+            message.error(error.message || 'Không thể vô hiệu hóa người dùng');
         }
     };
 
-    const stats = {
-        total: users.length,
-        admins: users.filter(u => u.role === 'admin').length,
-        active: users.filter(u => u.isActive).length,
-        inactive: users.filter(u => !u.isActive).length
-    };
+    const stats = summary;
 
     const columns = [
         {
             title: 'Người dùng',
             key: 'user',
+            sorter: true,
             render: (_: any, record: User) => (
                 <div
                     style={{ display: 'flex', alignItems: 'center', gap: 12, cursor: 'pointer' }}
@@ -233,8 +361,19 @@ export default function UsersPage() {
                     <div>
                         <Space>
                             <Text strong>{record.fullName || record.username}</Text>
-                            {record.role === 'admin' && (
+                            {record.role === 'admin' ? (
                                 <Tag color="orange" icon={<CrownOutlined />}>Admin</Tag>
+                            ) : record.role !== 'user' && (
+                                <Tag color="blue">{roleLabel(record.role)}</Tag>
+                            )}
+                            {record.twoFactor?.enabled ? (
+                                <Tooltip title="Đã bật xác thực 2 lớp">
+                                    <Tag color="green" icon={<SafetyCertificateOutlined />}>2FA</Tag>
+                                </Tooltip>
+                            ) : record.role === 'admin' && requireAdminTwoFactor && (
+                                <Tooltip title="Phải đăng ký 2FA ở lần đăng nhập tới">
+                                    <Tag color="red">Chưa bật 2FA</Tag>
+                                </Tooltip>
                             )}
                         </Space>
                         <br />
@@ -272,14 +411,28 @@ export default function UsersPage() {
             title: 'Trạng thái',
             dataIndex: 'isActive',
             key: 'isActive',
-            width: 120,
-            render: (isActive: boolean) => (
-                <Tag
-                    color={isActive ? 'success' : 'default'}
-                    icon={isActive ? <CheckCircleOutlined /> : <StopOutlined />}
-                >
-                    {isActive ? 'Hoạt động' : 'Vô hiệu'}
-                </Tag>
+            width: 140,
+            render: (isActive: boolean, record: User) => (
+                <Space direction="vertical" size={4}>
+                    <Tag
+                        color={isActive ? 'success' : 'default'}
+                        icon={isActive ? <CheckCircleOutlined /> : <StopOutlined />}
+                    >
+                        {isActive ? 'Hoạt động' : 'Vô hiệu'}
+                    </Tag>
+                    {isPendingInvite(record) && (
+                        <Tooltip title={`Mời lúc ${dayjs(record.invitation?.invitedAt).format('HH:mm DD/MM/YYYY')}`}>
+                            <Tag color="gold" icon={<MailOutlined />}>Chờ kích hoạt</Tag>
+                        </Tooltip>
+                    )}
+                    {record.loginLock?.locked && (
+                        <Tooltip title={`${record.loginLock.failures} lần đăng nhập sai`}>
+                            <Tag color="red" icon={<LockOutlined />}>
+                                Khóa đến {dayjs(record.loginLock.lockedUntil).format('HH:mm')}
+                            </Tag>
+                        </Tooltip>
+                    )}
+                </Space>
             )
         },
         {
@@ -318,10 +471,24 @@ export default function UsersPage() {
                 );
             }
         },
+        {
+            title: 'Đăng nhập gần nhất',
+            dataIndex: 'lastLogin',
+            key: 'lastLogin',
+            width: 150,
+            sorter: true,
+            render: (lastLogin?: string) => lastLogin ? (
+                <Tooltip title={dayjs(lastLogin).format('HH:mm DD/MM/YYYY')}>
+                    <Text style={{ fontSize: 13 }}>{dayjs(lastLogin).fromNow()}</Text>
+                </Tooltip>
+            ) : (
+                <Text type="secondary" style={{ fontSize: 13 }}>Chưa đăng nhập</Text>
+            )
+        },
         {
             title: 'Hành động',
             key: 'actions',
-            width: 120,
+            width: 180,
             render: (_: any, record: User) => (
                 <Space>
                     <Tooltip title="Chỉnh sửa">
@@ -331,13 +498,46 @@ export default function UsersPage() {
                             onClick={() => handleEdit(record)}
                         />
                     </Tooltip>
-                    {record._id !== currentUser?._id && (
+                    {isPendingInvite(record) && record.email && (
                         <Popconfirm
-                            title="Xóa người dùng này?"
-                            description="Dữ liệu liên quan sẽ bị ảnh hưởng"
+                            title="Gửi lại lời mời?"
+                            description="Link mời trước đó sẽ hết hiệu lực"
+                            onConfirm={() => handleResendInvite(record)}
+                        >
+                            <Tooltip title="Gửi lại lời mời">
+                                <Button size="small" icon={<SendOutlined />} />
+                            </Tooltip>
+                        </Popconfirm>
+                    )}
+                    {(record.loginLock?.locked || (record.loginLock?.failures || 0) > 0) && (
+                        <Popconfirm
+                            title="Mở khóa đăng nhập?"
+                            description="Xóa bộ đếm đăng nhập sai của tài khoản này"
+                            onConfirm={() => handleUnlock(record)}
+                        >
+                            <Tooltip title="Mở khóa đăng nhập">
+                                <Button size="small" icon={<UnlockOutlined />} />
+                            </Tooltip>
+                        </Popconfirm>
+                    )}
+                    {record.twoFactor?.enabled && record._id !== currentUser?._id && (
+                        <Popconfirm
+                            title="Reset xác thực 2 lớp?"
+                            description="User bị đăng xuất và phải đăng ký lại 2FA (nếu bắt buộc)"
+                            onConfirm={() => handleResetTwoFactor(record)}
+                        >
+                            <Tooltip title="Reset 2FA">
+                                <Button size="small" icon={<SafetyCertificateOutlined />} />
+                            </Tooltip>
+                        </Popconfirm>
+                    )}
+                    {record._id !== currentUser?._id && record.isActive && (
+                        <Popconfirm
+                            title="Vô hiệu hóa người dùng này?"
+                            description="User bị đăng xuất khỏi mọi thiết bị, dữ liệu được giữ lại"
                             onConfirm={() => handleDelete(record._id)}
                         >
-                            <Tooltip title="Xóa">
+                            <Tooltip title="Vô hiệu hóa">
                                 <Button size="small" danger icon={<DeleteOutlined />} />
                             </Tooltip>
                         </Popconfirm>
@@ -379,6 +579,18 @@ export default function UsersPage() {
                 </div>
 
                 <Space wrap>
+                    <Tooltip title="Mọi tài khoản admin phải bật xác thực 2 lớp khi đăng nhập">
+                        <Space size={8} style={{ height: 40, padding: '0 12px', border: '1px solid #f0f0f0', borderRadius: 8 }}>
+                            <SafetyCertificateOutlined style={{ color: '#D31016' }} />
+                            <Text>Bắt buộc 2FA cho admin</Text>
+                            <Switch
+                                size="small"
+                                checked={requireAdminTwoFactor}
+                                loading={policySaving}
+                                onChange={handleTogglePolicy}
+                            />
+                        </Space>
+                    </Tooltip>
                     <Button
                         icon={<ReloadOutlined />}
                         onClick={fetchUsers}
@@ -440,15 +652,73 @@ export default function UsersPage() {
 
             {/* Table */}
             <Card style={{ borderRadius: 12, border: '1px solid #f0f0f0' }}>
-                {users.length > 0 ? (
+                {/* Bộ lọc + thao tác hàng loạt */}
+                <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: 12, marginBottom: 16 }}>
+                    <Space wrap>
+                        <Input.Search
+                            allowClear
+                            placeholder="Tìm username, họ tên, email"
+                            style={{ width: 260 }}
+                            onSearch={(search) => updateQuery({ search })}
+                        />
+                        <Select
+                            allowClear
+                            placeholder="Vai trò"
+                            style={{ width: 160 }}
+                            value={query.role}
+                            onChange={(role) => updateQuery({ role })}
+                            options={roles.map(role => ({ value: role.name, label: role.label }))}
+                        />
+                        <Select
+                            allowClear
+                            placeholder="Trạng thái"
+                            style={{ width: 160 }}
+                            value={query.status}
+                            onChange={(status) => updateQuery({ status })}
+                            options={STATUS_OPTIONS}
+                        />
+                    </Space>
+                    {selectedIds.length > 0 && (
+                        <Space wrap>
+                            <Text type="secondary">Đã chọn {selectedIds.length}</Text>
+                            <Button
+                                icon={<CheckCircleOutlined />}
+                                loading={bulkLoading}
+                                onClick={() => handleBulkStatus(true)}
+                            >
+                                Kích hoạt
+                            </Button>
+                            <Popconfirm
+                                title={`Vô hiệu hóa ${selectedIds.length} người dùng?`}
+                                description="Các user này bị đăng xuất khỏi mọi thiết bị"
+                                onConfirm={() => handleBulkStatus(false)}
+                            >
+                                <Button danger icon={<StopOutlined />} loading={bulkLoading}>
+                                    Vô hiệu hóa
+                                </Button>
+                            </Popconfirm>
+                        </Space>
+                    )}
+                </div>
+
+                {summary.total > 0 ? (
                     <Table
                         columns={columns}
                         dataSource={users}
                         rowKey="_id"
                         loading={loading}
+                        onChange={handleTableChange}
+                        rowSelection={{
+                            selectedRowKeys: selectedIds,
+                            onChange: setSelectedIds,
+                            getCheckboxProps: (record: User) => ({ disabled: record._id === currentUser?._id })
+                        }}
                         pagination={{
-                            pageSize: 10,
-                            showTotal: (total) => `Tổng ${total} người dùng`
+                            current: query.page,
+                            pageSize: PAGE_SIZE,
+                            total,
+                            showSizeChanger: false,
+                            showTotal: (count) => `Tổng ${count} người dùng`
                         }}
                     />
                 ) : loading ? (
@@ -529,7 +799,10 @@ export default function UsersPage() {
                             <Form.Item
                                 name="email"
                                 label="Email"
-                                rules={[{ type: 'email', message: 'Email không hợp lệ' }]}
+                                rules={[
+                                    { type: 'email', message: 'Email không hợp lệ' },
+                                    { required: !editingUser && inviteByEmail, message: 'Cần email để gửi lời mời' }
+                                ]}
                             >
                                 <Input
                                     prefix={<MailOutlined />}
@@ -552,19 +825,33 @@ export default function UsersPage() {
 
                     <Divider />
 
+                    {!editingUser && (
+                        <Form.Item
+                            name="invite"
+                            valuePropName="checked"
+                            extra={inviteByEmail
+                                ? 'User nhận link qua email để tự đặt mật khẩu và kích hoạt tài khoản'
+                                : 'Admin đặt mật khẩu và tự gửi cho user'}
+                        >
+                            <Switch checkedChildren="Gửi lời mời qua email" unCheckedChildren="Đặt mật khẩu thủ công" />
+                        </Form.Item>
+                    )}
+
                     <Row gutter={16}>
                         <Col span={12}>
-                            <Form.Item
-                                name="password"
-                                label="Mật khẩu"
-                                rules={[{ required: !editingUser, message: 'Nhập mật khẩu' }]}
-                                extra={editingUser ? "Để trống nếu không thay đổi" : undefined}
-                            >
-                                <Input.Password
-                                    prefix={<LockOutlined />}
-                                    placeholder="******"
-                                />
-                            </Form.Item>
+                            {(editingUser || !inviteByEmail) && (
+                                <Form.Item
+                                    name="password"
+                                    label="Mật khẩu"
+                                    rules={[{ required: !editingUser, message: 'Nhập mật khẩu' }]}
+                                    extra={editingUser ? "Để trống nếu không thay đổi" : undefined}
+                                >
+                                    <Input.Password
+                                        prefix={<LockOutlined />}
+                                        placeholder="******"
+                                    />
+                                </Form.Item>
+                            )}
                         </Col>
                         <Col span={12}>
                             <Form.Item
@@ -572,10 +859,9 @@ export default function UsersPage() {
                                 label="Vai trò"
                                 rules={[{ required: true }]}
                             >
-                                <Select>
-                                    <Select.Option value="user">Người dùng</Select.Option>
-                                    <Select.Option value="admin">Admin</Select.Option>
-                                </Select>
+                                <Select
+                                    options={roles.map(role => ({ value: role.name, label: role.label }))}
+                                />
                             </Form.Item>
                         </Col>
                     </Row>
@@ -619,7 +905,7 @@ export default function UsersPage() {
                                 <Text type="secondary">Vai trò</Text>
                                 <div>
                                     <Tag color={selectedUser.role === 'admin' ? 'orange' : 'blue'}>
-                                        {selectedUser.role === 'admin' ? 'Admin' : 'User'}
+                                        {roleLabel(selectedUser.role)}
                                     </Tag>
                                 </div>
                             </Col>
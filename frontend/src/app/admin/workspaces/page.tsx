@@ -0,0 +1,531 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Table,
+    Button,
+    Modal,
+    Form,
+    Input,
+    Select,
+    Space,
+    message,
+    Popconfirm,
+    Card,
+    Tag,
+    Typography
+} from 'antd';
+import {
+    EditOutlined,
+    DeleteOutlined,
+    PlusOutlined,
+    ReloadOutlined,
+    TeamOutlined,
+    UserAddOutlined,
+    LogoutOutlined
+} from '@ant-design/icons';
+import {
+    getWorkspaces,
+    getWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addWorkspaceMember,
+    updateWorkspaceMember,
+    removeWorkspaceMember,
+    type WorkspaceRole
+} from '@/lib/adminApi';
+import { getCurrentUser, getActiveWorkspaceId, setActiveWorkspaceId } from '@/lib/authService';
+import { WORKSPACE_ROLE_LABELS, type WorkspaceSummary } from '@/components/WorkspaceSwitcher';
+
+const { Title, Text } = Typography;
+
+interface WorkspaceMember {
+    userId: string;
+    username: string;
+    fullName?: string;
+    email?: string;
+    isActive: boolean;
+    role: WorkspaceRole;
+    addedAt: string;
+}
+
+interface WorkspaceDetail extends WorkspaceSummary {
+    members: WorkspaceMember[];
+}
+
+const ROLE_OPTIONS = (Object.keys(WORKSPACE_ROLE_LABELS) as WorkspaceRole[]).map(role => ({
+    value: role,
+    label: WORKSPACE_ROLE_LABELS[role]
+}));
+
+const ROLE_COLORS: Record<WorkspaceRole, string> = {
+    owner: 'red',
+    editor: 'blue',
+    viewer: 'default'
+};
+
+export default function WorkspacesPage() {
+    const [workspaces, setWorkspaces] = useState<WorkspaceSummary[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [editingWorkspace, setEditingWorkspace] = useState<WorkspaceSummary | null>(null);
+    const [membersWorkspace, setMembersWorkspace] = useState<WorkspaceDetail | null>(null);
+    const [membersLoading, setMembersLoading] = useState(false);
+    const [form] = Form.useForm();
+    const [memberForm] = Form.useForm();
+    const currentUserId = getCurrentUser()?._id;
+
+    const fetchWorkspaces = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await getWorkspaces() as { data: WorkspaceSummary[] };
+            setWorkspaces(response.data || []);
+        } catch (error: any) {
+            message.error('Lỗi khi tải workspace: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchWorkspaces();
+    }, [fetchWorkspaces]);
+
+    const fetchMembers = async (id: string) => {
+        try {
+            setMembersLoading(true);
+            const response = await getWorkspace(id) as { data: WorkspaceDetail };
+            setMembersWorkspace(response.data);
+        } catch (error: any) {
+            message.error('Lỗi khi tải thành viên: ' + error.message);
+        } finally {
+            setMembersLoading(false);
+        }
+    };
+
+    const handleAdd = () => {
+        setEditingWorkspace(null);
+        form.resetFields();
+        setModalVisible(true);
+    };
+
+    const handleEdit = (record: WorkspaceSummary) => {
+        setEditingWorkspace(record);
+        form.setFieldsValue({
+            name: record.name,
+            description: record.description
+        });
+        setModalVisible(true);
+    };
+
+    const handleCancel = () => {
+        setModalVisible(false);
+        form.resetFields();
+        setEditingWorkspace(null);
+    };
+
+    const handleSubmit = async (values: { name: string; description?: string }) => {
+        try {
+            setLoading(true);
+
+            if (editingWorkspace) {
+                await updateWorkspace(editingWorkspace._id, values);
+                message.success('Cập nhật workspace thành công');
+            } else {
+                await createWorkspace(values);
+                message.success('Tạo workspace thành công');
+            }
+
+            setModalVisible(false);
+            form.resetFields();
+            setEditingWorkspace(null);
+            fetchWorkspaces();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDelete = async (id: string) => {
+        try {
+            setLoading(true);
+            await deleteWorkspace(id);
+            message.success('Xóa workspace thành công');
+
+            // Đang dùng workspace vừa xóa → về workspace cá nhân
+            if (getActiveWorkspaceId() === id) {
+                setActiveWorkspaceId(null);
+                window.location.reload();
+                return;
+            }
+            fetchWorkspaces();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleLeave = async (id: string) => {
+        try {
+            setLoading(true);
+            await removeWorkspaceMember(id, currentUserId);
+            message.success('Đã rời workspace');
+
+            if (getActiveWorkspaceId() === id) {
+                setActiveWorkspaceId(null);
+                window.location.reload();
+                return;
+            }
+            fetchWorkspaces();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAddMember = async (values: { username: string; role: WorkspaceRole }) => {
+        if (!membersWorkspace) return;
+        try {
+            setMembersLoading(true);
+            await addWorkspaceMember(membersWorkspace._id, values);
+            message.success(`Đã thêm ${values.username}`);
+            memberForm.resetFields();
+            await fetchMembers(membersWorkspace._id);
+            fetchWorkspaces();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setMembersLoading(false);
+        }
+    };
+
+    const handleChangeMemberRole = async (userId: string, role: WorkspaceRole) => {
+        if (!membersWorkspace) return;
+        try {
+            setMembersLoading(true);
+            await updateWorkspaceMember(membersWorkspace._id, userId, role);
+            message.success('Cập nhật vai trò thành công');
+            await fetchMembers(membersWorkspace._id);
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setMembersLoading(false);
+        }
+    };
+
+    const handleRemoveMember = async (userId: string) => {
+        if (!membersWorkspace) return;
+        try {
+            setMembersLoading(true);
+            await removeWorkspaceMember(membersWorkspace._id, userId);
+            message.success('Đã gỡ thành viên');
+            await fetchMembers(membersWorkspace._id);
+            fetchWorkspaces();
+        } catch (error: any) {
+            message.error('Lỗi: ' + error.message);
+        } finally {
+            setMembersLoading(false);
+        }
+    };
+
+    const isOwner = membersWorkspace?.role === 'owner';
+
+    const columns = [
+        {
+            title: 'Workspace',
+            dataIndex: 'name',
+            render: (name: string, record: WorkspaceSummary) => (
+                <Space direction="vertical" size={0}>
+                    <Space size={6}>
+                        <Text strong>{name}</Text>
+                        {record.isPersonal && <Tag>Cá nhân</Tag>}
+                    </Space>
+                    {record.description && (
+                        <Text type="secondary" style={{ fontSize: 12 }}>{record.description}</Text>
+                    )}
+                </Space>
+            )
+        },
+        {
+            title: 'Vai trò của bạn',
+            dataIndex: 'role',
+            width: 150,
+            render: (role: WorkspaceRole) => <Tag color={ROLE_COLORS[role]}>{WORKSPACE_ROLE_LABELS[role]}</Tag>
+        },
+        {
+            title: 'Thành viên',
+            dataIndex: 'memberCount',
+            width: 110,
+            align: 'center' as const
+        },
+        {
+            title: 'Hành động',
+            key: 'action',
+            width: 160,
+            render: (_: any, record: WorkspaceSummary) => (
+                <Space>
+                    {!record.isPersonal && (
+                        <Button
+                            type="text"
+                            icon={<TeamOutlined />}
+                            onClick={() => fetchMembers(record._id)}
+                        />
+                    )}
+                    {record.role === 'owner' && (
+                        <Button
+                            type="text"
+                            icon={<EditOutlined />}
+                            onClick={() => handleEdit(record)}
+                        />
+                    )}
+                    {!record.isPersonal && record.role === 'owner' && (
+                        <Popconfirm
+                            title="Bạn có chắc muốn xóa workspace này?"
+                            description="Chỉ xóa được khi workspace không còn link, banner, danh mục"
+                            onConfirm={() => handleDelete(record._id)}
+                            okText="Xóa"
+                            cancelText="Hủy"
+                            okButtonProps={{ danger: true }}
+                        >
+                            <Button
+                                type="text"
+                                danger
+                                icon={<DeleteOutlined />}
+                            />
+                        </Popconfirm>
+                    )}
+                    {!record.isPersonal && (
+                        <Popconfirm
+                            title="Rời workspace này?"
+                            onConfirm={() => handleLeave(record._id)}
+                            okText="Rời"
+                            cancelText="Hủy"
+                        >
+                            <Button
+                                type="text"
+                                icon={<LogoutOutlined />}
+                            />
+                        </Popconfirm>
+                    )}
+                </Space>
+            )
+        }
+    ];
+
+    const memberColumns = [
+        {
+            title: 'Thành viên',
+            dataIndex: 'username',
+            render: (username: string, record: WorkspaceMember) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{record.fullName || username}</Text>
+                    <Text type="secondary" style={{ fontSize: 12 }}>
+                        @{username}{!record.isActive && ' (đã vô hiệu hóa)'}
+                    </Text>
+                </Space>
+            )
+        },
+        {
+            title: 'Vai trò',
+            dataIndex: 'role',
+            width: 150,
+            render: (role: WorkspaceRole, record: WorkspaceMember) => isOwner ? (
+                <Select
+                    value={role}
+                    options={ROLE_OPTIONS}
+                    onChange={(value) => handleChangeMemberRole(record.userId, value)}
+                    style={{ width: 120 }}
+                    size="small"
+                />
+            ) : (
+                <Tag color={ROLE_COLORS[role]}>{WORKSPACE_ROLE_LABELS[role]}</Tag>
+            )
+        },
+        ...(isOwner ? [{
+            title: '',
+            key: 'action',
+            width: 60,
+            render: (_: any, record: WorkspaceMember) => record.userId !== currentUserId && (
+                <Popconfirm
+                    title="Gỡ thành viên này khỏi workspace?"
+                    onConfirm={() => handleRemoveMember(record.userId)}
+                    okText="Gỡ"
+                    cancelText="Hủy"
+                    okButtonProps={{ danger: true }}
+                >
+                    <Button type="text" danger icon={<DeleteOutlined />} />
+                </Popconfirm>
+            )
+        }] : [])
+    ];
+
+    return (
+        <>
+            {/* Header */}
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                marginBottom: 24,
+                flexWrap: 'wrap',
+                gap: 16
+            }}>
+                <div>
+                    <Title level={2} style={{
+                        margin: 0,
+                        marginBottom: 8,
+                        color: '#D31016',
+                        fontSize: 24,
+                        fontWeight: 600,
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 8,
+                        lineHeight: 1.3
+                    }}>
+                        <TeamOutlined />
+                        Workspace
+                    </Title>
+                    <Text type="secondary" style={{ fontSize: 14 }}>
+                        Chia sẻ links, banners, danh mục với nhóm - chọn workspace đang dùng ở thanh trên cùng
+                    </Text>
+                </div>
+
+                <Space wrap>
+                    <Button
+                        icon={<ReloadOutlined />}
+                        onClick={fetchWorkspaces}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Làm mới
+                    </Button>
+                    <Button
+                        type="primary"
+                        icon={<PlusOutlined />}
+                        onClick={handleAdd}
+                        style={{ height: 40, borderRadius: 8, fontWeight: 500 }}
+                    >
+                        Tạo Workspace
+                    </Button>
+                </Space>
+            </div>
+
+            {/* Table */}
+            <Card>
+                <Table
+                    columns={columns}
+                    dataSource={workspaces}
+                    rowKey="_id"
+                    loading={loading}
+                    pagination={false}
+                />
+            </Card>
+
+            {/* Add/Edit Modal */}
+            <Modal
+                title={editingWorkspace ? `Chỉnh sửa workspace: ${editingWorkspace.name}` : 'Tạo Workspace Mới'}
+                open={modalVisible}
+                onCancel={handleCancel}
+                footer={null}
+                width={520}
+                destroyOnClose
+            >
+                <Form
+                    form={form}
+                    layout="vertical"
+                    onFinish={handleSubmit}
+                >
+                    <Form.Item
+                        name="name"
+                        label="Tên workspace"
+                        rules={[{ required: true, message: 'Vui lòng nhập tên workspace' }]}
+                    >
+                        <Input placeholder="VD: Team Marketing" maxLength={100} />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="description"
+                        label="Mô tả"
+                    >
+                        <Input.TextArea placeholder="Workspace này dùng cho..." rows={2} maxLength={500} />
+                    </Form.Item>
+
+                    <Form.Item style={{ marginBottom: 0, textAlign: 'right', marginTop: 16 }}>
+                        <Space>
+                            <Button onClick={handleCancel}>Hủy</Button>
+                            <Button
+                                type="primary"
+                                htmlType="submit"
+                                loading={loading}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                {editingWorkspace ? 'Cập nhật' : 'Tạo mới'}
+                            </Button>
+                        </Space>
+                    </Form.Item>
+                </Form>
+            </Modal>
+
+            {/* Members Modal */}
+            <Modal
+                title={membersWorkspace ? `Thành viên: ${membersWorkspace.name}` : 'Thành viên'}
+                open={Boolean(membersWorkspace)}
+                onCancel={() => {
+                    setMembersWorkspace(null);
+                    memberForm.resetFields();
+                }}
+                footer={null}
+                width={620}
+                destroyOnClose
+            >
+                {isOwner && (
+                    <Form
+                        form={memberForm}
+                        layout="inline"
+                        onFinish={handleAddMember}
+                        initialValues={{ role: 'editor' }}
+                        style={{ marginBottom: 16, rowGap: 8 }}
+                    >
+                        <Form.Item
+                            name="username"
+                            rules={[{ required: true, message: 'Nhập username' }]}
+                            style={{ flex: 1 }}
+                        >
+                            <Input placeholder="Username" />
+                        </Form.Item>
+                        <Form.Item name="role">
+                            <Select options={ROLE_OPTIONS} style={{ width: 120 }} />
+                        </Form.Item>
+                        <Form.Item style={{ marginRight: 0 }}>
+                            <Button
+                                type="primary"
+                                htmlType="submit"
+                                icon={<UserAddOutlined />}
+                                loading={membersLoading}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                Thêm
+                            </Button>
+                        </Form.Item>
+                    </Form>
+                )}
+
+                <Table
+                    columns={memberColumns}
+                    dataSource={membersWorkspace?.members || []}
+                    rowKey="userId"
+                    loading={membersLoading}
+                    pagination={false}
+                    size="small"
+                />
+
+                <Text type="secondary" style={{ display: 'block', marginTop: 12, fontSize: 12 }}>
+                    Owner: quản lý thành viên · Biên tập: tạo / sửa links, banners, danh mục · Chỉ xem: xem dữ liệu và thống kê
+                </Text>
+            </Modal>
+        </>
+    );
+}
@@ -0,0 +1,26 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { forwardAuthRequest, relayAuthResponse, flattenAuthData, setSessionMarker } from '@/lib/authProxy'
+
+/**
+ * POST /api/auth/login/2fa
+ * Bước 2 đăng nhập: challengeToken + mã TOTP / mã khôi phục → backend tạo phiên (refresh cookie)
+ */
+export async function POST(request: NextRequest) {
+    try {
+        const body = await request.json()
+        const response = await forwardAuthRequest(request, 'login/2fa', body)
+        const data = await response.json()
+
+        if (!response.ok || !data.success) {
+            return NextResponse.json(data, { status: response.status })
+        }
+
+        return setSessionMarker(relayAuthResponse(response, flattenAuthData(data)))
+    } catch (error) {
+        console.error('Auth 2FA error:', error)
+        return NextResponse.json(
+            { success: false, message: 'Internal server error' },
+            { status: 500 }
+        )
+    }
+}
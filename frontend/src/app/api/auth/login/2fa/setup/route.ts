@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { forwardAuthRequest } from '@/lib/authProxy'
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Admin bị bắt buộc 2FA nhưng chưa đăng ký: lấy secret + otpauth URI ngay ở bước đăng nhập
+ */
+export async function POST(request: NextRequest) {
+    try {
+        const body = await request.json()
+        const response = await forwardAuthRequest(request, 'login/2fa/setup', body)
+        const data = await response.json()
+
+        return NextResponse.json(data, { status: response.status })
+    } catch (error) {
+        console.error('Auth 2FA setup error:', error)
+        return NextResponse.json(
+            { success: false, message: 'Internal server error' },
+            { status: 500 }
+        )
+    }
+}
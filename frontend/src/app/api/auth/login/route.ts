@@ -1,17 +1,12 @@
 import { NextRequest, NextResponse } from 'next/server'
-
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+import { forwardAuthRequest, relayAuthResponse, flattenAuthData, setSessionMarker } from '@/lib/authProxy'
 
 export async function POST(request: NextRequest) {
     try {
         const body = await request.json()
 
-        // Forward to backend API
-        const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
-        })
+        // Forward to backend API (backend set HttpOnly refresh cookie)
+        const response = await forwardAuthRequest(request, 'login', body)
 
         const data = await response.json()
 
@@ -19,30 +14,20 @@ export async function POST(request: NextRequest) {
             return NextResponse.json(data, { status: response.status })
         }
 
-        // Backend response format: { success, data: { token, user } }
-        const token = data.data?.token || data.token
-        const user = data.data?.user || data.user
-
-        // Create response with flattened structure for frontend
-        const responseData = {
-            success: true,
-            token,
-            user
-        }
-
-        const res = NextResponse.json(responseData)
-        
-        if (token) {
-            res.cookies.set('token', token, {
-                httpOnly: false, // Allow JS to read for client-side logic
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: 'strict',
-                maxAge: 86400, // 24 hours
-                path: '/',
+        // Tài khoản bật 2FA: chưa có phiên, trả challenge cho bước nhập mã
+        if (data.data?.twoFactorRequired) {
+            return NextResponse.json({
+                success: true,
+                twoFactorRequired: true,
+                setupRequired: Boolean(data.data.setupRequired),
+                challengeToken: data.data.challengeToken,
+                message: data.message,
             })
         }
 
-        return res
+        // Backend response format: { success, data: { token, expiresAt, user } }
+        // Access token chỉ sống 15 phút, refresh token nằm trong HttpOnly cookie
+        return setSessionMarker(relayAuthResponse(response, flattenAuthData(data)))
     } catch (error) {
         console.error('Auth API error:', error)
         return NextResponse.json(
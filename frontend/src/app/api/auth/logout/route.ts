@@ -0,0 +1,21 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { forwardAuthRequest, relayAuthResponse, clearSessionMarker } from '@/lib/authProxy'
+
+/**
+ * POST /api/auth/logout
+ * Thu hồi phiên của refresh cookie hiện tại + xóa cookie
+ */
+export async function POST(request: NextRequest) {
+    try {
+        const response = await forwardAuthRequest(request, 'logout')
+        const data = await response.json()
+
+        return clearSessionMarker(relayAuthResponse(response, data))
+    } catch (error) {
+        console.error('Auth logout error:', error)
+        return NextResponse.json(
+            { success: false, message: 'Internal server error' },
+            { status: 500 }
+        )
+    }
+}
@@ -0,0 +1,26 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { forwardAuthRequest, relayAuthResponse, flattenAuthData, setSessionMarker, clearSessionMarker } from '@/lib/authProxy'
+
+/**
+ * POST /api/auth/refresh
+ * Đổi refresh cookie lấy access token mới (backend xoay vòng refresh token)
+ */
+export async function POST(request: NextRequest) {
+    try {
+        const response = await forwardAuthRequest(request, 'refresh')
+        const data = await response.json()
+
+        if (!response.ok || !data.success) {
+            // Vẫn relay Set-Cookie để xóa refresh cookie không còn hợp lệ (+ cookie đánh dấu phiên)
+            return clearSessionMarker(relayAuthResponse(response, data))
+        }
+
+        return setSessionMarker(relayAuthResponse(response, flattenAuthData(data)))
+    } catch (error) {
+        console.error('Auth refresh error:', error)
+        return NextResponse.json(
+            { success: false, message: 'Internal server error' },
+            { status: 500 }
+        )
+    }
+}
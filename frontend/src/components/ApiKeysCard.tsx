@@ -0,0 +1,273 @@
+'use client';
+
+/**
+ * API Keys Card
+ *
+ * API key cá nhân cho script / tích hợp (GET /api/auth/api-keys)
+ * - Tạo key với tên, quyền (tập con quyền của mình) và hạn dùng; key chỉ hiện 1 lần
+ * - Thu hồi key có hiệu lực ngay
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    Card,
+    List,
+    Space,
+    Button,
+    Tag,
+    Typography,
+    Popconfirm,
+    Modal,
+    Form,
+    Input,
+    Select,
+    Checkbox,
+    Alert,
+    message
+} from 'antd';
+import { KeyOutlined, PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { getApiKeys, createApiKey, revokeApiKey } from '@/lib/adminApi';
+import { getCurrentUser, type Permission } from '@/lib/authService';
+
+const { Text, Paragraph } = Typography;
+
+interface ApiKeyItem {
+    id: string;
+    name: string;
+    prefix: string;
+    scopes: Permission[];
+    createdAt: string;
+    expiresAt: string;
+    lastUsedAt: string | null;
+    lastUsedIp: string;
+    revokedAt: string | null;
+    status: 'active' | 'expired' | 'revoked';
+}
+
+const EXPIRY_OPTIONS = [
+    { value: 7, label: '7 ngày' },
+    { value: 30, label: '30 ngày' },
+    { value: 90, label: '90 ngày' },
+    { value: 365, label: '1 năm' }
+];
+
+const STATUS_TAGS: Record<ApiKeyItem['status'], { color: string; label: string }> = {
+    active: { color: 'green', label: 'Đang dùng' },
+    expired: { color: 'default', label: 'Hết hạn' },
+    revoked: { color: 'red', label: 'Đã thu hồi' }
+};
+
+export const ApiKeysCard: React.FC = () => {
+    const [keys, setKeys] = useState<ApiKeyItem[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [creating, setCreating] = useState(false);
+    const [createdKey, setCreatedKey] = useState<string | null>(null);
+    const [form] = Form.useForm();
+    const permissions: Permission[] = getCurrentUser()?.permissions || [];
+
+    const loadKeys = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getApiKeys() as { data: ApiKeyItem[] };
+            setKeys(result.data || []);
+        } catch (error: any) {
+            message.error('Không thể tải API key: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadKeys();
+    }, [loadKeys]);
+
+    const handleOpen = () => {
+        form.resetFields();
+        setCreatedKey(null);
+        setModalVisible(true);
+    };
+
+    const handleClose = () => {
+        setModalVisible(false);
+        setCreatedKey(null);
+        form.resetFields();
+    };
+
+    const handleCreate = async (values: { name: string; scopes?: string[]; expiresInDays: number }) => {
+        setCreating(true);
+        try {
+            const result = await createApiKey({
+                name: values.name,
+                scopes: values.scopes || [],
+                expiresInDays: values.expiresInDays
+            }) as { data: { key: string } };
+            setCreatedKey(result.data.key);
+            loadKeys();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể tạo API key');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (id: string) => {
+        try {
+            await revokeApiKey(id);
+            message.success('Đã thu hồi API key');
+            loadKeys();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể thu hồi API key');
+        }
+    };
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <KeyOutlined style={{ color: '#D31016' }} />
+                    <span>API key</span>
+                </Space>
+            }
+            extra={
+                <Button size="small" icon={<PlusOutlined />} onClick={handleOpen}>
+                    Tạo key
+                </Button>
+            }
+            style={{ borderRadius: 12, border: '1px solid #f0f0f0', marginTop: 24 }}
+        >
+            <Text type="secondary" style={{ display: 'block', marginBottom: 12, fontSize: 13 }}>
+                Dùng cho script / tích hợp: gửi header <Text code>X-API-Key: shk_...</Text> thay cho đăng nhập
+            </Text>
+
+            <List
+                loading={loading}
+                dataSource={keys}
+                locale={{ emptyText: 'Chưa có API key nào' }}
+                renderItem={(apiKey) => (
+                    <List.Item
+                        actions={apiKey.status !== 'active' ? [] : [
+                            <Popconfirm
+                                key="revoke"
+                                title="Thu hồi API key này?"
+                                description="Script đang dùng key sẽ bị từ chối ngay"
+                                okText="Thu hồi"
+                                cancelText="Hủy"
+                                okButtonProps={{ danger: true }}
+                                onConfirm={() => handleRevoke(apiKey.id)}
+                            >
+                                <Button type="text" danger size="small" icon={<DeleteOutlined />} />
+                            </Popconfirm>
+                        ]}
+                    >
+                        <List.Item.Meta
+                            title={
+                                <Space size={4} wrap>
+                                    <span>{apiKey.name}</span>
+                                    <Text code style={{ fontSize: 12 }}>{apiKey.prefix}…</Text>
+                                    <Tag color={STATUS_TAGS[apiKey.status].color}>{STATUS_TAGS[apiKey.status].label}</Tag>
+                                </Space>
+                            }
+                            description={
+                                <Space direction="vertical" size={2}>
+                                    <Space size={[4, 4]} wrap>
+                                        {apiKey.scopes.length === 0
+                                            ? <Text type="secondary" style={{ fontSize: 12 }}>Chỉ đọc (không có quyền ghi)</Text>
+                                            : apiKey.scopes.map(scope => <Tag key={scope} color="blue">{scope}</Tag>)}
+                                    </Space>
+                                    <Text type="secondary" style={{ fontSize: 12 }}>
+                                        Tạo {dayjs(apiKey.createdAt).format('DD/MM/YYYY')}
+                                        {' '}· Hết hạn {dayjs(apiKey.expiresAt).format('DD/MM/YYYY')}
+                                        {' '}· {apiKey.lastUsedAt
+                                            ? `Dùng lần cuối ${dayjs(apiKey.lastUsedAt).format('HH:mm DD/MM/YYYY')}${apiKey.lastUsedIp ? ` (${apiKey.lastUsedIp})` : ''}`
+                                            : 'Chưa dùng'}
+                                    </Text>
+                                </Space>
+                            }
+                        />
+                    </List.Item>
+                )}
+            />
+
+            <Modal
+                title="Tạo API key"
+                open={modalVisible}
+                onCancel={handleClose}
+                footer={null}
+                width={520}
+                destroyOnClose
+            >
+                {createdKey ? (
+                    <>
+                        <Alert
+                            type="warning"
+                            showIcon
+                            message="Sao chép key ngay - key sẽ không hiện lại sau khi đóng"
+                            style={{ marginBottom: 16 }}
+                        />
+                        <Paragraph copyable={{ text: createdKey }} code style={{ wordBreak: 'break-all' }}>
+                            {createdKey}
+                        </Paragraph>
+                        <div style={{ textAlign: 'right' }}>
+                            <Button type="primary" onClick={handleClose} style={{ background: '#D31016', borderColor: '#D31016' }}>
+                                Đã lưu key
+                            </Button>
+                        </div>
+                    </>
+                ) : (
+                    <Form
+                        form={form}
+                        layout="vertical"
+                        onFinish={handleCreate}
+                        initialValues={{ expiresInDays: 90, scopes: [] }}
+                    >
+                        <Form.Item
+                            name="name"
+                            label="Tên key"
+                            rules={[{ required: true, message: 'Vui lòng đặt tên cho key' }]}
+                        >
+                            <Input placeholder="VD: Script đồng bộ link" maxLength={100} />
+                        </Form.Item>
+
+                        <Form.Item
+                            name="scopes"
+                            label="Quyền"
+                            extra="Không chọn quyền nào → key chỉ đọc được dữ liệu"
+                        >
+                            <Checkbox.Group style={{ width: '100%' }}>
+                                <Space direction="vertical">
+                                    {permissions.map(permission => (
+                                        <Checkbox key={permission} value={permission}>
+                                            <Text code>{permission}</Text>
+                                        </Checkbox>
+                                    ))}
+                                </Space>
+                            </Checkbox.Group>
+                        </Form.Item>
+
+                        <Form.Item name="expiresInDays" label="Hạn dùng">
+                            <Select options={EXPIRY_OPTIONS} />
+                        </Form.Item>
+
+                        <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
+                            <Space>
+                                <Button onClick={handleClose}>Hủy</Button>
+                                <Button
+                                    type="primary"
+                                    htmlType="submit"
+                                    loading={creating}
+                                    style={{ background: '#D31016', borderColor: '#D31016' }}
+                                >
+                                    Tạo key
+                                </Button>
+                            </Space>
+                        </Form.Item>
+                    </Form>
+                )}
+            </Modal>
+        </Card>
+    );
+};
+
+export default ApiKeysCard;
@@ -0,0 +1,411 @@
+'use client';
+
+/**
+ * Banner Allocation Panel
+ *
+ * Chế độ phân bổ lượt hiển thị theo vị trí (GET /api/banners/allocation) trên trang quản lý banner
+ * - weighted: ngẫu nhiên theo weight nhập tay
+ * - thompson / epsilon_greedy: dồn lượt hiển thị sang banner CTR cao, có tỉ lệ khám phá + warm-up
+ * - Xem lại các quyết định gần đây và lý do chọn (warmup / explore / exploit / sample)
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    Card,
+    Table,
+    Space,
+    Button,
+    Tag,
+    Typography,
+    Modal,
+    Form,
+    Select,
+    InputNumber,
+    Alert,
+    Tooltip,
+    message
+} from 'antd';
+import {
+    ThunderboltOutlined,
+    EditOutlined,
+    HistoryOutlined
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import {
+    getBannerAllocation,
+    updateBannerAllocation,
+    getBannerAllocationDecisions,
+    type BannerAllocationConfig,
+    type BannerAllocationMode
+} from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
+
+const { Text } = Typography;
+
+type DecisionReason = 'warmup' | 'explore' | 'exploit' | 'sample';
+
+interface DecisionCandidate {
+    bannerId: string;
+    impressions: number;
+    clicks: number;
+    ctr: number;
+    score: number | null;
+}
+
+interface Decision {
+    _id: string;
+    bannerId: string;
+    mode: BannerAllocationMode;
+    reason: DecisionReason;
+    detail: string;
+    candidates: DecisionCandidate[];
+    decidedAt: string;
+}
+
+interface DecisionSummary {
+    bannerId: string;
+    total: number;
+    reasons: Partial<Record<DecisionReason, number>>;
+}
+
+interface DecisionsResult {
+    decisions: Decision[];
+    summary: DecisionSummary[];
+    bannerNames: Record<string, string>;
+}
+
+interface BannerAllocationPanelProps {
+    bannerTypes: { value: string; label: string }[];
+    canPublish: boolean;
+}
+
+const MODE_TAGS: Record<BannerAllocationMode, { color: string; label: string; description: string }> = {
+    weighted: {
+        color: 'default',
+        label: 'Theo trọng số',
+        description: 'Ngẫu nhiên theo weight của từng banner'
+    },
+    thompson: {
+        color: 'purple',
+        label: 'Thompson sampling',
+        description: 'Lấy mẫu Beta theo click / lượt xem, banner CTR cao được chọn nhiều hơn nhưng vẫn thử banner ít dữ liệu'
+    },
+    epsilon_greedy: {
+        color: 'geekblue',
+        label: 'Epsilon-greedy',
+        description: 'Luôn chọn banner CTR cao nhất, trừ phần lượt hiển thị dành cho khám phá'
+    }
+};
+
+const REASON_TAGS: Record<DecisionReason, { color: string; label: string }> = {
+    warmup: { color: 'orange', label: 'Warm-up' },
+    explore: { color: 'cyan', label: 'Khám phá' },
+    exploit: { color: 'green', label: 'Khai thác' },
+    sample: { color: 'purple', label: 'Lấy mẫu' }
+};
+
+const formatPercent = (value: number, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+export const BannerAllocationPanel: React.FC<BannerAllocationPanelProps> = ({
+    bannerTypes,
+    canPublish
+}) => {
+    const [configs, setConfigs] = useState<Record<string, BannerAllocationConfig>>({});
+    const [loading, setLoading] = useState(false);
+    const [editingType, setEditingType] = useState<string | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [decisionsType, setDecisionsType] = useState<string | null>(null);
+    const [decisions, setDecisions] = useState<DecisionsResult | null>(null);
+    const [decisionsLoading, setDecisionsLoading] = useState(false);
+    const [form] = Form.useForm();
+    const selectedMode = Form.useWatch('mode', form);
+
+    const loadConfigs = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getBannerAllocation() as { data: Record<string, BannerAllocationConfig> };
+            setConfigs(result.data || {});
+        } catch (error: any) {
+            message.error('Không thể tải chế độ phân bổ: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadConfigs();
+    }, [loadConfigs]);
+
+    const handleOpen = (type: string) => {
+        setEditingType(type);
+        form.resetFields();
+        form.setFieldsValue(configs[type]);
+    };
+
+    const handleClose = () => {
+        setEditingType(null);
+        form.resetFields();
+    };
+
+    const handleSubmit = async (values: BannerAllocationConfig) => {
+        if (!editingType) return;
+        setSaving(true);
+        try {
+            await updateBannerAllocation(editingType, values);
+            message.success('Đã cập nhật chế độ phân bổ');
+            handleClose();
+            loadConfigs();
+        } catch (error: any) {
+            if (!showFieldErrors(form, error)) message.error(error.message || 'Không thể lưu chế độ phân bổ');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleOpenDecisions = async (type: string) => {
+        setDecisionsType(type);
+        setDecisions(null);
+        setDecisionsLoading(true);
+        try {
+            const result = await getBannerAllocationDecisions(type, { hours: 24, limit: 50 }) as { data: DecisionsResult };
+            setDecisions(result.data);
+        } catch (error: any) {
+            message.error('Không thể tải quyết định: ' + error.message);
+        } finally {
+            setDecisionsLoading(false);
+        }
+    };
+
+    const typeLabel = (type: string) => bannerTypes.find(t => t.value === type)?.label || type;
+
+    // Banner ngoài workspace đang dùng không có tên
+    const bannerName = (bannerId: string) => decisions?.bannerNames[bannerId] || 'Banner khác';
+
+    const columns = [
+        {
+            title: 'Vị trí',
+            key: 'type',
+            render: (_: unknown, row: { type: string }) => <Text strong>{typeLabel(row.type)}</Text>
+        },
+        {
+            title: 'Chế độ',
+            key: 'mode',
+            render: (_: unknown, row: { type: string } & BannerAllocationConfig) => (
+                <Tooltip title={MODE_TAGS[row.mode].description}>
+                    <Tag color={MODE_TAGS[row.mode].color}>{MODE_TAGS[row.mode].label}</Tag>
+                </Tooltip>
+            )
+        },
+        {
+            title: 'Tỉ lệ khám phá',
+            dataIndex: 'explorationFloor',
+            render: (value: number, row: BannerAllocationConfig) => row.mode === 'weighted'
+                ? <Text type="secondary">—</Text>
+                : formatPercent(value, 0)
+        },
+        {
+            title: 'Warm-up',
+            dataIndex: 'warmupImpressions',
+            render: (value: number, row: BannerAllocationConfig) => row.mode === 'weighted'
+                ? <Text type="secondary">—</Text>
+                : `${value.toLocaleString('vi-VN')} lượt xem`
+        },
+        {
+            title: '',
+            key: 'actions',
+            align: 'right' as const,
+            render: (_: unknown, row: { type: string } & BannerAllocationConfig) => (
+                <Space size={4}>
+                    {row.mode !== 'weighted' && (
+                        <Button size="small" icon={<HistoryOutlined />} onClick={() => handleOpenDecisions(row.type)}>
+                            Quyết định
+                        </Button>
+                    )}
+                    {canPublish && (
+                        <Button size="small" type="text" icon={<EditOutlined />} onClick={() => handleOpen(row.type)} />
+                    )}
+                </Space>
+            )
+        }
+    ];
+
+    const dataSource = bannerTypes
+        .filter(t => configs[t.value])
+        .map(t => ({ type: t.value, ...configs[t.value] }));
+
+    const summaryColumns = [
+        {
+            title: 'Banner',
+            key: 'banner',
+            render: (_: unknown, entry: DecisionSummary) => bannerName(entry.bannerId)
+        },
+        {
+            title: 'Lượt chọn',
+            dataIndex: 'total',
+            align: 'right' as const,
+            render: (value: number) => value.toLocaleString('vi-VN')
+        },
+        {
+            title: 'Lý do',
+            key: 'reasons',
+            render: (_: unknown, entry: DecisionSummary) => (
+                <Space size={4} wrap>
+                    {(Object.keys(entry.reasons) as DecisionReason[]).map(reason => (
+                        <Tag key={reason} color={REASON_TAGS[reason].color}>
+                            {REASON_TAGS[reason].label}: {entry.reasons[reason]}
+                        </Tag>
+                    ))}
+                </Space>
+            )
+        }
+    ];
+
+    const decisionColumns = [
+        {
+            title: 'Thời điểm',
+            dataIndex: 'decidedAt',
+            width: 150,
+            render: (value: string) => dayjs(value).format('HH:mm:ss DD/MM')
+        },
+        {
+            title: 'Banner',
+            key: 'banner',
+            render: (_: unknown, decision: Decision) => bannerName(decision.bannerId)
+        },
+        {
+            title: 'Lý do',
+            key: 'reason',
+            render: (_: unknown, decision: Decision) => (
+                <Tooltip title={decision.detail}>
+                    <Tag color={REASON_TAGS[decision.reason].color}>{REASON_TAGS[decision.reason].label}</Tag>
+                </Tooltip>
+            )
+        }
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <ThunderboltOutlined style={{ color: '#D31016' }} />
+                    <span>Phân bổ lượt hiển thị</span>
+                </Space>
+            }
+            loading={loading && dataSource.length === 0}
+            style={{ marginTop: 24 }}
+        >
+            <Table
+                size="small"
+                columns={columns}
+                dataSource={dataSource}
+                rowKey="type"
+                pagination={false}
+            />
+
+            <Modal
+                title={`Chế độ phân bổ - ${editingType ? typeLabel(editingType) : ''}`}
+                open={!!editingType}
+                onCancel={handleClose}
+                footer={null}
+                width={520}
+                destroyOnClose
+            >
+                <Form form={form} layout="vertical" onFinish={handleSubmit}>
+                    <Form.Item name="mode" label="Chế độ" rules={[{ required: true, message: 'Vui lòng chọn chế độ' }]}>
+                        <Select
+                            options={(Object.keys(MODE_TAGS) as BannerAllocationMode[]).map(mode => ({
+                                value: mode,
+                                label: MODE_TAGS[mode].label
+                            }))}
+                        />
+                    </Form.Item>
+
+                    {selectedMode && (
+                        <Alert
+                            type="info"
+                            showIcon
+                            message={MODE_TAGS[selectedMode as BannerAllocationMode].description}
+                            style={{ marginBottom: 16 }}
+                        />
+                    )}
+
+                    {selectedMode && selectedMode !== 'weighted' && (
+                        <Space size={16} style={{ width: '100%' }}>
+                            <Form.Item
+                                name="explorationFloor"
+                                label="Tỉ lệ khám phá"
+                                tooltip="Phần lượt hiển thị chia đều cho mọi banner bất kể CTR"
+                            >
+                                <InputNumber min={0} max={0.5} step={0.05} style={{ width: 140 }} />
+                            </Form.Item>
+                            <Form.Item
+                                name="warmupImpressions"
+                                label="Lượt xem warm-up / banner"
+                                tooltip="Banner chưa đủ số lượt xem này được ưu tiên hiển thị trước khi xét CTR"
+                            >
+                                <InputNumber min={0} max={100000} style={{ width: 200 }} />
+                            </Form.Item>
+                        </Space>
+                    )}
+
+                    <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
+                        <Space>
+                            <Button onClick={handleClose}>Hủy</Button>
+                            <Button
+                                type="primary"
+                                htmlType="submit"
+                                loading={saving}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                Cập nhật
+                            </Button>
+                        </Space>
+                    </Form.Item>
+                </Form>
+            </Modal>
+
+            <Modal
+                title={`Quyết định 24 giờ qua - ${decisionsType ? typeLabel(decisionsType) : ''}`}
+                open={!!decisionsType}
+                onCancel={() => setDecisionsType(null)}
+                footer={null}
+                width={720}
+            >
+                <Space direction="vertical" size={16} style={{ width: '100%' }}>
+                    <Table
+                        size="small"
+                        columns={summaryColumns}
+                        dataSource={decisions?.summary || []}
+                        rowKey="bannerId"
+                        loading={decisionsLoading}
+                        pagination={false}
+                    />
+                    <Table
+                        size="small"
+                        columns={decisionColumns}
+                        dataSource={decisions?.decisions || []}
+                        rowKey="_id"
+                        loading={decisionsLoading}
+                        pagination={{ pageSize: 10, size: 'small' }}
+                        expandable={{
+                            expandedRowRender: (decision: Decision) => (
+                                <Space direction="vertical" size={4}>
+                                    <Text type="secondary">{decision.detail}</Text>
+                                    {decision.candidates.map(candidate => (
+                                        <Text key={candidate.bannerId} style={{ fontSize: 12 }}>
+                                            {bannerName(candidate.bannerId)}: {candidate.clicks}/{candidate.impressions} click
+                                            ({formatPercent(candidate.ctr)})
+                                            {candidate.score !== null && ` · điểm ${candidate.score.toFixed(4)}`}
+                                        </Text>
+                                    ))}
+                                </Space>
+                            )
+                        }}
+                    />
+                </Space>
+            </Modal>
+        </Card>
+    );
+};
+
+export default BannerAllocationPanel;
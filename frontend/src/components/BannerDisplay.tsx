@@ -7,9 +7,13 @@
  * Hỗ trợ các kiểu: sticky_bottom, center_popup, sidebar, inline, header
  * displayWidth là tỉ lệ % so với viewport
  * Chiều cao tự co theo tỉ lệ gốc của ảnh
+ * Lượt xem chỉ tính khi ảnh thực sự hiển thị trong viewport (useBannerImpression)
+ * Backend bỏ banner khách đã đóng / đã xem đủ frequency cap (theo visitorId)
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { useBannerImpression } from '@/hooks/useBannerImpression';
+import { appendBannerVisitor, recordBannerDismiss } from '@/lib/bannerVisitor';
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -38,12 +42,14 @@ export default function BannerDisplay({ type = 'sticky_bottom', articleSlug, cat
     const [banner, setBanner] = useState<BannerData | null>(null);
     const [visible, setVisible] = useState(false);
     const [dismissed, setDismissed] = useState(false);
+    const impressionRef = useBannerImpression(banner?.id);
 
     const fetchBanner = useCallback(async () => {
         try {
             const params = new URLSearchParams({ type });
             if (articleSlug) params.append('articleSlug', articleSlug);
             if (category) params.append('category', category);
+            appendBannerVisitor(params);
 
             const res = await fetch(`${API_BASE}/api/banners/random?${params.toString()}`);
             if (!res.ok) return;
@@ -97,7 +103,8 @@ export default function BannerDisplay({ type = 'sticky_bottom', articleSlug, cat
         e.stopPropagation();
         setDismissed(true);
         setVisible(false);
-    }, []);
+        if (banner) recordBannerDismiss(banner.id);
+    }, [banner]);
 
     if (!banner || !visible || dismissed) return null;
 
@@ -110,6 +117,7 @@ export default function BannerDisplay({ type = 'sticky_bottom', articleSlug, cat
                 <source media="(max-width: 768px)" srcSet={banner.mobileImageUrl} />
             )}
             <img
+                ref={impressionRef}
                 src={banner.imageUrl}
                 alt={banner.altText || banner.name}
                 style={{
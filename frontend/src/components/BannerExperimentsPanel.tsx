@@ -0,0 +1,526 @@
+'use client';
+
+/**
+ * Banner Experiments Panel
+ *
+ * Thí nghiệm A/B banner (GET /api/banner-experiments) trên trang quản lý banner
+ * - Nhóm các banner cùng vị trí hiển thị thành biến thể (A = đối chứng), vòng đời draft → running → stopped → completed
+ * - Mỗi biến thể: lượt xem, click, CTR + khoảng tin cậy, chênh lệch & p-value so với A
+ * - Chọn biến thể thắng → tắt các biến thể còn lại
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    Card,
+    Table,
+    Space,
+    Button,
+    Tag,
+    Typography,
+    Popconfirm,
+    Modal,
+    Form,
+    Input,
+    Select,
+    InputNumber,
+    Alert,
+    Empty,
+    Tooltip,
+    message
+} from 'antd';
+import {
+    ExperimentOutlined,
+    PlusOutlined,
+    EditOutlined,
+    DeleteOutlined,
+    PlayCircleOutlined,
+    PauseCircleOutlined,
+    TrophyOutlined
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import {
+    getBannerExperiments,
+    createBannerExperiment,
+    updateBannerExperiment,
+    deleteBannerExperiment,
+    setBannerExperimentStatus,
+    promoteBannerExperimentWinner,
+    type BannerExperimentInput
+} from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
+
+const { Text } = Typography;
+
+type ExperimentStatus = 'draft' | 'running' | 'stopped' | 'completed';
+type Conclusion = 'not_started' | 'insufficient_data' | 'no_difference' | 'winner';
+
+interface VariantReport {
+    bannerId: string;
+    label: string;
+    name: string;
+    imageUrl: string;
+    isActive: boolean;
+    missing: boolean;
+    impressions: number;
+    clicks: number;
+    ctr: number;
+    ci: { low: number; high: number };
+    lift: number | null;
+    pValue: number | null;
+    significant: boolean;
+}
+
+interface Experiment {
+    _id: string;
+    name: string;
+    hypothesis: string;
+    type: string;
+    status: ExperimentStatus;
+    confidenceLevel: number;
+    minImpressions: number;
+    startedAt: string | null;
+    stoppedAt: string | null;
+    winnerBannerId: string | null;
+    variants: { bannerId: string; label: string }[];
+    report: {
+        adjustedAlpha: number;
+        variants: VariantReport[];
+        leaderBannerId: string | null;
+        winnerBannerId: string | null;
+        conclusion: Conclusion;
+    };
+}
+
+interface BannerOption {
+    _id: string;
+    name: string;
+    type: string;
+}
+
+interface BannerExperimentsPanelProps {
+    banners: BannerOption[];
+    bannerTypes: { value: string; label: string }[];
+    canWrite: boolean;
+    canPublish: boolean;
+    // Start / promote đổi trạng thái bật / tắt của banner → trang tải lại danh sách banner
+    onBannersChanged: () => void;
+}
+
+const STATUS_TAGS: Record<ExperimentStatus, { color: string; label: string }> = {
+    draft: { color: 'default', label: 'Nháp' },
+    running: { color: 'processing', label: 'Đang chạy' },
+    stopped: { color: 'warning', label: 'Đã dừng' },
+    completed: { color: 'success', label: 'Hoàn tất' }
+};
+
+const CONFIDENCE_OPTIONS = [
+    { value: 0.9, label: '90%' },
+    { value: 0.95, label: '95%' },
+    { value: 0.99, label: '99%' }
+];
+
+const formatPercent = (value: number, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+const formatPValue = (value: number) => (value < 0.001 ? '< 0.001' : value.toFixed(3));
+
+/**
+ * Kết luận của báo cáo → Alert
+ */
+const conclusionAlert = (experiment: Experiment) => {
+    const { report } = experiment;
+    const winner = report.variants.find(v => v.bannerId === report.winnerBannerId);
+    const confidence = formatPercent(experiment.confidenceLevel, 0);
+
+    switch (report.conclusion) {
+        case 'winner':
+            return {
+                type: 'success' as const,
+                text: `Biến thể ${winner?.label} (${winner?.name}) thắng với độ tin cậy ${confidence}`
+            };
+        case 'no_difference':
+            return {
+                type: 'info' as const,
+                text: `Chưa có biến thể nào khác biệt rõ ràng (độ tin cậy ${confidence})`
+            };
+        case 'insufficient_data':
+            return {
+                type: 'warning' as const,
+                text: `Chưa đủ dữ liệu: mỗi biến thể cần ít nhất ${experiment.minImpressions} lượt xem`
+            };
+        default:
+            return null;
+    }
+};
+
+export const BannerExperimentsPanel: React.FC<BannerExperimentsPanelProps> = ({
+    banners,
+    bannerTypes,
+    canWrite,
+    canPublish,
+    onBannersChanged
+}) => {
+    const [experiments, setExperiments] = useState<Experiment[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [editing, setEditing] = useState<Experiment | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [form] = Form.useForm();
+    const selectedType = Form.useWatch('type', form);
+
+    const loadExperiments = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getBannerExperiments() as { data: Experiment[] };
+            setExperiments(result.data || []);
+        } catch (error: any) {
+            message.error('Không thể tải thí nghiệm: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadExperiments();
+    }, [loadExperiments]);
+
+    const handleOpen = (experiment: Experiment | null) => {
+        setEditing(experiment);
+        form.resetFields();
+        if (experiment) {
+            form.setFieldsValue({
+                name: experiment.name,
+                hypothesis: experiment.hypothesis,
+                type: experiment.type,
+                bannerIds: experiment.variants.map(v => v.bannerId),
+                confidenceLevel: experiment.confidenceLevel,
+                minImpressions: experiment.minImpressions
+            });
+        }
+        setModalVisible(true);
+    };
+
+    const handleClose = () => {
+        setModalVisible(false);
+        setEditing(null);
+        form.resetFields();
+    };
+
+    const handleSubmit = async (values: BannerExperimentInput) => {
+        setSaving(true);
+        try {
+            if (editing) {
+                await updateBannerExperiment(editing._id, values);
+                message.success('Đã cập nhật thí nghiệm');
+            } else {
+                await createBannerExperiment(values);
+                message.success('Đã tạo thí nghiệm');
+            }
+            handleClose();
+            loadExperiments();
+        } catch (error: any) {
+            if (!showFieldErrors(form, error)) message.error(error.message || 'Không thể lưu thí nghiệm');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Chạy thao tác rồi tải lại thí nghiệm (+ banner nếu trạng thái banner đổi)
+     */
+    const runAction = async (action: () => Promise<unknown>, successMessage: string, bannersChanged = false) => {
+        try {
+            const result = await action() as { message?: string };
+            message.success(result?.message || successMessage);
+            loadExperiments();
+            if (bannersChanged) onBannersChanged();
+        } catch (error: any) {
+            message.error(error.message);
+        }
+    };
+
+    const renderVariants = (experiment: Experiment) => {
+        const canPromote = canPublish && (experiment.status === 'running' || experiment.status === 'stopped');
+        const confidence = formatPercent(experiment.confidenceLevel, 0);
+
+        const columns = [
+            {
+                title: 'Biến thể',
+                key: 'variant',
+                render: (_: unknown, variant: VariantReport) => (
+                    <Space size={4}>
+                        <Tag color={variant.label === 'A' ? 'default' : 'blue'}>{variant.label}</Tag>
+                        <Text delete={variant.missing}>{variant.name}</Text>
+                        {variant.bannerId === experiment.winnerBannerId && <TrophyOutlined style={{ color: '#faad14' }} />}
+                        {!variant.missing && !variant.isActive && <Tag>Tắt</Tag>}
+                    </Space>
+                )
+            },
+            {
+                title: 'Lượt xem',
+                dataIndex: 'impressions',
+                align: 'right' as const,
+                render: (value: number) => value.toLocaleString('vi-VN')
+            },
+            {
+                title: 'Click',
+                dataIndex: 'clicks',
+                align: 'right' as const,
+                render: (value: number) => value.toLocaleString('vi-VN')
+            },
+            {
+                title: `CTR (khoảng tin cậy ${confidence})`,
+                key: 'ctr',
+                render: (_: unknown, variant: VariantReport) => (
+                    <Space size={4}>
+                        <Text strong>{formatPercent(variant.ctr)}</Text>
+                        <Text type="secondary" style={{ fontSize: 12 }}>
+                            {formatPercent(variant.ci.low)} – {formatPercent(variant.ci.high)}
+                        </Text>
+                    </Space>
+                )
+            },
+            {
+                title: 'So với A',
+                key: 'lift',
+                render: (_: unknown, variant: VariantReport) => {
+                    if (variant.pValue === null) return <Text type="secondary">Đối chứng</Text>;
+                    return (
+                        <Tooltip title={`p-value ${formatPValue(variant.pValue)} (ngưỡng ${formatPValue(experiment.report.adjustedAlpha)})`}>
+                            <Space size={4}>
+                                <Text type={variant.lift === null ? 'secondary' : variant.lift >= 0 ? 'success' : 'danger'}>
+                                    {variant.lift === null ? '—' : `${variant.lift >= 0 ? '+' : ''}${formatPercent(variant.lift, 1)}`}
+                                </Text>
+                                {variant.significant
+                                    ? <Tag color="green">Có ý nghĩa</Tag>
+                                    : <Tag>p = {formatPValue(variant.pValue)}</Tag>}
+                            </Space>
+                        </Tooltip>
+                    );
+                }
+            },
+            ...(canPromote ? [{
+                title: '',
+                key: 'promote',
+                align: 'right' as const,
+                render: (_: unknown, variant: VariantReport) => !variant.missing && (
+                    <Popconfirm
+                        title={`Chọn biến thể ${variant.label} thắng?`}
+                        description="Các biến thể còn lại sẽ bị tắt, thí nghiệm kết thúc"
+                        okText="Chọn"
+                        cancelText="Hủy"
+                        onConfirm={() => runAction(
+                            () => promoteBannerExperimentWinner(experiment._id, variant.bannerId),
+                            'Đã chọn biến thể thắng',
+                            true
+                        )}
+                    >
+                        <Button
+                            size="small"
+                            type={variant.bannerId === experiment.report.winnerBannerId ? 'primary' : 'default'}
+                            icon={<TrophyOutlined />}
+                        >
+                            Chọn thắng
+                        </Button>
+                    </Popconfirm>
+                )
+            }] : [])
+        ];
+
+        return (
+            <Table
+                size="small"
+                columns={columns}
+                dataSource={experiment.report.variants}
+                rowKey="bannerId"
+                pagination={false}
+            />
+        );
+    };
+
+    const typeLabel = (type: string) => bannerTypes.find(t => t.value === type)?.label || type;
+
+    // Biến thể chọn được: banner cùng vị trí hiển thị
+    const bannerOptions = banners
+        .filter(banner => !selectedType || banner.type === selectedType)
+        .map(banner => ({ value: banner._id, label: banner.name }));
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <ExperimentOutlined style={{ color: '#D31016' }} />
+                    <span>Thí nghiệm A/B</span>
+                </Space>
+            }
+            extra={canWrite && (
+                <Button size="small" icon={<PlusOutlined />} onClick={() => handleOpen(null)}>
+                    Tạo thí nghiệm
+                </Button>
+            )}
+            loading={loading && experiments.length === 0}
+            style={{ marginTop: 24 }}
+        >
+            {experiments.length === 0 ? (
+                <Empty description="Chưa có thí nghiệm nào" />
+            ) : (
+                <Space direction="vertical" size={16} style={{ width: '100%' }}>
+                    {experiments.map(experiment => {
+                        const alert = conclusionAlert(experiment);
+                        return (
+                            <Card
+                                key={experiment._id}
+                                size="small"
+                                title={
+                                    <Space size={8} wrap>
+                                        <Text strong>{experiment.name}</Text>
+                                        <Tag color={STATUS_TAGS[experiment.status].color}>{STATUS_TAGS[experiment.status].label}</Tag>
+                                        <Tag color="blue">{typeLabel(experiment.type)}</Tag>
+                                    </Space>
+                                }
+                                extra={
+                                    <Space size={4}>
+                                        {canPublish && experiment.status === 'draft' && (
+                                            <Popconfirm
+                                                title="Bắt đầu thí nghiệm?"
+                                                description="Các biến thể sẽ được bật và số liệu tính từ lúc này"
+                                                okText="Bắt đầu"
+                                                cancelText="Hủy"
+                                                onConfirm={() => runAction(
+                                                    () => setBannerExperimentStatus(experiment._id, 'start'),
+                                                    'Đã bắt đầu thí nghiệm',
+                                                    true
+                                                )}
+                                            >
+                                                <Button size="small" type="primary" icon={<PlayCircleOutlined />}>Bắt đầu</Button>
+                                            </Popconfirm>
+                                        )}
+                                        {canPublish && experiment.status === 'running' && (
+                                            <Popconfirm
+                                                title="Dừng thí nghiệm?"
+                                                description="Số liệu được chốt, banner giữ nguyên trạng thái"
+                                                okText="Dừng"
+                                                cancelText="Hủy"
+                                                onConfirm={() => runAction(
+                                                    () => setBannerExperimentStatus(experiment._id, 'stop'),
+                                                    'Đã dừng thí nghiệm'
+                                                )}
+                                            >
+                                                <Button size="small" icon={<PauseCircleOutlined />}>Dừng</Button>
+                                            </Popconfirm>
+                                        )}
+                                        {canWrite && experiment.status === 'draft' && (
+                                            <Button size="small" type="text" icon={<EditOutlined />} onClick={() => handleOpen(experiment)} />
+                                        )}
+                                        {canWrite && experiment.status !== 'running' && (
+                                            <Popconfirm
+                                                title="Xóa thí nghiệm này?"
+                                                description="Banner không bị xóa"
+                                                okText="Xóa"
+                                                cancelText="Hủy"
+                                                okButtonProps={{ danger: true }}
+                                                onConfirm={() => runAction(
+                                                    () => deleteBannerExperiment(experiment._id),
+                                                    'Đã xóa thí nghiệm'
+                                                )}
+                                            >
+                                                <Button size="small" type="text" danger icon={<DeleteOutlined />} />
+                                            </Popconfirm>
+                                        )}
+                                    </Space>
+                                }
+                            >
+                                <Space direction="vertical" size={12} style={{ width: '100%' }}>
+                                    {experiment.hypothesis && (
+                                        <Text type="secondary">{experiment.hypothesis}</Text>
+                                    )}
+                                    {experiment.startedAt && (
+                                        <Text type="secondary" style={{ fontSize: 12 }}>
+                                            Bắt đầu {dayjs(experiment.startedAt).format('HH:mm DD/MM/YYYY')}
+                                            {experiment.stoppedAt && ` · Kết thúc ${dayjs(experiment.stoppedAt).format('HH:mm DD/MM/YYYY')}`}
+                                        </Text>
+                                    )}
+                                    {alert && experiment.status !== 'completed' && (
+                                        <Alert type={alert.type} showIcon message={alert.text} />
+                                    )}
+                                    {renderVariants(experiment)}
+                                </Space>
+                            </Card>
+                        );
+                    })}
+                </Space>
+            )}
+
+            <Modal
+                title={editing ? 'Sửa thí nghiệm' : 'Tạo thí nghiệm A/B'}
+                open={modalVisible}
+                onCancel={handleClose}
+                footer={null}
+                width={560}
+                destroyOnClose
+            >
+                <Form
+                    form={form}
+                    layout="vertical"
+                    onFinish={handleSubmit}
+                    initialValues={{ type: 'sticky_bottom', confidenceLevel: 0.95, minImpressions: 100, bannerIds: [] }}
+                >
+                    <Form.Item
+                        name="name"
+                        label="Tên thí nghiệm"
+                        rules={[{ required: true, message: 'Vui lòng nhập tên' }]}
+                    >
+                        <Input placeholder="VD: Banner Tết - ảnh đỏ vs ảnh vàng" maxLength={100} />
+                    </Form.Item>
+
+                    <Form.Item name="hypothesis" label="Giả thuyết">
+                        <Input.TextArea rows={2} maxLength={1000} placeholder="VD: Ảnh có nút CTA rõ ràng tăng CTR" />
+                    </Form.Item>
+
+                    <Form.Item name="type" label="Vị trí hiển thị" rules={[{ required: true, message: 'Vui lòng chọn vị trí' }]}>
+                        <Select options={bannerTypes} onChange={() => form.setFieldsValue({ bannerIds: [] })} />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="bannerIds"
+                        label="Biến thể"
+                        extra="Banner chọn đầu tiên là đối chứng (A)"
+                        rules={[{ type: 'array', min: 2, message: 'Chọn ít nhất 2 banner' }]}
+                    >
+                        <Select
+                            mode="multiple"
+                            options={bannerOptions}
+                            optionFilterProp="label"
+                            placeholder="Chọn banner cùng vị trí hiển thị"
+                            notFoundContent="Không có banner ở vị trí này"
+                        />
+                    </Form.Item>
+
+                    <Space size={16} style={{ width: '100%' }}>
+                        <Form.Item name="confidenceLevel" label="Mức tin cậy">
+                            <Select options={CONFIDENCE_OPTIONS} style={{ width: 120 }} />
+                        </Form.Item>
+                        <Form.Item name="minImpressions" label="Lượt xem tối thiểu / biến thể">
+                            <InputNumber min={0} max={1000000} style={{ width: 200 }} />
+                        </Form.Item>
+                    </Space>
+
+                    <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
+                        <Space>
+                            <Button onClick={handleClose}>Hủy</Button>
+                            <Button
+                                type="primary"
+                                htmlType="submit"
+                                loading={saving}
+                                style={{ background: '#D31016', borderColor: '#D31016' }}
+                            >
+                                {editing ? 'Cập nhật' : 'Tạo thí nghiệm'}
+                            </Button>
+                        </Space>
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </Card>
+    );
+};
+
+export default BannerExperimentsPanel;
@@ -0,0 +1,338 @@
+'use client';
+
+/**
+ * Banner Stats Chart
+ *
+ * Biểu đồ theo thời gian (GET /api/banners/:id/stats) trên trang quản lý banner
+ * - Chồng nhiều banner cùng vị trí (biến thể) trên 1 biểu đồ: CTR / lượt xem / click theo giờ hoặc ngày
+ * - Xu hướng CTR: so CTR nửa đầu với nửa sau khoảng thời gian → phát hiện creative bị "mòn"
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    Card,
+    Space,
+    Select,
+    DatePicker,
+    Segmented,
+    Table,
+    Tag,
+    Typography,
+    Empty,
+    Tooltip as AntTooltip,
+    message
+} from 'antd';
+import { LineChartOutlined } from '@ant-design/icons';
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer
+} from 'recharts';
+import dayjs, { type Dayjs } from 'dayjs';
+import { getBannerStats } from '@/lib/adminApi';
+
+const { Text } = Typography;
+const { RangePicker } = DatePicker;
+
+type Granularity = 'hour' | 'day';
+type Metric = 'ctr' | 'impressions' | 'clicks';
+
+interface StatsPoint {
+    bucketStart: string;
+    served: number;
+    impressions: number;
+    clicks: number;
+    ctr: number;
+}
+
+interface BannerSeries {
+    banner: { id: string; name: string; type: string; isActive: boolean };
+    series: StatsPoint[];
+    totals: { served: number; impressions: number; clicks: number; ctr: number };
+}
+
+interface BannerOption {
+    _id: string;
+    name: string;
+    type: string;
+    stats?: { impressions: number };
+}
+
+interface BannerStatsChartProps {
+    banners: BannerOption[];
+    bannerTypes: { value: string; label: string }[];
+}
+
+// Số banner tối đa trên 1 biểu đồ
+const MAX_SERIES = 6;
+
+const LINE_COLORS = ['#D31016', '#1677ff', '#52c41a', '#faad14', '#722ed1', '#13c2c2'];
+
+const METRIC_OPTIONS = [
+    { value: 'ctr', label: 'CTR' },
+    { value: 'impressions', label: 'Lượt xem' },
+    { value: 'clicks', label: 'Click' }
+];
+
+// Khoảng mặc định theo granularity (backend giới hạn 31 ngày cho giờ)
+const DEFAULT_DAYS: Record<Granularity, number> = { hour: 2, day: 30 };
+
+const formatPercent = (value: number, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+/**
+ * CTR nửa đầu / nửa sau (theo thời gian) và mức thay đổi
+ */
+const ctrTrend = (series: StatsPoint[]) => {
+    const half = Math.floor(series.length / 2);
+    const sum = (points: StatsPoint[]) => points.reduce(
+        (acc, p) => ({ impressions: acc.impressions + p.impressions, clicks: acc.clicks + p.clicks }),
+        { impressions: 0, clicks: 0 }
+    );
+    const first = sum(series.slice(0, half));
+    const last = sum(series.slice(half));
+    if (first.impressions === 0 || last.impressions === 0) return null;
+
+    const firstCtr = first.clicks / first.impressions;
+    const lastCtr = last.clicks / last.impressions;
+    return {
+        firstCtr,
+        lastCtr,
+        change: firstCtr > 0 ? (lastCtr - firstCtr) / firstCtr : null
+    };
+};
+
+export const BannerStatsChart: React.FC<BannerStatsChartProps> = ({ banners, bannerTypes }) => {
+    const [type, setType] = useState<string>(bannerTypes[0]?.value);
+    const [selectedIds, setSelectedIds] = useState<string[]>([]);
+    const [granularity, setGranularity] = useState<Granularity>('day');
+    const [range, setRange] = useState<[Dayjs, Dayjs]>([dayjs().subtract(DEFAULT_DAYS.day, 'day'), dayjs()]);
+    const [metric, setMetric] = useState<Metric>('ctr');
+    const [data, setData] = useState<BannerSeries[]>([]);
+    const [loading, setLoading] = useState(false);
+
+    const typeBanners = useMemo(
+        () => banners.filter(banner => banner.type === type),
+        [banners, type]
+    );
+
+    // Đổi vị trí → chọn sẵn các banner nhiều lượt xem nhất
+    useEffect(() => {
+        setSelectedIds(
+            [...typeBanners]
+                .sort((a, b) => (b.stats?.impressions || 0) - (a.stats?.impressions || 0))
+                .slice(0, 3)
+                .map(banner => banner._id)
+        );
+    }, [typeBanners]);
+
+    useEffect(() => {
+        if (selectedIds.length === 0) {
+            setData([]);
+            return;
+        }
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            try {
+                const query = {
+                    from: range[0].toISOString(),
+                    to: range[1].toISOString(),
+                    granularity
+                };
+                const results = await Promise.all(
+                    selectedIds.map(id => getBannerStats(id, query) as Promise<{ data: BannerSeries }>)
+                );
+                if (!cancelled) setData(results.map(result => result.data));
+            } catch (error: any) {
+                if (!cancelled) message.error('Không thể tải thống kê banner: ' + error.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedIds, granularity, range]);
+
+    const handleGranularity = (value: Granularity) => {
+        setGranularity(value);
+        setRange([dayjs().subtract(DEFAULT_DAYS[value], 'day'), dayjs()]);
+    };
+
+    // Gộp các banner theo bucket: { label, [bannerId]: giá trị metric }
+    const chartData = useMemo(() => {
+        if (data.length === 0) return [];
+        const format = granularity === 'hour' ? 'HH:mm DD/MM' : 'DD/MM';
+        return data[0].series.map((point, index) => {
+            const row: Record<string, string | number | null> = { label: dayjs(point.bucketStart).format(format) };
+            data.forEach(item => {
+                const bucket = item.series[index];
+                if (metric !== 'ctr') {
+                    row[item.banner.id] = bucket?.[metric] || 0;
+                    return;
+                }
+                // Bucket không có lượt xem → không có CTR (đường nối qua, không rơi về 0)
+                row[item.banner.id] = bucket && bucket.impressions > 0 ? +(bucket.ctr * 100).toFixed(3) : null;
+            });
+            return row;
+        });
+    }, [data, granularity, metric]);
+
+    const summaryColumns = [
+        {
+            title: 'Banner',
+            key: 'banner',
+            render: (_: unknown, item: BannerSeries, index: number) => (
+                <Space size={6}>
+                    <span style={{ display: 'inline-block', width: 10, height: 10, borderRadius: 2, background: LINE_COLORS[index % LINE_COLORS.length] }} />
+                    <Text>{item.banner.name}</Text>
+                    {!item.banner.isActive && <Tag>Tắt</Tag>}
+                </Space>
+            )
+        },
+        {
+            title: 'Served',
+            key: 'served',
+            align: 'right' as const,
+            render: (_: unknown, item: BannerSeries) => item.totals.served.toLocaleString('vi-VN')
+        },
+        {
+            title: 'Lượt xem',
+            key: 'impressions',
+            align: 'right' as const,
+            render: (_: unknown, item: BannerSeries) => item.totals.impressions.toLocaleString('vi-VN')
+        },
+        {
+            title: 'Click',
+            key: 'clicks',
+            align: 'right' as const,
+            render: (_: unknown, item: BannerSeries) => item.totals.clicks.toLocaleString('vi-VN')
+        },
+        {
+            title: 'CTR',
+            key: 'ctr',
+            align: 'right' as const,
+            render: (_: unknown, item: BannerSeries) => <Text strong>{formatPercent(item.totals.ctr)}</Text>
+        },
+        {
+            title: 'Xu hướng CTR',
+            key: 'trend',
+            render: (_: unknown, item: BannerSeries) => {
+                const trend = ctrTrend(item.series);
+                if (!trend || trend.change === null) return <Text type="secondary">Chưa đủ dữ liệu</Text>;
+                return (
+                    <AntTooltip title={`Nửa đầu ${formatPercent(trend.firstCtr)} → nửa sau ${formatPercent(trend.lastCtr)}`}>
+                        <Tag color={trend.change <= -0.2 ? 'red' : trend.change < 0 ? 'orange' : 'green'}>
+                            {trend.change >= 0 ? '+' : ''}{formatPercent(trend.change, 1)}
+                        </Tag>
+                    </AntTooltip>
+                );
+            }
+        }
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <LineChartOutlined style={{ color: '#D31016' }} />
+                    <span>Thống kê theo thời gian</span>
+                </Space>
+            }
+            style={{ marginTop: 24 }}
+        >
+            <Space wrap style={{ marginBottom: 16 }}>
+                <Select
+                    value={type}
+                    options={bannerTypes}
+                    onChange={setType}
+                    style={{ width: 200 }}
+                />
+                <Select
+                    mode="multiple"
+                    value={selectedIds}
+                    onChange={(ids: string[]) => setSelectedIds(ids.slice(0, MAX_SERIES))}
+                    options={typeBanners.map(banner => ({ value: banner._id, label: banner.name }))}
+                    optionFilterProp="label"
+                    placeholder="Chọn banner để so sánh"
+                    maxTagCount="responsive"
+                    style={{ minWidth: 280 }}
+                />
+                <Segmented
+                    value={granularity}
+                    onChange={(value) => handleGranularity(value as Granularity)}
+                    options={[
+                        { value: 'hour', label: 'Giờ' },
+                        { value: 'day', label: 'Ngày' }
+                    ]}
+                />
+                <RangePicker
+                    showTime={granularity === 'hour'}
+                    format={granularity === 'hour' ? 'HH:mm DD/MM/YYYY' : 'DD/MM/YYYY'}
+                    value={range}
+                    allowClear={false}
+                    onChange={(value) => {
+                        if (value && value[0] && value[1]) setRange([value[0], value[1]]);
+                    }}
+                />
+                <Segmented
+                    value={metric}
+                    onChange={(value) => setMetric(value as Metric)}
+                    options={METRIC_OPTIONS}
+                />
+            </Space>
+
+            {selectedIds.length === 0 ? (
+                <Empty description="Chọn banner để xem thống kê" />
+            ) : (
+                <Space direction="vertical" size={16} style={{ width: '100%' }}>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <LineChart data={chartData}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={16} />
+                            <YAxis
+                                tick={{ fontSize: 12 }}
+                                tickFormatter={(value) => (metric === 'ctr' ? `${value}%` : value)}
+                            />
+                            <Tooltip
+                                formatter={(value: number) => (metric === 'ctr' ? `${value}%` : value.toLocaleString('vi-VN'))}
+                            />
+                            <Legend />
+                            {data.map((item, index) => (
+                                <Line
+                                    key={item.banner.id}
+                                    type="monotone"
+                                    dataKey={item.banner.id}
+                                    name={item.banner.name}
+                                    stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                                    strokeWidth={2}
+                                    dot={false}
+                                    connectNulls
+                                />
+                            ))}
+                        </LineChart>
+                    </ResponsiveContainer>
+
+                    <Table
+                        size="small"
+                        columns={summaryColumns}
+                        dataSource={data}
+                        rowKey={(item) => item.banner.id}
+                        loading={loading}
+                        pagination={false}
+                    />
+                </Space>
+            )}
+        </Card>
+    );
+};
+
+export default BannerStatsChart;
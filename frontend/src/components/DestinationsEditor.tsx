@@ -0,0 +1,197 @@
+'use client';
+
+/**
+ * Destinations Editor
+ *
+ * Danh sách URL đích có trọng số cho link nhiều đích (/go/:slug chọn theo weight)
+ * Mỗi destination có điều kiện thiết bị / thời gian và counters riêng
+ * Dùng bên trong antd Form (Form.List), giá trị: [{ _id?, label, url, weight, devices, startDate, endDate, isActive }]
+ */
+
+import React from 'react';
+import { Form, Input, InputNumber, Select, DatePicker, Switch, Button, Space, Typography, Tag } from 'antd';
+import { PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import type { Dayjs } from 'dayjs';
+
+const { Text } = Typography;
+
+export interface Destination {
+    _id?: string;
+    label?: string;
+    url: string;
+    weight: number;
+    devices?: string[];
+    startDate?: string | null;
+    endDate?: string | null;
+    isActive?: boolean;
+    totalClicks?: number;
+    validClicks?: number;
+}
+
+export interface DestinationFormValue extends Omit<Destination, 'startDate' | 'endDate'> {
+    startDate?: Dayjs | null;
+    endDate?: Dayjs | null;
+}
+
+const DEVICE_OPTIONS = [
+    { value: 'desktop', label: 'Desktop' },
+    { value: 'mobile', label: 'Mobile' },
+    { value: 'tablet', label: 'Tablet' },
+];
+
+interface DestinationsEditorProps {
+    name?: string;
+    // Counters của destination đã lưu, theo _id
+    stats?: Record<string, { totalClicks?: number; validClicks?: number }>;
+    // URL cuối cùng (sau template) theo thứ tự destination
+    previewUrls?: string[];
+}
+
+export const DestinationsEditor: React.FC<DestinationsEditorProps> = ({
+    name = 'destinations',
+    stats = {},
+    previewUrls = []
+}) => {
+    const form = Form.useFormInstance();
+    const destinations = (Form.useWatch(name, form) || []) as DestinationFormValue[];
+
+    const totalWeight = destinations.reduce(
+        (sum, d) => sum + (d && d.isActive !== false ? Number(d.weight) || 0 : 0),
+        0
+    );
+    const totalClicks = Object.values(stats).reduce((sum, s) => sum + (s.totalClicks || 0), 0);
+
+    return (
+        <Form.List name={name}>
+            {(fields, { add, remove }) => (
+                <>
+                    {fields.map(({ key, name: fieldName, ...restField }) => {
+                        const current = destinations[fieldName];
+                        const stat = current?._id ? stats[current._id] : undefined;
+                        const share = current && current.isActive !== false && totalWeight > 0
+                            ? Math.round(((Number(current.weight) || 0) / totalWeight) * 100)
+                            : 0;
+
+                        return (
+                            <div
+                                key={key}
+                                style={{
+                                    border: '1px solid #f0f0f0',
+                                    borderRadius: 8,
+                                    padding: 12,
+                                    marginBottom: 12,
+                                    background: 'white'
+                                }}
+                            >
+                                <Form.Item {...restField} name={[fieldName, '_id']} hidden>
+                                    <Input />
+                                </Form.Item>
+
+                                <Space style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                                    <Space size={4} wrap>
+                                        <Tag color="red">~{share}% traffic</Tag>
+                                        {stat && (
+                                            <Tag>
+                                                {stat.totalClicks || 0} clicks ({stat.validClicks || 0} hợp lệ
+                                                {totalClicks > 0 ? `, ${Math.round(((stat.totalClicks || 0) / totalClicks) * 100)}%` : ''})
+                                            </Tag>
+                                        )}
+                                    </Space>
+                                    <Space size={8}>
+                                        <Form.Item
+                                            {...restField}
+                                            name={[fieldName, 'isActive']}
+                                            valuePropName="checked"
+                                            initialValue={true}
+                                            style={{ marginBottom: 0 }}
+                                        >
+                                            <Switch size="small" />
+                                        </Form.Item>
+                                        <Button
+                                            type="text"
+                                            danger
+                                            size="small"
+                                            icon={<DeleteOutlined />}
+                                            onClick={() => remove(fieldName)}
+                                        />
+                                    </Space>
+                                </Space>
+
+                                <Space.Compact style={{ width: '100%' }}>
+                                    <Form.Item
+                                        {...restField}
+                                        name={[fieldName, 'label']}
+                                        style={{ width: '35%', marginBottom: 8 }}
+                                    >
+                                        <Input placeholder="Tên (VD: Shopee Mall)" />
+                                    </Form.Item>
+                                    <Form.Item
+                                        {...restField}
+                                        name={[fieldName, 'url']}
+                                        rules={[
+                                            { required: true, message: 'Nhập URL đích' },
+                                            { type: 'url', message: 'URL không hợp lệ' }
+                                        ]}
+                                        style={{ width: '65%', marginBottom: 8 }}
+                                    >
+                                        <Input placeholder="https://shopee.vn/..." />
+                                    </Form.Item>
+                                </Space.Compact>
+
+                                <Space wrap size={8} align="start">
+                                    <Form.Item
+                                        {...restField}
+                                        name={[fieldName, 'weight']}
+                                        initialValue={1}
+                                        style={{ marginBottom: 8 }}
+                                    >
+                                        <InputNumber min={0} max={1000} addonBefore="Weight" style={{ width: 140 }} />
+                                    </Form.Item>
+                                    <Form.Item
+                                        {...restField}
+                                        name={[fieldName, 'devices']}
+                                        style={{ marginBottom: 8 }}
+                                    >
+                                        <Select
+                                            mode="multiple"
+                                            allowClear
+                                            placeholder="Mọi thiết bị"
+                                            options={DEVICE_OPTIONS}
+                                            style={{ minWidth: 160 }}
+                                        />
+                                    </Form.Item>
+                                </Space>
+
+                                <Space wrap size={8}>
+                                    <Form.Item {...restField} name={[fieldName, 'startDate']} style={{ marginBottom: 0 }}>
+                                        <DatePicker showTime format="DD/MM/YYYY HH:mm" placeholder="Bắt đầu" />
+                                    </Form.Item>
+                                    <Form.Item {...restField} name={[fieldName, 'endDate']} style={{ marginBottom: 0 }}>
+                                        <DatePicker showTime format="DD/MM/YYYY HH:mm" placeholder="Kết thúc" />
+                                    </Form.Item>
+                                </Space>
+
+                                {previewUrls[fieldName] && (
+                                    <div style={{ wordBreak: 'break-all', fontSize: 12, marginTop: 8 }}>
+                                        <Text type="secondary" style={{ fontSize: 12 }}>→ </Text>
+                                        <Text copyable style={{ fontSize: 12 }}>{previewUrls[fieldName]}</Text>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                    <Button
+                        type="dashed"
+                        onClick={() => add({ label: '', url: '', weight: 1, devices: [], isActive: true })}
+                        icon={<PlusOutlined />}
+                        block
+                    >
+                        Thêm URL đích
+                    </Button>
+                </>
+            )}
+        </Form.List>
+    );
+};
+
+export default DestinationsEditor;
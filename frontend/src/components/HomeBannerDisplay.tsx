@@ -8,9 +8,13 @@
  * - Random chọn 1 banner để hiển thị
  * - Hỗ trợ showDelay (hiển thị sau X giây)
  * - Auto rotate giữa các banner
+ * - Lượt xem tính riêng cho từng banner khi thực sự hiển thị (useBannerImpression)
+ * - Đóng banner → backend ghi nhớ theo visitorId, không trả lại trong thời gian cool-down
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useBannerImpression } from '@/hooks/useBannerImpression';
+import { appendBannerVisitor, recordBannerDismiss } from '@/lib/bannerVisitor';
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -37,11 +41,13 @@ export default function HomeBannerDisplay() {
     const [fadeIn, setFadeIn] = useState(false);
     const rotateTimer = useRef<NodeJS.Timeout | null>(null);
     const bannerIndex = useRef(0);
+    const impressionRef = useBannerImpression(currentBanner?.id);
 
     // Fetch all active banners
     const fetchBanners = useCallback(async () => {
         try {
-            const res = await fetch(`${API_BASE}/api/banners/public/all`);
+            const params = appendBannerVisitor(new URLSearchParams());
+            const res = await fetch(`${API_BASE}/api/banners/public/all?${params.toString()}`);
             if (!res.ok) return;
 
             const data = await res.json();
@@ -117,7 +123,8 @@ export default function HomeBannerDisplay() {
         setDismissed(true);
         setVisible(false);
         if (rotateTimer.current) clearInterval(rotateTimer.current);
-    }, []);
+        if (currentBanner) recordBannerDismiss(currentBanner.id);
+    }, [currentBanner]);
 
     if (!currentBanner || !visible || dismissed) return null;
 
@@ -214,6 +221,7 @@ export default function HomeBannerDisplay() {
                             <source media="(max-width: 768px)" srcSet={currentBanner.mobileImageUrl} />
                         )}
                         <img
+                            ref={impressionRef}
                             src={currentBanner.imageUrl}
                             alt={currentBanner.altText || currentBanner.name}
                             style={{
@@ -4,8 +4,9 @@
  * Link Form Component - Professional Article Editor
  * 
  * 2-column layout:
- * - Left (40%): Basic info, Slug, Image upload
+ * - Left (40%): Basic info, Slug, Image upload, Target URL + redirect template preview
  * - Right (60%): Rich text editor (Quill)
+ * Khi chỉnh sửa: nút "Lịch sử" mở side panel revision (diff + khôi phục)
  */
 
 import React, { useEffect, useState, useCallback, useMemo } from 'react';
@@ -32,10 +33,19 @@ import {
     TagOutlined,
     CloudUploadOutlined,
     DeleteOutlined,
-    EditOutlined
+    EditOutlined,
+    ShoppingOutlined,
+    HistoryOutlined
 } from '@ant-design/icons';
 import dynamic from 'next/dynamic';
 import dayjs from 'dayjs';
+import { fetchApi, ApiError } from '@/lib/adminApi';
+import { showFieldErrors } from '@/lib/formErrors';
+import RedirectParamsEditor, { RedirectParam } from '@/components/RedirectParamsEditor';
+import DestinationsEditor, { Destination, DestinationFormValue } from '@/components/DestinationsEditor';
+import RevisionPanel from '@/components/RevisionPanel';
+import { invalidateLinks } from '@/hooks/useAdminData';
+import { getWorkspaceHeaders } from '@/lib/authService';
 
 // Import Quill CSS
 import 'react-quill/dist/quill.snow.css';
@@ -50,6 +60,13 @@ const ReactQuill = dynamic(() => import('react-quill'), {
 const { Text } = Typography;
 const { TextArea } = Input;
 
+// Field API không có ô nhập riêng trên form → báo lỗi bằng toast
+const NON_FORM_FIELDS: Record<string, false> = {
+    content: false,
+    redirectParams: false,
+    destinations: false
+};
+
 // Vietnamese to slug converter
 const titleToSlug = (title: string): string => {
     if (!title) return '';
@@ -105,18 +122,35 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
     const [editorContent, setEditorContent] = useState('');
     const [isEditorMounted, setIsEditorMounted] = useState(false);
     const [categories, setCategories] = useState<{ name: string; slug: string; color?: string }[]>([]);
-
-    // Fetch categories from API
+    const [redirectPreview, setRedirectPreview] = useState<string | null>(null);
+    const [destinationPreviews, setDestinationPreviews] = useState<string[]>([]);
+    const [redirectPreviewError, setRedirectPreviewError] = useState<string | null>(null);
+    const [historyOpen, setHistoryOpen] = useState(false);
+
+    const targetUrl = Form.useWatch('targetUrl', form);
+    const redirectParams = Form.useWatch('redirectParams', form) as RedirectParam[] | undefined;
+    const watchedSlug = Form.useWatch('customSlug', form);
+    const watchedCategory = Form.useWatch('category', form);
+    const watchedStatus = Form.useWatch('status', form);
+    const watchedPublishedAt = Form.useWatch('publishedAt', form);
+    const watchedDestinations = Form.useWatch('destinations', form) as DestinationFormValue[] | undefined;
+
+    // Counters của từng destination đã lưu
+    const destinationStats = useMemo(() => {
+        const stats: Record<string, { totalClicks?: number; validClicks?: number }> = {};
+        (editingLink?.destinations || []).forEach((d: Destination) => {
+            if (d._id) stats[d._id] = { totalClicks: d.totalClicks, validClicks: d.validClicks };
+        });
+        return stats;
+    }, [editingLink]);
+
+    // Fetch categories from API (dùng chung + của workspace đang chọn)
     useEffect(() => {
         const fetchCategories = async () => {
             try {
-                const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
-                const res = await fetch(`${API_BASE}/api/categories/public`);
-                if (res.ok) {
-                    const data = await res.json();
-                    if (data.success && data.data) {
-                        setCategories(data.data);
-                    }
+                const data = await fetchApi<{ success: boolean; data: { name: string; slug: string; color?: string; isActive: boolean }[] }>('/categories');
+                if (data.success && data.data) {
+                    setCategories(data.data.filter(category => category.isActive));
                 }
             } catch (error) {
                 console.error('Failed to fetch categories:', error);
@@ -141,9 +175,18 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                     imageLinkUrl: imageLinkUrl,
                     description: editingLink.description,
                     customSlug: editingLink.slug,
+                    targetUrl: editingLink.targetUrl || '',
+                    redirectParams: editingLink.redirectParams || [],
+                    destinations: (editingLink.destinations || []).map((d: Destination) => ({
+                        ...d,
+                        startDate: d.startDate ? dayjs(d.startDate) : null,
+                        endDate: d.endDate ? dayjs(d.endDate) : null
+                    })),
                     category: editingLink.category || (categories.length > 0 ? categories[0].name : 'Thời sự'),
                     author: editingLink.author || 'Tin tức 24h',
-                    publishedAt: editingLink.publishedAt ? dayjs(editingLink.publishedAt) : dayjs()
+                    publishedAt: editingLink.publishedAt ? dayjs(editingLink.publishedAt) : dayjs(),
+                    status: editingLink.status === 'scheduled' ? 'published' : (editingLink.status || 'published'),
+                    expiresAt: editingLink.expiresAt ? dayjs(editingLink.expiresAt) : null
                 });
                 
                 if (imageUrl) {
@@ -157,9 +200,13 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
             } else {
                 form.resetFields();
                 form.setFieldsValue({
+                    redirectParams: [],
+                    destinations: [],
                     category: categories.length > 0 ? categories[0].name : 'Thời sự',
                     author: 'Tin tức 24h',
-                    publishedAt: dayjs()
+                    publishedAt: dayjs(),
+                    status: 'published',
+                    expiresAt: null
                 });
                 setEditorContent('');
             }
@@ -173,6 +220,59 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
         }
     }, [visible, editingLink, form, categories]);
 
+    // Preview URL redirect cuối cùng (template user + link) - debounce khi đang gõ
+    useEffect(() => {
+        const destinationUrls = (watchedDestinations || []).map(d => ({ url: d?.url || '' }));
+
+        if (!visible || (!targetUrl && destinationUrls.length === 0)) {
+            setRedirectPreview(null);
+            setDestinationPreviews([]);
+            setRedirectPreviewError(null);
+            return;
+        }
+
+        const timer = setTimeout(async () => {
+            try {
+                const result = await fetchApi<{ data: { finalUrl: string; destinationUrls: string[] } }>('/links/redirect-preview', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        targetUrl,
+                        destinations: destinationUrls,
+                        redirectParams: (redirectParams || []).filter(p => p && p.key),
+                        slug: watchedSlug,
+                        category: watchedCategory,
+                        originalSlug: editingLink?.slug
+                    }),
+                });
+                setRedirectPreview(result.data.finalUrl || null);
+                setDestinationPreviews(result.data.destinationUrls || []);
+                setRedirectPreviewError(null);
+            } catch {
+                setRedirectPreview(null);
+                setDestinationPreviews([]);
+                setRedirectPreviewError('Không thể tạo preview - kiểm tra lại URL đích và tham số');
+            }
+        }, 400);
+
+        return () => clearTimeout(timer);
+    }, [visible, targetUrl, watchedDestinations, redirectParams, watchedSlug, watchedCategory, editingLink]);
+
+    // Sau khi khôi phục revision: đồng bộ các field nội dung vào form đang mở
+    const handleRevisionRestored = useCallback((link: any) => {
+        form.setFieldsValue({
+            title: link.title,
+            description: link.description,
+            imageUrl: link.imageUrl || '',
+            category: link.category,
+            author: link.author,
+            targetUrl: link.targetUrl || '',
+            redirectParams: link.redirectParams || []
+        });
+        setPreviewImage(link.imageUrl || null);
+        setEditorContent(link.content || '');
+        invalidateLinks();
+    }, [form]);
+
     const handleTitleChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
         const title = e.target.value;
         const generatedSlug = titleToSlug(title);
@@ -196,7 +296,8 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                 const token = typeof window !== 'undefined' ? localStorage.getItem('shoppe_auth_token') : null;
                 const res = await fetch(`${API_BASE}/api/upload?folder=articles/covers`, {
                     method: 'POST',
-                    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+                    // Ảnh lưu trong thư mục của workspace đang chọn
+                    headers: token ? { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() } : {},
                     body: formData,
                 });
                 
@@ -256,10 +357,23 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                 values.publishedAt = values.publishedAt.toISOString();
             }
             
+            values.expiresAt = values.expiresAt ? values.expiresAt.toISOString() : null;
+            
+            values.destinations = (values.destinations || []).map((d: DestinationFormValue) => ({
+                ...d,
+                startDate: d.startDate ? d.startDate.toISOString() : null,
+                endDate: d.endDate ? d.endDate.toISOString() : null
+            }));
+            
             await onSubmit(values);
         } catch (error: any) {
             if (error.errorFields) {
                 console.log('Validation errors:', error.errorFields);
+            } else if (error instanceof ApiError) {
+                // Lỗi dữ liệu từ API: hiện ngay dưới ô nhập
+                if (!showFieldErrors(form, error, NON_FORM_FIELDS)) {
+                    message.error(error.message);
+                }
             } else {
                 console.error('Unexpected error:', error);
             }
@@ -303,6 +417,15 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                 <Space>
                     <EditOutlined style={{ color: '#D31016' }} />
                     <span>{editingLink ? 'Chỉnh sửa Bài viết' : 'Tạo Bài viết Mới'}</span>
+                    {editingLink && (
+                        <Button
+                            size="small"
+                            icon={<HistoryOutlined />}
+                            onClick={() => setHistoryOpen(true)}
+                        >
+                            Lịch sử
+                        </Button>
+                    )}
                 </Space>
             }
             open={visible}
@@ -363,7 +486,15 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                                         message: 'Slug chỉ chứa chữ, số, dấu gạch ngang' 
                                     }
                                 ]}
-                                extra={<Text type="secondary" style={{ fontSize: 12 }}>Tự động tạo từ tiêu đề, có thể chỉnh sửa</Text>}
+                                extra={
+                                    editingLink && watchedSlug && watchedSlug.toLowerCase() !== editingLink.slug ? (
+                                        <Text type="warning" style={{ fontSize: 12 }}>
+                                            Đổi slug: URL cũ /{editingLink.slug} sẽ tự chuyển hướng (301) sang slug mới
+                                        </Text>
+                                    ) : (
+                                        <Text type="secondary" style={{ fontSize: 12 }}>Tự động tạo từ tiêu đề, có thể chỉnh sửa</Text>
+                                    )
+                                }
                             >
                                 <Input 
                                     placeholder="khuyen-mai-flash-sale"
@@ -402,15 +533,62 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                                 </Col>
                             </Row>
 
-                            <Form.Item name="publishedAt" label="Ngày đăng">
-                                <DatePicker 
-                                    style={{ width: '100%' }}
-                                    format="DD/MM/YYYY HH:mm"
-                                    showTime
-                                    placeholder="Chọn ngày đăng"
+                            <Form.Item
+                                name="status"
+                                label="Trạng thái"
+                                extra={watchedStatus === 'published' && watchedPublishedAt && dayjs(watchedPublishedAt).isAfter(dayjs()) ? (
+                                    <Text type="secondary" style={{ fontSize: 12 }}>
+                                        Ngày đăng ở tương lai - bài sẽ tự xuất bản lúc {dayjs(watchedPublishedAt).format('HH:mm DD/MM/YYYY')}
+                                    </Text>
+                                ) : undefined}
+                            >
+                                <Select
+                                    options={[
+                                        { value: 'draft', label: 'Nháp' },
+                                        { value: 'published', label: 'Xuất bản (theo ngày đăng)' },
+                                        { value: 'archived', label: 'Gỡ bài' },
+                                    ]}
                                 />
                             </Form.Item>
 
+                            <Row gutter={12}>
+                                <Col span={12}>
+                                    <Form.Item name="publishedAt" label="Ngày đăng">
+                                        <DatePicker 
+                                            style={{ width: '100%' }}
+                                            format="DD/MM/YYYY HH:mm"
+                                            showTime
+                                            placeholder="Chọn ngày đăng"
+                                        />
+                                    </Form.Item>
+                                </Col>
+                                <Col span={12}>
+                                    <Form.Item
+                                        name="expiresAt"
+                                        label="Lịch gỡ bài"
+                                        dependencies={['publishedAt']}
+                                        rules={[
+                                            ({ getFieldValue }) => ({
+                                                validator(_, value) {
+                                                    const publishedAt = getFieldValue('publishedAt');
+                                                    if (!value || !publishedAt || dayjs(value).isAfter(publishedAt)) {
+                                                        return Promise.resolve();
+                                                    }
+                                                    return Promise.reject(new Error('Phải sau ngày đăng'));
+                                                }
+                                            })
+                                        ]}
+                                    >
+                                        <DatePicker 
+                                            style={{ width: '100%' }}
+                                            format="DD/MM/YYYY HH:mm"
+                                            showTime
+                                            placeholder="Không gỡ"
+                                        />
+                                    </Form.Item>
+                                </Col>
+                            </Row>
+
                             <Form.Item
                                 name="imageUrl"
                                 label={
@@ -510,6 +688,54 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                                     </Button>
                                 </div>
                             )}
+
+                            <Typography.Title level={5} style={{ color: '#D31016', marginTop: 24 }}>
+                                🔗 Link đích & Tracking
+                            </Typography.Title>
+                            <Divider style={{ margin: '12px 0' }} />
+
+                            <Form.Item
+                                name="targetUrl"
+                                label={
+                                    <Space>
+                                        <ShoppingOutlined />
+                                        <span>URL đích (/go/slug)</span>
+                                    </Space>
+                                }
+                                rules={[{ type: 'url', message: 'URL không hợp lệ' }]}
+                            >
+                                <Input placeholder="https://shopee.vn/..." allowClear />
+                            </Form.Item>
+
+                            <Form.Item
+                                label="Nhiều URL đích (chia traffic theo weight)"
+                                extra={<Text type="secondary" style={{ fontSize: 12 }}>URL đích ở trên được dùng khi không URL nào thỏa điều kiện thiết bị / thời gian</Text>}
+                            >
+                                <DestinationsEditor stats={destinationStats} previewUrls={destinationPreviews} />
+                            </Form.Item>
+
+                            <Form.Item
+                                label="Tham số redirect (utm, sub-ID)"
+                                extra={<Text type="secondary" style={{ fontSize: 12 }}>Ghi đè template mặc định trong trang cá nhân theo tên tham số</Text>}
+                            >
+                                <RedirectParamsEditor />
+                            </Form.Item>
+
+                            {((targetUrl && redirectPreview) || redirectPreviewError) && (
+                                <div style={{
+                                    border: '1px dashed #d9d9d9',
+                                    borderRadius: 8,
+                                    padding: 12,
+                                    background: 'white'
+                                }}>
+                                    <Text type="secondary" style={{ fontSize: 12 }}>URL cuối cùng (mặc định):</Text>
+                                    <div style={{ wordBreak: 'break-all', fontSize: 12, marginTop: 4 }}>
+                                        {redirectPreview
+                                            ? <Text copyable>{redirectPreview}</Text>
+                                            : <Text type="danger">{redirectPreviewError}</Text>}
+                                    </div>
+                                </div>
+                            )}
                         </div>
                     </Col>
 
@@ -598,6 +824,15 @@ const LinkFormArticle: React.FC<LinkFormArticleProps> = ({
                     </Space>
                 </Form.Item>
             </Form>
+
+            {editingLink && (
+                <RevisionPanel
+                    open={historyOpen}
+                    slug={editingLink.slug}
+                    onClose={() => setHistoryOpen(false)}
+                    onRestored={handleRevisionRestored}
+                />
+            )}
         </Modal>
     );
 };
@@ -26,17 +26,29 @@ import {
     EyeOutlined,
     CheckCircleOutlined,
     BarChartOutlined,
-    UserOutlined
+    UserOutlined,
+    ClockCircleOutlined,
+    SwapOutlined
 } from '@ant-design/icons';
-import { getCurrentUser } from '@/lib/authService';
+import { hasPermission } from '@/lib/authService';
 
 const { Text, Link } = Typography;
 
+// Trạng thái xuất bản bài viết
+const STATUS_LABELS: Record<string, { label: string; color: string }> = {
+    draft: { label: 'Nháp', color: 'default' },
+    scheduled: { label: 'Lên lịch', color: 'processing' },
+    published: { label: 'Đã đăng', color: 'success' },
+    archived: { label: 'Đã gỡ', color: 'warning' },
+};
+
 interface LinkTableProps {
     links: any[];
     loading?: boolean;
     onEdit: (link: any) => void;
     onDelete: (slug: string) => void;
+    // Admin: chuyển quyền sở hữu link
+    onTransferOwner?: (link: any) => void;
     // eslint-disable-next-line no-unused-vars
     onRefresh?: () => void;
 }
@@ -47,14 +59,14 @@ export default function LinkTable({
     loading = false,
     onEdit,
     onDelete,
+    onTransferOwner,
 }: LinkTableProps) {
     // Site URL for short links - All public links use this domain
     const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
     const baseUrl = `${siteUrl}`;
 
-    // Kiểm tra role của user hiện tại
-    const currentUser = getCurrentUser();
-    const isAdmin = currentUser?.role === 'admin';
+    // Kiểm tra quyền của user hiện tại: links:manage-all thấy cột chủ sở hữu + chuyển quyền sở hữu
+    const canManageAll = hasPermission('links:manage-all');
     const [detailsOpen, setDetailsOpen] = useState(false);
     const [selectedLink, setSelectedLink] = useState<any>(null);
 
@@ -200,8 +212,8 @@ export default function LinkTable({
                 );
             }
         },
-        // Cột User sở hữu - Chỉ hiển thị cho Admin
-        ...(isAdmin ? [{
+        // Cột User sở hữu - workspace có nhiều thành viên cùng tạo link
+        {
             title: 'User sở hữu',
             dataIndex: 'userId',
             key: 'userId',
@@ -227,25 +239,31 @@ export default function LinkTable({
                     </Space>
                 );
             }
-        }] : []),
+        },
         {
             title: 'Trạng thái',
-            dataIndex: 'isActive',
-            key: 'isActive',
-            width: 90,
-            filters: [
-                { text: 'Hoạt động', value: true },
-                { text: 'Ngưng', value: false }
-            ],
-            onFilter: (value: any, record: any) => record.isActive === value,
-            render: (isActive: boolean) => (
-                <Tag
-                    color={isActive ? 'success' : 'error'}
-                    icon={<CheckCircleOutlined />}
-                >
-                    {isActive ? 'Hoạt động' : 'Ngưng'}
-                </Tag>
-            )
+            dataIndex: 'status',
+            key: 'status',
+            width: 110,
+            filters: Object.entries(STATUS_LABELS).map(([value, { label }]) => ({ text: label, value })),
+            onFilter: (value: any, record: any) => (record.status || 'published') === value,
+            render: (status: string, record: any) => {
+                const { label, color } = STATUS_LABELS[status] || STATUS_LABELS.published;
+                const tooltip = [
+                    record.publishedAt && `Đăng: ${dayjs(record.publishedAt).format('HH:mm DD/MM/YYYY')}`,
+                    record.expiresAt && `Gỡ: ${dayjs(record.expiresAt).format('HH:mm DD/MM/YYYY')}`
+                ].filter(Boolean).join(' | ');
+                return (
+                    <Tooltip title={tooltip || undefined}>
+                        <Tag
+                            color={color}
+                            icon={record.isPublic ? <CheckCircleOutlined /> : <ClockCircleOutlined />}
+                        >
+                            {label}
+                        </Tag>
+                    </Tooltip>
+                );
+            }
         },
         {
             title: 'Ngày tạo',
@@ -262,7 +280,7 @@ export default function LinkTable({
         {
             title: 'Thao tác',
             key: 'action',
-            width: 120,
+            width: canManageAll ? 150 : 120,
             fixed: 'right' as const,
             render: (_: any, record: any) => (
                 <Space size={4}>
@@ -293,6 +311,17 @@ export default function LinkTable({
                             style={{ color: '#faad14' }}
                         />
                     </Tooltip>
+                    {canManageAll && onTransferOwner && (
+                        <Tooltip title="Chuyển chủ sở hữu">
+                            <Button
+                                type="text"
+                                size="small"
+                                icon={<SwapOutlined />}
+                                onClick={() => onTransferOwner(record)}
+                                style={{ color: '#722ed1' }}
+                            />
+                        </Tooltip>
+                    )}
                     <Popconfirm
                         title="Xóa link"
                         description="Bạn có chắc muốn xóa?"
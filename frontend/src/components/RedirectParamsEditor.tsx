@@ -0,0 +1,89 @@
+'use client';
+
+/**
+ * Redirect Params Editor
+ *
+ * Danh sách tham số (utm_*, sub-ID...) gắn vào URL đích khi redirect /go/:slug
+ * Dùng bên trong antd Form (Form.List), giá trị: [{ key, value, mode }]
+ */
+
+import React from 'react';
+import { Form, Input, Select, Button, Space, Typography, Tag } from 'antd';
+import { PlusOutlined, MinusCircleOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+export interface RedirectParam {
+    key: string;
+    value: string;
+    mode: 'append' | 'overwrite';
+}
+
+export const TEMPLATE_VARIABLES = ['{slug}', '{category}', '{userId}', '{username}', '{linkId}', '{date}'];
+
+const MODE_OPTIONS = [
+    { value: 'overwrite', label: 'Ghi đè' },
+    { value: 'append', label: 'Chỉ thêm nếu chưa có' },
+];
+
+interface RedirectParamsEditorProps {
+    name?: string;
+}
+
+export const RedirectParamsEditor: React.FC<RedirectParamsEditorProps> = ({ name = 'redirectParams' }) => {
+    return (
+        <Form.List name={name}>
+            {(fields, { add, remove }) => (
+                <>
+                    {fields.map(({ key, name: fieldName, ...restField }) => (
+                        <Space key={key} align="baseline" style={{ display: 'flex', marginBottom: 4 }}>
+                            <Form.Item
+                                {...restField}
+                                name={[fieldName, 'key']}
+                                rules={[
+                                    { required: true, message: 'Nhập tên tham số' },
+                                    { pattern: /^[\w.\-[\]]{1,64}$/, message: 'Tên không hợp lệ' }
+                                ]}
+                                style={{ marginBottom: 8 }}
+                            >
+                                <Input placeholder="utm_source" style={{ width: 120 }} />
+                            </Form.Item>
+                            <Form.Item
+                                {...restField}
+                                name={[fieldName, 'value']}
+                                style={{ marginBottom: 8 }}
+                            >
+                                <Input placeholder="{slug}-{date}" style={{ width: 150 }} />
+                            </Form.Item>
+                            <Form.Item
+                                {...restField}
+                                name={[fieldName, 'mode']}
+                                initialValue="overwrite"
+                                style={{ marginBottom: 8 }}
+                            >
+                                <Select options={MODE_OPTIONS} style={{ width: 120 }} />
+                            </Form.Item>
+                            <MinusCircleOutlined onClick={() => remove(fieldName)} style={{ color: '#999' }} />
+                        </Space>
+                    ))}
+                    <Button
+                        type="dashed"
+                        onClick={() => add({ key: '', value: '', mode: 'overwrite' })}
+                        icon={<PlusOutlined />}
+                        block
+                    >
+                        Thêm tham số
+                    </Button>
+                    <div style={{ marginTop: 8 }}>
+                        <Text type="secondary" style={{ fontSize: 12 }}>Biến hỗ trợ: </Text>
+                        {TEMPLATE_VARIABLES.map(variable => (
+                            <Tag key={variable} style={{ fontSize: 11, marginBottom: 4 }}>{variable}</Tag>
+                        ))}
+                    </div>
+                </>
+            )}
+        </Form.List>
+    );
+};
+
+export default RedirectParamsEditor;
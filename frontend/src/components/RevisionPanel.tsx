@@ -0,0 +1,364 @@
+'use client';
+
+/**
+ * Revision Panel
+ *
+ * Side panel lịch sử chỉnh sửa bài viết trong editor:
+ * - Danh sách revision (người sửa, thời gian, loại thao tác)
+ * - Diff nội dung theo từ (thêm: xanh gạch chân, xóa: đỏ gạch ngang) + các field khác trước/sau
+ * - Khôi phục về một revision (tạo revision mới, không đổi slug / trạng thái)
+ */
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Drawer, List, Tag, Typography, Space, Button, Popconfirm, Radio, Spin, Empty, Alert, message } from 'antd';
+import { HistoryOutlined, RollbackOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { getLinkRevisions, getLinkRevisionDiff, restoreLinkRevision } from '@/lib/adminApi';
+
+const { Text } = Typography;
+
+export interface RevisionSummary {
+    revision: number;
+    action: 'create' | 'update' | 'restore' | 'baseline';
+    restoredFrom?: number | null;
+    changedFields: string[];
+    editedBy: { userId?: string | null; username: string };
+    createdAt: string;
+    title?: string;
+    status?: string;
+    contentLength?: number;
+}
+
+interface DiffSegment {
+    op: 'equal' | 'insert' | 'delete';
+    text: string;
+    html: string;
+    formatOnly: boolean;
+}
+
+interface RevisionDiff {
+    from: { revision: number };
+    to: { revision: number };
+    changedFields: string[];
+    fields: { field: string; before: unknown; after: unknown }[];
+    content: {
+        segments: DiffSegment[];
+        stats: { insertedWords: number; deletedWords: number; formatChanges: number };
+        truncated: boolean;
+    };
+}
+
+const ACTION_LABELS: Record<RevisionSummary['action'], { label: string; color: string }> = {
+    create: { label: 'Tạo mới', color: 'green' },
+    update: { label: 'Cập nhật', color: 'blue' },
+    restore: { label: 'Khôi phục', color: 'orange' },
+    baseline: { label: 'Bản gốc', color: 'default' },
+};
+
+const FIELD_LABELS: Record<string, string> = {
+    slug: 'Slug',
+    title: 'Tiêu đề',
+    description: 'Mô tả',
+    content: 'Nội dung',
+    imageUrl: 'Ảnh bìa',
+    category: 'Danh mục',
+    author: 'Tác giả',
+    publishedAt: 'Ngày đăng',
+    status: 'Trạng thái',
+    expiresAt: 'Hết hạn',
+    targetUrl: 'URL đích',
+    destinations: 'Các URL đích',
+    redirectParams: 'Tham số redirect',
+};
+
+// Giá trị field dạng text ngắn gọn để hiển thị trước/sau
+const formatValue = (field: string, value: unknown): string => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'publishedAt' || field === 'expiresAt') {
+        return dayjs(value as string).format('DD/MM/YYYY HH:mm');
+    }
+    if (field === 'redirectParams') {
+        return (value as { key: string; value: string }[])
+            .map(p => `${p.key}=${p.value}`)
+            .join('&') || '—';
+    }
+    if (field === 'destinations') {
+        return (value as { label?: string; url: string; weight: number; isActive: boolean }[])
+            .map(d => `${d.label ? `${d.label}: ` : ''}${d.url} (×${d.weight}${d.isActive === false ? ', tắt' : ''})`)
+            .join('; ') || '—';
+    }
+    return String(value);
+};
+
+interface RevisionPanelProps {
+    open: boolean;
+    slug: string;
+    onClose: () => void;
+    // Gọi sau khi khôi phục thành công với link đã cập nhật
+    onRestored: (link: any) => void;
+}
+
+export const RevisionPanel: React.FC<RevisionPanelProps> = ({ open, slug, onClose, onRestored }) => {
+    const [revisions, setRevisions] = useState<RevisionSummary[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [selected, setSelected] = useState<number | null>(null);
+    const [compareTo, setCompareTo] = useState<'previous' | 'latest'>('previous');
+    const [diff, setDiff] = useState<RevisionDiff | null>(null);
+    const [diffLoading, setDiffLoading] = useState(false);
+    const [restoring, setRestoring] = useState(false);
+
+    const loadRevisions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getLinkRevisions(slug) as { data: RevisionSummary[] };
+            setRevisions(result.data || []);
+            setSelected(result.data?.[0]?.revision ?? null);
+        } catch (error: any) {
+            message.error('Không thể tải lịch sử: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [slug]);
+
+    useEffect(() => {
+        if (open) {
+            setCompareTo('previous');
+            loadRevisions();
+        } else {
+            setDiff(null);
+        }
+    }, [open, loadRevisions]);
+
+    // Cặp revision cần so sánh: revision được chọn với bản trước đó, hoặc với bản mới nhất
+    const latest = revisions[0]?.revision;
+    const range = useMemo(() => {
+        const index = revisions.findIndex(r => r.revision === selected);
+        if (index === -1) return null;
+        return compareTo === 'latest'
+            ? (selected !== latest ? { from: selected as number, to: latest } : null)
+            : (revisions[index + 1] ? { from: revisions[index + 1].revision, to: selected as number } : null);
+    }, [revisions, selected, compareTo, latest]);
+
+    useEffect(() => {
+        if (!open || !range) {
+            setDiff(null);
+            return;
+        }
+
+        let cancelled = false;
+        setDiffLoading(true);
+        getLinkRevisionDiff(slug, range.from, range.to)
+            .then((result) => {
+                if (!cancelled) setDiff((result as { data: RevisionDiff }).data);
+            })
+            .catch((error: any) => {
+                if (!cancelled) message.error('Không thể so sánh: ' + error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setDiffLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [open, slug, range]);
+
+    const handleRestore = async (revision: number) => {
+        setRestoring(true);
+        try {
+            const result = await restoreLinkRevision(slug, revision) as { data: { link: any } };
+            message.success(`Đã khôi phục về revision #${revision}`);
+            onRestored(result.data.link);
+            await loadRevisions();
+        } catch (error: any) {
+            message.error('Khôi phục thất bại: ' + error.message);
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    return (
+        <Drawer
+            title={
+                <Space>
+                    <HistoryOutlined style={{ color: '#D31016' }} />
+                    <span>Lịch sử chỉnh sửa</span>
+                </Space>
+            }
+            open={open}
+            onClose={onClose}
+            width={720}
+        >
+            <Spin spinning={loading}>
+                {revisions.length === 0 && !loading ? (
+                    <Empty description="Chưa có lịch sử chỉnh sửa" />
+                ) : (
+                    <div style={{ display: 'flex', gap: 16 }}>
+                        <List
+                            style={{ width: 240, flexShrink: 0 }}
+                            size="small"
+                            dataSource={revisions}
+                            renderItem={(rev) => {
+                                const action = ACTION_LABELS[rev.action] || ACTION_LABELS.update;
+                                return (
+                                    <List.Item
+                                        onClick={() => setSelected(rev.revision)}
+                                        style={{
+                                            cursor: 'pointer',
+                                            padding: '8px 12px',
+                                            borderRadius: 6,
+                                            background: rev.revision === selected ? '#fff1f0' : undefined
+                                        }}
+                                    >
+                                        <Space direction="vertical" size={2} style={{ width: '100%' }}>
+                                            <Space size={4}>
+                                                <Text strong>#{rev.revision}</Text>
+                                                <Tag color={action.color}>
+                                                    {action.label}
+                                                    {rev.action === 'restore' && rev.restoredFrom ? ` #${rev.restoredFrom}` : ''}
+                                                </Tag>
+                                                {rev.revision === latest && <Tag color="red">Hiện tại</Tag>}
+                                            </Space>
+                                            <Text type="secondary" style={{ fontSize: 12 }}>
+                                                {rev.editedBy?.username || 'system'} · {dayjs(rev.createdAt).format('DD/MM/YYYY HH:mm')}
+                                            </Text>
+                                            {rev.changedFields?.length > 0 && (
+                                                <Text type="secondary" style={{ fontSize: 12 }}>
+                                                    {rev.changedFields.map(f => FIELD_LABELS[f] || f).join(', ')}
+                                                </Text>
+                                            )}
+                                        </Space>
+                                    </List.Item>
+                                );
+                            }}
+                        />
+
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            {selected !== null && (
+                                <Space style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
+                                    <Radio.Group
+                                        size="small"
+                                        value={compareTo}
+                                        onChange={(e) => setCompareTo(e.target.value)}
+                                    >
+                                        <Radio.Button value="previous">So với bản trước</Radio.Button>
+                                        <Radio.Button value="latest">So với hiện tại</Radio.Button>
+                                    </Radio.Group>
+                                    {selected !== latest && (
+                                        <Popconfirm
+                                            title={`Khôi phục về revision #${selected}?`}
+                                            description="Nội dung hiện tại vẫn được giữ trong lịch sử. Slug và trạng thái không đổi."
+                                            okText="Khôi phục"
+                                            cancelText="Hủy"
+                                            onConfirm={() => handleRestore(selected)}
+                                        >
+                                            <Button
+                                                size="small"
+                                                icon={<RollbackOutlined />}
+                                                loading={restoring}
+                                            >
+                                                Khôi phục
+                                            </Button>
+                                        </Popconfirm>
+                                    )}
+                                </Space>
+                            )}
+
+                            <Spin spinning={diffLoading}>
+                                {!range ? (
+                                    <Empty
+                                        image={Empty.PRESENTED_IMAGE_SIMPLE}
+                                        description={compareTo === 'latest' ? 'Đây là bản hiện tại' : 'Không có bản trước để so sánh'}
+                                    />
+                                ) : diff && (
+                                    <RevisionDiffView diff={diff} />
+                                )}
+                            </Spin>
+                        </div>
+                    </div>
+                )}
+            </Spin>
+        </Drawer>
+    );
+};
+
+const RevisionDiffView: React.FC<{ diff: RevisionDiff }> = ({ diff }) => {
+    const { segments, stats, truncated } = diff.content;
+    const contentChanged = diff.changedFields.includes('content');
+
+    return (
+        <Space direction="vertical" size={12} style={{ width: '100%' }}>
+            <Text type="secondary">
+                #{diff.from.revision} → #{diff.to.revision}
+            </Text>
+
+            {diff.fields.length > 0 && (
+                <div style={{ border: '1px solid #f0f0f0', borderRadius: 8, padding: 12 }}>
+                    {diff.fields.map(({ field, before, after }) => (
+                        <div key={field} style={{ marginBottom: 6, wordBreak: 'break-word' }}>
+                            <Text strong>{FIELD_LABELS[field] || field}: </Text>
+                            <Text delete type="danger">{formatValue(field, before)}</Text>
+                            <Text type="secondary"> → </Text>
+                            <Text type="success">{formatValue(field, after)}</Text>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {contentChanged ? (
+                <>
+                    <Space size={4} wrap>
+                        <Tag color="green">+{stats.insertedWords} từ</Tag>
+                        <Tag color="red">-{stats.deletedWords} từ</Tag>
+                        {stats.formatChanges > 0 && <Tag>{stats.formatChanges} thay đổi định dạng</Tag>}
+                    </Space>
+                    {truncated && (
+                        <Alert type="warning" showIcon message="Nội dung quá dài, chỉ so sánh phần đầu bài viết" />
+                    )}
+                    <div
+                        style={{
+                            border: '1px solid #f0f0f0',
+                            borderRadius: 8,
+                            padding: 12,
+                            whiteSpace: 'pre-wrap',
+                            lineHeight: 1.7,
+                            maxHeight: '60vh',
+                            overflowY: 'auto'
+                        }}
+                    >
+                        {segments.map((segment, i) => {
+                            if (segment.op === 'equal') {
+                                return <span key={i}>{segment.text}</span>;
+                            }
+                            // Chỉ đổi thẻ HTML (in đậm, link...) → đánh dấu nhỏ thay vì hiển thị chữ
+                            if (segment.formatOnly) {
+                                return (
+                                    <Tag
+                                        key={i}
+                                        color={segment.op === 'insert' ? 'green' : 'red'}
+                                        style={{ fontSize: 10, marginInline: 2 }}
+                                    >
+                                        {segment.op === 'insert' ? '+' : '-'}định dạng
+                                    </Tag>
+                                );
+                            }
+                            return segment.op === 'insert' ? (
+                                <span key={i} style={{ background: '#f6ffed', color: '#237804', textDecoration: 'underline' }}>
+                                    {segment.text}
+                                </span>
+                            ) : (
+                                <span key={i} style={{ background: '#fff1f0', color: '#a8071a', textDecoration: 'line-through' }}>
+                                    {segment.text}
+                                </span>
+                            );
+                        })}
+                    </div>
+                </>
+            ) : (
+                <Text type="secondary">Nội dung bài viết không thay đổi</Text>
+            )}
+        </Space>
+    );
+};
+
+export default RevisionPanel;
@@ -12,7 +12,7 @@
 
 import React from 'react';
 import { SWRConfig } from 'swr';
-import { getToken } from '@/lib/authService';
+import { getToken, getWorkspaceHeaders } from '@/lib/authService';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -24,7 +24,7 @@ const defaultFetcher = async (url: string) => {
     const res = await fetch(fullUrl, {
         headers: {
             'Content-Type': 'application/json',
-            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+            ...(token ? { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() } : {})
         }
     });
 
@@ -0,0 +1,157 @@
+'use client';
+
+/**
+ * Sessions Card
+ *
+ * Danh sách thiết bị đang đăng nhập (GET /api/auth/sessions)
+ * Cho phép đăng xuất từng thiết bị hoặc tất cả thiết bị khác
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, List, Space, Button, Tag, Typography, Popconfirm, message } from 'antd';
+import { LaptopOutlined, MobileOutlined, LogoutOutlined, SafetyOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { getSessions, revokeSession, revokeOtherSessions } from '@/lib/adminApi';
+
+const { Text } = Typography;
+
+interface SessionItem {
+    id: string;
+    ip: string;
+    userAgent: string;
+    createdAt: string;
+    lastUsedAt: string;
+    expiresAt: string;
+    isCurrent: boolean;
+}
+
+// Mô tả ngắn gọn trình duyệt + hệ điều hành từ User-Agent
+const describeDevice = (userAgent: string) => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\//.test(userAgent) ? 'Opera'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Trình duyệt khác';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : '';
+    return {
+        label: os ? `${browser} trên ${os}` : browser,
+        isMobile: /Mobile|Android|iPhone|iPad/.test(userAgent)
+    };
+};
+
+export const SessionsCard: React.FC = () => {
+    const [sessions, setSessions] = useState<SessionItem[]>([]);
+    const [loading, setLoading] = useState(false);
+
+    const loadSessions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getSessions() as { data: SessionItem[] };
+            setSessions(result.data || []);
+        } catch (error: any) {
+            message.error('Không thể tải danh sách thiết bị: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleRevoke = async (id: string) => {
+        try {
+            await revokeSession(id);
+            message.success('Đã đăng xuất thiết bị');
+            loadSessions();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể đăng xuất thiết bị');
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        try {
+            const result = await revokeOtherSessions() as { message?: string };
+            message.success(result.message || 'Đã đăng xuất các thiết bị khác');
+            loadSessions();
+        } catch (error: any) {
+            message.error(error.message || 'Không thể đăng xuất các thiết bị khác');
+        }
+    };
+
+    const hasOthers = sessions.some(s => !s.isCurrent);
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <SafetyOutlined style={{ color: '#D31016' }} />
+                    <span>Thiết bị đang đăng nhập</span>
+                </Space>
+            }
+            extra={hasOthers && (
+                <Popconfirm
+                    title="Đăng xuất tất cả thiết bị khác?"
+                    okText="Đăng xuất"
+                    cancelText="Hủy"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={handleRevokeOthers}
+                >
+                    <Button size="small" danger>Đăng xuất thiết bị khác</Button>
+                </Popconfirm>
+            )}
+            style={{ borderRadius: 12, border: '1px solid #f0f0f0', marginTop: 24 }}
+        >
+            <List
+                loading={loading}
+                dataSource={sessions}
+                locale={{ emptyText: 'Không có phiên đăng nhập nào' }}
+                renderItem={(session) => {
+                    const device = describeDevice(session.userAgent || '');
+                    return (
+                        <List.Item
+                            actions={session.isCurrent ? [] : [
+                                <Popconfirm
+                                    key="revoke"
+                                    title="Đăng xuất thiết bị này?"
+                                    okText="Đăng xuất"
+                                    cancelText="Hủy"
+                                    okButtonProps={{ danger: true }}
+                                    onConfirm={() => handleRevoke(session.id)}
+                                >
+                                    <Button type="text" danger size="small" icon={<LogoutOutlined />} />
+                                </Popconfirm>
+                            ]}
+                        >
+                            <List.Item.Meta
+                                avatar={device.isMobile
+                                    ? <MobileOutlined style={{ fontSize: 20 }} />
+                                    : <LaptopOutlined style={{ fontSize: 20 }} />}
+                                title={
+                                    <Space size={4}>
+                                        <span>{device.label}</span>
+                                        {session.isCurrent && <Tag color="green">Thiết bị này</Tag>}
+                                    </Space>
+                                }
+                                description={
+                                    <Text type="secondary" style={{ fontSize: 12 }}>
+                                        {session.ip || 'IP không rõ'} · Hoạt động {dayjs(session.lastUsedAt).format('HH:mm DD/MM/YYYY')}
+                                        {' '}· Đăng nhập {dayjs(session.createdAt).format('DD/MM/YYYY')}
+                                    </Text>
+                                }
+                            />
+                        </List.Item>
+                    );
+                }}
+            />
+        </Card>
+    );
+};
+
+export default SessionsCard;
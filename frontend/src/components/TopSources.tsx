@@ -0,0 +1,181 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { Card, Table, Tag, Select, Space, Progress, Typography, Empty } from 'antd';
+import { GlobalOutlined } from '@ant-design/icons';
+import { useTopSources } from '@/hooks/useAdminData';
+
+const { Text } = Typography;
+
+interface Link {
+    slug?: string;
+    title?: string;
+    userId?: {
+        _id: string;
+        username?: string;
+        fullName?: string;
+    } | null;
+    [key: string]: any;
+}
+
+interface TopSourcesProps {
+    links?: Link[];
+    isAdmin?: boolean;
+}
+
+interface SourceRow {
+    domain: string | null;
+    family: string;
+    clicks: number;
+    validClicks: number;
+    share: number;
+}
+
+// Nhãn + màu cho từng nhóm nguồn
+const FAMILY_LABELS: Record<string, { label: string; color: string }> = {
+    social: { label: 'Mạng xã hội', color: 'blue' },
+    search: { label: 'Tìm kiếm', color: 'green' },
+    messaging: { label: 'Nhắn tin', color: 'cyan' },
+    email: { label: 'Email', color: 'purple' },
+    internal: { label: 'Nội bộ', color: 'default' },
+    referral: { label: 'Website khác', color: 'orange' },
+    direct: { label: 'Trực tiếp', color: 'red' },
+};
+
+const getFamily = (family: string) => FAMILY_LABELS[family] || { label: family, color: 'default' };
+
+export const TopSources: React.FC<TopSourcesProps> = ({ links = [], isAdmin = false }) => {
+    const [slug, setSlug] = useState<string | undefined>();
+    const [userId, setUserId] = useState<string | undefined>();
+    const [days, setDays] = useState(30);
+
+    const { topSources, isLoading } = useTopSources({ slug, userId, days });
+
+    // Danh sách user lấy từ links (Admin được populate userId)
+    const userOptions = useMemo(() => {
+        const users = new Map<string, string>();
+        links.forEach(link => {
+            if (link.userId?._id) {
+                users.set(link.userId._id, link.userId.fullName || link.userId.username || link.userId._id);
+            }
+        });
+        return Array.from(users.entries()).map(([value, label]) => ({ value, label }));
+    }, [links]);
+
+    const linkOptions = useMemo(() => links
+        .filter(link => !userId || link.userId?._id === userId)
+        .map(link => ({ value: link.slug, label: link.title || link.slug })), [links, userId]);
+
+    const columns = [
+        {
+            title: 'Nguồn',
+            key: 'domain',
+            render: (_: any, record: SourceRow) => (
+                <Text strong={!!record.domain}>{record.domain || '(trực tiếp)'}</Text>
+            ),
+        },
+        {
+            title: 'Nhóm',
+            dataIndex: 'family',
+            key: 'family',
+            render: (family: string) => {
+                const { label, color } = getFamily(family);
+                return <Tag color={color}>{label}</Tag>;
+            },
+        },
+        {
+            title: 'Clicks',
+            dataIndex: 'clicks',
+            key: 'clicks',
+            align: 'right' as const,
+        },
+        {
+            title: 'Tỉ lệ',
+            dataIndex: 'share',
+            key: 'share',
+            width: 140,
+            render: (share: number) => (
+                <Progress percent={share} size="small" strokeColor="#D31016" />
+            ),
+        },
+    ];
+
+    return (
+        <Card
+            title={
+                <span style={{ fontSize: 16, fontWeight: 600, color: '#1a1d29' }}>
+                    <GlobalOutlined style={{ marginRight: 8, color: '#D31016' }} />
+                    Nguồn truy cập hàng đầu
+                </span>
+            }
+            extra={
+                <Space wrap>
+                    {isAdmin && (
+                        <Select
+                            allowClear
+                            placeholder="Tất cả user"
+                            style={{ width: 160 }}
+                            value={userId}
+                            options={userOptions}
+                            onChange={(value) => {
+                                setUserId(value);
+                                setSlug(undefined);
+                            }}
+                        />
+                    )}
+                    <Select
+                        allowClear
+                        showSearch
+                        optionFilterProp="label"
+                        placeholder="Tất cả bài viết"
+                        style={{ width: 200 }}
+                        value={slug}
+                        options={linkOptions}
+                        onChange={setSlug}
+                    />
+                    <Select
+                        style={{ width: 110 }}
+                        value={days}
+                        onChange={setDays}
+                        options={[
+                            { value: 7, label: '7 ngày' },
+                            { value: 30, label: '30 ngày' },
+                            { value: 90, label: '90 ngày' },
+                        ]}
+                    />
+                </Space>
+            }
+            style={{
+                borderRadius: 12,
+                border: '1px solid #f0f0f0',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
+                marginTop: 24
+            }}
+        >
+            {topSources?.families?.length > 0 && (
+                <Space wrap style={{ marginBottom: 16 }}>
+                    {topSources.families.map((f: { family: string; clicks: number; share: number }) => {
+                        const { label, color } = getFamily(f.family);
+                        return (
+                            <Tag key={f.family} color={color}>
+                                {label}: {f.clicks} ({f.share}%)
+                            </Tag>
+                        );
+                    })}
+                </Space>
+            )}
+
+            <Table
+                size="small"
+                rowKey={(record: SourceRow) => `${record.family}:${record.domain}`}
+                loading={isLoading && !topSources}
+                columns={columns}
+                dataSource={topSources?.sources || []}
+                pagination={false}
+                locale={{ emptyText: <Empty description="Chưa có dữ liệu nguồn truy cập" /> }}
+            />
+        </Card>
+    );
+};
+
+export default TopSources;
@@ -0,0 +1,96 @@
+'use client';
+
+/**
+ * Transfer Owner Modal
+ *
+ * Admin chuyển quyền sở hữu link sang user khác (PUT /api/links/:slug/owner)
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Modal, Select, Typography, message } from 'antd';
+import { SwapOutlined } from '@ant-design/icons';
+import { useUsers } from '@/hooks/useAdminData';
+import { transferLinkOwner } from '@/lib/adminApi';
+
+const { Text } = Typography;
+
+interface TransferOwnerModalProps {
+    link: { slug: string; title?: string; userId?: { _id: string; username?: string; fullName?: string } | null } | null;
+    onClose: () => void;
+    onTransferred: () => void;
+}
+
+export const TransferOwnerModal: React.FC<TransferOwnerModalProps> = ({ link, onClose, onTransferred }) => {
+    const { users, isLoading } = useUsers();
+    const [userId, setUserId] = useState<string | undefined>(undefined);
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        setUserId(undefined);
+    }, [link]);
+
+    const currentOwnerId = link?.userId?._id;
+
+    const handleOk = async () => {
+        if (!link || !userId) return;
+        setSubmitting(true);
+        try {
+            await transferLinkOwner(link.slug, userId);
+            message.success('Đã chuyển quyền sở hữu link');
+            onTransferred();
+            onClose();
+        } catch (error: any) {
+            message.error('Không thể chuyển quyền sở hữu: ' + error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <Modal
+            title={
+                <span>
+                    <SwapOutlined style={{ color: '#D31016', marginRight: 8 }} />
+                    Chuyển quyền sở hữu
+                </span>
+            }
+            open={!!link}
+            onCancel={onClose}
+            onOk={handleOk}
+            okText="Chuyển"
+            cancelText="Hủy"
+            okButtonProps={{ disabled: !userId || userId === currentOwnerId, loading: submitting }}
+            destroyOnClose
+        >
+            {link && (
+                <>
+                    <p>
+                        <Text strong>{link.title || link.slug}</Text>
+                        <br />
+                        <Text type="secondary">
+                            Chủ hiện tại: {link.userId ? (link.userId.fullName || link.userId.username) : 'System'}
+                        </Text>
+                    </p>
+                    <Select
+                        showSearch
+                        loading={isLoading}
+                        placeholder="Chọn user nhận"
+                        value={userId}
+                        onChange={setUserId}
+                        style={{ width: '100%' }}
+                        optionFilterProp="label"
+                        options={users
+                            .filter((u: any) => u.isActive !== false)
+                            .map((u: any) => ({
+                                value: u._id,
+                                label: u.fullName ? `${u.fullName} (@${u.username})` : u.username,
+                                disabled: u._id === currentOwnerId
+                            }))}
+                    />
+                </>
+            )}
+        </Modal>
+    );
+};
+
+export default TransferOwnerModal;
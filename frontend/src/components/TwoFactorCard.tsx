@@ -0,0 +1,261 @@
+'use client';
+
+/**
+ * Two-Factor Card
+ *
+ * Bật / tắt xác thực 2 lớp (TOTP) trên trang profile
+ * - Bật: quét QR → xác nhận mã → hiện mã khôi phục 1 lần
+ * - Tắt: password + mã (không cho tắt khi admin bị bắt buộc 2FA)
+ * - Cấp lại mã khôi phục
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Space, Button, Tag, Typography, Modal, Form, Input, Switch, message } from 'antd';
+import { SafetyCertificateOutlined, KeyOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from '@/lib/adminApi';
+import { TwoFactorEnrollment, RecoveryCodesList } from '@/components/TwoFactorSetup';
+
+const { Text, Paragraph } = Typography;
+
+interface TwoFactorStatus {
+    enabled: boolean;
+    enabledAt: string | null;
+    recoveryCodesRemaining: number;
+    required: boolean;
+}
+
+interface SetupData {
+    secret: string;
+    otpauthUri: string;
+}
+
+type ModalMode = 'setup' | 'disable' | 'regenerate' | null;
+
+export const TwoFactorCard: React.FC = () => {
+    const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+    const [loading, setLoading] = useState(false);
+    const [modalMode, setModalMode] = useState<ModalMode>(null);
+    const [setupData, setSetupData] = useState<SetupData | null>(null);
+    const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [form] = Form.useForm();
+
+    const loadStatus = useCallback(async () => {
+        setLoading(true);
+        try {
+            const result = await getTwoFactorStatus() as { data: TwoFactorStatus };
+            setStatus(result.data);
+        } catch (error: any) {
+            message.error('Không thể tải trạng thái xác thực 2 lớp: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const closeModal = () => {
+        setModalMode(null);
+        setSetupData(null);
+        setRecoveryCodes([]);
+        setUseRecoveryCode(false);
+        form.resetFields();
+        loadStatus();
+    };
+
+    const handleStartSetup = async () => {
+        try {
+            const result = await setupTwoFactor() as { data: SetupData };
+            setSetupData(result.data);
+            setModalMode('setup');
+        } catch (error: any) {
+            message.error(error.message || 'Không thể bắt đầu đăng ký 2FA');
+        }
+    };
+
+    const handleEnable = async (code: string) => {
+        setSubmitting(true);
+        try {
+            const result = await enableTwoFactor(code) as { data: { recoveryCodes: string[] } };
+            setRecoveryCodes(result.data.recoveryCodes);
+            message.success('Đã bật xác thực 2 lớp');
+        } catch (error: any) {
+            message.error(error.message || 'Mã xác thực không đúng');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDisable = async () => {
+        try {
+            const values = await form.validateFields();
+            setSubmitting(true);
+            await disableTwoFactor({
+                password: values.password,
+                ...(useRecoveryCode ? { recoveryCode: values.code } : { code: values.code })
+            });
+            message.success('Đã tắt xác thực 2 lớp');
+            closeModal();
+        } catch (error: any) {
+            if (error?.errorFields) return;
+            message.error(error.message || 'Không thể tắt xác thực 2 lớp');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRegenerate = async () => {
+        try {
+            const values = await form.validateFields();
+            setSubmitting(true);
+            const result = await regenerateRecoveryCodes(values.code) as { data: { recoveryCodes: string[] } };
+            setRecoveryCodes(result.data.recoveryCodes);
+        } catch (error: any) {
+            if (error?.errorFields) return;
+            message.error(error.message || 'Không thể tạo mã khôi phục');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const renderModalContent = () => {
+        if (recoveryCodes.length > 0) {
+            return <RecoveryCodesList codes={recoveryCodes} />;
+        }
+
+        if (modalMode === 'setup' && setupData) {
+            return (
+                <TwoFactorEnrollment
+                    secret={setupData.secret}
+                    otpauthUri={setupData.otpauthUri}
+                    loading={submitting}
+                    submitText="Bật 2FA"
+                    onSubmit={handleEnable}
+                />
+            );
+        }
+
+        return (
+            <Form form={form} layout="vertical" key={modalMode || 'none'}>
+                {modalMode === 'disable' && (
+                    <Form.Item
+                        name="password"
+                        label="Password hiện tại"
+                        rules={[{ required: true, message: 'Vui lòng nhập password' }]}
+                    >
+                        <Input.Password autoComplete="current-password" />
+                    </Form.Item>
+                )}
+                <Form.Item
+                    name="code"
+                    label={useRecoveryCode ? 'Mã khôi phục' : 'Mã 6 số từ ứng dụng xác thực'}
+                    rules={[
+                        { required: true, message: 'Vui lòng nhập mã' },
+                        ...(useRecoveryCode ? [] : [{ pattern: /^\d{6}$/, message: 'Mã gồm 6 chữ số' }])
+                    ]}
+                    extra={modalMode === 'disable' && (
+                        <Space size={4} style={{ marginTop: 4 }}>
+                            <Switch size="small" checked={useRecoveryCode} onChange={setUseRecoveryCode} />
+                            <Text type="secondary" style={{ fontSize: 12 }}>Dùng mã khôi phục</Text>
+                        </Space>
+                    )}
+                >
+                    <Input
+                        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                        autoComplete="one-time-code"
+                        maxLength={useRecoveryCode ? 11 : 6}
+                    />
+                </Form.Item>
+            </Form>
+        );
+    };
+
+    const modalTitles: Record<Exclude<ModalMode, null>, string> = {
+        setup: 'Bật xác thực 2 lớp',
+        disable: 'Tắt xác thực 2 lớp',
+        regenerate: 'Tạo lại mã khôi phục'
+    };
+
+    const showFormFooter = recoveryCodes.length === 0 && (modalMode === 'disable' || modalMode === 'regenerate');
+
+    return (
+        <Card
+            loading={loading && !status}
+            title={
+                <Space>
+                    <SafetyCertificateOutlined style={{ color: '#D31016' }} />
+                    <span>Xác thực 2 lớp</span>
+                    {status?.enabled
+                        ? <Tag color="green">Đang bật</Tag>
+                        : <Tag>Chưa bật</Tag>}
+                    {status?.required && <Tag color="orange">Bắt buộc cho admin</Tag>}
+                </Space>
+            }
+            style={{ borderRadius: 12, border: '1px solid #f0f0f0', marginTop: 24 }}
+        >
+            {status?.enabled ? (
+                <>
+                    <Paragraph type="secondary">
+                        Bật từ {status.enabledAt ? dayjs(status.enabledAt).format('DD/MM/YYYY') : '—'}.
+                        {' '}Còn <Text strong>{status.recoveryCodesRemaining}</Text> mã khôi phục chưa dùng.
+                    </Paragraph>
+                    <Space wrap>
+                        <Button icon={<KeyOutlined />} onClick={() => setModalMode('regenerate')}>
+                            Tạo lại mã khôi phục
+                        </Button>
+                        {!status.required && (
+                            <Button danger onClick={() => setModalMode('disable')}>
+                                Tắt xác thực 2 lớp
+                            </Button>
+                        )}
+                    </Space>
+                </>
+            ) : (
+                <>
+                    <Paragraph type="secondary">
+                        Khi đăng nhập cần thêm mã 6 số từ ứng dụng xác thực trên điện thoại
+                        (Google Authenticator, Authy...).
+                    </Paragraph>
+                    <Button type="primary" icon={<SafetyCertificateOutlined />} onClick={handleStartSetup}>
+                        Bật xác thực 2 lớp
+                    </Button>
+                </>
+            )}
+
+            <Modal
+                open={modalMode !== null}
+                title={modalMode ? modalTitles[modalMode] : ''}
+                onCancel={closeModal}
+                destroyOnClose
+                footer={showFormFooter ? [
+                    <Button key="cancel" onClick={closeModal}>Hủy</Button>,
+                    <Button
+                        key="submit"
+                        type="primary"
+                        danger={modalMode === 'disable'}
+                        loading={submitting}
+                        onClick={modalMode === 'disable' ? handleDisable : handleRegenerate}
+                    >
+                        {modalMode === 'disable' ? 'Tắt 2FA' : 'Tạo mã mới'}
+                    </Button>
+                ] : recoveryCodes.length > 0 ? [
+                    <Button key="done" type="primary" onClick={closeModal}>Tôi đã lưu mã</Button>
+                ] : null}
+            >
+                {renderModalContent()}
+            </Modal>
+        </Card>
+    );
+};
+
+export default TwoFactorCard;
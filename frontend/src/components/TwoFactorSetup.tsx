@@ -0,0 +1,135 @@
+'use client';
+
+/**
+ * Two-Factor Setup
+ *
+ * Dùng chung cho trang profile (bật 2FA) và trang login (admin bắt buộc 2FA):
+ * - TwoFactorEnrollment: QR otpauth:// + secret nhập tay + ô nhập mã xác nhận
+ * - RecoveryCodesList: mã khôi phục (chỉ hiện 1 lần) + sao chép / tải về
+ */
+
+import React, { useState } from 'react';
+import { QRCode, Input, Button, Space, Typography, Alert, message } from 'antd';
+import { CopyOutlined, DownloadOutlined } from '@ant-design/icons';
+
+const { Text, Paragraph } = Typography;
+
+interface TwoFactorEnrollmentProps {
+    secret: string;
+    otpauthUri: string;
+    loading?: boolean;
+    submitText?: string;
+    onSubmit: (code: string) => void;
+}
+
+// Secret nhóm 4 ký tự cho dễ nhập tay
+const formatSecret = (secret: string) => secret.replace(/(.{4})/g, '$1 ').trim();
+
+export const TwoFactorEnrollment: React.FC<TwoFactorEnrollmentProps> = ({
+    secret,
+    otpauthUri,
+    loading,
+    submitText = 'Xác nhận',
+    onSubmit
+}) => {
+    const [code, setCode] = useState('');
+
+    return (
+        <div>
+            <Paragraph style={{ marginBottom: 12 }}>
+                1. Quét mã QR bằng Google Authenticator, Authy hoặc ứng dụng TOTP tương tự.
+            </Paragraph>
+            <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 12 }}>
+                <QRCode value={otpauthUri} size={180} bordered />
+            </div>
+            <Paragraph type="secondary" style={{ fontSize: 12, textAlign: 'center' }}>
+                Không quét được? Nhập mã thủ công:
+                <br />
+                <Text code copyable={{ text: secret }}>{formatSecret(secret)}</Text>
+            </Paragraph>
+
+            <Paragraph style={{ marginBottom: 8 }}>
+                2. Nhập mã 6 số hiển thị trong ứng dụng để xác nhận.
+            </Paragraph>
+            <Space.Compact style={{ width: '100%' }}>
+                <Input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    onPressEnter={() => code.length === 6 && onSubmit(code)}
+                    placeholder="123456"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    style={{ letterSpacing: 4, textAlign: 'center' }}
+                />
+                <Button
+                    type="primary"
+                    loading={loading}
+                    disabled={code.length !== 6}
+                    onClick={() => onSubmit(code)}
+                >
+                    {submitText}
+                </Button>
+            </Space.Compact>
+        </div>
+    );
+};
+
+interface RecoveryCodesListProps {
+    codes: string[];
+}
+
+export const RecoveryCodesList: React.FC<RecoveryCodesListProps> = ({ codes }) => {
+    const text = codes.join('\n');
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            message.success('Đã sao chép mã khôi phục');
+        } catch {
+            message.error('Không thể sao chép, vui lòng chép thủ công');
+        }
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([text + '\n'], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'recovery-codes.txt';
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div>
+            <Alert
+                type="warning"
+                showIcon
+                message="Lưu các mã khôi phục ở nơi an toàn"
+                description="Mỗi mã chỉ dùng được 1 lần để đăng nhập khi mất điện thoại. Các mã sẽ không hiển thị lại."
+                style={{ marginBottom: 12 }}
+            />
+            <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, 1fr)',
+                gap: 8,
+                padding: 12,
+                background: '#fafafa',
+                border: '1px solid #f0f0f0',
+                borderRadius: 8,
+                marginBottom: 12
+            }}>
+                {codes.map(code => (
+                    <Text key={code} code style={{ textAlign: 'center' }}>{code}</Text>
+                ))}
+            </div>
+            <Space>
+                <Button icon={<CopyOutlined />} onClick={handleCopy}>Sao chép</Button>
+                <Button icon={<DownloadOutlined />} onClick={handleDownload}>Tải về</Button>
+            </Space>
+        </div>
+    );
+};
+
+export default TwoFactorEnrollment;
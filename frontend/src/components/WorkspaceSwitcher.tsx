@@ -0,0 +1,88 @@
+'use client';
+
+/**
+ * Workspace Switcher
+ *
+ * Chọn workspace đang dùng trên header admin (links, banners, danh mục, dashboard theo workspace)
+ * Đổi workspace → lưu localStorage rồi tải lại trang để mọi dữ liệu cache lấy lại theo workspace mới
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Select, Space, Typography } from 'antd';
+import { TeamOutlined, UserOutlined } from '@ant-design/icons';
+import { getWorkspaces, type WorkspaceRole } from '@/lib/adminApi';
+import { getActiveWorkspaceId, setActiveWorkspaceId } from '@/lib/authService';
+
+const { Text } = Typography;
+
+export interface WorkspaceSummary {
+    _id: string;
+    name: string;
+    description: string;
+    isPersonal: boolean;
+    role: WorkspaceRole;
+    memberCount: number;
+}
+
+export const WORKSPACE_ROLE_LABELS: Record<WorkspaceRole, string> = {
+    owner: 'Owner',
+    editor: 'Biên tập',
+    viewer: 'Chỉ xem'
+};
+
+export const WorkspaceSwitcher: React.FC = () => {
+    const [workspaces, setWorkspaces] = useState<WorkspaceSummary[]>([]);
+    const [loading, setLoading] = useState(true);
+    const activeId = getActiveWorkspaceId();
+
+    useEffect(() => {
+        getWorkspaces()
+            .then((response) => {
+                const list = (response as { data: WorkspaceSummary[] }).data || [];
+                setWorkspaces(list);
+
+                // Workspace đang chọn đã bị xóa / mình bị gỡ khỏi workspace → về workspace cá nhân
+                if (activeId && !list.some(workspace => workspace._id === activeId)) {
+                    setActiveWorkspaceId(null);
+                    window.location.reload();
+                }
+            })
+            .catch((error) => console.error('❌ [WorkspaceSwitcher] Load error:', error))
+            .finally(() => setLoading(false));
+    }, [activeId]);
+
+    const personal = workspaces.find(workspace => workspace.isPersonal);
+
+    const handleChange = (workspaceId: string) => {
+        // Workspace cá nhân là mặc định → không cần gửi header
+        setActiveWorkspaceId(workspaceId === personal?._id ? null : workspaceId);
+        window.location.reload();
+    };
+
+    return (
+        <Select
+            value={loading ? undefined : (activeId || personal?._id)}
+            loading={loading}
+            onChange={handleChange}
+            placeholder="Workspace"
+            style={{ width: 260 }}
+            popupMatchSelectWidth={false}
+            options={workspaces.map(workspace => ({
+                value: workspace._id,
+                label: (
+                    <Space size={6}>
+                        {workspace.isPersonal ? <UserOutlined /> : <TeamOutlined />}
+                        <span>{workspace.name}</span>
+                        {!workspace.isPersonal && (
+                            <Text type="secondary" style={{ fontSize: 12 }}>
+                                {WORKSPACE_ROLE_LABELS[workspace.role]}
+                            </Text>
+                        )}
+                    </Space>
+                )
+            }))}
+        />
+    );
+};
+
+export default WorkspaceSwitcher;
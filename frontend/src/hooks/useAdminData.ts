@@ -8,7 +8,7 @@
  */
 
 import useSWR, { mutate } from 'swr';
-import { getToken, logout } from '@/lib/authService';
+import { getToken, logout, refreshToken, getWorkspaceHeaders } from '@/lib/authService';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -25,14 +25,25 @@ const fetcher = async (url: string) => {
         throw new Error('Chưa đăng nhập');
     }
 
-    const res = await fetch(`${API_BASE_URL}${url}`, {
+    const request = (accessToken: string) => fetch(`${API_BASE_URL}${url}`, {
         headers: {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${accessToken}`,
+            ...getWorkspaceHeaders()
         }
     });
 
-    // Nếu token hết hạn hoặc không hợp lệ, xóa auth và redirect login
+    let res = await request(token);
+
+    // Access token hết hạn → refresh rồi thử lại 1 lần
+    if (res.status === 401) {
+        const newToken = await refreshToken();
+        if (newToken) {
+            res = await request(newToken);
+        }
+    }
+
+    // Refresh thất bại (phiên hết hạn / bị thu hồi), xóa auth và redirect login
     if (res.status === 401) {
         if (typeof window !== 'undefined') {
             logout();
@@ -156,6 +167,40 @@ export function useDashboard() {
     };
 }
 
+/**
+ * Hook lấy Top nguồn truy cập (theo link / theo user)
+ */
+export function useTopSources(params: { slug?: string; userId?: string; days?: number }) {
+    const { slug, userId, days = 30 } = params;
+
+    // Làm tròn theo giờ để SWR key ổn định giữa các lần render
+    const to = new Date();
+    to.setMinutes(0, 0, 0);
+    to.setHours(to.getHours() + 1);
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+    if (slug) query.set('slug', slug);
+    if (userId) query.set('userId', userId);
+
+    const { data, error, isLoading, isValidating } = useSWR(
+        `/api/analytics/sources?${query.toString()}`,
+        fetcher,
+        {
+            ...swrConfig,
+            refreshInterval: 60000,
+        }
+    );
+
+    return {
+        topSources: data?.success ? data.data : null,
+        isLoading,
+        isValidating,
+        isError: !!error,
+        error,
+    };
+}
+
 /**
  * Hook lấy Facebook Accounts
  */
@@ -217,11 +262,11 @@ export function useResourceSets() {
 }
 
 /**
- * Hook lấy Users (Admin only)
+ * Hook lấy Users đang hoạt động (quyền users:manage) - dùng cho ô chọn user
  */
 export function useUsers() {
     const { data, error, isLoading, isValidating, mutate: mutateUsers } = useSWR(
-        '/api/users',
+        '/api/v1/users?status=active&sort=username&limit=100',
         fetcher,
         swrConfig
     );
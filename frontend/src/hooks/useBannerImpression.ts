@@ -0,0 +1,100 @@
+'use client';
+
+/**
+ * Beacon lượt xem banner (viewability)
+ *
+ * Chỉ gửi POST /api/banners/:id/impression khi banner đã render và hiển thị
+ * ≥ 50% trong viewport liên tục 1 giây (tab đang mở)
+ * Mỗi lượt xem trang (pageViewId, đổi khi chuyển trang) chỉ gửi 1 lần / banner
+ * Kèm visitorId / sessionId để lượt xem được đếm vào frequency cap
+ */
+
+import { useEffect, useState } from 'react';
+import { createClientId, getBannerVisitor } from '@/lib/bannerVisitor';
+
+const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+
+const VISIBLE_RATIO = 0.5;
+const VISIBLE_MS = 1000;
+
+// Lượt xem trang hiện tại (client navigation không reload module → so theo pathname)
+let pageView: { id: string; path: string } | null = null;
+const recorded = new Set<string>();
+
+const getPageViewId = () => {
+    const path = window.location.pathname;
+    if (!pageView || pageView.path !== path) {
+        pageView = { id: createClientId(), path };
+        recorded.clear();
+    }
+    return pageView.id;
+};
+
+const sendImpression = (bannerId: string, pageViewId: string) => {
+    recorded.add(bannerId);
+    // keepalive: beacon vẫn tới server khi người đọc rời trang ngay sau đó
+    fetch(`${API_BASE}/api/banners/${bannerId}/impression`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pageViewId, ...getBannerVisitor() }),
+        keepalive: true
+    }).catch((error) => {
+        console.error('Failed to record banner impression:', error);
+    });
+};
+
+/**
+ * Gắn ref trả về vào phần tử hiển thị banner (ảnh)
+ * @param bannerId - Banner đang hiển thị (đổi banner → quan sát lại)
+ */
+export function useBannerImpression(bannerId?: string) {
+    const [node, setNode] = useState<HTMLElement | null>(null);
+
+    useEffect(() => {
+        if (!node || !bannerId || typeof IntersectionObserver === 'undefined') return;
+
+        const pageViewId = getPageViewId();
+        if (recorded.has(bannerId)) return;
+
+        let inView = false;
+        let timer: ReturnType<typeof setTimeout> | null = null;
+
+        const cancel = () => {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        };
+
+        const schedule = () => {
+            if (!inView || document.visibilityState !== 'visible' || timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                observer.disconnect();
+                document.removeEventListener('visibilitychange', handleVisibility);
+                if (!recorded.has(bannerId)) sendImpression(bannerId, pageViewId);
+            }, VISIBLE_MS);
+        };
+
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') schedule();
+            else cancel();
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            const entry = entries[entries.length - 1];
+            inView = entry.isIntersecting && entry.intersectionRatio >= VISIBLE_RATIO;
+            if (inView) schedule();
+            else cancel();
+        }, { threshold: VISIBLE_RATIO });
+
+        observer.observe(node);
+        document.addEventListener('visibilitychange', handleVisibility);
+
+        return () => {
+            cancel();
+            observer.disconnect();
+            document.removeEventListener('visibilitychange', handleVisibility);
+        };
+    }, [node, bannerId]);
+
+    return setNode;
+}
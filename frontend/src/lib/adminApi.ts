@@ -3,7 +3,7 @@
  * Centralized API configuration and functions
  */
 
-import { getToken, logout } from './authService'
+import { getToken, logout, refreshToken, getWorkspaceHeaders } from './authService'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 const API_BASE_URL_WITH_API = `${API_BASE_URL}/api`
@@ -23,26 +23,76 @@ export const getBaseUrl = () => {
     return process.env.NEXT_PUBLIC_SITE_URL || API_BASE_URL
 }
 
+// Lỗi dữ liệu theo field: 400 { message, errors: [{ field, message }] }
+export interface FieldError {
+    field: string
+    message: string
+}
+
+/**
+ * Lỗi từ API, kèm lỗi theo field (hiện ngay dưới ô nhập: xem lib/formErrors.ts)
+ */
+export class ApiError extends Error {
+    status: number
+    fieldErrors: FieldError[]
+
+    constructor(message: string, status: number, fieldErrors: FieldError[] = []) {
+        super(message)
+        this.name = 'ApiError'
+        this.status = status
+        this.fieldErrors = fieldErrors
+    }
+}
+
+/**
+ * Response lỗi → ApiError (message nối thêm lỗi từng field, dùng cho toast)
+ */
+export async function toApiError(response: Response): Promise<ApiError> {
+    const data = await response.json().catch(() => ({}))
+    // errors: [{ field, message }] hoặc danh sách chuỗi (API cũ)
+    const errors: (FieldError | string)[] = Array.isArray(data.errors) ? data.errors : []
+    const fieldErrors = errors.filter((item): item is FieldError => typeof item === 'object' && typeof item?.field === 'string')
+
+    const details = errors.map(item => typeof item === 'string' ? item : item?.message).filter(Boolean)
+    return new ApiError(
+        details.length > 0 ? `${data.message}: ${details.join(', ')}` : data.message || `API error: ${response.status}`,
+        response.status,
+        fieldErrors
+    )
+}
+
 export async function fetchApi<T>(
     endpoint: string,
     options: RequestInit = {}
 ): Promise<T> {
-    const token = getToken()
-    const headers: Record<string, string> = {
-        'Content-Type': 'application/json',
-        ...(options.headers as Record<string, string>),
-    }
+    const request = (token: string | null) => {
+        const headers: Record<string, string> = {
+            'Content-Type': 'application/json',
+            ...getWorkspaceHeaders(),
+            ...(options.headers as Record<string, string>),
+        }
 
-    if (token) {
-        headers['Authorization'] = `Bearer ${token}`
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`
+        }
+
+        return fetch(`${API_BASE_URL}/api${endpoint.startsWith('/') ? '' : '/'}${endpoint}`, {
+            ...options,
+            headers,
+        })
     }
 
-    const response = await fetch(`${API_BASE_URL}/api${endpoint.startsWith('/') ? '' : '/'}${endpoint}`, {
-        ...options,
-        headers,
-    })
+    let response = await request(getToken())
+
+    // Access token hết hạn → refresh bằng refresh cookie rồi thử lại 1 lần
+    if (response.status === 401 && getToken()) {
+        const newToken = await refreshToken()
+        if (newToken) {
+            response = await request(newToken)
+        }
+    }
 
-    // Nếu token hết hạn hoặc không hợp lệ, xóa auth và redirect login
+    // Refresh thất bại (phiên hết hạn / bị thu hồi), xóa auth và redirect login
     if (response.status === 401) {
         if (typeof window !== 'undefined') {
             logout()
@@ -52,13 +102,393 @@ export async function fetchApi<T>(
     }
 
     if (!response.ok) {
-        const data = await response.json().catch(() => ({}))
-        throw new Error(data.message || `API error: ${response.status}`)
+        throw await toApiError(response)
     }
 
     return response.json()
 }
 
+// Sessions API (thiết bị đang đăng nhập)
+export async function getSessions() {
+    return fetchApi('/auth/sessions')
+}
+
+export async function revokeSession(id: string) {
+    return fetchApi(`/auth/sessions/${id}`, {
+        method: 'DELETE',
+    })
+}
+
+export async function revokeOtherSessions() {
+    return fetchApi('/auth/sessions', {
+        method: 'DELETE',
+    })
+}
+
+// API keys cá nhân (key gốc chỉ trả về 1 lần khi tạo)
+export async function getApiKeys() {
+    return fetchApi('/auth/api-keys')
+}
+
+export async function createApiKey(data: { name: string; scopes: string[]; expiresInDays: number }) {
+    return fetchApi('/auth/api-keys', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function revokeApiKey(id: string) {
+    return fetchApi(`/auth/api-keys/${id}`, {
+        method: 'DELETE',
+    })
+}
+
+// Two-factor API (xác thực 2 lớp TOTP)
+export async function getTwoFactorStatus() {
+    return fetchApi('/auth/2fa')
+}
+
+export async function setupTwoFactor() {
+    return fetchApi('/auth/2fa/setup', {
+        method: 'POST',
+    })
+}
+
+export async function enableTwoFactor(code: string) {
+    return fetchApi('/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    })
+}
+
+export async function disableTwoFactor(data: { password: string; code?: string; recoveryCode?: string }) {
+    return fetchApi('/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function regenerateRecoveryCodes(code: string) {
+    return fetchApi('/auth/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    })
+}
+
+export async function getTwoFactorPolicy() {
+    return fetchApi('/auth/2fa/policy')
+}
+
+export async function updateTwoFactorPolicy(requireForAdmins: boolean) {
+    return fetchApi('/auth/2fa/policy', {
+        method: 'PUT',
+        body: JSON.stringify({ requireForAdmins }),
+    })
+}
+
+// Users API - quản lý user (quyền users:manage)
+export interface UserListQuery {
+    page?: number
+    limit?: number
+    search?: string
+    sort?: string
+    role?: string
+    status?: 'active' | 'inactive' | 'invited'
+}
+
+export async function getUsers(query: UserListQuery = {}) {
+    const params = new URLSearchParams()
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') params.set(key, String(value))
+    })
+    return fetchApi(`/v1/users?${params.toString()}`)
+}
+
+export async function createUser(data: Record<string, unknown>) {
+    return fetchApi('/v1/users', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function updateUser(userId: string, data: Record<string, unknown>) {
+    return fetchApi(`/v1/users/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function deactivateUser(userId: string) {
+    return fetchApi(`/v1/users/${userId}`, {
+        method: 'DELETE',
+    })
+}
+
+export async function setUsersActive(ids: string[], isActive: boolean) {
+    return fetchApi('/v1/users/bulk/status', {
+        method: 'POST',
+        body: JSON.stringify({ ids, isActive }),
+    })
+}
+
+export async function resetUserTwoFactor(userId: string) {
+    return fetchApi(`/v1/users/${userId}/2fa`, {
+        method: 'DELETE',
+    })
+}
+
+// Mở khóa tài khoản bị khóa do đăng nhập sai nhiều lần
+export async function unlockUserLogin(userId: string) {
+    return fetchApi(`/v1/users/${userId}/unlock`, {
+        method: 'POST',
+    })
+}
+
+// Password reset / lời mời API (không cần đăng nhập)
+export async function requestPasswordReset(identifier: string) {
+    return fetchApi('/auth/password/forgot', {
+        method: 'POST',
+        body: JSON.stringify({ identifier }),
+    })
+}
+
+export async function verifyPasswordToken(token: string) {
+    return fetchApi('/auth/password/verify', {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+    })
+}
+
+export async function resetPassword(token: string, password: string) {
+    return fetchApi('/auth/password/reset', {
+        method: 'POST',
+        body: JSON.stringify({ token, password }),
+    })
+}
+
+export async function resendUserInvite(userId: string) {
+    return fetchApi(`/v1/users/${userId}/invite`, {
+        method: 'POST',
+    })
+}
+
+// Roles API - vai trò & quyền (quyền users:manage)
+export async function getRoles() {
+    return fetchApi('/roles')
+}
+
+export async function createRole(data: { name: string; label: string; description?: string; permissions: string[] }) {
+    return fetchApi('/roles', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function updateRole(id: string, data: { label?: string; description?: string; permissions?: string[] }) {
+    return fetchApi(`/roles/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function deleteRole(id: string) {
+    return fetchApi(`/roles/${id}`, {
+        method: 'DELETE',
+    })
+}
+
+// Workspaces API - workspace & thành viên
+export type WorkspaceRole = 'viewer' | 'editor' | 'owner'
+
+export async function getWorkspaces() {
+    return fetchApi('/workspaces')
+}
+
+export async function getWorkspace(id: string) {
+    return fetchApi(`/workspaces/${id}`)
+}
+
+export async function createWorkspace(data: { name: string; description?: string }) {
+    return fetchApi('/workspaces', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function updateWorkspace(id: string, data: { name?: string; description?: string }) {
+    return fetchApi(`/workspaces/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function deleteWorkspace(id: string) {
+    return fetchApi(`/workspaces/${id}`, {
+        method: 'DELETE',
+    })
+}
+
+export async function addWorkspaceMember(id: string, data: { username: string; role: WorkspaceRole }) {
+    return fetchApi(`/workspaces/${id}/members`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function updateWorkspaceMember(id: string, userId: string, role: WorkspaceRole) {
+    return fetchApi(`/workspaces/${id}/members/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ role }),
+    })
+}
+
+export async function removeWorkspaceMember(id: string, userId: string) {
+    return fetchApi(`/workspaces/${id}/members/${userId}`, {
+        method: 'DELETE',
+    })
+}
+
+// Audit API - nhật ký thay đổi quản trị (quyền audit:view)
+export interface AuditQuery {
+    actor?: string
+    action?: string
+    targetType?: string
+    targetId?: string
+    from?: string
+    to?: string
+    page?: number
+    limit?: number
+}
+
+const toAuditSearch = (query: AuditQuery) => {
+    const params = new URLSearchParams()
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') params.set(key, String(value))
+    })
+    return params.toString()
+}
+
+export async function getAuditEvents(query: AuditQuery = {}) {
+    return fetchApi(`/audit?${toAuditSearch(query)}`)
+}
+
+/**
+ * Tải file CSV nhật ký (cùng bộ lọc với danh sách)
+ */
+export async function downloadAuditCsv(query: AuditQuery = {}) {
+    const request = (token: string | null) => fetch(getApiUrl(`/audit/export.csv?${toAuditSearch(query)}`), {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+    })
+
+    let response = await request(getToken())
+    if (response.status === 401 && getToken()) {
+        const newToken = await refreshToken()
+        if (newToken) response = await request(newToken)
+    }
+
+    if (!response.ok) {
+        throw await toApiError(response)
+    }
+
+    const blob = await response.blob()
+    const url = URL.createObjectURL(blob)
+    const anchor = document.createElement('a')
+    anchor.href = url
+    anchor.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`
+    anchor.click()
+    URL.revokeObjectURL(url)
+}
+
+// Banner experiments API - thí nghiệm A/B banner (workspace đang dùng)
+export interface BannerExperimentInput {
+    name?: string
+    hypothesis?: string
+    type?: string
+    bannerIds?: string[]
+    confidenceLevel?: number
+    minImpressions?: number
+}
+
+export async function getBannerExperiments() {
+    return fetchApi('/banner-experiments')
+}
+
+export async function createBannerExperiment(data: BannerExperimentInput) {
+    return fetchApi('/banner-experiments', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function updateBannerExperiment(id: string, data: BannerExperimentInput) {
+    return fetchApi(`/banner-experiments/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function deleteBannerExperiment(id: string) {
+    return fetchApi(`/banner-experiments/${id}`, {
+        method: 'DELETE',
+    })
+}
+
+export async function setBannerExperimentStatus(id: string, action: 'start' | 'stop') {
+    return fetchApi(`/banner-experiments/${id}/${action}`, {
+        method: 'POST',
+    })
+}
+
+export async function promoteBannerExperimentWinner(id: string, bannerId: string) {
+    return fetchApi(`/banner-experiments/${id}/promote`, {
+        method: 'POST',
+        body: JSON.stringify({ bannerId }),
+    })
+}
+
+// Banner stats API - served / lượt xem / click / CTR theo giờ hoặc ngày
+export interface BannerStatsQuery {
+    from?: string
+    to?: string
+    granularity?: 'hour' | 'day'
+}
+
+export async function getBannerStats(id: string, query: BannerStatsQuery = {}) {
+    const params = new URLSearchParams()
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') params.set(key, String(value))
+    })
+    return fetchApi(`/banners/${id}/stats?${params.toString()}`)
+}
+
+// Banner allocation API - chế độ phân bổ lượt hiển thị theo vị trí (weighted / bandit)
+export type BannerAllocationMode = 'weighted' | 'thompson' | 'epsilon_greedy'
+
+export interface BannerAllocationConfig {
+    mode: BannerAllocationMode
+    explorationFloor: number
+    warmupImpressions: number
+}
+
+export async function getBannerAllocation() {
+    return fetchApi('/banners/allocation')
+}
+
+export async function updateBannerAllocation(type: string, data: BannerAllocationConfig) {
+    return fetchApi(`/banners/allocation/${type}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+    })
+}
+
+export async function getBannerAllocationDecisions(type: string, query: { bannerId?: string; hours?: number; limit?: number } = {}) {
+    const params = new URLSearchParams()
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') params.set(key, String(value))
+    })
+    return fetchApi(`/banners/allocation/${type}/decisions?${params.toString()}`)
+}
+
 // Links API
 export async function getAllLinks() {
     return fetchApi('/links')
@@ -88,6 +518,28 @@ export async function deleteLink(slug: string) {
     })
 }
 
+export async function transferLinkOwner(slug: string, userId: string) {
+    return fetchApi(`/links/${slug}/owner`, {
+        method: 'PUT',
+        body: JSON.stringify({ userId }),
+    })
+}
+
+// Link revisions API
+export async function getLinkRevisions(slug: string) {
+    return fetchApi(`/links/${slug}/revisions`)
+}
+
+export async function getLinkRevisionDiff(slug: string, from: number, to: number) {
+    return fetchApi(`/links/${slug}/revisions/diff?from=${from}&to=${to}`)
+}
+
+export async function restoreLinkRevision(slug: string, revision: number) {
+    return fetchApi(`/links/${slug}/revisions/${revision}/restore`, {
+        method: 'POST',
+    })
+}
+
 // Campaigns API
 export async function getCampaigns() {
     return fetchApi('/campaigns')
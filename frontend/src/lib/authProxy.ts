@@ -0,0 +1,111 @@
+/**
+ * Auth proxy helpers (server-side, dùng trong route handlers /api/auth/*)
+ *
+ * Refresh token nằm trong HttpOnly cookie do backend cấp (path /api/auth).
+ * Route handlers chuyển tiếp cookie lên backend và trả Set-Cookie của backend về trình duyệt,
+ * để cookie thuộc domain admin và JS phía client không đọc được.
+ * Refresh cookie chỉ gửi kèm request /api/auth/*, nên route handlers set thêm cookie đánh dấu phiên
+ * (SESSION_MARKER_COOKIE, path /, không chứa thông tin nhạy cảm) để middleware kiểm tra trang /admin.
+ * IP trình duyệt gửi lên backend qua X-Client-IP + AUTH_PROXY_SECRET (backend chỉ tin IP này cho chống brute-force đăng nhập),
+ * không chuyển tiếp X-Forwarded-For do client tự gửi.
+ */
+
+import { NextRequest, NextResponse } from 'next/server'
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+// Bí mật dùng chung với backend (server-side, không có tiền tố NEXT_PUBLIC_)
+const AUTH_PROXY_SECRET = process.env.AUTH_PROXY_SECRET || ''
+
+export const SESSION_MARKER_COOKIE = 'admin_session'
+
+// Cùng thời hạn với refresh token của backend
+const SESSION_MARKER_MAX_AGE = (parseInt(process.env.REFRESH_TOKEN_DAYS || '', 10) || 30) * 24 * 60 * 60
+
+/**
+ * IP thật của trình duyệt: request.ip (nền tảng cung cấp), nếu không có thì hop cuối của X-Forwarded-For
+ * (do reverse proxy ngay trước Next thêm vào, các hop phía trước do client tự khai nên không tin)
+ */
+function clientIP(request: NextRequest) {
+    if (request.ip) return request.ip
+
+    const hops = (request.headers.get('x-forwarded-for') || '').split(',').map(ip => ip.trim()).filter(Boolean)
+    return hops[hops.length - 1] || ''
+}
+
+/**
+ * Gọi backend /api/auth/{path} kèm cookie của request
+ */
+export async function forwardAuthRequest(request: NextRequest, path: string, body?: unknown) {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' }
+
+    const cookie = request.headers.get('cookie')
+    if (cookie) headers['Cookie'] = cookie
+
+    const userAgent = request.headers.get('user-agent')
+    if (userAgent) headers['User-Agent'] = userAgent
+
+    const ip = clientIP(request)
+    if (ip && AUTH_PROXY_SECRET) {
+        headers['X-Client-IP'] = ip
+        headers['X-Auth-Proxy-Secret'] = AUTH_PROXY_SECRET
+    }
+
+    return fetch(`${API_BASE_URL}/api/auth/${path}`, {
+        method: 'POST',
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        cache: 'no-store',
+    })
+}
+
+/**
+ * Trả JSON về trình duyệt, giữ nguyên Set-Cookie (refresh token) của backend
+ */
+export function relayAuthResponse(backendResponse: Response, data: unknown, status = backendResponse.status) {
+    const res = NextResponse.json(data, { status })
+
+    const setCookies = typeof backendResponse.headers.getSetCookie === 'function'
+        ? backendResponse.headers.getSetCookie()
+        : [backendResponse.headers.get('set-cookie')].filter((c): c is string => !!c)
+
+    setCookies.forEach(cookie => res.headers.append('Set-Cookie', cookie))
+
+    return res
+}
+
+/**
+ * Đánh dấu có phiên đăng nhập (login / refresh thành công)
+ */
+export function setSessionMarker(res: NextResponse) {
+    res.cookies.set(SESSION_MARKER_COOKIE, '1', {
+        path: '/',
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_MARKER_MAX_AGE,
+    })
+    return res
+}
+
+/**
+ * Xóa cookie đánh dấu phiên (logout / refresh thất bại)
+ */
+export function clearSessionMarker(res: NextResponse) {
+    res.cookies.set(SESSION_MARKER_COOKIE, '', { path: '/', maxAge: 0 })
+    return res
+}
+
+/**
+ * Response { success, data: { token, expiresAt, user } } của backend → dạng phẳng cho AuthService
+ * recoveryCodes: có khi vừa đăng ký 2FA ở bước đăng nhập
+ */
+export function flattenAuthData(data: any) {
+    return {
+        success: true,
+        token: data.data?.token || data.token,
+        expiresAt: data.data?.expiresAt || data.expiresAt,
+        user: data.data?.user || data.user,
+        recoveryCodes: data.data?.recoveryCodes,
+    }
+}
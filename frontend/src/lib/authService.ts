@@ -1,25 +1,65 @@
 /**
  * Auth Service for Next.js Admin
  * Handles token management and API calls
+ *
+ * - Access token ngắn hạn (15 phút) lưu localStorage, tự refresh trước khi hết hạn
+ * - Refresh token nằm trong HttpOnly cookie (qua route handlers /api/auth/*), JS không đọc được
+ * - Workspace đang chọn lưu localStorage, gửi kèm header X-Workspace-Id
  */
 
+// Refresh trước khi access token hết hạn
+const REFRESH_MARGIN_MS = 60 * 1000
+
 interface LoginResponse {
   success: boolean
   token: string
+  expiresAt: string
   user: {
     _id: string
     username: string
     email: string
     fullName: string
     displayName?: string
-    role: 'admin' | 'user'
+    // Tên vai trò (admin, user hoặc vai trò tùy chỉnh)
+    role: string
+    permissions: Permission[]
     avatar?: string
   }
+  // Chỉ có khi vừa đăng ký 2FA ở bước đăng nhập (hiện 1 lần)
+  recoveryCodes?: string[]
+}
+
+// Quyền chi tiết theo vai trò (backend: models/Role.js)
+export type Permission =
+  | 'links:write'
+  | 'links:manage-all'
+  | 'banners:write'
+  | 'banners:publish'
+  | 'categories:manage'
+  | 'users:manage'
+  | 'analytics:view-all'
+  | 'audit:view'
+
+// Password đúng nhưng tài khoản bật / bắt buộc 2FA → cần bước nhập mã
+export interface TwoFactorChallenge {
+  twoFactorRequired: true
+  setupRequired: boolean
+  challengeToken: string
+  message?: string
+}
+
+export interface TwoFactorSetupData {
+  secret: string
+  otpauthUri: string
 }
 
 export class AuthService {
   private tokenKey = 'shoppe_auth_token'
   private userKey = 'shoppe_user'
+  private expiresKey = 'shoppe_auth_expires_at'
+  private workspaceKey = 'shoppe_workspace_id'
+  private refreshPromise: Promise<string | null> | null = null
+  private refreshTimer: ReturnType<typeof setTimeout> | null = null
 
   getToken(): string | null {
     if (typeof window === 'undefined') return null
@@ -32,24 +72,127 @@ export class AuthService {
     return userJson ? JSON.parse(userJson) : null
   }
 
-  saveAuthData(token: string, user: any) {
+  saveAuthData(token: string, user: any, expiresAt?: string) {
     if (typeof window === 'undefined') return
     
     localStorage.setItem(this.tokenKey, token)
     localStorage.setItem(this.userKey, JSON.stringify(user))
-    
-    // Also save to cookie for middleware auth check (7 days = match JWT expiresIn)
-    document.cookie = `token=${token}; path=/; max-age=604800; SameSite=Strict`
+    if (expiresAt) {
+      localStorage.setItem(this.expiresKey, expiresAt)
+    }
   }
 
   clearAuthData() {
+    this.stopAutoRefresh()
     localStorage.removeItem(this.tokenKey)
     localStorage.removeItem(this.userKey)
+    localStorage.removeItem(this.expiresKey)
+    localStorage.removeItem(this.workspaceKey)
     
-    // Clear cookie
+    // Xóa cookie token cũ (trước đây lưu access token 7 ngày, không HttpOnly)
     document.cookie = 'token=; path=/; max-age=0'
   }
 
+  /**
+   * Workspace đang chọn, null → workspace cá nhân
+   */
+  getActiveWorkspaceId(): string | null {
+    if (typeof window === 'undefined') return null
+    return localStorage.getItem(this.workspaceKey)
+  }
+
+  setActiveWorkspaceId(workspaceId: string | null) {
+    if (typeof window === 'undefined') return
+    if (workspaceId) {
+      localStorage.setItem(this.workspaceKey, workspaceId)
+    } else {
+      localStorage.removeItem(this.workspaceKey)
+    }
+  }
+
+  /**
+   * Thời điểm access token hết hạn (ms), 0 nếu không rõ
+   */
+  getTokenExpiry(): number {
+    if (typeof window === 'undefined') return 0
+    const expiresAt = localStorage.getItem(this.expiresKey)
+    return expiresAt ? new Date(expiresAt).getTime() : 0
+  }
+
+  isTokenExpiring(marginMs = REFRESH_MARGIN_MS): boolean {
+    return this.getTokenExpiry() - Date.now() < marginMs
+  }
+
+  /**
+   * Lấy access token mới bằng refresh cookie (gộp các lần gọi đồng thời)
+   * @returns token mới, null nếu phiên đã hết hạn / bị thu hồi
+   */
+  refresh(): Promise<string | null> {
+    if (this.refreshPromise) return this.refreshPromise
+
+    this.refreshPromise = (async () => {
+      try {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          credentials: 'same-origin',
+        })
+        const data = await response.json().catch(() => ({}))
+
+        if (!response.ok || !data.token) {
+          return null
+        }
+
+        this.saveAuthData(data.token, data.user, data.expiresAt)
+        this.scheduleRefresh()
+        return data.token as string
+      } catch {
+        return null
+      } finally {
+        this.refreshPromise = null
+      }
+    })()
+
+    return this.refreshPromise
+  }
+
+  /**
+   * Refresh nếu access token sắp hết hạn (gọi khi mở trang admin)
+   */
+  async ensureFreshToken(): Promise<string | null> {
+    if (!this.getToken()) return null
+    if (!this.isTokenExpiring()) return this.getToken()
+    return this.refresh()
+  }
+
+  /**
+   * Hẹn giờ refresh trước khi access token hết hạn
+   */
+  scheduleRefresh() {
+    if (typeof window === 'undefined') return
+    this.stopAutoRefresh()
+
+    const delay = Math.max(this.getTokenExpiry() - Date.now() - REFRESH_MARGIN_MS, 5000)
+    this.refreshTimer = setTimeout(async () => {
+      // Tab khác có thể đã refresh (localStorage dùng chung)
+      if (!this.isTokenExpiring()) {
+        this.scheduleRefresh()
+        return
+      }
+      await this.refresh()
+    }, delay)
+  }
+
+  startAutoRefresh() {
+    this.scheduleRefresh()
+  }
+
+  stopAutoRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer)
+      this.refreshTimer = null
+    }
+  }
+
   /**
    * Update current user data in localStorage and notify other components
    */
@@ -72,7 +215,19 @@ export class AuthService {
     return user?.role === 'admin'
   }
 
-  async login(username: string, password: string): Promise<LoginResponse> {
+  /**
+   * User hiện tại có quyền không (ẩn / hiện menu, nút thao tác)
+   * Backend vẫn kiểm tra lại, đây chỉ để hiển thị
+   */
+  hasPermission(permission: Permission): boolean {
+    const user = this.getCurrentUser()
+    if (!user) return false
+    // Dữ liệu đăng nhập cũ chưa có permissions → dựa vào role đến lần refresh sau
+    if (!Array.isArray(user.permissions)) return user.role === 'admin'
+    return user.permissions.includes(permission)
+  }
+
+  async login(username: string, password: string): Promise<LoginResponse | TwoFactorChallenge> {
     // Use local API route that handles cookies
     const response = await fetch('/api/auth/login', {
       method: 'POST',
@@ -86,11 +241,70 @@ export class AuthService {
       throw new Error(data.message || 'Login failed')
     }
 
-    this.saveAuthData(data.token, data.user)
+    if (data.twoFactorRequired) {
+      return data as TwoFactorChallenge
+    }
+
+    this.saveAuthData(data.token, data.user, data.expiresAt)
+    this.scheduleRefresh()
+    return data
+  }
+
+  /**
+   * Bước 2 đăng nhập: mã TOTP (hoặc mã khôi phục)
+   * Challenge đăng ký: code xác nhận secret vừa quét, response kèm recoveryCodes
+   */
+  async verifyTwoFactor(
+    challengeToken: string,
+    input: { code?: string; recoveryCode?: string }
+  ): Promise<LoginResponse> {
+    const response = await fetch('/api/auth/login/2fa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken, ...input }),
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+      // code = 'challenge_expired' → phải nhập lại password
+      throw Object.assign(new Error(data.message || 'Xác thực thất bại'), { code: data.code })
+    }
+
+    this.saveAuthData(data.token, data.user, data.expiresAt)
+    this.scheduleRefresh()
     return data
   }
 
+  /**
+   * Admin bị bắt buộc 2FA nhưng chưa đăng ký: lấy secret để quét QR
+   */
+  async beginTwoFactorSetup(challengeToken: string): Promise<TwoFactorSetupData> {
+    const response = await fetch('/api/auth/login/2fa/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken }),
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw Object.assign(new Error(data.message || 'Không thể tạo mã 2FA'), { code: data.code })
+    }
+
+    return data.data
+  }
+
   logout() {
+    if (typeof window === 'undefined') return
+
+    // Thu hồi phiên trên server (không chờ)
+    fetch('/api/auth/logout', {
+      method: 'POST',
+      credentials: 'same-origin',
+      keepalive: true,
+    }).catch(() => {})
+
     this.clearAuthData()
   }
 }
@@ -110,6 +324,10 @@ export function logout() {
   authService.logout()
 }
 
+export function refreshToken(): Promise<string | null> {
+  return authService.refresh()
+}
+
 export function isAuthenticated(): boolean {
   return authService.isAuthenticated()
 }
@@ -118,6 +336,24 @@ export function isAdmin(): boolean {
   return authService.isAdmin()
 }
 
+export function hasPermission(permission: Permission): boolean {
+  return authService.hasPermission(permission)
+}
+
 export function updateCurrentUser(updatedFields: Record<string, any>) {
   authService.updateCurrentUser(updatedFields)
 }
+
+export function getActiveWorkspaceId(): string | null {
+  return authService.getActiveWorkspaceId()
+}
+
+export function setActiveWorkspaceId(workspaceId: string | null) {
+  authService.setActiveWorkspaceId(workspaceId)
+}
+
+// Header workspace đang chọn cho các request admin (không chọn → backend dùng workspace cá nhân)
+export function getWorkspaceHeaders(): Record<string, string> {
+  const workspaceId = authService.getActiveWorkspaceId()
+  return workspaceId ? { 'X-Workspace-Id': workspaceId } : {}
+}
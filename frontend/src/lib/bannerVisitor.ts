@@ -0,0 +1,81 @@
+/**
+ * Khách xem banner (first-party)
+ *
+ * visitorId lưu ở localStorage của site (giữ qua các lần đọc), sessionId ở sessionStorage (1 phiên tab)
+ * Gửi kèm fetch banner / beacon / đóng banner để backend áp dụng frequency cap và ghi nhớ đóng banner
+ */
+
+const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+
+const VISITOR_KEY = 'bannerVisitorId';
+const SESSION_KEY = 'bannerSessionId';
+
+export interface BannerVisitor {
+    visitorId: string;
+    sessionId: string;
+}
+
+/**
+ * Mã ngẫu nhiên (UUID, fallback khi không có crypto.randomUUID) - dùng cho visitorId / sessionId / pageViewId
+ */
+export const createClientId = () => (
+    typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+const readOrCreate = (storage: Storage, key: string) => {
+    let value = storage.getItem(key);
+    if (!value) {
+        value = createClientId();
+        storage.setItem(key, value);
+    }
+    return value;
+};
+
+/**
+ * Khách hiện tại, null khi trình duyệt chặn storage (không áp dụng giới hạn)
+ */
+export function getBannerVisitor(): BannerVisitor | null {
+    if (typeof window === 'undefined') return null;
+
+    try {
+        return {
+            visitorId: readOrCreate(window.localStorage, VISITOR_KEY),
+            sessionId: readOrCreate(window.sessionStorage, SESSION_KEY)
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Thêm visitorId / sessionId vào query string
+ */
+export function appendBannerVisitor(params: URLSearchParams) {
+    const visitor = getBannerVisitor();
+    if (visitor) {
+        params.set('visitorId', visitor.visitorId);
+        params.set('sessionId', visitor.sessionId);
+    }
+    return params;
+}
+
+/**
+ * Ghi nhớ khách đã đóng banner (ẩn trong thời gian cool-down của banner)
+ */
+export async function recordBannerDismiss(bannerId: string) {
+    const visitor = getBannerVisitor();
+    if (!visitor) return;
+
+    try {
+        await fetch(`${API_BASE}/api/banners/${bannerId}/dismiss`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(visitor),
+            keepalive: true
+        });
+    } catch (error) {
+        console.error('Failed to record banner dismissal:', error);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Hiện lỗi theo field của API ngay dưới ô nhập (antd Form)
+ */
+
+import type { FormInstance } from 'antd'
+import { ApiError } from './adminApi'
+
+type NamePath = (string | number)[]
+
+/**
+ * Tên field của API → name path của form: destinations[0].url → ['destinations', 0, 'url']
+ */
+export const toNamePath = (field: string): NamePath => field
+    .split(/[.[\]]/)
+    .filter(Boolean)
+    .map(part => /^\d+$/.test(part) ? Number(part) : part)
+
+/**
+ * Gắn lỗi theo field của ApiError vào form
+ * @param fieldMap - Đổi tên field API → field trên form, false = không có ô nhập (VD: { displayName: 'fullName' })
+ * @returns true nếu mọi lỗi đã hiện trên form (không cần toast thêm)
+ */
+export function showFieldErrors(
+    form: FormInstance,
+    error: unknown,
+    fieldMap: Record<string, string | false> = {}
+): boolean {
+    if (!(error instanceof ApiError) || error.fieldErrors.length === 0) return false
+
+    // Chỉ các field đang hiển thị trên form
+    const mounted = form.getFieldsValue() as Record<string, unknown>
+    const fields = new Map<string, { name: NamePath; errors: string[] }>()
+    let unmatched = 0
+
+    error.fieldErrors.forEach(({ field, message }) => {
+        const target = fieldMap[field] ?? field
+        const name = target === false ? [] : toNamePath(target)
+        if (name.length === 0 || !(String(name[0]) in mounted)) {
+            unmatched++
+            return
+        }
+
+        const key = name.join('.')
+        const entry = fields.get(key) || { name, errors: [] }
+        entry.errors.push(message)
+        fields.set(key, entry)
+    })
+
+    form.setFields([...fields.values()])
+    return unmatched === 0
+}
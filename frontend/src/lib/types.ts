@@ -18,10 +18,15 @@ export interface Link {
   updatedAt?: string
 }
 
+export type ArticleStatus = 'draft' | 'scheduled' | 'published' | 'archived'
+
 export interface Article extends Link {
   content?: string
   author?: string
   source?: string
+  status?: ArticleStatus
+  publishedAt?: string
+  expiresAt?: string | null
 }
 
 export interface ApiResponse<T> {
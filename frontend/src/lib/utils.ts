@@ -1,4 +1,5 @@
 import { API_CONFIG } from '@/config/api'
+import type { Article } from '@/lib/types'
 
 /**
  * Wrapper for server-side fetch requests with error handling
@@ -30,6 +31,18 @@ export async function fetchFromApi<T>(
   }
 }
 
+/**
+ * Bài viết có đang public không (khớp Link.isAvailable ở backend)
+ * Draft / archived / chưa tới ngày đăng / đã quá ngày gỡ → không hiển thị
+ */
+export function isArticlePublic(article: Article, now: Date = new Date()): boolean {
+  const status = article.status || 'published'
+  if (status !== 'published' && status !== 'scheduled') return false
+  if (article.publishedAt && new Date(article.publishedAt) > now) return false
+  if (article.expiresAt && new Date(article.expiresAt) <= now) return false
+  return true
+}
+
 /**
  * Format date for display
  */